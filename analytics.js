@@ -1,11 +1,69 @@
 /**
  * Analytics Abstraction Layer
- * Privacy-focused GA4 tracking with graceful degradation
+ * Privacy-focused tracking with graceful degradation
+ *
+ * Events go to one or more providers (GA4, a Plausible-style HTTP beacon, or the console
+ * for debugging), so the backend can change without touching call sites. Every provider
+ * receives the same sanitized, truncated parameters.
+ *
+ * Nothing is sent until the user opts in. Events tracked before they choose are held in
+ * memory and sent if they allow analytics; Global Privacy Control and Do Not Track
+ * signals always count as an opt-out.
+ *
+ * Events are queued and sent in batches: when the page is hidden or unloaded, when a
+ * batch fills up, or shortly after the first queued event. Once the user has opted in the
+ * queue is saved to localStorage, so events tracked offline or before a provider loads
+ * (or while an ad blocker stops it) are replayed later, even on the next visit.
+ *
+ * Uncaught errors and unhandled promise rejections are captured globally and sent as
+ * `error` events along with the last few tracked UI actions (breadcrumbs). Each distinct
+ * error is sent once per page, and only a few per minute.
  */
 
-// Store measurement ID for reference
-let measurementId = null;
+export const CONSENT_STORAGE_KEY = 'analytics-consent';
+export const QUEUE_STORAGE_KEY = 'analytics-queue';
+
+// Cap on queued events; the oldest are dropped first
+const MAX_QUEUED_EVENTS = 50;
+
+// Queued events older than this are no longer worth sending
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Send once this many events are queued, or FLUSH_DELAY_MS after the first one
+const BATCH_SIZE = 10;
+const FLUSH_DELAY_MS = 5000;
+
+// GA4 rejects longer parameter values; other providers get the same limit for consistency
+const MAX_PARAM_LENGTH = 100;
+
+// Recent UI actions kept as context for captured errors
+const MAX_BREADCRUMBS = 10;
+
+// Captured errors sent per minute; repeats of an error already sent are always dropped
+const MAX_ERRORS_PER_MINUTE = 5;
+const ERROR_RATE_WINDOW_MS = 60 * 1000;
+
+// Parameter that tells apart actions of the same event in breadcrumbs, e.g. "search:address"
+const BREADCRUMB_PARAMS = {
+  search: 'method',
+  view_change: 'view',
+  filter_change: 'filter',
+  form_open: 'form_type',
+  form_submit: 'form_type',
+  shop_click: 'action',
+};
+
+let providers = [];
 let isInitialized = false;
+let eventQueue = [];
+let queueRestored = false;
+let flushTimer = null;
+let listenersAdded = false;
+const breadcrumbs = [];
+const capturedErrors = new Set();
+let errorTimes = [];
+let errorCaptureAdded = false;
+let errorDebug = false;
 
 /**
  * Check if gtag is available (not blocked by ad blockers)
@@ -15,51 +73,536 @@ function isGtagAvailable() {
 }
 
 /**
- * Initialize Google Analytics 4
- * @param {string} id - GA4 Measurement ID (e.g., 'G-XXXXXXXXXX')
+ * Check whether the browser sends Global Privacy Control or Do Not Track
+ * @returns {boolean} True if the user has asked not to be tracked
+ */
+export function hasPrivacySignal() {
+  if (typeof navigator !== 'undefined') {
+    if (navigator.globalPrivacyControl === true) return true;
+    if (navigator.doNotTrack === '1' || navigator.doNotTrack === 'yes') return true;
+  }
+  return typeof window !== 'undefined' && window.doNotTrack === '1';
+}
+
+/**
+ * Read the stored consent choice (storage may be unavailable in private modes)
+ * @returns {string|null} 'granted', 'denied' or null
+ */
+function readStoredConsent() {
+  try {
+    return globalThis.localStorage?.getItem(CONSENT_STORAGE_KEY) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the user's analytics consent
+ * @returns {string} 'granted', 'denied' or 'pending' (no choice made yet)
+ */
+export function getConsentState() {
+  if (hasPrivacySignal()) {
+    return 'denied';
+  }
+  const stored = readStoredConsent();
+  return stored === 'granted' || stored === 'denied' ? stored : 'pending';
+}
+
+/**
+ * Record the user's analytics choice
+ * Allowing starts tracking and sends held events; declining drops them and stops tracking.
+ * A privacy signal can't be overridden from here.
+ * @param {boolean} granted - Whether the user allows analytics
+ * @returns {string} Resulting consent state
+ */
+export function setConsent(granted) {
+  if (granted && hasPrivacySignal()) {
+    return getConsentState();
+  }
+
+  try {
+    globalThis.localStorage?.setItem(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied');
+  } catch {
+    // Choice only lasts for this page when storage is unavailable
+  }
+
+  if (granted) {
+    startTracking();
+  } else {
+    clearQueue();
+    stopTracking();
+  }
+  return granted ? 'granted' : 'denied';
+}
+
+/**
+ * Load the gtag.js library (only once consent is granted)
+ * @param {string} measurementId - GA4 Measurement ID
+ * @param {Function} onDone - Called with true once the script loads, false if it fails
+ */
+function loadGtag(measurementId, onDone) {
+  window.dataLayer = window.dataLayer || [];
+  window.gtag = function gtag() {
+    // gtag.js expects the arguments object itself, not an array
+    // biome-ignore lint/complexity/noArguments: required by gtag.js
+    window.dataLayer.push(arguments);
+  };
+  window.gtag('js', new Date());
+
+  const script = document.createElement('script');
+  script.async = true;
+  script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`;
+  script.addEventListener('load', () => onDone(true));
+  script.addEventListener('error', () => onDone(false));
+  document.head.appendChild(script);
+}
+
+/**
+ * Create a Google Analytics 4 provider
+ *
+ * A provider is an object with:
+ * - name: identifies the provider in logs and the queue
+ * - start(onReady): called once consent is granted; returns false if the backend is
+ *   unavailable. A provider that loads asynchronously calls onReady when it can send.
+ * - stop(): called when consent is withdrawn
+ * - isAvailable(): optional; false keeps events queued for this provider
+ * - send(eventName, params): delivers one event with sanitized params; returning false
+ *   keeps the event queued to retry
+ *
+ * @param {string} measurementId - GA4 Measurement ID (e.g., 'G-XXXXXXXXXX')
+ * @returns {Object} Analytics provider
+ */
+export function createGA4Provider(measurementId) {
+  let configured = false;
+  // 'idle', 'loading', 'ready' or 'failed'
+  let status = 'idle';
+
+  return {
+    name: 'ga4',
+    measurementId,
+    start(onReady) {
+      if (typeof window === 'undefined') return false;
+      window[`ga-disable-${measurementId}`] = false;
+
+      if (status === 'idle') {
+        if (isGtagAvailable()) {
+          // gtag.js is already on the page
+          status = 'ready';
+        } else if (typeof document !== 'undefined') {
+          status = 'loading';
+          loadGtag(measurementId, (loaded) => {
+            status = loaded ? 'ready' : 'failed';
+            if (loaded) {
+              onReady?.();
+            } else {
+              console.info('Analytics: gtag not available (may be blocked)');
+            }
+          });
+        } else {
+          return false;
+        }
+      }
+
+      if (!configured && isGtagAvailable()) {
+        window.gtag('config', measurementId, {
+          // Privacy-focused settings
+          anonymize_ip: true,
+          allow_google_signals: false,
+          allow_ad_personalization_signals: false,
+        });
+        configured = true;
+      }
+      return status !== 'failed';
+    },
+    stop() {
+      if (typeof window === 'undefined') return;
+      // Official GA opt-out flag, checked by gtag.js before every hit
+      window[`ga-disable-${measurementId}`] = true;
+    },
+    isAvailable() {
+      return status === 'ready' && isGtagAvailable();
+    },
+    send(eventName, params) {
+      window.gtag('event', eventName, params);
+    },
+  };
+}
+
+/**
+ * Get the page URL reported to beacon endpoints
+ * The query string is left off because it holds searched addresses and shop names.
+ * @returns {string} Page URL without query string or hash
  */
-export function initAnalytics(id) {
-  if (!id || typeof id !== 'string') {
-    console.warn('Analytics: Invalid measurement ID');
+function getPageUrl() {
+  if (typeof location === 'undefined') return '';
+  return `${location.origin}${location.pathname}`;
+}
+
+/**
+ * Build the body of a Plausible-style event beacon
+ * @param {string} eventName - Name of the event
+ * @param {Object} params - Sanitized event parameters
+ * @param {string} domain - Site domain registered with the analytics server
+ * @param {string} url - Page URL
+ * @returns {Object} { name, url, domain, props }
+ */
+export function createBeaconPayload(eventName, params, domain, url) {
+  return { name: eventName, url, domain, props: params };
+}
+
+/**
+ * Create a provider that POSTs events to a Plausible-compatible endpoint
+ * Cookieless and self-hostable. The body is sent as text/plain so browsers deliver it
+ * without a CORS preflight.
+ * @param {Object} options
+ * @param {string} options.endpoint - Event API URL (e.g., 'https://plausible.io/api/event')
+ * @param {string} options.domain - Site domain registered with the analytics server
+ * @returns {Object} Analytics provider
+ */
+export function createBeaconProvider({ endpoint, domain }) {
+  return {
+    name: 'beacon',
+    start() {
+      return Boolean(endpoint);
+    },
+    stop() {},
+    send(eventName, params) {
+      const body = JSON.stringify(createBeaconPayload(eventName, params, domain, getPageUrl()));
+
+      if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+        // False when the browser couldn't queue the beacon, so it's retried later
+        return navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain' }));
+      }
+      if (typeof fetch === 'function') {
+        fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/plain' },
+          body,
+          keepalive: true,
+        }).catch(() => {});
+        return true;
+      }
+      return false;
+    },
+  };
+}
+
+/**
+ * Create a provider that logs events to the console, for local debugging
+ * @returns {Object} Analytics provider
+ */
+export function createConsoleProvider() {
+  return {
+    name: 'console',
+    start() {
+      return true;
+    },
+    stop() {},
+    send(eventName, params) {
+      console.info('Analytics:', eventName, params);
+    },
+  };
+}
+
+/**
+ * Build the providers described by an analytics config
+ * @param {string|Object} config - GA4 Measurement ID, or
+ *   { ga4: measurementId, beacon: { endpoint, domain }, debug: boolean, providers: [] }
+ *   where providers holds any custom provider objects
+ * @returns {Array<Object>} Analytics providers
+ */
+export function createProviders(config) {
+  if (typeof config === 'string') {
+    return config ? [createGA4Provider(config)] : [];
+  }
+  if (!config || typeof config !== 'object') {
+    return [];
+  }
+
+  const configured = [];
+  if (typeof config.ga4 === 'string' && config.ga4) {
+    configured.push(createGA4Provider(config.ga4));
+  }
+  if (config.beacon?.endpoint) {
+    configured.push(createBeaconProvider(config.beacon));
+  }
+  if (config.debug) {
+    configured.push(createConsoleProvider());
+  }
+  if (Array.isArray(config.providers)) {
+    configured.push(...config.providers);
+  }
+  return configured;
+}
+
+/**
+ * Start every provider and send queued events, if consent has been granted
+ */
+function startTracking() {
+  if (providers.length === 0 || getConsentState() !== 'granted') return;
+
+  isInitialized = false;
+  for (const provider of providers) {
+    try {
+      if (provider.start(flushAnalytics) !== false) {
+        isInitialized = true;
+      }
+    } catch (error) {
+      console.warn(`Analytics: Failed to start ${provider.name}`, error);
+    }
+  }
+  if (!isInitialized) return;
+
+  addFlushListeners();
+  restoreQueue();
+  flushAnalytics();
+}
+
+/**
+ * Stop every provider after the user withdraws consent
+ */
+function stopTracking() {
+  clearFlushTimer();
+  for (const provider of providers) {
+    try {
+      provider.stop();
+    } catch (error) {
+      console.warn(`Analytics: Failed to stop ${provider.name}`, error);
+    }
+  }
+  isInitialized = false;
+}
+
+/**
+ * Initialize analytics
+ * Providers only start (and gtag.js only loads) once the user has allowed analytics.
+ * @param {string|Object} config - GA4 Measurement ID (e.g., 'G-XXXXXXXXXX') or a provider
+ *   config; see createProviders
+ */
+export function initAnalytics(config) {
+  const configured = createProviders(config);
+  if (configured.length === 0) {
+    console.warn('Analytics: No providers configured');
     return;
   }
 
-  measurementId = id;
+  stopTracking();
+  providers = configured;
+  startTracking();
+}
+
+/**
+ * Flush the queue when the page is hidden or unloaded, and when the device comes back online
+ * pagehide covers browsers that don't fire visibilitychange on unload.
+ */
+function addFlushListeners() {
+  if (listenersAdded || typeof window === 'undefined' || !window.addEventListener) return;
+  listenersAdded = true;
 
-  if (isGtagAvailable()) {
-    window.gtag('config', measurementId, {
-      // Privacy-focused settings
-      anonymize_ip: true,
-      allow_google_signals: false,
-      allow_ad_personalization_signals: false,
+  window.addEventListener('online', flushAnalytics);
+  window.addEventListener('pagehide', flushAnalytics);
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flushAnalytics();
+      }
     });
-    isInitialized = true;
-  } else {
-    console.info('Analytics: gtag not available (may be blocked)');
   }
 }
 
+/**
+ * Check whether the browser reports being offline
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Check whether a provider can send right now
+ */
+function isProviderAvailable(provider) {
+  try {
+    return typeof provider.isAvailable !== 'function' || provider.isAvailable() !== false;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Send one queued event to one provider
+ * @returns {boolean} Whether the provider accepted the event
+ */
+function deliverEvent(provider, entry) {
+  try {
+    return provider.send(entry.name, entry.params) !== false;
+  } catch (error) {
+    console.warn(`Analytics: Failed to track event with ${provider.name}`, error);
+    return false;
+  }
+}
+
+/**
+ * Send queued events to every available provider
+ * Each event stays queued until every configured provider has accepted it, so one
+ * provider being blocked or failing doesn't hold up (or duplicate events for) the others.
+ */
+export function flushAnalytics() {
+  clearFlushTimer();
+  if (!isInitialized || getConsentState() !== 'granted' || isOffline()) return;
+
+  const available = providers.filter(isProviderAvailable);
+  if (available.length === 0) return;
+
+  for (const entry of eventQueue) {
+    for (const provider of available) {
+      if (!entry.sent.includes(provider.name) && deliverEvent(provider, entry)) {
+        entry.sent.push(provider.name);
+      }
+    }
+  }
+
+  const names = providers.map((provider) => provider.name);
+  eventQueue = eventQueue.filter((entry) => !names.every((name) => entry.sent.includes(name)));
+  saveQueue();
+}
+
+/**
+ * Flush right away if a batch has filled up, otherwise soon
+ */
+function scheduleFlush() {
+  if (eventQueue.length >= BATCH_SIZE) {
+    flushAnalytics();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushAnalytics, FLUSH_DELAY_MS);
+    // Don't keep Node (tests) alive for a pending flush
+    flushTimer.unref?.();
+  }
+}
+
+function clearFlushTimer() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+}
+
+/**
+ * Add an event to the queue, dropping the oldest when it's full
+ */
+function enqueueEvent(entry) {
+  eventQueue.push(entry);
+  if (eventQueue.length > MAX_QUEUED_EVENTS) {
+    eventQueue.splice(0, eventQueue.length - MAX_QUEUED_EVENTS);
+  }
+  saveQueue();
+}
+
+/**
+ * Save the queue so it survives a reload (only once the user has opted in)
+ */
+function saveQueue() {
+  if (getConsentState() !== 'granted') return;
+  try {
+    if (eventQueue.length > 0) {
+      globalThis.localStorage?.setItem(QUEUE_STORAGE_KEY, JSON.stringify(eventQueue));
+    } else {
+      globalThis.localStorage?.removeItem(QUEUE_STORAGE_KEY);
+    }
+  } catch {
+    // Storage full or unavailable: the queue still works for this page
+  }
+}
+
+/**
+ * Put events saved by an earlier page load ahead of this page's events
+ * Restored params go through prepareParams again since storage is outside our control.
+ */
+function restoreQueue() {
+  if (queueRestored) return;
+  queueRestored = true;
+
+  let stored;
+  try {
+    stored = JSON.parse(globalThis.localStorage?.getItem(QUEUE_STORAGE_KEY) ?? '[]');
+  } catch {
+    stored = [];
+  }
+  if (!Array.isArray(stored)) return;
+
+  const cutoff = Date.now() - MAX_EVENT_AGE_MS;
+  const restored = stored
+    .filter((entry) => typeof entry?.name === 'string' && entry.time > cutoff)
+    .map((entry) => ({
+      name: entry.name,
+      params: prepareParams(typeof entry.params === 'object' && entry.params ? entry.params : {}),
+      time: entry.time,
+      sent: Array.isArray(entry.sent) ? entry.sent.filter((name) => typeof name === 'string') : [],
+    }));
+
+  eventQueue = [...restored, ...eventQueue].slice(-MAX_QUEUED_EVENTS);
+}
+
+/**
+ * Drop queued events, in memory and in storage
+ */
+function clearQueue() {
+  clearFlushTimer();
+  eventQueue = [];
+  try {
+    globalThis.localStorage?.removeItem(QUEUE_STORAGE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+}
+
+/**
+ * Get the number of events waiting to be sent
+ * @returns {number} Queued event count
+ */
+export function getQueuedEventCount() {
+  return eventQueue.length;
+}
+
+/**
+ * Sanitize and truncate event parameters
+ * @param {Object} params - Event parameters
+ * @returns {Object} Parameters safe to hand to any provider
+ */
+export function prepareParams(params) {
+  const prepared = sanitizeParams(params);
+  for (const [key, value] of Object.entries(prepared)) {
+    if (typeof value === 'string') {
+      prepared[key] = truncateString(value, MAX_PARAM_LENGTH);
+    }
+  }
+  return prepared;
+}
+
 /**
  * Track a generic event
+ * Queued and sent with the next batch; held until the user makes a consent choice and
+ * dropped if they decline
  * @param {string} eventName - Name of the event
  * @param {Object} params - Event parameters (no PII allowed)
  */
 export function trackEvent(eventName, params = {}) {
-  if (!isGtagAvailable()) return;
+  if (eventName !== 'error') {
+    const detail = params[BREADCRUMB_PARAMS[eventName]];
+    addBreadcrumb(detail == null ? eventName : `${eventName}:${detail}`);
+  }
+
+  const consent = getConsentState();
+  if (consent === 'denied') return;
 
   // Sanitize params to prevent PII leakage
-  const sanitizedParams = sanitizeParams(params);
+  enqueueEvent({ name: eventName, params: prepareParams(params), time: Date.now(), sent: [] });
 
-  try {
-    window.gtag('event', eventName, sanitizedParams);
-  } catch (error) {
-    console.warn('Analytics: Failed to track event', error);
+  if (consent === 'granted' && isInitialized) {
+    scheduleFlush();
   }
 }
 
 /**
  * Track a search event
- * @param {string} method - Search method ('address' or 'geolocation')
+ * @param {string} method - Search method ('address', 'name', 'geolocation' or 'map_area')
  * @param {number} resultCount - Number of results found
  */
 export function trackSearch(method, resultCount) {
@@ -90,24 +633,41 @@ export function trackGeolocation(success, errorType = null) {
 
 /**
  * Track shop link clicks
+ * Keyed by shop ID so referrals can be reported per shop (see scripts/referral-report.js)
+ * @param {number} shopId - Shop ID
  * @param {string} shopName - Name of the shop
  * @param {boolean} isIndependent - Whether shop is independent
  * @param {string} action - Action type ('website', 'directions', or 'phone')
+ * @param {string} source - Where the link was clicked ('list', 'map', or 'detail')
  */
-export function trackShopClick(shopName, isIndependent, action) {
+export function trackShopClick(shopId, shopName, isIndependent, action, source = 'list') {
   // Truncate shop name to prevent very long values
   const truncatedName = truncateString(shopName, 100);
 
   trackEvent('shop_click', {
+    shop_id: shopId,
     shop_name: truncatedName,
     is_independent: isIndependent,
     action: action,
+    source: source,
   });
 }
 
 /**
- * Track view changes (list/map toggle)
- * @param {string} view - Current view ('list' or 'map')
+ * Track shop detail views
+ * @param {number} shopId - Shop ID
+ * @param {boolean} isIndependent - Whether the shop is independent
+ */
+export function trackShopDetailView(shopId, isIndependent) {
+  trackEvent('shop_detail_view', {
+    shop_id: shopId,
+    is_independent: isIndependent,
+  });
+}
+
+/**
+ * Track view changes (list/map toggle, browse map opened)
+ * @param {string} view - Current view ('list', 'map' or 'browse')
  */
 export function trackViewChange(view) {
   trackEvent('view_change', {
@@ -115,6 +675,18 @@ export function trackViewChange(view) {
   });
 }
 
+/**
+ * Track search filter changes
+ * @param {string} filter - Filter name ('shop_type', 'radius' or 'open_now')
+ * @param {string|number|boolean} value - Selected value
+ */
+export function trackFilterChange(filter, value) {
+  trackEvent('filter_change', {
+    filter: filter,
+    value: value,
+  });
+}
+
 /**
  * Track form submissions
  * @param {string} formType - Form type ('suggest' or 'report')
@@ -143,6 +715,7 @@ export function trackFormOpen(formType) {
 export function trackError(errorType, message = null) {
   const params = {
     error_type: errorType,
+    breadcrumbs: formatBreadcrumbs(),
   };
 
   if (message) {
@@ -153,10 +726,155 @@ export function trackError(errorType, message = null) {
   trackEvent('error', params);
 }
 
+/**
+ * Record a UI action to send as context with captured errors
+ * Tracked events are recorded automatically; breadcrumbs stay in memory and are only sent
+ * as part of an error event.
+ * @param {string} action - Short description, e.g. 'search:address'
+ */
+export function addBreadcrumb(action) {
+  breadcrumbs.push(truncateString(String(action), 40));
+  if (breadcrumbs.length > MAX_BREADCRUMBS) {
+    breadcrumbs.shift();
+  }
+}
+
+/**
+ * Get the recorded UI actions
+ * @returns {Array<string>} Breadcrumbs, oldest first
+ */
+export function getBreadcrumbs() {
+  return [...breadcrumbs];
+}
+
+/**
+ * Join the most recent breadcrumbs that fit in one parameter value
+ * @returns {string|null} e.g. 'search:address > view_change:map', oldest first; null if none
+ */
+function formatBreadcrumbs() {
+  let formatted = '';
+  for (let i = breadcrumbs.length - 1; i >= 0; i--) {
+    const next = formatted ? `${breadcrumbs[i]} > ${formatted}` : breadcrumbs[i];
+    if (next.length > MAX_PARAM_LENGTH) break;
+    formatted = next;
+  }
+  return formatted || null;
+}
+
+/**
+ * Find where an error was thrown, as "file.js:line:column"
+ * Uses the error event's location if there is one, otherwise the top frame of the stack.
+ * @param {*} error - Thrown value
+ * @param {ErrorEvent} [event] - Window error event
+ * @returns {string|null} Location, or null if unknown
+ */
+function getErrorLocation(error, event) {
+  if (event?.filename) {
+    const file = event.filename.split(/[?#]/)[0].split('/').pop();
+    return `${file}:${event.lineno}:${event.colno}`;
+  }
+  const frame = String(error?.stack ?? '').match(/([^/\s()@]+\.m?js)(?:[?#][^:\s)]*)?:(\d+):(\d+)/);
+  return frame ? `${frame[1]}:${frame[2]}:${frame[3]}` : null;
+}
+
+/**
+ * Check whether enough errors were sent in the last minute to stop sending more
+ */
+function isErrorRateLimited(now) {
+  errorTimes = errorTimes.filter((time) => now - time < ERROR_RATE_WINDOW_MS);
+  return errorTimes.length >= MAX_ERRORS_PER_MINUTE;
+}
+
+/**
+ * Send an unexpected error with recent breadcrumbs
+ * An error with the same type, message and location is only sent once per page, and no
+ * more than MAX_ERRORS_PER_MINUTE are sent a minute. In debug mode every captured error is
+ * logged to the console, including the ones that aren't sent.
+ * @param {*} error - Error object, or any thrown or rejected value
+ * @param {Object} [options]
+ * @param {string} [options.type] - Error type (default: 'uncaught_error')
+ * @param {string} [options.location] - Where it was thrown (default: from the stack)
+ * @returns {boolean} Whether an error event was tracked
+ */
+export function captureError(error, options = {}) {
+  const { type = 'uncaught_error', location = getErrorLocation(error) } = options;
+  const message = (error instanceof Error ? error.message : String(error ?? '')) || 'Unknown error';
+  const params = {
+    error_type: type,
+    error_message: message,
+    error_location: location,
+    breadcrumbs: formatBreadcrumbs(),
+  };
+
+  const key = `${type}|${message}|${location}`;
+  const now = Date.now();
+  let skipped = null;
+  if (capturedErrors.has(key)) {
+    skipped = 'duplicate';
+  } else if (isErrorRateLimited(now)) {
+    skipped = 'rate limited';
+  }
+  capturedErrors.add(key);
+
+  if (errorDebug) {
+    console.error(
+      `Analytics: Captured error${skipped ? ` (${skipped}, not sent)` : ''}`,
+      params,
+      error
+    );
+  }
+  if (skipped) return false;
+
+  errorTimes.push(now);
+  trackEvent('error', params);
+  return true;
+}
+
+/**
+ * Capture uncaught errors and unhandled promise rejections on the page
+ * Safe to call more than once; later calls only change debug mode.
+ * @param {Object} [options]
+ * @param {boolean} [options.debug] - Log every captured error to the console
+ */
+export function initErrorCapture(options = {}) {
+  errorDebug = Boolean(options.debug);
+  if (errorCaptureAdded || typeof window === 'undefined' || !window.addEventListener) return;
+  errorCaptureAdded = true;
+
+  window.addEventListener('error', (event) => {
+    // Errors in cross-origin scripts arrive as a bare "Script error." with nothing to act on
+    if (!event.error && !event.filename) return;
+    captureError(event.error ?? event.message, {
+      location: getErrorLocation(event.error, event),
+    });
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    captureError(event.reason, { type: 'unhandled_rejection' });
+  });
+}
+
+/**
+ * Track a location search that found few or no shops, to find regions missing from the data
+ * Only a coarse geohash cell is sent, never coordinates.
+ * @param {string} geohash - Geohash of the search center (a few characters, ~40 km cells)
+ * @param {number} resultCount - Shops found within the radius
+ * @param {number} radius - Search radius in miles
+ * @param {string} method - Search method ('address', 'geolocation' or 'map_area')
+ */
+export function trackCoverageGap(geohash, resultCount, radius, method) {
+  trackEvent('coverage_gap', {
+    geohash,
+    result_count: resultCount,
+    radius,
+    method,
+  });
+}
+
 /**
  * Track results display
  * @param {number} resultCount - Number of results
- * @param {number} [nearestDistance] - Distance to nearest shop in miles
+ * @param {number} [nearestDistance] - Distance to nearest shop in miles, measured from the
+ *   coarsened search location so it can't pinpoint the user
  */
 export function trackViewResults(resultCount, nearestDistance = null) {
   const params = {
@@ -218,11 +936,19 @@ export function truncateString(str, maxLength) {
 }
 
 /**
- * Get the current measurement ID
- * @returns {string|null} Current measurement ID
+ * Get the current GA4 measurement ID
+ * @returns {string|null} Current measurement ID, or null if GA4 isn't configured
  */
 export function getMeasurementId() {
-  return measurementId;
+  return providers.find((provider) => provider.name === 'ga4')?.measurementId ?? null;
+}
+
+/**
+ * Get the names of the configured providers
+ * @returns {Array<string>} Provider names, in the order events are sent
+ */
+export function getProviderNames() {
+  return providers.map((provider) => provider.name);
 }
 
 /**
@@ -4,44 +4,113 @@
  */
 
 import {
+  captureError,
+  getConsentState,
+  hasPrivacySignal,
   initAnalytics,
+  initErrorCapture,
+  setConsent,
+  trackCoverageGap,
   trackError,
+  trackFilterChange,
   trackFormOpen,
   trackFormSubmission,
   trackGeolocation,
   trackSearch,
   trackShopClick,
+  trackShopDetailView,
   trackViewChange,
   trackViewResults,
 } from './analytics.js';
 import {
+  addToGeocodeCache,
   buildShareParams,
   CONFIG,
+  calculateDistance,
+  clusterShops,
+  coarsenCoordinates,
+  createClusterIconHTML,
+  createGeocodeCandidatesHTML,
   createMapPopupHTML,
   createShopCardHTML,
-  filterAndSortShops,
+  createShopDetailHTML,
+  createSpatialIndex,
+  encodeGeohash,
   filterShopsBySearchTerm,
+  formatLocationLabel,
   formatShopForSelect,
+  generateBrowseSummary,
+  generateNameSearchSummary,
   generateResultsSummary,
+  geocodeLocally,
+  getCachedGeocode,
+  getClusterIconSize,
+  getCoarsenedRadiusMeters,
+  getDistinctGeocodeCandidates,
+  getGeocodeCandidateQuery,
   getMapBounds,
+  getSearchTitle,
+  getShopPermalink,
+  getWiderRadiusSuggestion,
+  isOfflineError,
+  isValidCoordinates,
+  parseLocalGeocodeQuery,
+  parseNominatimResults,
   parseShareParams,
+  queryNearest,
+  queryRadius,
+  reverseGeocodeLocally,
+  searchShopsByName,
 } from './app.utils.js';
 
+/**
+ * Analytics providers (see createProviders in analytics.js)
+ * To send to a Plausible-compatible server as well, add
+ * beacon: { endpoint: 'https://plausible.io/api/event', domain: 'skateindex.com' }.
+ * Set localStorage 'analytics-debug' to '1' to log events to the console.
+ */
+const ANALYTICS_CONFIG = {
+  ga4: 'G-6RRXJT4DE3',
+};
+
 (() => {
   // DOM Elements
   const elements = {
     searchForm: document.getElementById('search-form'),
+    searchModeFilter: document.getElementById('search-mode'),
+    addressLabel: document.querySelector('label[for="address-input"]'),
     addressInput: document.getElementById('address-input'),
+    locationOption: document.querySelector('.location-option'),
+    radiusOption: document.querySelector('.radius-option'),
     searchBtn: document.getElementById('search-btn'),
     geolocationBtn: document.getElementById('geolocation-btn'),
     errorMessage: document.getElementById('error-message'),
     loadingIndicator: document.getElementById('loading-indicator'),
+    geocodeChooser: document.getElementById('geocode-chooser'),
+    geocodeCandidates: document.getElementById('geocode-candidates'),
     resultsSection: document.getElementById('results-section'),
     resultsSummary: document.getElementById('results-summary'),
     resultsList: document.getElementById('results-list'),
     noResults: document.getElementById('no-results'),
+    noResultsLocation: document.getElementById('no-results-location'),
+    noResultsName: document.getElementById('no-results-name'),
+    noResultsNameQuery: document.getElementById('no-results-name-query'),
+    noResultsFilterHint: document.getElementById('no-results-filter-hint'),
+    noResultsFilterOther: document.getElementById('no-results-filter-other'),
+    noResultsOpenHint: document.getElementById('no-results-open-hint'),
+    includeClosedBtn: document.getElementById('include-closed-btn'),
+    noResultsRadius: document.getElementById('no-results-radius'),
+    noResultsRadiusHint: document.getElementById('no-results-radius-hint'),
+    noResultsRadiusText: document.getElementById('no-results-radius-text'),
+    widenRadiusBtn: document.getElementById('widen-radius-btn'),
     lastUpdated: document.getElementById('last-updated'),
     shareBtn: document.getElementById('share-btn'),
+    shareExactOption: document.getElementById('share-exact-option'),
+    shareExactCheckbox: document.getElementById('share-exact-checkbox'),
+    shopTypeFilter: document.getElementById('shop-type-filter'),
+    openNowCheckbox: document.getElementById('open-now-checkbox'),
+    radiusSelect: document.getElementById('radius-select'),
+    showMoreBtn: document.getElementById('show-more-btn'),
     // Modal elements
     suggestModal: document.getElementById('suggest-modal'),
     reportModal: document.getElementById('report-modal'),
@@ -55,24 +124,75 @@ import {
     listViewBtn: document.getElementById('list-view-btn'),
     mapViewBtn: document.getElementById('map-view-btn'),
     resultsMap: document.getElementById('results-map'),
+    searchAreaBtn: document.getElementById('search-area-btn'),
+    // Browse map elements
+    browseBtn: document.getElementById('browse-btn'),
+    browseSection: document.getElementById('browse-section'),
+    browseSummary: document.getElementById('browse-summary'),
+    browseMap: document.getElementById('browse-map'),
+    // Shop detail view
+    shopDetail: document.getElementById('shop-detail'),
+    shopDetailBack: document.getElementById('shop-detail-back'),
+    shopDetailContent: document.getElementById('shop-detail-content'),
     // Theme toggle
     themeToggle: document.querySelector('.theme-toggle'),
+    // Analytics consent
+    consentBanner: document.getElementById('consent-banner'),
+    consentMessage: document.getElementById('consent-message'),
+    consentActions: document.getElementById('consent-actions'),
+    consentAllowBtn: document.getElementById('consent-allow-btn'),
+    consentDenyBtn: document.getElementById('consent-deny-btn'),
+    consentSettingsBtn: document.getElementById('consent-settings-btn'),
   };
 
+  const DEFAULT_TITLE = document.title;
+
+  // Wide screens show the list and map side by side instead of toggling between them
+  const splitLayoutQuery = window.matchMedia('(min-width: 1024px)');
+
   // Application State
   let shopsData = null;
+  let shopIndex = null;
+  let shopsById = new Map();
   let map = null;
   let markersLayer = null;
+  let userLocationLayer = null;
+  let markersByShopId = new Map();
+  let fittingMapToResults = false;
+  let detailMap = null;
+  let browseMap = null;
+  let browseLayer = null;
+  let browseMarkers = new Map();
   let currentView = 'list';
   let _currentShops = [];
+  let allNearbyShops = [];
   let lastUserLat = null;
   let lastUserLng = null;
+  let lastSearchMethod = 'address';
+  let shareSearchCoordinates = false; // The search text doesn't pick out the searched place
+  let searchMode = 'location';
+  let lastNameQuery = '';
+  let currentShopType = 'all';
+  let openNowOnly = false;
+  let shareExactLocation = false;
+  let currentRadius = CONFIG.MAX_DISTANCE_MILES;
+  let visibleCount = CONFIG.MAX_RESULTS;
+  let geocodeIndexPromise = null;
+  let geocodeCandidates = [];
+  let currentLocationLabel = null;
+  const locationLabels = new Map();
+  let geocodeCandidatesQuery = '';
 
   /**
    * Initialize the application
    */
   async function init() {
-    initAnalytics('G-6RRXJT4DE3');
+    const debug = isAnalyticsDebugEnabled();
+    initErrorCapture({ debug });
+    initAnalytics({ ...ANALYTICS_CONFIG, debug });
+    initConsentControls();
+
+    registerServiceWorker();
 
     try {
       await loadShopsData();
@@ -85,6 +205,26 @@ import {
     }
   }
 
+  /**
+   * Register the service worker for offline support
+   * Reloads shop data when the service worker reports a newer shops.json
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js', { type: 'module' }).catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === 'data-updated') {
+        loadShopsData().catch((error) => {
+          console.error('Failed to reload shop data:', error);
+        });
+      }
+    });
+  }
+
   /**
    * Load shops data from JSON file
    */
@@ -94,6 +234,8 @@ import {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     shopsData = await response.json();
+    shopIndex = createSpatialIndex(shopsData.shops);
+    shopsById = new Map(shopsData.shops.map((shop) => [shop.id, shop]));
 
     // Update last updated date in footer
     if (shopsData.lastUpdated) {
@@ -106,7 +248,11 @@ import {
    */
   function setupEventListeners() {
     elements.searchForm.addEventListener('submit', handleSearch);
+    elements.searchModeFilter.addEventListener('change', (e) => {
+      setSearchMode(e.target.value);
+    });
     elements.geolocationBtn.addEventListener('click', handleGeolocation);
+    elements.geocodeCandidates.addEventListener('click', handleGeocodeCandidateClick);
 
     // Modal triggers
     document.querySelectorAll('[data-modal]').forEach((btn) => {
@@ -151,12 +297,55 @@ import {
     // View toggle buttons
     elements.listViewBtn.addEventListener('click', () => switchView('list'));
     elements.mapViewBtn.addEventListener('click', () => switchView('map'));
+    elements.searchAreaBtn.addEventListener('click', handleSearchArea);
+    splitLayoutQuery.addEventListener('change', applyResultsLayout);
+    applyResultsLayout();
+
+    // Nationwide browse map
+    elements.browseBtn.addEventListener('click', () => {
+      history.replaceState(null, '', `${window.location.pathname}?browse=1`);
+      showBrowseMap();
+    });
 
-    // Shop click tracking via event delegation
-    elements.resultsList.addEventListener('click', handleShopLinkClick);
+    // Outbound shop link tracking in cards, map popups and the detail view
+    document.addEventListener('click', handleShopLinkClick);
 
     // Share button
+    if (navigator.share) {
+      elements.shareBtn.textContent = 'Share';
+    }
     elements.shareBtn.addEventListener('click', handleShareClick);
+    elements.shareExactCheckbox.addEventListener('change', (e) => {
+      handleShareExactChange(e.target.checked);
+    });
+
+    // Shop detail links in cards, map popups and the detail view itself
+    document.addEventListener('click', handleShopDetailLinkClick);
+
+    // Shop photos that fail to load; error events don't bubble, so listen while capturing
+    document.addEventListener('error', handlePhotoError, true);
+    elements.shopDetailBack.addEventListener('click', handleShopDetailBack);
+    window.addEventListener('popstate', handlePopState);
+
+    // Shop type filter
+    elements.shopTypeFilter.addEventListener('change', handleShopTypeChange);
+
+    // Open now filter
+    elements.openNowCheckbox.addEventListener('change', (e) => {
+      handleOpenNowChange(e.target.checked);
+    });
+    elements.includeClosedBtn.addEventListener('click', () => {
+      handleOpenNowChange(false);
+    });
+
+    // Search radius and pagination
+    elements.radiusSelect.addEventListener('change', (e) => {
+      handleRadiusChange(Number(e.target.value));
+    });
+    elements.widenRadiusBtn.addEventListener('click', () => {
+      handleRadiusChange(Number(elements.widenRadiusBtn.dataset.radius));
+    });
+    elements.showMoreBtn.addEventListener('click', handleShowMore);
 
     // Theme toggle
     initThemeToggle();
@@ -185,18 +374,86 @@ import {
     });
   }
 
+  /**
+   * Check whether analytics events should also be logged to the console
+   */
+  function isAnalyticsDebugEnabled() {
+    try {
+      return localStorage.getItem('analytics-debug') === '1';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Initialize the analytics consent banner and its footer control
+   * The banner asks on first visit; the footer button reopens it to change the choice
+   */
+  function initConsentControls() {
+    updateConsentControls();
+    elements.consentBanner.hidden = getConsentState() !== 'pending';
+
+    elements.consentAllowBtn.addEventListener('click', () => handleConsentChoice(true));
+    elements.consentDenyBtn.addEventListener('click', () => handleConsentChoice(false));
+    elements.consentSettingsBtn.addEventListener('click', () => {
+      elements.consentBanner.hidden = !elements.consentBanner.hidden;
+    });
+  }
+
+  /**
+   * Record an analytics choice from the consent banner
+   * @param {boolean} granted - Whether the user allowed analytics
+   */
+  function handleConsentChoice(granted) {
+    setConsent(granted);
+    updateConsentControls();
+    elements.consentBanner.hidden = true;
+  }
+
+  /**
+   * Show the current analytics choice in the banner and footer
+   */
+  function updateConsentControls() {
+    const consent = getConsentState();
+    const signal = hasPrivacySignal();
+    const learnMore = '<a href="privacy.html#analytics">Learn more</a>';
+
+    elements.consentSettingsBtn.textContent = `Analytics: ${consent === 'granted' ? 'On' : 'Off'}`;
+    elements.consentActions.hidden = signal;
+
+    if (signal) {
+      elements.consentMessage.innerHTML = `Your browser's Global Privacy Control or Do Not Track setting is on, so analytics stay off. ${learnMore}`;
+    } else if (consent === 'granted') {
+      elements.consentMessage.innerHTML = `You're sharing anonymous usage statistics. Thanks! ${learnMore}`;
+    } else if (consent === 'denied') {
+      elements.consentMessage.innerHTML = `Analytics are off. Allow anonymous usage statistics to help improve Skate Index? ${learnMore}`;
+    } else {
+      elements.consentMessage.innerHTML = `Help improve Skate Index by sharing anonymous usage statistics? Addresses and exact locations are never included; searches that find few shops send only a rough area (about 40 km across). ${learnMore}`;
+    }
+
+    elements.consentAllowBtn.hidden = consent === 'granted';
+    elements.consentDenyBtn.textContent =
+      consent === 'granted' ? 'Turn off analytics' : 'No thanks';
+  }
+
   /**
    * Handle shop link clicks for analytics tracking
+   * Covers links in result cards, map popups and the detail view
    */
   function handleShopLinkClick(event) {
     const link = event.target.closest('a');
-    if (!link) return;
+    if (!link || link.classList.contains('shop-detail-link')) return;
 
-    const shopCard = link.closest('.shop-card');
-    if (!shopCard) return;
+    const container = link.closest('.shop-card, .map-popup, #shop-detail-content');
+    const shop = container && shopsById.get(Number(container.dataset.shopId));
+    if (!shop) return;
 
-    const shopName = shopCard.dataset.shopName || 'Unknown';
-    const isIndependent = shopCard.dataset.isIndependent === 'true';
+    let source = 'list';
+    if (container.classList.contains('map-popup')) {
+      source = 'map';
+    } else if (container === elements.shopDetailContent) {
+      source = 'detail';
+    }
 
     // Determine action type based on link href
     const href = link.href || '';
@@ -210,13 +467,256 @@ import {
       action = 'website';
     }
 
-    trackShopClick(shopName, isIndependent, action);
+    trackShopClick(shop.id, shop.name, shop.isIndependent, action, source);
+  }
+
+  /**
+   * Handle shop type filter change — re-run the last search with the new filter
+   */
+  function handleShopTypeChange(event) {
+    currentShopType = event.target.value;
+    trackFilterChange('shop_type', currentShopType);
+    rerunLastSearch();
+  }
+
+  /**
+   * Handle open now filter change — re-run the last search with the new filter
+   */
+  function handleOpenNowChange(openNow) {
+    setOpenNow(openNow);
+    trackFilterChange('open_now', openNow);
+    rerunLastSearch();
+  }
+
+  /**
+   * Set the open now filter and its checkbox to match a value
+   */
+  function setOpenNow(openNow) {
+    openNowOnly = openNow;
+    elements.openNowCheckbox.checked = openNow;
+  }
+
+  /**
+   * Handle search radius change — re-run the last search with the new radius
+   */
+  function handleRadiusChange(radius) {
+    setRadius(radius);
+    trackFilterChange('radius', radius);
+    rerunLastSearch();
+  }
+
+  /**
+   * Set the search radius and the radius dropdown to match a value
+   */
+  function setRadius(radius) {
+    currentRadius = radius;
+    elements.radiusSelect.value = String(radius);
+  }
+
+  /**
+   * Re-run the last search from the first page, if there was one
+   */
+  function rerunLastSearch() {
+    visibleCount = CONFIG.MAX_RESULTS;
+    if (lastSearchMethod === 'name') {
+      searchByName(lastNameQuery);
+    } else if (lastUserLat !== null && lastUserLng !== null) {
+      findNearbyShops(lastUserLat, lastUserLng, lastSearchMethod, {
+        shareCoordinates: shareSearchCoordinates,
+      });
+    }
+  }
+
+  /**
+   * Handle show more button click — reveal the next page of results
+   */
+  function handleShowMore() {
+    const shownCount = _currentShops.length;
+    visibleCount += CONFIG.MAX_RESULTS;
+    _currentShops = allNearbyShops.slice(0, visibleCount);
+
+    _currentShops.slice(shownCount).forEach((shop) => {
+      elements.resultsList.appendChild(createShopCard(shop));
+    });
+
+    updateResultsSummary();
+    updateMapMarkers(_currentShops, lastUserLat, lastUserLng);
+    updateURL(lastSearchMethod, elements.addressInput.value.trim(), lastUserLat, lastUserLng);
+    trackViewResults(_currentShops.length, getApproximateDistance(_currentShops[0]));
+  }
+
+  /**
+   * Set the shop type filter radio buttons to match a value
+   */
+  function setShopType(shopType) {
+    currentShopType = shopType;
+    const radio = elements.shopTypeFilter.querySelector(`input[value="${shopType}"]`);
+    if (radio) {
+      radio.checked = true;
+    }
+  }
+
+  /**
+   * Switch the search form between location and shop name search without searching
+   * @param {string} mode - 'location' or 'name'
+   */
+  function setSearchMode(mode) {
+    searchMode = mode;
+    const radio = elements.searchModeFilter.querySelector(`input[value="${mode}"]`);
+    if (radio) {
+      radio.checked = true;
+    }
+
+    const byName = mode === 'name';
+    elements.locationOption.hidden = byName;
+    elements.radiusOption.hidden = byName;
+    elements.addressLabel.textContent = byName ? 'Enter a shop name' : 'Enter your address';
+    elements.addressInput.placeholder = byName
+      ? 'Enter a shop name (e.g. 303 Boards)'
+      : 'Enter your address (city, state or ZIP)';
+    elements.addressInput.autocomplete = byName ? 'off' : 'street-address';
   }
 
   /**
-   * Handle share button click — copy URL to clipboard
+   * Open the detail view when a shop detail link is clicked (without a page reload)
+   */
+  function handleShopDetailLinkClick(event) {
+    const link = event.target.closest('a.shop-detail-link');
+    if (!link || event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) return;
+
+    event.preventDefault();
+    const shopId = Number(link.dataset.shopId);
+    history.pushState(
+      { shopDetail: true },
+      '',
+      `${window.location.pathname}${getShopPermalink(shopId)}`
+    );
+    showShopDetail(shopId);
+  }
+
+  /**
+   * Hide a shop photo (and its placeholder) when the image fails to load
+   */
+  function handlePhotoError(event) {
+    const container = event.target.closest?.('.shop-photo, .popup-photo, .shop-detail-photo');
+    if (container) {
+      container.hidden = true;
+    }
+  }
+
+  /**
+   * Handle the detail view back button
+   * Returns to the previous page state if the detail view was opened in-app
+   */
+  function handleShopDetailBack() {
+    if (history.state?.shopDetail) {
+      history.back();
+      return;
+    }
+    history.replaceState(null, '', window.location.pathname);
+    hideShopDetail();
+  }
+
+  /**
+   * Handle browser back/forward between search results and shop detail views
+   */
+  function handlePopState() {
+    const parsed = parseShareParams(window.location.search);
+    if (parsed?.type === 'shop') {
+      showShopDetail(parsed.id);
+      return;
+    }
+    if (parsed?.type === 'browse') {
+      elements.shopDetail.hidden = true;
+      document.title = DEFAULT_TITLE;
+      showBrowseMap();
+      return;
+    }
+
+    hideShopDetail();
+    if (parsed && _currentShops.length === 0) {
+      checkURLParams();
+    }
+  }
+
+  /**
+   * Show the detail view for a shop
+   * @param {number} shopId - Shop ID
+   */
+  function showShopDetail(shopId) {
+    const shop = shopsById.get(shopId);
+    if (!shop) {
+      hideShopDetail();
+      showError("We couldn't find that shop. It may have closed or been removed.");
+      trackError('shop_not_found', String(shopId));
+      return;
+    }
+
+    hideError();
+    elements.resultsSection.hidden = true;
+    elements.browseSection.hidden = true;
+    elements.noResults.hidden = true;
+
+    // Nearest shops to this one, excluding itself
+    const nearbyShops = queryNearest(shopIndex, shop.lat, shop.lng, 6, {
+      maxDistance: CONFIG.MAX_DISTANCE_MILES,
+    })
+      .filter((nearby) => nearby.id !== shop.id)
+      .slice(0, 5);
+
+    elements.shopDetailContent.innerHTML = createShopDetailHTML(shop, nearbyShops);
+    elements.shopDetailContent.dataset.shopId = shop.id;
+    elements.shopDetail.hidden = false;
+    document.title = `${shop.name} - Skate Index`;
+
+    showDetailMap(shop);
+    elements.shopDetail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    trackShopDetailView(shop.id, shop.isIndependent);
+  }
+
+  /**
+   * Hide the detail view and bring back any search results
+   */
+  function hideShopDetail() {
+    if (elements.shopDetail.hidden) return;
+
+    elements.shopDetail.hidden = true;
+    updateDocumentTitle();
+    if (_currentShops.length > 0) {
+      elements.resultsSection.hidden = false;
+    }
+  }
+
+  /**
+   * Render the mini map for the detail view
+   */
+  function showDetailMap(shop) {
+    if (detailMap) {
+      detailMap.remove();
+    }
+
+    const container = elements.shopDetailContent.querySelector('.shop-detail-map');
+    detailMap = L.map(container, { scrollWheelZoom: false }).setView([shop.lat, shop.lng], 15);
+
+    addTileLayer(detailMap);
+
+    const markerClass = shop.isIndependent ? 'shop-marker shop-marker-independent' : 'shop-marker';
+    L.marker([shop.lat, shop.lng], {
+      icon: L.divIcon({ className: markerClass, iconSize: [28, 28], iconAnchor: [14, 14] }),
+    }).addTo(detailMap);
+  }
+
+  /**
+   * Handle share button click — open the share sheet, or copy URL to clipboard
    */
   function handleShareClick() {
+    // Use the native share sheet where there is one, so the link goes out with a readable title
+    if (navigator.share) {
+      const title = getSearchTitle(currentLocationLabel) || DEFAULT_TITLE;
+      navigator.share({ title, text: title, url: window.location.href }).catch(() => {});
+      return;
+    }
+
     navigator.clipboard.writeText(window.location.href).then(() => {
       const btn = elements.shareBtn;
       btn.textContent = 'Copied!';
@@ -391,11 +891,49 @@ import {
 
     const address = elements.addressInput.value.trim();
     if (!address) {
-      showError('Please enter an address or ZIP code.');
+      showError(
+        searchMode === 'name' ? 'Please enter a shop name.' : 'Please enter an address or ZIP code.'
+      );
       return;
     }
 
-    await searchByAddress(address);
+    visibleCount = CONFIG.MAX_RESULTS;
+    if (searchMode === 'name') {
+      searchByName(address);
+    } else {
+      await searchByAddress(address);
+    }
+  }
+
+  /**
+   * Search shops by name, city and state
+   * Results are sorted by distance when a previous search gave a location, otherwise by relevance
+   * @param {string} query - Search query
+   */
+  function searchByName(query) {
+    if (!shopsData || !shopsData.shops) {
+      showError('Shop data not available. Please refresh the page.');
+      trackError('data_unavailable', 'name');
+      return;
+    }
+
+    hideError();
+    hideGeocodeChooser();
+    elements.shareExactOption.hidden = true;
+    lastSearchMethod = 'name';
+    lastNameQuery = query;
+    currentLocationLabel = null;
+    updateURL('name', query, lastUserLat, lastUserLng);
+
+    allNearbyShops = searchShopsByName(shopsData.shops, query, {
+      lat: lastUserLat,
+      lng: lastUserLng,
+      shopType: currentShopType,
+      openAt: openNowOnly ? new Date() : null,
+    });
+
+    _currentShops = allNearbyShops.slice(0, visibleCount);
+    displayResults(_currentShops, 'name');
   }
 
   /**
@@ -404,15 +942,25 @@ import {
   async function searchByAddress(address) {
     showLoading();
     hideError();
+    hideGeocodeChooser();
 
     try {
-      const coordinates = await geocodeAddress(address);
-      if (coordinates) {
-        findNearbyShops(coordinates.lat, coordinates.lng, 'address');
+      const result = await geocodeAddress(address);
+      if (result?.candidates) {
+        showGeocodeChooser(address, result.candidates);
+      } else if (result) {
+        findNearbyShops(result.lat, result.lng, 'address');
       }
     } catch (error) {
-      showError('Could not find that location. Please try a different address.');
-      trackError('geocoding_failed', 'address');
+      if (isOfflineError(error, navigator.onLine)) {
+        showError(
+          'You\'re offline. Search by ZIP code or "City, ST", or use "Use my location" to find nearby shops.'
+        );
+        trackError('geocoding_offline', 'address');
+      } else {
+        showError('Could not find that location. Please try a different address.');
+        trackError('geocoding_failed', 'address');
+      }
       console.error('Geocoding error:', error);
     } finally {
       hideLoading();
@@ -436,6 +984,7 @@ import {
       (position) => {
         hideLoading();
         trackGeolocation(true);
+        visibleCount = CONFIG.MAX_RESULTS;
         findNearbyShops(position.coords.latitude, position.coords.longitude, 'geolocation');
       },
       (error) => {
@@ -469,12 +1018,136 @@ import {
   }
 
   /**
-   * Geocode an address to coordinates using Nominatim
-   * Note: For production, consider rate limiting and caching
+   * Geocode an address to coordinates
+   * Checks the localStorage cache, then the local ZIP/city index for "12345" or
+   * "City, ST" searches, and falls back to Nominatim for everything else
+   * @returns {Promise<Object>} { lat, lng }, or { candidates } when Nominatim finds places far apart
    */
   async function geocodeAddress(address) {
+    const cache = loadGeocodeCache();
+    const cached = getCachedGeocode(cache, address);
+    if (cached) {
+      return cached;
+    }
+
+    let coordinates = null;
+    if (parseLocalGeocodeQuery(address)) {
+      coordinates = geocodeLocally(await loadGeocodeIndex(), address);
+    }
+    if (!coordinates) {
+      const candidates = getDistinctGeocodeCandidates(await geocodeWithNominatim(address));
+      // Places far apart ("Springfield") need the user to pick; the choice is cached then
+      if (candidates.length > 1) {
+        return { candidates };
+      }
+      coordinates = { lat: candidates[0].lat, lng: candidates[0].lng };
+    }
+
+    saveGeocodeCache(addToGeocodeCache(cache, address, coordinates));
+    return coordinates;
+  }
+
+  /**
+   * Show the "Did you mean…" chooser for an ambiguous address search
+   * @param {string} address - Address as typed
+   * @param {Array} candidates - Distinct geocode candidates
+   */
+  function showGeocodeChooser(address, candidates) {
+    geocodeCandidates = candidates;
+    geocodeCandidatesQuery = address;
+    elements.geocodeCandidates.innerHTML = createGeocodeCandidatesHTML(candidates);
+    elements.geocodeChooser.hidden = false;
+    elements.geocodeCandidates.querySelector('button')?.focus();
+  }
+
+  /**
+   * Hide the "Did you mean…" chooser
+   */
+  function hideGeocodeChooser() {
+    elements.geocodeChooser.hidden = true;
+    geocodeCandidates = [];
+  }
+
+  /**
+   * Search near the chosen candidate
+   * The choice is cached for the typed address, and the search box and share URL switch to
+   * text that resolves to the same place. When no text picks out the place, the typed address
+   * stays in the search box and the share URL carries the coordinates instead.
+   */
+  function handleGeocodeCandidateClick(event) {
+    const button = event.target.closest('.geocode-candidate');
+    const candidate = button && geocodeCandidates[Number(button.dataset.index)];
+    if (!candidate) return;
+
+    const coordinates = { lat: candidate.lat, lng: candidate.lng };
+    const query = getGeocodeCandidateQuery(candidate, geocodeCandidates);
+    let cache = addToGeocodeCache(loadGeocodeCache(), geocodeCandidatesQuery, coordinates);
+    if (query) {
+      cache = addToGeocodeCache(cache, query, coordinates);
+    }
+    saveGeocodeCache(cache);
+
+    hideGeocodeChooser();
+    if (query) {
+      elements.addressInput.value = query;
+    }
+    findNearbyShops(candidate.lat, candidate.lng, 'address', { shareCoordinates: !query });
+  }
+
+  /**
+   * Lazily load the local ZIP/city centroid index (only fetched once)
+   * @returns {Promise<Object|null>} Index, or null if it couldn't be loaded
+   */
+  function loadGeocodeIndex() {
+    if (!geocodeIndexPromise) {
+      geocodeIndexPromise = fetch(CONFIG.GEOCODE_INDEX_FILE)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch((error) => {
+          // Allow a retry on the next search
+          geocodeIndexPromise = null;
+          console.error('Failed to load geocode index:', error);
+          return null;
+        });
+    }
+    return geocodeIndexPromise;
+  }
+
+  /**
+   * Read cached geocoding results from localStorage
+   * @returns {Array} Cached searches, or [] if unavailable
+   */
+  function loadGeocodeCache() {
+    try {
+      const cache = JSON.parse(localStorage.getItem(CONFIG.GEOCODE_CACHE_KEY));
+      return Array.isArray(cache) ? cache : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Write cached geocoding results to localStorage (ignored if storage is unavailable)
+   */
+  function saveGeocodeCache(cache) {
+    try {
+      localStorage.setItem(CONFIG.GEOCODE_CACHE_KEY, JSON.stringify(cache));
+    } catch {
+      // Storage full or disabled; caching is best-effort
+    }
+  }
+
+  /**
+   * Geocode an address using Nominatim
+   * @returns {Promise<Array>} Candidates from parseNominatimResults, best first
+   */
+  async function geocodeWithNominatim(address) {
     const encodedAddress = encodeURIComponent(`${address}, USA`);
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=1&countrycodes=us`;
+    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=${CONFIG.GEOCODE_CANDIDATES}&addressdetails=1&countrycodes=us`;
 
     const response = await fetch(url, {
       headers: {
@@ -486,23 +1159,32 @@ import {
       throw new Error('Geocoding request failed');
     }
 
-    const data = await response.json();
+    const candidates = parseNominatimResults(await response.json());
 
-    if (data.length === 0) {
+    if (candidates.length === 0) {
       throw new Error('No results found');
     }
 
-    return {
-      lat: parseFloat(data[0].lat),
-      lng: parseFloat(data[0].lon),
-    };
+    return candidates;
   }
 
   /**
    * Update the URL query parameters without reloading
+   * Geolocation is the user's own position, so it's only shared approximately unless they opt in.
+   * A chosen place that the search text doesn't pick out is shared by its coordinates.
    */
   function updateURL(searchMethod, address, lat, lng) {
-    const queryString = buildShareParams(searchMethod, address, lat, lng);
+    const sharedAddress = searchMethod === 'address' && shareSearchCoordinates ? '' : address;
+    const shared =
+      searchMethod === 'geolocation' && !shareExactLocation && isValidCoordinates(lat, lng)
+        ? coarsenCoordinates(lat, lng)
+        : { lat, lng };
+    const queryString = buildShareParams(searchMethod, sharedAddress, shared.lat, shared.lng, {
+      shopType: currentShopType,
+      radius: currentRadius,
+      limit: visibleCount,
+      openNow: openNowOnly,
+    });
     if (queryString) {
       history.replaceState(null, '', `${window.location.pathname}${queryString}`);
       elements.shareBtn.hidden = false;
@@ -516,7 +1198,26 @@ import {
     const parsed = parseShareParams(window.location.search);
     if (!parsed) return;
 
-    if (parsed.type === 'address') {
+    if (parsed.type === 'shop') {
+      showShopDetail(parsed.id);
+      return;
+    }
+    if (parsed.type === 'browse') {
+      showBrowseMap();
+      return;
+    }
+
+    setShopType(parsed.shopType || 'all');
+    setRadius(parsed.radius || CONFIG.MAX_DISTANCE_MILES);
+    setOpenNow(parsed.openNow === true);
+    visibleCount = parsed.limit || CONFIG.MAX_RESULTS;
+
+    setSearchMode(parsed.type === 'name' ? 'name' : 'location');
+
+    if (parsed.type === 'name') {
+      elements.addressInput.value = parsed.name;
+      searchByName(parsed.name);
+    } else if (parsed.type === 'address') {
       elements.addressInput.value = parsed.q;
       searchByAddress(parsed.q);
     } else {
@@ -529,76 +1230,308 @@ import {
    * Find shops near the given coordinates
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
-   * @param {string} searchMethod - Search method ('address' or 'geolocation')
+   * @param {string} searchMethod - Search method ('address', 'geolocation' or 'map_area')
+   * @param {Object} options
+   * @param {boolean} options.shareCoordinates - Share the coordinates rather than the search
+   *   text, when the text doesn't pick out this place
    */
-  function findNearbyShops(lat, lng, searchMethod = 'address') {
+  function findNearbyShops(lat, lng, searchMethod = 'address', { shareCoordinates = false } = {}) {
     if (!shopsData || !shopsData.shops) {
       showError('Shop data not available. Please refresh the page.');
       trackError('data_unavailable', searchMethod);
       return;
     }
 
+    hideGeocodeChooser();
+
     // Store user coordinates for map centering
     lastUserLat = lat;
     lastUserLng = lng;
+    lastSearchMethod = searchMethod;
+    shareSearchCoordinates = shareCoordinates;
+    elements.shareExactOption.hidden = searchMethod !== 'geolocation';
 
     // Update URL with search parameters
     updateURL(searchMethod, elements.addressInput.value.trim(), lat, lng);
 
-    const nearbyShops = filterAndSortShops(
-      shopsData.shops,
-      lat,
-      lng,
-      CONFIG.MAX_DISTANCE_MILES,
-      CONFIG.MAX_RESULTS
-    );
+    // Keep every shop within the radius so "Show more" can page through them
+    // Open status is computed in each shop's own time zone
+    allNearbyShops = queryRadius(shopIndex, lat, lng, currentRadius, {
+      shopType: currentShopType,
+      openAt: openNowOnly ? new Date() : null,
+    });
+
+    _currentShops = allNearbyShops.slice(0, visibleCount);
+    currentLocationLabel = null;
+    displayResults(_currentShops, searchMethod);
+    reportCoverageGap(lat, lng, searchMethod);
+    updateLocationLabel(lat, lng);
+  }
+
+  /**
+   * Report a search that found few shops, so we know which regions to add
+   * Filtered searches are skipped: their missing shops may just be filtered out.
+   */
+  function reportCoverageGap(lat, lng, searchMethod) {
+    if (allNearbyShops.length >= CONFIG.LOW_RESULT_THRESHOLD) return;
+    if (currentShopType !== 'all' || openNowOnly) return;
+
+    trackCoverageGap(encodeGeohash(lat, lng), allNearbyShops.length, currentRadius, searchMethod);
+  }
 
-    _currentShops = nearbyShops;
-    displayResults(nearbyShops, searchMethod);
+  /**
+   * Label the results with the place the search was centered on, once it's known
+   * @param {number} lat - Search latitude
+   * @param {number} lng - Search longitude
+   */
+  function updateLocationLabel(lat, lng) {
+    resolveLocationLabel(lat, lng).then((label) => {
+      // Ignore labels for a search that has since been replaced
+      if (lat !== lastUserLat || lng !== lastUserLng || lastSearchMethod === 'name') return;
+
+      currentLocationLabel = label;
+      updateResultsSummary();
+      updateDocumentTitle();
+    });
+  }
+
+  /**
+   * Resolve coordinates to a "City, ST" label, remembering results for the session
+   * @returns {Promise<string|null>} Label, or null if the place couldn't be named
+   */
+  function resolveLocationLabel(lat, lng) {
+    const key = `${lat},${lng}`;
+    if (!locationLabels.has(key)) {
+      const lookup = lookUpLocationLabel(lat, lng).catch((error) => {
+        // Allow a retry on the next search
+        locationLabels.delete(key);
+        console.error('Reverse geocoding error:', error);
+        return null;
+      });
+      locationLabels.set(key, lookup);
+    }
+    return locationLabels.get(key);
+  }
+
+  /**
+   * Name the nearest city from the local geocode index, falling back to Nominatim
+   * in places with no indexed city nearby
+   */
+  async function lookUpLocationLabel(lat, lng) {
+    const place = reverseGeocodeLocally(await loadGeocodeIndex(), lat, lng);
+    if (place) {
+      return formatLocationLabel(place);
+    }
+    return formatLocationLabel(await reverseGeocodeWithNominatim(lat, lng));
+  }
+
+  /**
+   * Reverse geocode coordinates using Nominatim
+   * Coordinates are rounded to ~1 km so a precise location is never sent
+   * @returns {Promise<Object|null>} { city, county, state } or null if Nominatim has no match
+   */
+  async function reverseGeocodeWithNominatim(lat, lng) {
+    const approx = coarsenCoordinates(lat, lng);
+    const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${approx.lat}&lon=${approx.lng}&zoom=10&addressdetails=1`;
+
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': 'USASkateshopFinder/1.0',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error('Reverse geocoding request failed');
+    }
+
+    return parseNominatimResults([await response.json()])[0] || null;
+  }
+
+  /**
+   * Title the page after the current location search, if any
+   * Leaves the shop detail view's title alone
+   */
+  function updateDocumentTitle() {
+    if (!elements.shopDetail.hidden) return;
+
+    const title = getSearchTitle(currentLocationLabel);
+    document.title = title ? `${title} - Skate Index` : DEFAULT_TITLE;
   }
 
   /**
    * Display search results
    * @param {Array} shops - Array of shop objects
-   * @param {string} searchMethod - Search method ('address' or 'geolocation')
+   * @param {string} searchMethod - Search method ('address', 'name', 'geolocation' or 'map_area')
    */
   function displayResults(shops, searchMethod = 'address') {
+    elements.shopDetail.hidden = true;
+    updateDocumentTitle();
     elements.noResults.hidden = true;
     elements.resultsSection.hidden = true;
+    elements.browseSection.hidden = true;
     elements.resultsList.innerHTML = '';
 
     // Track the search event
     trackSearch(searchMethod, shops.length);
 
     if (shops.length === 0) {
+      // Point out that the shop type filter may be hiding results
+      elements.noResultsFilterHint.hidden = currentShopType === 'all';
+      elements.noResultsFilterOther.textContent =
+        currentShopType === 'independent' ? 'chain stores' : 'independent shops';
+      elements.noResultsOpenHint.hidden = !openNowOnly;
+
+      const byName = searchMethod === 'name';
+      elements.noResultsLocation.hidden = byName;
+      elements.noResultsName.hidden = !byName;
+      if (byName) {
+        elements.noResultsNameQuery.textContent = lastNameQuery;
+        elements.noResultsRadiusHint.hidden = true;
+      } else {
+        showRadiusSuggestion();
+      }
       elements.noResults.hidden = false;
       return;
     }
 
     // Track view results with nearest distance
-    const nearestDistance = shops.length > 0 ? shops[0].distance : null;
-    trackViewResults(shops.length, nearestDistance);
+    trackViewResults(shops.length, getApproximateDistance(shops[0]));
 
-    // Update summary
-    elements.resultsSummary.textContent = generateResultsSummary(shops);
+    updateResultsSummary();
 
-    // Create shop cards with data attributes for tracking
     shops.forEach((shop) => {
-      const li = document.createElement('li');
-      li.className = 'shop-card';
-      li.dataset.shopName = shop.name || '';
-      li.dataset.isIndependent = shop.isIndependent ? 'true' : 'false';
-      li.innerHTML = createShopCardHTML(shop);
-      elements.resultsList.appendChild(li);
+      elements.resultsList.appendChild(createShopCard(shop));
     });
 
-    // Update map markers
+    // Show the section first so a visible map is sized before it fits the markers
+    elements.resultsSection.hidden = false;
     updateMapMarkers(shops, lastUserLat, lastUserLng);
 
-    elements.resultsSection.hidden = false;
     elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  /**
+   * Distance to a shop from the approximate search location, for analytics
+   * @param {Object} shop - Shop object with lat/lng and distance
+   * @returns {number|null} Distance in miles, or null if the search had no location
+   */
+  function getApproximateDistance(shop) {
+    if (typeof shop?.distance !== 'number' || !isValidCoordinates(lastUserLat, lastUserLng)) {
+      return null;
+    }
+    const approx = coarsenCoordinates(lastUserLat, lastUserLng);
+    return calculateDistance(approx.lat, approx.lng, shop.lat, shop.lng);
+  }
+
+  /**
+   * Toggle sharing the exact geolocation in the share URL
+   * The map's location marker follows, so it shows what a shared link reveals
+   * @param {boolean} exact - Whether to share exact coordinates
+   */
+  function handleShareExactChange(exact) {
+    shareExactLocation = exact;
+    updateURL(lastSearchMethod, elements.addressInput.value.trim(), lastUserLat, lastUserLng);
+    if (map) {
+      updateUserLocationMarker(lastUserLat, lastUserLng);
+    }
+  }
+
+  /**
+   * Create a shop card list item with data attributes for tracking
+   * Hovering or focusing the card highlights its map marker
+   * @param {Object} shop - Shop object with distance
+   * @returns {HTMLLIElement} Shop card element
+   */
+  function createShopCard(shop) {
+    const li = document.createElement('li');
+    li.className = 'shop-card';
+    li.innerHTML = createShopCardHTML(shop);
+
+    if (shop.id != null) {
+      li.dataset.shopId = shop.id;
+      li.addEventListener('mouseenter', () => highlightMarker(shop.id, true));
+      li.addEventListener('mouseleave', () => highlightMarker(shop.id, false));
+      li.addEventListener('focusin', () => highlightMarker(shop.id, true));
+      li.addEventListener('focusout', () => highlightMarker(shop.id, false));
+    }
+    return li;
+  }
+
+  /**
+   * Highlight or un-highlight a shop's marker on the results map
+   * @param {number} shopId - Shop ID
+   * @param {boolean} highlighted - Whether to highlight the marker
+   */
+  function highlightMarker(shopId, highlighted) {
+    const marker = markersByShopId.get(shopId);
+    if (!marker) return;
+
+    marker.getElement()?.classList.toggle('is-highlighted', highlighted);
+    marker.setZIndexOffset(highlighted ? 1000 : 0);
+  }
+
+  /**
+   * Highlight a shop's card and scroll it into view if the list is showing
+   * @param {number} shopId - Shop ID
+   */
+  function highlightCard(shopId) {
+    elements.resultsList
+      .querySelector('.shop-card.is-highlighted')
+      ?.classList.remove('is-highlighted');
+
+    const card = elements.resultsList.querySelector(`.shop-card[data-shop-id="${shopId}"]`);
+    if (!card) return;
+
+    card.classList.add('is-highlighted');
+    if (!elements.resultsList.hidden) {
+      card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }
+
+  /**
+   * Update the results summary and show more button for the current page
+   */
+  function updateResultsSummary() {
+    elements.resultsSummary.textContent =
+      lastSearchMethod === 'name'
+        ? generateNameSearchSummary(_currentShops, lastNameQuery, allNearbyShops.length)
+        : generateResultsSummary(
+            _currentShops,
+            currentShopType,
+            allNearbyShops.length,
+            openNowOnly,
+            currentLocationLabel
+          );
+
+    const remaining = allNearbyShops.length - _currentShops.length;
+    elements.showMoreBtn.hidden = remaining <= 0;
+    elements.showMoreBtn.textContent = `Show ${Math.min(remaining, CONFIG.MAX_RESULTS)} more`;
+  }
+
+  /**
+   * Suggest a wider search radius in the no-results message, if one would find shops
+   */
+  function showRadiusSuggestion() {
+    elements.noResultsRadius.textContent = currentRadius;
+
+    const suggestion = getWiderRadiusSuggestion(
+      shopIndex,
+      lastUserLat,
+      lastUserLng,
+      currentRadius,
+      currentShopType,
+      openNowOnly ? new Date() : null
+    );
+
+    elements.noResultsRadiusHint.hidden = !suggestion;
+    if (suggestion) {
+      const { radius, additionalCount } = suggestion;
+      elements.noResultsRadiusText.textContent = `Widening the search to ${radius} miles would add ${additionalCount} shop${additionalCount !== 1 ? 's' : ''}.`;
+      elements.widenRadiusBtn.dataset.radius = radius;
+      elements.widenRadiusBtn.textContent = `Search within ${radius} miles`;
+    }
+  }
+
   /**
    * Show error message
    */
@@ -632,6 +1565,25 @@ import {
     elements.geolocationBtn.disabled = false;
   }
 
+  /**
+   * Add OpenStreetMap tiles to a map, reporting tiles that fail to load
+   * @param {L.Map} targetMap - Map to add the tiles to
+   */
+  function addTileLayer(targetMap) {
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution:
+        '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19,
+    })
+      .on('tileerror', () => {
+        // Tiles can't load offline; only failures while online point at a problem
+        if (navigator.onLine !== false) {
+          captureError('Map tile failed to load', { type: 'tile_error' });
+        }
+      })
+      .addTo(targetMap);
+  }
+
   /**
    * Initialize the Leaflet map
    */
@@ -643,15 +1595,38 @@ import {
       scrollWheelZoom: true,
     });
 
-    // Use OpenStreetMap tiles
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      attribution:
-        '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-      maxZoom: 19,
-    }).addTo(map);
+    addTileLayer(map);
 
-    // Create a layer group for markers
+    // Create layer groups for shop markers and the search location
     markersLayer = L.layerGroup().addTo(map);
+    userLocationLayer = L.layerGroup().addTo(map);
+
+    // Offer to search again once the user pans or zooms away from the results
+    L.DomEvent.disableClickPropagation(elements.searchAreaBtn);
+    map.on('dragend', showSearchAreaButton);
+    map.on('zoomend', () => {
+      if (!fittingMapToResults) {
+        showSearchAreaButton();
+      }
+    });
+  }
+
+  /**
+   * Show the "Search this area" button over the results map
+   */
+  function showSearchAreaButton() {
+    elements.searchAreaBtn.hidden = false;
+  }
+
+  /**
+   * Rerun the search around the center of the results map
+   */
+  function handleSearchArea() {
+    const center = map.getCenter();
+    visibleCount = CONFIG.MAX_RESULTS;
+    setSearchMode('location');
+    // ~11 m precision is plenty for a search center and keeps share URLs short
+    findNearbyShops(Number(center.lat.toFixed(4)), Number(center.lng.toFixed(4)), 'map_area');
   }
 
   /**
@@ -665,22 +1640,13 @@ import {
 
     // Clear existing markers
     markersLayer.clearLayers();
+    markersByShopId = new Map();
+    elements.searchAreaBtn.hidden = true;
 
-    // Add user location marker
-    if (userLat && userLng) {
-      const userIcon = L.divIcon({
-        className: 'user-marker',
-        iconSize: [24, 24],
-        iconAnchor: [12, 12],
-      });
-
-      L.marker([userLat, userLng], { icon: userIcon })
-        .addTo(markersLayer)
-        .bindPopup('<div class="map-popup"><strong>Your Location</strong></div>');
-    }
+    updateUserLocationMarker(userLat, userLng);
 
-    // Add shop markers
-    shops.forEach((shop) => {
+    // Add shop markers, numbered to match the list
+    shops.forEach((shop, i) => {
       if (typeof shop.lat !== 'number' || typeof shop.lng !== 'number') return;
 
       const markerClass = shop.isIndependent
@@ -689,16 +1655,24 @@ import {
 
       const shopIcon = L.divIcon({
         className: markerClass,
+        html: `<span class="marker-number">${i + 1}</span>`,
         iconSize: [28, 28],
         iconAnchor: [14, 14],
       });
 
-      L.marker([shop.lat, shop.lng], { icon: shopIcon })
+      const marker = L.marker([shop.lat, shop.lng], { icon: shopIcon, shopId: shop.id })
         .addTo(markersLayer)
         .bindPopup(createMapPopupHTML(shop));
+
+      if (shop.id != null) {
+        markersByShopId.set(shop.id, marker);
+        marker.on('click', () => highlightCard(shop.id));
+      }
     });
 
     // Fit bounds to show all markers
+    // Not animated, so the zoomend it fires is known to come from here rather than the user
+    fittingMapToResults = true;
     const bounds = getMapBounds(shops);
     if (bounds && userLat && userLng) {
       // Include user location in bounds
@@ -706,18 +1680,150 @@ import {
         [Math.min(bounds.south, userLat), Math.min(bounds.west, userLng)],
         [Math.max(bounds.north, userLat), Math.max(bounds.east, userLng)],
       ]);
-      map.fitBounds(allBounds, { padding: [50, 50], maxZoom: 13 });
+      map.fitBounds(allBounds, { padding: [50, 50], maxZoom: 13, animate: false });
     } else if (bounds) {
       map.fitBounds(
         [
           [bounds.south, bounds.west],
           [bounds.north, bounds.east],
         ],
-        { padding: [50, 50], maxZoom: 13 }
+        { padding: [50, 50], maxZoom: 13, animate: false }
       );
     } else if (userLat && userLng) {
-      map.setView([userLat, userLng], 12);
+      map.setView([userLat, userLng], 12, { animate: false });
+    }
+    fittingMapToResults = false;
+  }
+
+  /**
+   * Show every shop on the nationwide browse map
+   */
+  function showBrowseMap() {
+    hideError();
+    elements.resultsSection.hidden = true;
+    elements.noResults.hidden = true;
+    elements.browseSummary.textContent = generateBrowseSummary(shopsData.shops);
+    elements.browseSection.hidden = false;
+
+    if (browseMap) {
+      browseMap.invalidateSize();
+    } else {
+      // Center on the contiguous US; Alaska, Hawaii and territories are a pan away
+      browseMap = L.map(elements.browseMap, {
+        zoomControl: true,
+        scrollWheelZoom: true,
+      }).setView([39.5, -98.35], 4);
+
+      addTileLayer(browseMap);
+
+      browseLayer = L.layerGroup().addTo(browseMap);
+      browseMap.on('zoomend', () => {
+        browseLayer.clearLayers();
+        browseMarkers = new Map();
+      });
+      browseMap.on('moveend', renderBrowseClusters);
+      renderBrowseClusters();
     }
+
+    elements.browseSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    trackViewChange('browse');
+  }
+
+  /**
+   * Add markers for the clusters in and around the visible part of the browse map
+   * Markers already on the map are kept so panning doesn't close an open popup;
+   * the layer is cleared on zoom, when clusters change
+   */
+  function renderBrowseClusters() {
+    const visibleBounds = browseMap.getBounds().pad(0.5);
+    const clusters = clusterShops(shopsData.shops, browseMap.getZoom());
+
+    clusters.forEach((cluster) => {
+      if (browseMarkers.has(cluster.key) || !visibleBounds.contains([cluster.lat, cluster.lng])) {
+        return;
+      }
+
+      let marker;
+      if (cluster.count === 1) {
+        const [shop] = cluster.shops;
+        const markerClass = shop.isIndependent
+          ? 'shop-marker shop-marker-independent'
+          : 'shop-marker';
+        marker = L.marker([shop.lat, shop.lng], {
+          icon: L.divIcon({ className: markerClass, iconSize: [28, 28], iconAnchor: [14, 14] }),
+        }).bindPopup(createMapPopupHTML(shop));
+      } else {
+        const size = getClusterIconSize(cluster.count);
+        marker = L.marker([cluster.lat, cluster.lng], {
+          icon: L.divIcon({
+            className: 'cluster-marker',
+            html: createClusterIconHTML(cluster),
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2],
+          }),
+        }).on('click', () => {
+          const { south, west, north, east } = cluster.bounds;
+          browseMap.fitBounds(
+            [
+              [south, west],
+              [north, east],
+            ],
+            { padding: [40, 40], maxZoom: CONFIG.CLUSTER_MAX_ZOOM + 1 }
+          );
+        });
+      }
+
+      marker.addTo(browseLayer);
+      browseMarkers.set(cluster.key, marker);
+    });
+  }
+
+  /**
+   * Show the list and map side by side on wide screens, or the current view otherwise
+   */
+  function applyResultsLayout() {
+    const split = splitLayoutQuery.matches;
+    elements.resultsSection.classList.toggle('is-split', split);
+    elements.resultsList.hidden = !split && currentView !== 'list';
+    elements.resultsMap.hidden = !split && currentView !== 'map';
+
+    if (map && !elements.resultsMap.hidden) {
+      setTimeout(() => {
+        map.invalidateSize();
+      }, 100);
+    }
+  }
+
+  /**
+   * Mark the search location on the results map
+   * An approximate geolocation is drawn as a circle covering where the user could be
+   */
+  function updateUserLocationMarker(userLat, userLng) {
+    userLocationLayer.clearLayers();
+    if (!userLat || !userLng) return;
+
+    if (lastSearchMethod === 'geolocation' && !shareExactLocation) {
+      const approx = coarsenCoordinates(userLat, userLng);
+      L.circle([approx.lat, approx.lng], {
+        radius: getCoarsenedRadiusMeters(approx.lat),
+        className: 'user-area',
+      })
+        .addTo(userLocationLayer)
+        .bindPopup('<div class="map-popup"><strong>Your Approximate Location</strong></div>');
+      return;
+    }
+
+    const userIcon = L.divIcon({
+      className: 'user-marker',
+      iconSize: [24, 24],
+      iconAnchor: [12, 12],
+    });
+
+    L.marker([userLat, userLng], { icon: userIcon })
+      .addTo(userLocationLayer)
+      .bindPopup(
+        `<div class="map-popup"><strong>${lastSearchMethod === 'map_area' ? 'Search Area' : 'Your Location'}</strong></div>`
+      );
   }
 
   /**
@@ -729,28 +1835,14 @@ import {
     currentView = view;
     trackViewChange(view);
 
-    if (view === 'list') {
-      elements.listViewBtn.classList.add('active');
-      elements.listViewBtn.setAttribute('aria-selected', 'true');
-      elements.mapViewBtn.classList.remove('active');
-      elements.mapViewBtn.setAttribute('aria-selected', 'false');
-      elements.resultsList.hidden = false;
-      elements.resultsMap.hidden = true;
-    } else {
-      elements.mapViewBtn.classList.add('active');
-      elements.mapViewBtn.setAttribute('aria-selected', 'true');
-      elements.listViewBtn.classList.remove('active');
-      elements.listViewBtn.setAttribute('aria-selected', 'false');
-      elements.resultsList.hidden = true;
-      elements.resultsMap.hidden = false;
-
-      // Fix map display issues when switching to visible
-      if (map) {
-        setTimeout(() => {
-          map.invalidateSize();
-        }, 100);
-      }
-    }
+    const isList = view === 'list';
+    elements.listViewBtn.classList.toggle('active', isList);
+    elements.listViewBtn.setAttribute('aria-selected', String(isList));
+    elements.mapViewBtn.classList.toggle('active', !isList);
+    elements.mapViewBtn.setAttribute('aria-selected', String(!isList));
+
+    // Fixes map display issues when the map becomes visible
+    applyResultsLayout();
   }
 
   // Initialize when DOM is ready
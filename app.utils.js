@@ -3,14 +3,265 @@
  * Pure functions for testing and reuse
  */
 
+import { getPhotoVariant } from './sw.utils.js';
+
 // Configuration constants
 export const CONFIG = {
-  MAX_RESULTS: 20,
-  MAX_DISTANCE_MILES: 100,
+  MAX_RESULTS: 20, // Results per page; "Show more" adds another page
+  MAX_DISTANCE_MILES: 100, // Default search radius
+  RADIUS_OPTIONS: [10, 25, 50, 100, 250],
+  SPATIAL_INDEX_CELL_DEGREES: 0.5, // ~35 miles of latitude per grid cell
+  CLUSTER_CELL_PIXELS: 60, // Browse map: shops within the same 60px grid cell share a marker
+  CLUSTER_MAX_ZOOM: 13, // Browse map: above this zoom every shop gets its own marker
   EARTH_RADIUS_MILES: 3959,
   DATA_FILE: 'shops.json',
+  GEOCODE_INDEX_FILE: 'geocode-index.json',
+  GEOCODE_CACHE_KEY: 'geocodeCache',
+  GEOCODE_CACHE_SIZE: 100,
+  GEOCODE_CANDIDATES: 5, // Nominatim results fetched to detect ambiguous searches
+  GEOCODE_AMBIGUOUS_MILES: 50, // Results at least this far apart trigger "Did you mean…"
+  REVERSE_GEOCODE_MAX_MILES: 25, // Nearest indexed city must be this close to label a search
+  COORDINATE_PRECISION: 2, // Decimal places kept when sharing the user's location (~1 km)
+  COVERAGE_GAP_PRECISION: 4, // Geohash length reported for sparse searches (~40 x 20 km cells)
+  LOW_RESULT_THRESHOLD: 3, // Location searches finding fewer shops are reported as coverage gaps
+  PHOTO_PATH: 'images/shops/',
+  PHOTO_WIDTHS: [320, 640, 960], // Photo sizes written by download-photos.js, as WebP and JPEG
+};
+
+// Displayed photo widths for srcset, matching the .shop-photo, .popup-photo and
+// .shop-detail-photo rules in styles.css
+export const PHOTO_SIZES = {
+  card: '(width <= 800px) 100vw, 800px',
+  popup: '(width <= 350px) 160px, 200px',
+  detail: '(width <= 800px) 100vw, 800px',
 };
 
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Shop type filter values: all shops, independent shops only, chain stores only
+export const SHOP_TYPES = ['all', 'independent', 'chain'];
+
+/**
+ * Check whether a shop matches a shop type filter
+ * @param {Object} shop - Shop object with isIndependent
+ * @param {string} shopType - 'all', 'independent' or 'chain'
+ * @returns {boolean} True if the shop should be shown
+ */
+export function matchesShopType(shop, shopType = 'all') {
+  if (shopType === 'independent') {
+    return shop.isIndependent === true;
+  }
+  if (shopType === 'chain') {
+    return !shop.isIndependent;
+  }
+  return true;
+}
+
+// Compact weekly hours are 7 strings, Sunday first, e.g. "1000-1800" or "1000-1400,1500-1900";
+// "" means closed all day. Overnight hours are split at midnight ("2000-2400" then "0000-0200").
+export const DAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse one day of compact weekly hours
+ * @param {string} dayHours - e.g. "1000-1800"; "" means closed
+ * @returns {Array|null} [[openMinutes, closeMinutes], ...] or null if malformed
+ */
+export function parseDayHours(dayHours) {
+  if (typeof dayHours !== 'string') return null;
+  if (dayHours === '') return [];
+
+  const ranges = [];
+  for (const range of dayHours.split(',')) {
+    const match = range.match(/^(\d{2})(\d{2})-(\d{2})(\d{2})$/);
+    if (!match) return null;
+
+    const [openHour, openMinute, closeHour, closeMinute] = match.slice(1).map(Number);
+    const open = openHour * 60 + openMinute;
+    const close = closeHour * 60 + closeMinute;
+    if (openMinute > 59 || closeMinute > 59 || open >= close || close > MINUTES_PER_DAY) {
+      return null;
+    }
+    ranges.push([open, close]);
+  }
+  return ranges;
+}
+
+/**
+ * Check that a value is a well-formed compact weekly hours array
+ * @param {*} hours - Value to check
+ * @returns {boolean} True if it has 7 parseable days
+ */
+export function isValidWeeklyHours(hours) {
+  return (
+    Array.isArray(hours) && hours.length === 7 && hours.every((day) => parseDayHours(day) !== null)
+  );
+}
+
+/**
+ * Check that a string is an IANA time zone the browser (or Node) knows
+ * @param {string} timeZone - e.g. "America/Denver"
+ * @returns {boolean} True if usable with Intl.DateTimeFormat
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format minutes since midnight as a clock time
+ * @param {number} minutes - Minutes since midnight (1440 is midnight at the end of the day)
+ * @returns {string} e.g. "10 AM" or "5:30 PM"
+ */
+function formatTimeOfDay(minutes) {
+  const hour24 = Math.floor(minutes / 60) % 24;
+  const minute = minutes % 60;
+  const suffix = hour24 < 12 ? 'AM' : 'PM';
+  const hour12 = hour24 % 12 || 12;
+  return minute ? `${hour12}:${String(minute).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+}
+
+/**
+ * Format one day of compact weekly hours for display
+ * @param {string} dayHours - e.g. "1000-1800"
+ * @returns {string} e.g. "10 AM – 6 PM", "Closed" or "Open 24 hours" ('' if malformed)
+ */
+export function formatDayHours(dayHours) {
+  const ranges = parseDayHours(dayHours);
+  if (!ranges) return '';
+  if (ranges.length === 0) return 'Closed';
+  if (ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] === MINUTES_PER_DAY) {
+    return 'Open 24 hours';
+  }
+  return ranges
+    .map(([open, close]) => `${formatTimeOfDay(open)} – ${formatTimeOfDay(close)}`)
+    .join(', ');
+}
+
+/**
+ * Format compact weekly hours as one line per day
+ * @param {Array<string>} hours - Compact weekly hours
+ * @returns {Array<string>} e.g. ["Sunday: Closed", "Monday: 10 AM – 6 PM", ...] or [] if invalid
+ */
+export function formatWeeklyHours(hours) {
+  if (!isValidWeeklyHours(hours)) return [];
+  return DAY_NAMES.map((day, i) => `${day}: ${formatDayHours(hours[i])}`);
+}
+
+// Intl formatters are slow to create; reuse one per time zone (null for an invalid zone)
+const localTimeFormatters = new Map();
+
+/**
+ * Create the formatter getLocalDayAndTime reads a time zone's day and time with
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat|null} Formatter, or null if the zone is invalid
+ */
+function createLocalTimeFormatter(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the day of the week and time of day in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} date - Instant to convert (default: now)
+ * @returns {Object|null} { day: 0-6 (Sunday first), minutes: since midnight } or null if the zone is invalid
+ */
+export function getLocalDayAndTime(timeZone, date = new Date()) {
+  if (!timeZone || typeof timeZone !== 'string') return null;
+
+  let formatter = localTimeFormatters.get(timeZone);
+  if (formatter === undefined) {
+    formatter = createLocalTimeFormatter(timeZone);
+    localTimeFormatters.set(timeZone, formatter);
+  }
+  if (!formatter) return null;
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  const day = DAY_NAMES.findIndex((name) => name.startsWith(parts.weekday));
+  return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * Get whether a shop is open, using the shop's local time
+ * @param {Object} shop - Shop object with hours and timeZone
+ * @param {Date} date - Instant to check (default: now)
+ * @returns {Object|null} { isOpen, todayHours } or null if the shop's hours are unknown
+ */
+export function getShopOpenStatus(shop, date = new Date()) {
+  if (!isValidWeeklyHours(shop?.hours)) return null;
+
+  const local = getLocalDayAndTime(shop.timeZone, date);
+  if (!local) return null;
+
+  const todayHours = shop.hours[local.day];
+  const isOpen = parseDayHours(todayHours).some(
+    ([open, close]) => local.minutes >= open && local.minutes < close
+  );
+  return { isOpen, todayHours: formatDayHours(todayHours) };
+}
+
+/**
+ * Check whether a shop is open; shops with unknown hours are not
+ * @param {Object} shop - Shop object with hours and timeZone
+ * @param {Date} date - Instant to check (default: now)
+ * @returns {boolean} True if the shop is known to be open
+ */
+export function isShopOpen(shop, date = new Date()) {
+  return getShopOpenStatus(shop, date)?.isOpen === true;
+}
+
+/**
+ * Create HTML for a shop's open/closed status and today's hours
+ * @param {Object} shop - Shop object with hours and timeZone
+ * @param {Date} date - Instant to check
+ * @returns {string} HTML string, or '' if the shop's hours are unknown
+ */
+function createOpenStatusHTML(shop, date) {
+  const status = getShopOpenStatus(shop, date);
+  if (!status) return '';
+
+  let text;
+  if (status.todayHours === 'Open 24 hours') {
+    text = status.todayHours;
+  } else if (status.isOpen) {
+    text = `Open now · ${status.todayHours}`;
+  } else if (status.todayHours === 'Closed') {
+    text = 'Closed today';
+  } else {
+    text = `Closed now · Today ${status.todayHours}`;
+  }
+
+  const className = status.isOpen ? 'shop-open-status is-open' : 'shop-open-status';
+  return `<span class="${className}">${escapeHtml(text)}</span>`;
+}
+
 /**
  * Calculate distance between two points using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -54,12 +305,61 @@ export function escapeHtml(text) {
   return str.replace(/[&<>"']/g, (char) => htmlEscapes[char]);
 }
 
+/**
+ * Check whether a blur placeholder is a small base64 image data URI, safe to put in CSS
+ */
+function isPhotoPlaceholder(placeholder) {
+  return (
+    typeof placeholder === 'string' &&
+    /^data:image\/(webp|jpeg|png);base64,[A-Za-z0-9+/]+=*$/.test(placeholder)
+  );
+}
+
+/**
+ * Create HTML for a shop photo
+ * Photos with sizes (photoWidths) get WebP and JPEG srcsets, with the blur placeholder shown
+ * behind them while they load. Older single-size photos get a plain <img>.
+ * @param {Object} shop - Shop object with name, photo and optional photoWidths, photoPlaceholder
+ * @param {string} className - Container class ('shop-photo', 'popup-photo' or 'shop-detail-photo')
+ * @param {string} sizes - Value for the sizes attribute, from PHOTO_SIZES
+ * @param {Object} options
+ * @param {boolean} options.lazy - Lazy load the photo (default: true)
+ * @param {string} options.root - Prefix for photo URLs, for pages below the site root
+ * @returns {string} HTML string, or '' if the shop has no photo
+ */
+export function createPhotoHTML(shop, className, sizes, { lazy = true, root = '' } = {}) {
+  if (!shop.photo) return '';
+
+  const photoUrl = (filename) => `${root}${CONFIG.PHOTO_PATH}${escapeHtml(filename)}`;
+  const alt = escapeHtml(shop.name);
+  const loading = lazy ? ' loading="lazy"' : '';
+
+  const widths = Array.isArray(shop.photoWidths)
+    ? shop.photoWidths.filter((width) => Number.isInteger(width) && width > 0)
+    : [];
+  if (widths.length === 0) {
+    return `<div class="${className}"><img src="${photoUrl(shop.photo)}" alt="${alt}"${loading}></div>`;
+  }
+
+  const srcset = (format) =>
+    widths
+      .map((width) => `${photoUrl(getPhotoVariant(shop.photo, width, format))} ${width}w`)
+      .join(', ');
+  const placeholder = isPhotoPlaceholder(shop.photoPlaceholder)
+    ? ` style="background-image: url('${shop.photoPlaceholder}')"`
+    : '';
+
+  return `<div class="${className}"${placeholder}><picture><source type="image/webp" srcset="${srcset('webp')}" sizes="${sizes}"><img src="${photoUrl(shop.photo)}" srcset="${srcset('jpg')}" sizes="${sizes}" alt="${alt}"${loading} decoding="async"></picture></div>`;
+}
+
 /**
  * Create HTML for a shop card
- * @param {Object} shop - Shop object with name, address, distance, website, phone, isIndependent
+ * @param {Object} shop - Shop object with name, address, website, phone, isIndependent, and
+ *   optional distance and hours/timeZone
+ * @param {Date} now - Current time, for today's hours (default: now)
  * @returns {string} HTML string for the shop card
  */
-export function createShopCardHTML(shop) {
+export function createShopCardHTML(shop, now = new Date()) {
   const websiteLink = shop.website
     ? `<a href="${escapeHtml(shop.website)}" class="shop-link" target="_blank" rel="noopener noreferrer">Visit Website</a>`
     : '';
@@ -72,19 +372,26 @@ export function createShopCardHTML(shop) {
     ? '<span class="badge-independent">Independent</span>'
     : '';
 
-  const distanceDisplay = typeof shop.distance === 'number' ? shop.distance.toFixed(1) : '?';
+  // Name-search results have no distance without a location; omit it rather than show a placeholder
+  const distanceDisplay =
+    typeof shop.distance === 'number'
+      ? `<span class="shop-distance">${shop.distance.toFixed(1)} mi</span>`
+      : '';
 
-  const photoHTML = shop.photo
-    ? `<div class="shop-photo"><img src="images/shops/${escapeHtml(shop.photo)}" alt="${escapeHtml(shop.name)}" loading="lazy" onerror="this.parentElement.style.display='none'"></div>`
-    : '';
+  const photoHTML = createPhotoHTML(shop, 'shop-photo', PHOTO_SIZES.card);
+
+  const nameHTML = hasShopId(shop)
+    ? `<a href="${getShopPermalink(shop.id)}" class="shop-detail-link" data-shop-id="${escapeHtml(shop.id)}">${escapeHtml(shop.name)}</a>`
+    : escapeHtml(shop.name);
 
   return `
         ${photoHTML}
         <div class="shop-header">
-            <h3 class="shop-name">${escapeHtml(shop.name)}</h3>
-            <span class="shop-distance">${distanceDisplay} mi</span>
+            <h3 class="shop-name">${nameHTML}</h3>
+            ${distanceDisplay}
         </div>
         <p class="shop-address">${escapeHtml(shop.address)}</p>
+        ${createOpenStatusHTML(shop, now)}
         <div class="shop-details">
             ${independentBadge}
             ${websiteLink}
@@ -93,6 +400,21 @@ export function createShopCardHTML(shop) {
     `;
 }
 
+/**
+ * Check that a shop has usable numeric coordinates
+ * @param {Object} shop - Shop object
+ * @returns {boolean} True if lat/lng are numbers
+ */
+function hasCoordinates(shop) {
+  return (
+    shop &&
+    typeof shop.lat === 'number' &&
+    typeof shop.lng === 'number' &&
+    !Number.isNaN(shop.lat) &&
+    !Number.isNaN(shop.lng)
+  );
+}
+
 /**
  * Filter and sort shops by distance from a location
  * @param {Array} shops - Array of shop objects with lat/lng
@@ -100,6 +422,7 @@ export function createShopCardHTML(shop) {
  * @param {number} userLng - User's longitude
  * @param {number} maxDistance - Maximum distance in miles (default: CONFIG.MAX_DISTANCE_MILES)
  * @param {number} maxResults - Maximum number of results (default: CONFIG.MAX_RESULTS)
+ * @param {string} shopType - Shop type filter: 'all', 'independent' or 'chain' (default: 'all')
  * @returns {Array} Filtered and sorted array of shops with distance property
  */
 export function filterAndSortShops(
@@ -107,7 +430,8 @@ export function filterAndSortShops(
   userLat,
   userLng,
   maxDistance = CONFIG.MAX_DISTANCE_MILES,
-  maxResults = CONFIG.MAX_RESULTS
+  maxResults = CONFIG.MAX_RESULTS,
+  shopType = 'all'
 ) {
   if (!Array.isArray(shops)) {
     return [];
@@ -115,14 +439,7 @@ export function filterAndSortShops(
 
   // Calculate distance to each shop
   const shopsWithDistance = shops
-    .filter(
-      (shop) =>
-        shop &&
-        typeof shop.lat === 'number' &&
-        typeof shop.lng === 'number' &&
-        !Number.isNaN(shop.lat) &&
-        !Number.isNaN(shop.lng)
-    )
+    .filter((shop) => hasCoordinates(shop) && matchesShopType(shop, shopType))
     .map((shop) => ({
       ...shop,
       distance: calculateDistance(userLat, userLng, shop.lat, shop.lng),
@@ -135,17 +452,277 @@ export function filterAndSortShops(
     .slice(0, maxResults);
 }
 
+/**
+ * Build a grid spatial index over shops for fast radius and nearest-neighbor queries
+ * Shops are bucketed into cells of cellSize degrees; queries only visit cells that can
+ * contain a match, then apply the exact Haversine distance
+ * @param {Array} shops - Array of shop objects with lat/lng
+ * @param {number} cellSize - Cell size in degrees (default: CONFIG.SPATIAL_INDEX_CELL_DEGREES)
+ * @returns {Object} Spatial index { cellSize, rows, cols, cells, size }
+ */
+export function createSpatialIndex(shops, cellSize = CONFIG.SPATIAL_INDEX_CELL_DEGREES) {
+  const index = {
+    cellSize,
+    rows: Math.ceil(180 / cellSize),
+    cols: Math.ceil(360 / cellSize),
+    cells: new Map(),
+    size: 0,
+  };
+
+  if (!Array.isArray(shops)) {
+    return index;
+  }
+
+  shops.forEach((shop, order) => {
+    if (!hasCoordinates(shop)) return;
+
+    const row = Math.min(Math.floor((shop.lat + 90) / cellSize), index.rows - 1);
+    // Normalize to [-180, 180) so 180 and -180 share a cell
+    const lng = ((((shop.lng + 180) % 360) + 360) % 360) - 180;
+    const col = Math.min(Math.floor((lng + 180) / cellSize), index.cols - 1);
+    const key = row * index.cols + col;
+
+    if (!index.cells.has(key)) {
+      index.cells.set(key, []);
+    }
+    // Keep input order so ties sort the same way as filterAndSortShops
+    index.cells.get(key).push({ shop, order });
+    index.size++;
+  });
+
+  return index;
+}
+
+/**
+ * Find all shops within a radius using a spatial index
+ * Returns the same shops in the same order as filterAndSortShops on the original array
+ * @param {Object} index - Spatial index from createSpatialIndex
+ * @param {number} userLat - User's latitude
+ * @param {number} userLng - User's longitude
+ * @param {number} radius - Maximum distance in miles
+ * @param {Object} options - Query options
+ * @param {string} options.shopType - Shop type filter (default: 'all')
+ * @param {Date} options.openAt - Only include shops known to be open at this time (default: no filter)
+ * @param {number} options.limit - Maximum number of results (default: no limit)
+ * @returns {Array} Shops with distance property, nearest first
+ */
+export function queryRadius(index, userLat, userLng, radius, options = {}) {
+  const { shopType = 'all', openAt = null, limit = Infinity } = options;
+  if (!index || index.size === 0 || !(radius >= 0)) {
+    return [];
+  }
+
+  const { cellSize, rows, cols, cells } = index;
+  const toRad = (deg) => deg * (Math.PI / 180);
+  const toDeg = (rad) => rad * (180 / Math.PI);
+
+  // Bounding box of the search circle (exact for a sphere)
+  const angular = radius / CONFIG.EARTH_RADIUS_MILES;
+  const latRad = toRad(userLat);
+  const minLat = latRad - angular;
+  const maxLat = latRad + angular;
+
+  let rowStart = 0;
+  let rowEnd = rows - 1;
+  let lngRanges = [[-180, 180]];
+
+  if (angular < Math.PI) {
+    rowStart = Math.max(0, Math.floor((toDeg(minLat) + 90) / cellSize));
+    rowEnd = Math.min(rows - 1, Math.floor((toDeg(maxLat) + 90) / cellSize));
+
+    // Near a pole the circle covers every longitude
+    if (minLat > -Math.PI / 2 && maxLat < Math.PI / 2) {
+      const deltaLng = toDeg(Math.asin(Math.min(1, Math.sin(angular) / Math.cos(latRad))));
+      const minLng = userLng - deltaLng;
+      const maxLng = userLng + deltaLng;
+
+      // Split ranges that cross the antimeridian
+      if (minLng <= -180) {
+        lngRanges = [
+          [minLng + 360, 180],
+          [-180, maxLng],
+        ];
+      } else if (maxLng >= 180) {
+        lngRanges = [
+          [minLng, 180],
+          [-180, maxLng - 360],
+        ];
+      } else {
+        lngRanges = [[minLng, maxLng]];
+      }
+    }
+  }
+
+  const colOf = (lng) => Math.min(cols - 1, Math.max(0, Math.floor((lng + 180) / cellSize)));
+  const searchCols = new Set();
+  for (const [minLng, maxLng] of lngRanges) {
+    for (let col = colOf(minLng); col <= colOf(maxLng); col++) {
+      searchCols.add(col);
+    }
+  }
+
+  const matches = [];
+
+  for (const col of searchCols) {
+    for (let row = rowStart; row <= rowEnd; row++) {
+      const cell = cells.get(row * cols + col);
+      if (!cell) continue;
+
+      for (const entry of cell) {
+        if (!matchesShopType(entry.shop, shopType)) continue;
+
+        const distance = calculateDistance(userLat, userLng, entry.shop.lat, entry.shop.lng);
+        if (distance <= radius && (!openAt || isShopOpen(entry.shop, openAt))) {
+          matches.push({ entry, distance });
+        }
+      }
+    }
+  }
+
+  return matches
+    .sort((a, b) => a.distance - b.distance || a.entry.order - b.entry.order)
+    .slice(0, limit)
+    .map(({ entry, distance }) => ({ ...entry.shop, distance }));
+}
+
+/**
+ * Find the k nearest shops using a spatial index
+ * Searches a growing radius until k shops are found or maxDistance is reached
+ * @param {Object} index - Spatial index from createSpatialIndex
+ * @param {number} userLat - User's latitude
+ * @param {number} userLng - User's longitude
+ * @param {number} k - Number of shops to return
+ * @param {Object} options - Query options
+ * @param {string} options.shopType - Shop type filter (default: 'all')
+ * @param {Date} options.openAt - Only include shops known to be open at this time (default: no filter)
+ * @param {number} options.maxDistance - Maximum distance in miles (default: no limit)
+ * @returns {Array} Up to k shops with distance property, nearest first
+ */
+export function queryNearest(index, userLat, userLng, k, options = {}) {
+  const { shopType = 'all', openAt = null, maxDistance = Infinity } = options;
+  if (!index || index.size === 0 || !(k > 0)) {
+    return [];
+  }
+
+  // Half the Earth's circumference reaches every point
+  const maxRadius = Math.min(maxDistance, Math.PI * CONFIG.EARTH_RADIUS_MILES);
+  let radius = Math.min(CONFIG.RADIUS_OPTIONS[0], maxRadius);
+
+  for (;;) {
+    const results = queryRadius(index, userLat, userLng, radius, { shopType, openAt });
+    // Every shop outside the radius is farther than every shop inside it
+    if (results.length >= k || radius >= maxRadius) {
+      return results.slice(0, k);
+    }
+    radius = Math.min(radius * 2, maxRadius);
+  }
+}
+
 /**
  * Generate results summary text
  * @param {Array} shops - Array of shops with distance property
+ * @param {string} shopType - Shop type filter applied to the results (default: 'all')
+ * @param {number} totalCount - Total matching shops when only a page is shown (optional)
+ * @param {boolean} openNow - Whether the results are limited to shops open now (default: false)
+ * @param {string} locationLabel - Where the search was centered, e.g. "Denver, CO" (optional)
  * @returns {string} Summary text
  */
-export function generateResultsSummary(shops) {
+export function generateResultsSummary(
+  shops,
+  shopType = 'all',
+  totalCount = shops?.length,
+  openNow = false,
+  locationLabel = null
+) {
   if (!shops || shops.length === 0) {
     return '';
   }
   const furthest = shops[shops.length - 1].distance.toFixed(1);
-  return `Showing ${shops.length} shop${shops.length !== 1 ? 's' : ''} within ${furthest} miles`;
+  const paged = totalCount > shops.length;
+  const plural = (paged ? totalCount : shops.length) !== 1;
+  let noun = `shop${plural ? 's' : ''}`;
+  if (shopType === 'independent') {
+    noun = `independent ${noun}`;
+  } else if (shopType === 'chain') {
+    noun = `chain store${plural ? 's' : ''}`;
+  }
+  if (openNow) {
+    noun = `${noun} open now`;
+  }
+  const count = paged ? `${shops.length} of ${totalCount}` : shops.length;
+  const near = locationLabel ? ` near ${locationLabel}` : '';
+  return `Showing ${count} ${noun}${near} within ${furthest} miles`;
+}
+
+/**
+ * Get the page title and share text for a location search
+ * @param {string} locationLabel - Where the search was centered, e.g. "Denver, CO"
+ * @returns {string|null} e.g. "Skateshops near Denver, CO", or null without a label
+ */
+export function getSearchTitle(locationLabel) {
+  return locationLabel ? `Skateshops near ${locationLabel}` : null;
+}
+
+/**
+ * Generate results summary text for a shop name search
+ * @param {Array} shops - Array of matching shops shown
+ * @param {string} query - Search query
+ * @param {number} totalCount - Total matching shops when only a page is shown (optional)
+ * @returns {string} Summary text, e.g. 'Showing 2 shops matching "303 Boards"'
+ */
+export function generateNameSearchSummary(shops, query, totalCount = shops?.length) {
+  if (!shops || shops.length === 0) {
+    return '';
+  }
+  const paged = totalCount > shops.length;
+  const plural = (paged ? totalCount : shops.length) !== 1;
+  const count = paged ? `${shops.length} of ${totalCount}` : shops.length;
+  return `Showing ${count} shop${plural ? 's' : ''} matching "${query}"`;
+}
+
+/**
+ * Find the smallest wider radius option that would return more shops
+ * @param {Object} index - Spatial index from createSpatialIndex
+ * @param {number} userLat - User's latitude
+ * @param {number} userLng - User's longitude
+ * @param {number} currentRadius - Current search radius in miles
+ * @param {string} shopType - Shop type filter (default: 'all')
+ * @param {Date} openAt - Open now filter time (default: no filter)
+ * @returns {Object|null} { radius, additionalCount } or null if no wider radius adds shops
+ */
+export function getWiderRadiusSuggestion(
+  index,
+  userLat,
+  userLng,
+  currentRadius,
+  shopType = 'all',
+  openAt = null
+) {
+  const countWithin = (radius) =>
+    queryRadius(index, userLat, userLng, radius, { shopType, openAt }).length;
+  const currentCount = countWithin(currentRadius);
+
+  for (const radius of CONFIG.RADIUS_OPTIONS) {
+    if (radius <= currentRadius) continue;
+
+    const count = countWithin(radius);
+    if (count > currentCount) {
+      return { radius, additionalCount: count - currentCount };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a failed request was caused by being offline
+ * fetch() rejects with a TypeError when the network can't be reached
+ * @param {Error} error - Error thrown by the request
+ * @param {boolean} online - navigator.onLine
+ * @returns {boolean} True if the failure looks like a network outage
+ */
+export function isOfflineError(error, online = true) {
+  return online === false || error instanceof TypeError;
 }
 
 /**
@@ -190,6 +767,170 @@ export function filterShopsBySearchTerm(shops, searchTerm) {
   });
 }
 
+/**
+ * Normalize text for shop name search
+ * Lowercases, strips accents and apostrophes, and turns other punctuation into spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text, e.g. "Montréal Skate Co." -> "montreal skate co"
+ */
+export function normalizeSearchText(text) {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein distance between two strings, giving up once it exceeds max
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Edit distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how well one query word matches a list of words
+ * Exact matches beat prefixes, which beat typos (1 for 4-7 letters, 2 for 8+)
+ * @param {string} queryWord - Normalized query word
+ * @param {Array<string>} words - Normalized words to match against
+ * @returns {number} 1 for exact, 0.75 for prefix, 0.5 for a close typo, 0 for no match
+ */
+function scoreWordMatch(queryWord, words) {
+  const typos = queryWord.length >= 8 ? 2 : queryWord.length >= 4 ? 1 : 0;
+  let best = 0;
+
+  for (const word of words) {
+    if (word === queryWord) {
+      return 1;
+    }
+    if (word.startsWith(queryWord)) {
+      best = Math.max(best, 0.75);
+    } else if (typos > 0 && editDistance(queryWord, word, typos) <= typos) {
+      best = Math.max(best, 0.5);
+    }
+  }
+  return best;
+}
+
+/**
+ * Score a shop against a name search query
+ * Every query word must match the shop's name, city or state (name matches count double);
+ * the whole query matching the start of, or anywhere in, the name adds a bonus
+ * @param {Object} shop - Shop object with name and address
+ * @param {string} query - Search query
+ * @returns {number} Relevance score, 0 if the shop doesn't match
+ */
+export function scoreShopNameMatch(shop, query) {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!shop || !normalizedQuery) return 0;
+
+  const name = normalizeSearchText(shop.name);
+  const [city = '', state = ''] = extractCityState(shop.address).split(', ');
+  const nameWords = name.split(' ');
+  const locationWords = [
+    ...normalizeSearchText(city).split(' '),
+    ...normalizeSearchText(state).split(' '),
+    ...normalizeSearchText(getStateName(state)).split(' '),
+  ].filter(Boolean);
+
+  // Compare without spaces so "303boards" finds "303 Boards"
+  const compactName = name.replace(/ /g, '');
+  const compactQuery = normalizedQuery.replace(/ /g, '');
+  let phraseBonus = 0;
+  if (compactName === compactQuery) {
+    phraseBonus = 100;
+  } else if (compactName.startsWith(compactQuery)) {
+    phraseBonus = 20;
+  } else if (compactName.includes(compactQuery)) {
+    phraseBonus = 10;
+  }
+
+  let wordScore = 0;
+  for (const queryWord of normalizedQuery.split(' ')) {
+    const score = Math.max(
+      2 * scoreWordMatch(queryWord, nameWords),
+      scoreWordMatch(queryWord, locationWords)
+    );
+    if (score === 0 && phraseBonus === 0) {
+      return 0;
+    }
+    wordScore += score;
+  }
+
+  return phraseBonus + wordScore * 5;
+}
+
+/**
+ * Search shops by name, city and state
+ * Matching is fuzzy and accent-insensitive (see scoreShopNameMatch)
+ * @param {Array} shops - Array of shop objects
+ * @param {string} query - Search query, e.g. "303 Boards"
+ * @param {Object} options - Search options
+ * @param {number} options.lat - Latitude of a known location; sorts results by distance (optional)
+ * @param {number} options.lng - Longitude of a known location (optional)
+ * @param {string} options.shopType - Shop type filter (default: 'all')
+ * @param {Date} options.openAt - Only include shops known to be open at this time (default: no filter)
+ * @returns {Array} Matching shops with relevance (and distance when a location is given), sorted
+ *   by distance when a location is given, otherwise by relevance then name
+ */
+export function searchShopsByName(shops, query, options = {}) {
+  const { lat = null, lng = null, shopType = 'all', openAt = null } = options;
+  if (!Array.isArray(shops)) {
+    return [];
+  }
+
+  const hasLocation = isValidCoordinates(lat, lng);
+  const results = [];
+
+  for (const shop of shops) {
+    if (!matchesShopType(shop, shopType) || (openAt && !isShopOpen(shop, openAt))) continue;
+
+    const relevance = scoreShopNameMatch(shop, query);
+    if (relevance === 0) continue;
+
+    const result = { ...shop, relevance };
+    if (hasLocation && hasCoordinates(shop)) {
+      result.distance = calculateDistance(lat, lng, shop.lat, shop.lng);
+    }
+    results.push(result);
+  }
+
+  const byRelevance = (a, b) => b.relevance - a.relevance || a.name.localeCompare(b.name);
+  if (!hasLocation) {
+    return results.sort(byRelevance);
+  }
+  // Shops without coordinates go last
+  return results.sort(
+    (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity) || byRelevance(a, b)
+  );
+}
+
 /**
  * Format shop data for select dropdown display
  * @param {Object} shop - Shop object with name and address
@@ -240,11 +981,17 @@ export function extractCityState(address) {
 
 /**
  * Create HTML for a map popup
- * @param {Object} shop - Shop object with name, address, distance, website, phone, isIndependent, lat, lng
+ * @param {Object} shop - Shop object with name, address, website, phone, isIndependent, lat, lng
+ *   and optional distance
+ * @param {Date} now - Current time, for today's hours (default: now)
  * @returns {string} HTML string for the map popup
  */
-export function createMapPopupHTML(shop) {
-  const distanceDisplay = typeof shop.distance === 'number' ? shop.distance.toFixed(1) : '?';
+export function createMapPopupHTML(shop, now = new Date()) {
+  // Browse-map shops have no distance; omit it rather than show a placeholder
+  const distanceDisplay =
+    typeof shop.distance === 'number'
+      ? `<span class="popup-distance">${shop.distance.toFixed(1)} mi</span>`
+      : '';
 
   const independentBadge = shop.isIndependent
     ? '<span class="popup-badge-independent">Independent</span>'
@@ -258,42 +1005,182 @@ export function createMapPopupHTML(shop) {
     ? `<a href="tel:${escapeHtml(shop.phone.replace(/[^0-9+]/g, ''))}" class="popup-link">${escapeHtml(shop.phone)}</a>`
     : '';
 
-  // Build Google Maps directions URL
-  const directionsUrl = `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(shop.address || `${shop.lat},${shop.lng}`)}`;
-
-  const popupPhoto = shop.photo
-    ? `<div class="popup-photo"><img src="images/shops/${escapeHtml(shop.photo)}" alt="${escapeHtml(shop.name)}" loading="lazy" onerror="this.parentElement.style.display='none'"></div>`
+  const detailsLink = hasShopId(shop)
+    ? `<a href="${getShopPermalink(shop.id)}" class="popup-link shop-detail-link" data-shop-id="${escapeHtml(shop.id)}">Details</a>`
     : '';
 
+  const directionsUrl = getDirectionsUrl(shop);
+
+  const popupPhoto = createPhotoHTML(shop, 'popup-photo', PHOTO_SIZES.popup);
+
+  const shopIdAttr = hasShopId(shop) ? ` data-shop-id="${escapeHtml(shop.id)}"` : '';
+
   return `
-        <div class="map-popup">
+        <div class="map-popup"${shopIdAttr}>
             ${popupPhoto}
             <div class="popup-header">
                 <strong class="popup-name">${escapeHtml(shop.name)}</strong>
-                <span class="popup-distance">${distanceDisplay} mi</span>
+                ${distanceDisplay}
             </div>
             <p class="popup-address">${escapeHtml(shop.address)}</p>
+            ${createOpenStatusHTML(shop, now)}
             <div class="popup-details">
                 ${independentBadge}
                 ${websiteLink}
                 ${phoneLink}
+                ${detailsLink}
             </div>
             <a href="${escapeHtml(directionsUrl)}" class="popup-directions" target="_blank" rel="noopener noreferrer">Get Directions</a>
         </div>
     `;
 }
 
+/**
+ * Build a Google Maps directions URL for a shop
+ * @param {Object} shop - Shop object with address or lat/lng
+ * @returns {string} Directions URL
+ */
+export function getDirectionsUrl(shop) {
+  return `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(shop.address || `${shop.lat},${shop.lng}`)}`;
+}
+
+/**
+ * Check whether a shop has an ID that can be linked to
+ * @param {Object} shop - Shop object
+ * @returns {boolean} True if the shop has a positive integer ID
+ */
+function hasShopId(shop) {
+  return Number.isInteger(shop?.id) && shop.id > 0;
+}
+
+/**
+ * Build the permalink query string for a shop's detail view
+ * @param {number} shopId - Shop ID
+ * @returns {string} Query string including leading '?'
+ */
+export function getShopPermalink(shopId) {
+  return `?shop=${encodeURIComponent(shopId)}`;
+}
+
+/**
+ * Create the phone and website list for a shop detail view or shop page
+ * @param {Object} shop - Shop object with optional phone and website
+ * @returns {string} HTML list, or empty string if the shop has neither
+ */
+export function createShopContactHTML(shop) {
+  const contactItems = [];
+  if (shop.phone) {
+    contactItems.push(
+      `<li>Phone: <a href="tel:${escapeHtml(shop.phone.replace(/[^0-9+]/g, ''))}" class="shop-link">${escapeHtml(shop.phone)}</a></li>`
+    );
+  }
+  if (shop.website) {
+    contactItems.push(
+      `<li>Website: <a href="${escapeHtml(shop.website)}" class="shop-link" target="_blank" rel="noopener noreferrer">${escapeHtml(shop.website)}</a></li>`
+    );
+  }
+  return contactItems.length ? `<ul class="shop-detail-contact">${contactItems.join('')}</ul>` : '';
+}
+
+/**
+ * Create HTML for the shop detail view
+ * The mini map is rendered into the .shop-detail-map element by the caller
+ * @param {Object} shop - Shop object with name, address, lat, lng and optional photo, phone, website,
+ *   hours, timeZone
+ * @param {Array} nearbyShops - Other shops with distance from this shop, nearest first
+ * @param {Date} now - Current time, for the open/closed status (default: now)
+ * @returns {string} HTML string for the detail view
+ */
+export function createShopDetailHTML(shop, nearbyShops = [], now = new Date()) {
+  const photoHTML = createPhotoHTML(shop, 'shop-detail-photo', PHOTO_SIZES.detail, {
+    lazy: false,
+  });
+
+  const independentBadge = shop.isIndependent
+    ? '<span class="badge-independent">Independent</span>'
+    : '';
+
+  const contactHTML = createShopContactHTML(shop);
+
+  const hoursLines = formatWeeklyHours(shop.hours);
+  const hoursHTML = hoursLines.length
+    ? `<h3 class="shop-detail-heading">Hours</h3>
+            ${createOpenStatusHTML(shop, now)}
+            <ul class="shop-hours">${hoursLines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+    : '';
+
+  const nearbyHTML = nearbyShops.length
+    ? `<h3 class="shop-detail-heading">Nearby Shops</h3>
+            <ul class="nearby-shops">${nearbyShops
+              .map(
+                (nearby) => `<li>
+                    <a href="${getShopPermalink(nearby.id)}" class="shop-detail-link" data-shop-id="${escapeHtml(nearby.id)}">${escapeHtml(nearby.name)}</a>
+                    <span class="shop-distance">${nearby.distance.toFixed(1)} mi</span>
+                </li>`
+              )
+              .join('')}</ul>`
+    : '';
+
+  return `
+        ${photoHTML}
+        <div class="shop-detail-header">
+            <h2 class="shop-detail-name">${escapeHtml(shop.name)}</h2>
+            ${independentBadge}
+        </div>
+        <p class="shop-detail-address">${escapeHtml(shop.address)}</p>
+        ${contactHTML}
+        <a href="${escapeHtml(getDirectionsUrl(shop))}" class="shop-detail-directions" target="_blank" rel="noopener noreferrer">Get Directions</a>
+        ${hoursHTML}
+        <div class="shop-detail-map" role="img" aria-label="Map showing ${escapeHtml(shop.name)}"></div>
+        ${nearbyHTML}
+    `;
+}
+
 /**
  * Build URL query string for sharing search results
- * @param {string} searchMethod - 'address' or 'geolocation'
- * @param {string} address - Address text (used when searchMethod is 'address')
- * @param {number} lat - Latitude (used when searchMethod is not 'address')
- * @param {number} lng - Longitude (used when searchMethod is not 'address')
+ * @param {string} searchMethod - 'address', 'name', 'geolocation' or 'map_area'
+ * @param {string} address - Address text, or the shop name query when searchMethod is 'name'
+ * @param {number} lat - Latitude (used for geolocation and map area searches)
+ * @param {number} lng - Longitude (used for geolocation and map area searches)
+ * @param {Object} options - Result options; defaults are omitted from the URL
+ * @param {string} options.shopType - Shop type filter (default: 'all')
+ * @param {number} options.radius - Search radius in miles (default: CONFIG.MAX_DISTANCE_MILES)
+ * @param {number} options.limit - Number of results shown (default: CONFIG.MAX_RESULTS)
+ * @param {boolean} options.openNow - Open now filter (default: false)
  * @returns {string} Query string including leading '?', or '' if no valid params
  */
-export function buildShareParams(searchMethod, address, lat, lng) {
+export function buildShareParams(searchMethod, address, lat, lng, options = {}) {
+  const {
+    shopType = 'all',
+    radius = CONFIG.MAX_DISTANCE_MILES,
+    limit = CONFIG.MAX_RESULTS,
+    openNow = false,
+  } = options;
+
+  let extraParams = '';
+  if (shopType !== 'all' && SHOP_TYPES.includes(shopType)) {
+    extraParams += `&type=${shopType}`;
+  }
+  // Name searches aren't limited to a radius
+  if (
+    searchMethod !== 'name' &&
+    radius !== CONFIG.MAX_DISTANCE_MILES &&
+    CONFIG.RADIUS_OPTIONS.includes(radius)
+  ) {
+    extraParams += `&radius=${radius}`;
+  }
+  if (limit !== CONFIG.MAX_RESULTS && Number.isInteger(limit) && limit > 0) {
+    extraParams += `&limit=${limit}`;
+  }
+  if (openNow === true) {
+    extraParams += '&open=1';
+  }
+
+  if (searchMethod === 'name' && address) {
+    return `?name=${encodeURIComponent(address)}${extraParams}`;
+  }
   if (searchMethod === 'address' && address) {
-    return `?q=${encodeURIComponent(address)}`;
+    return `?q=${encodeURIComponent(address)}${extraParams}`;
   }
   if (
     typeof lat === 'number' &&
@@ -301,7 +1188,7 @@ export function buildShareParams(searchMethod, address, lat, lng) {
     !Number.isNaN(lat) &&
     !Number.isNaN(lng)
   ) {
-    return `?lat=${lat}&lng=${lng}`;
+    return `?lat=${lat}&lng=${lng}${extraParams}`;
   }
   return '';
 }
@@ -309,13 +1196,46 @@ export function buildShareParams(searchMethod, address, lat, lng) {
 /**
  * Parse URL search params into a search action
  * @param {string} search - window.location.search string
- * @returns {Object|null} { type: 'address', q } or { type: 'geo', lat, lng } or null
+ * @returns {Object|null} { type: 'shop', id }, { type: 'browse' }, { type: 'name', name },
+ *   { type: 'address', q } or { type: 'geo', lat, lng } or null, plus shopType, radius, limit and openNow when valid non-default params are present
  */
 export function parseShareParams(search) {
   const params = new URLSearchParams(search);
+
+  const shopId = params.get('shop');
+  if (shopId && /^\d+$/.test(shopId) && Number(shopId) > 0) {
+    return { type: 'shop', id: Number(shopId) };
+  }
+  if (params.get('browse') === '1') {
+    return { type: 'browse' };
+  }
+
+  const withOptions = (result) => {
+    const shopType = params.get('type');
+    if (shopType && shopType !== 'all' && SHOP_TYPES.includes(shopType)) {
+      result.shopType = shopType;
+    }
+    const radius = Number(params.get('radius'));
+    if (radius !== CONFIG.MAX_DISTANCE_MILES && CONFIG.RADIUS_OPTIONS.includes(radius)) {
+      result.radius = radius;
+    }
+    const limit = Number(params.get('limit'));
+    if (limit !== CONFIG.MAX_RESULTS && Number.isInteger(limit) && limit > 0) {
+      result.limit = limit;
+    }
+    if (params.get('open') === '1') {
+      result.openNow = true;
+    }
+    return result;
+  };
+
+  const name = params.get('name');
+  if (name) {
+    return withOptions({ type: 'name', name });
+  }
   const q = params.get('q');
   if (q) {
-    return { type: 'address', q };
+    return withOptions({ type: 'address', q });
   }
   const latStr = params.get('lat');
   const lngStr = params.get('lng');
@@ -323,12 +1243,118 @@ export function parseShareParams(search) {
     const lat = parseFloat(latStr);
     const lng = parseFloat(lngStr);
     if (!Number.isNaN(lat) && !Number.isNaN(lng)) {
-      return { type: 'geo', lat, lng };
+      return withOptions({ type: 'geo', lat, lng });
     }
   }
   return null;
 }
 
+/**
+ * Round coordinates so they only reveal an approximate location
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} decimals - Decimal places to keep (default: CONFIG.COORDINATE_PRECISION)
+ * @returns {Object} { lat, lng }
+ */
+export function coarsenCoordinates(lat, lng, decimals = CONFIG.COORDINATE_PRECISION) {
+  const factor = 10 ** decimals;
+  return {
+    lat: Math.round(lat * factor) / factor,
+    lng: Math.round(lng * factor) / factor,
+  };
+}
+
+/**
+ * Get the furthest a location can be from its coarsened coordinates
+ * @param {number} lat - Latitude (a degree of longitude shrinks towards the poles)
+ * @param {number} decimals - Decimal places kept (default: CONFIG.COORDINATE_PRECISION)
+ * @returns {number} Radius in meters
+ */
+export function getCoarsenedRadiusMeters(lat, decimals = CONFIG.COORDINATE_PRECISION) {
+  // Rounding moves each coordinate by at most half a step; a degree of latitude is ~111 km
+  const halfStepMeters = (0.5 / 10 ** decimals) * 111320;
+  return Math.hypot(halfStepMeters, halfStepMeters * Math.cos((lat * Math.PI) / 180));
+}
+
+/**
+ * Encode coordinates as a geohash
+ * Shorter hashes name bigger cells, so a short hash only reveals a rough area.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Number of characters (default: CONFIG.COVERAGE_GAP_PRECISION)
+ * @returns {string} Geohash
+ */
+export function encodeGeohash(lat, lng, precision = CONFIG.COVERAGE_GAP_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let isLng = true;
+
+  while (hash.length < precision) {
+    // Bits alternate between longitude and latitude, halving the range each time
+    const range = isLng ? lngRange : latRange;
+    const coord = isLng ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    isLng = !isLng;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Decode a geohash to the center of its cell
+ * @param {string} hash - Geohash
+ * @returns {Object|null} { lat, lng, latError, lngError } (errors are half the cell size in
+ *   degrees), or null if the hash is empty or has invalid characters
+ */
+export function decodeGeohash(hash) {
+  if (typeof hash !== 'string' || hash.length === 0) {
+    return null;
+  }
+
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let isLng = true;
+
+  for (const char of hash.toLowerCase()) {
+    const value = GEOHASH_ALPHABET.indexOf(char);
+    if (value === -1) {
+      return null;
+    }
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = isLng ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      isLng = !isLng;
+    }
+  }
+
+  return {
+    lat: (latRange[0] + latRange[1]) / 2,
+    lng: (lngRange[0] + lngRange[1]) / 2,
+    latError: (latRange[1] - latRange[0]) / 2,
+    lngError: (lngRange[1] - lngRange[0]) / 2,
+  };
+}
+
 /**
  * Calculate bounding box for a set of shops
  * @param {Array} shops - Array of shop objects with lat/lng
@@ -340,14 +1366,7 @@ export function getMapBounds(shops) {
   }
 
   // Filter to shops with valid coordinates
-  const validShops = shops.filter(
-    (shop) =>
-      shop &&
-      typeof shop.lat === 'number' &&
-      typeof shop.lng === 'number' &&
-      !Number.isNaN(shop.lat) &&
-      !Number.isNaN(shop.lng)
-  );
+  const validShops = shops.filter(hasCoordinates);
 
   if (validShops.length === 0) {
     return null;
@@ -367,3 +1386,496 @@ export function getMapBounds(shops) {
 
   return { north, south, east, west };
 }
+
+// Web Mercator latitude limit; tiles don't extend past it
+const MAX_MERCATOR_LAT = 85.05112878;
+
+/**
+ * Project coordinates to Web Mercator pixel coordinates at a zoom level
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Map zoom level
+ * @returns {Object} { x, y } in pixels from the top-left of the world
+ */
+function projectToPixels(lat, lng, zoom) {
+  const worldSize = 256 * 2 ** zoom;
+  const clampedLat = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+  const sin = Math.sin((clampedLat * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * worldSize,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize,
+  };
+}
+
+/**
+ * Group shops into map clusters for a zoom level
+ * Shops are bucketed into a pixel grid anchored at the world origin, so clusters stay
+ * put while the map pans and split apart as it zooms in
+ * @param {Array} shops - Array of shop objects with lat/lng
+ * @param {number} zoom - Map zoom level
+ * @param {number} cellPixels - Grid cell size in pixels (default: CONFIG.CLUSTER_CELL_PIXELS)
+ * @returns {Array} Clusters { key, lat, lng, count, independentCount, chainCount, shops, bounds },
+ *   positioned at the mean of their shops and keyed by grid cell; above CONFIG.CLUSTER_MAX_ZOOM every shop is its own cluster
+ */
+export function clusterShops(shops, zoom, cellPixels = CONFIG.CLUSTER_CELL_PIXELS) {
+  if (!Array.isArray(shops)) {
+    return [];
+  }
+
+  const cells = new Map();
+  shops.forEach((shop, order) => {
+    if (!hasCoordinates(shop)) return;
+
+    let key = `shop:${order}`;
+    if (zoom <= CONFIG.CLUSTER_MAX_ZOOM) {
+      const { x, y } = projectToPixels(shop.lat, shop.lng, zoom);
+      key = `${Math.floor(x / cellPixels)}:${Math.floor(y / cellPixels)}`;
+    }
+
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(shop);
+  });
+
+  return [...cells].map(([key, members]) => {
+    const independentCount = members.filter((shop) => shop.isIndependent === true).length;
+    return {
+      key,
+      lat: members.reduce((sum, shop) => sum + shop.lat, 0) / members.length,
+      lng: members.reduce((sum, shop) => sum + shop.lng, 0) / members.length,
+      count: members.length,
+      independentCount,
+      chainCount: members.length - independentCount,
+      shops: members,
+      bounds: getMapBounds(members),
+    };
+  });
+}
+
+/**
+ * Get the marker size for a cluster, growing with the number of shops
+ * @param {number} count - Number of shops in the cluster
+ * @returns {number} Marker diameter in pixels
+ */
+export function getClusterIconSize(count) {
+  if (count < 10) return 36;
+  if (count < 100) return 44;
+  return 52;
+}
+
+/**
+ * Generate the badge HTML for a cluster marker
+ * Shows the total with independent and chain counts underneath
+ * @param {Object} cluster - Cluster from clusterShops
+ * @returns {string} HTML string
+ */
+export function createClusterIconHTML(cluster) {
+  const { count, independentCount, chainCount } = cluster;
+  const label = `${count} shops: ${independentCount} independent, ${chainCount} chain`;
+  return `<span class="cluster-badge" role="img" aria-label="${label}" title="${label}">
+            <span class="cluster-total">${count}</span>
+            <span class="cluster-split">
+                <span class="cluster-independent">${independentCount}</span>
+                <span class="cluster-chain">${chainCount}</span>
+            </span>
+        </span>`;
+}
+
+/**
+ * Generate summary text for the browse map
+ * @param {Array} shops - Every shop on the map
+ * @returns {string} Summary text, e.g. "1,902 shops: 1,330 independent, 572 chain"
+ */
+export function generateBrowseSummary(shops) {
+  if (!Array.isArray(shops) || shops.length === 0) {
+    return '';
+  }
+  const independentCount = shops.filter((shop) => shop.isIndependent === true).length;
+  const format = (n) => n.toLocaleString('en-US');
+  return `${format(shops.length)} shop${shops.length !== 1 ? 's' : ''}: ${format(independentCount)} independent, ${format(shops.length - independentCount)} chain`;
+}
+
+// US state and territory names to postal codes, for "City, State" searches
+const US_STATE_CODES = {
+  alabama: 'AL',
+  alaska: 'AK',
+  'american samoa': 'AS',
+  arizona: 'AZ',
+  arkansas: 'AR',
+  california: 'CA',
+  colorado: 'CO',
+  connecticut: 'CT',
+  delaware: 'DE',
+  'district of columbia': 'DC',
+  florida: 'FL',
+  georgia: 'GA',
+  guam: 'GU',
+  hawaii: 'HI',
+  idaho: 'ID',
+  illinois: 'IL',
+  indiana: 'IN',
+  iowa: 'IA',
+  kansas: 'KS',
+  kentucky: 'KY',
+  louisiana: 'LA',
+  maine: 'ME',
+  maryland: 'MD',
+  massachusetts: 'MA',
+  michigan: 'MI',
+  minnesota: 'MN',
+  mississippi: 'MS',
+  missouri: 'MO',
+  montana: 'MT',
+  nebraska: 'NE',
+  nevada: 'NV',
+  'new hampshire': 'NH',
+  'new jersey': 'NJ',
+  'new mexico': 'NM',
+  'new york': 'NY',
+  'north carolina': 'NC',
+  'north dakota': 'ND',
+  'northern mariana islands': 'MP',
+  ohio: 'OH',
+  oklahoma: 'OK',
+  oregon: 'OR',
+  pennsylvania: 'PA',
+  'puerto rico': 'PR',
+  'rhode island': 'RI',
+  'south carolina': 'SC',
+  'south dakota': 'SD',
+  tennessee: 'TN',
+  texas: 'TX',
+  'u.s. virgin islands': 'VI',
+  utah: 'UT',
+  vermont: 'VT',
+  virginia: 'VA',
+  'virgin islands': 'VI',
+  washington: 'WA',
+  'washington dc': 'DC',
+  'west virginia': 'WV',
+  wisconsin: 'WI',
+  wyoming: 'WY',
+};
+
+const US_STATE_ABBREVIATIONS = new Set(Object.values(US_STATE_CODES));
+
+/**
+ * Normalize a city name for index lookups
+ * Lowercases, drops punctuation and expands St./Ft./Mt. so "St. Louis" matches "Saint Louis"
+ * @param {string} city - City name
+ * @returns {string} Normalized city name
+ */
+export function normalizeCityName(city) {
+  if (!city) return '';
+
+  return city
+    .toLowerCase()
+    .replace(/[.']/g, '')
+    .replace(/-/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^st /, 'saint ')
+    .replace(/^ft /, 'fort ')
+    .replace(/^mt /, 'mount ');
+}
+
+/**
+ * Resolve a state name or postal code to its postal code
+ * @param {string} state - State name or two-letter code
+ * @returns {string|null} Two-letter code or null if not a US state/territory
+ */
+export function getStateCode(state) {
+  if (!state) return null;
+
+  const normalized = state.trim().replace(/\s+/g, ' ');
+  const upper = normalized.toUpperCase();
+  if (US_STATE_ABBREVIATIONS.has(upper)) {
+    return upper;
+  }
+  return US_STATE_CODES[normalized.toLowerCase()] || null;
+}
+
+/**
+ * Get the display name of a state or territory
+ * @param {string} code - Two-letter postal code
+ * @returns {string|null} Name (e.g. "New York") or null if not a US state/territory
+ */
+export function getStateName(code) {
+  const stateCode = getStateCode(code);
+  if (!stateCode) return null;
+
+  // First entry wins, so "DC" is "District of Columbia" rather than "Washington DC"
+  const name = Object.keys(US_STATE_CODES).find((key) => US_STATE_CODES[key] === stateCode);
+  return name
+    .split(' ')
+    .map((word) => (word === 'of' ? word : word.replace(/(^|\.)([a-z])/g, (m) => m.toUpperCase())))
+    .join(' ');
+}
+
+/**
+ * Check whether a search can be answered from the local ZIP/city index
+ * @param {string} query - Search text
+ * @returns {Object|null} { type: 'zip', zip } or { type: 'city', city, state } or null
+ */
+export function parseLocalGeocodeQuery(query) {
+  if (!query) return null;
+
+  const text = query
+    .trim()
+    .replace(/,?\s*(USA|United States)$/i, '')
+    .trim();
+
+  const zipMatch = text.match(/^(\d{5})(-\d{4})?$/);
+  if (zipMatch) {
+    return { type: 'zip', zip: zipMatch[1] };
+  }
+
+  // "City, ST", "City, State" or "City, ST 12345"
+  const cityMatch = text.match(/^([^,\d]+),\s*([A-Za-z. ]+?)(?:\s+(\d{5})(-\d{4})?)?$/);
+  if (cityMatch) {
+    const state = getStateCode(cityMatch[2]);
+    if (!state) return null;
+    if (cityMatch[3]) {
+      return { type: 'zip', zip: cityMatch[3] };
+    }
+    const city = normalizeCityName(cityMatch[1]);
+    return city ? { type: 'city', city, state } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Look up a search in the local ZIP/city centroid index
+ * @param {Object} index - Parsed geocode-index.json ({ zips, cities })
+ * @param {string} query - Search text
+ * @returns {Object|null} { lat, lng } or null if the index can't answer the query
+ */
+export function geocodeLocally(index, query) {
+  const parsed = parseLocalGeocodeQuery(query);
+  if (!index || !parsed) return null;
+
+  const coords =
+    parsed.type === 'zip' ? index.zips?.[parsed.zip] : index.cities?.[parsed.state]?.[parsed.city];
+
+  if (!Array.isArray(coords)) return null;
+  return { lat: coords[0], lng: coords[1] };
+}
+
+/**
+ * Normalize a search for use as a geocode cache key
+ * @param {string} query - Search text
+ * @returns {string} Cache key
+ */
+export function getGeocodeCacheKey(query) {
+  return (query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find a cached geocoding result
+ * @param {Array} cache - Cached searches as [{ query, lat, lng }], oldest first
+ * @param {string} query - Search text
+ * @returns {Object|null} { lat, lng } or null if not cached
+ */
+export function getCachedGeocode(cache, query) {
+  if (!Array.isArray(cache)) return null;
+
+  const key = getGeocodeCacheKey(query);
+  const entry = cache.find((e) => e && e.query === key);
+  if (!entry || !isValidCoordinates(entry.lat, entry.lng)) return null;
+  return { lat: entry.lat, lng: entry.lng };
+}
+
+/**
+ * Add a geocoding result to the cache, dropping the oldest entries past the limit
+ * Stored as an array because object keys that look like ZIP codes don't keep insertion order
+ * @param {Array} cache - Cached searches as [{ query, lat, lng }], oldest first
+ * @param {string} query - Search text
+ * @param {Object} coords - { lat, lng }
+ * @param {number} maxEntries - Maximum number of cached searches (default: CONFIG.GEOCODE_CACHE_SIZE)
+ * @returns {Array} New cache array
+ */
+export function addToGeocodeCache(cache, query, coords, maxEntries = CONFIG.GEOCODE_CACHE_SIZE) {
+  const key = getGeocodeCacheKey(query);
+  const entries = (Array.isArray(cache) ? cache : []).filter((e) => e && e.query !== key);
+  entries.push({ query: key, lat: coords.lat, lng: coords.lng });
+  return entries.slice(-maxEntries);
+}
+
+/**
+ * Convert Nominatim search results (requested with addressdetails=1) to geocode candidates
+ * @param {Array} data - Nominatim JSON response
+ * @returns {Array} Candidates { lat, lng, city, county, state } in Nominatim's ranking order;
+ *   state is a postal code when recognized
+ */
+export function parseNominatimResults(data) {
+  if (!Array.isArray(data)) return [];
+
+  return data
+    .map((result) => {
+      const address = result?.address || {};
+      const state = address.state || '';
+      return {
+        lat: parseFloat(result?.lat),
+        lng: parseFloat(result?.lon),
+        city:
+          address.city ||
+          address.town ||
+          address.village ||
+          address.hamlet ||
+          address.municipality ||
+          '',
+        county: address.county || '',
+        state: getStateCode(state) || state,
+      };
+    })
+    .filter((candidate) => isValidCoordinates(candidate.lat, candidate.lng));
+}
+
+/**
+ * Drop geocode candidates that are near a higher-ranked candidate
+ * More than one remaining candidate means the search is ambiguous
+ * @param {Array} candidates - Candidates from parseNominatimResults, best first
+ * @param {number} minDistance - Miles apart for candidates to count as different places
+ *   (default: CONFIG.GEOCODE_AMBIGUOUS_MILES)
+ * @returns {Array} Distinct candidates, best first
+ */
+export function getDistinctGeocodeCandidates(
+  candidates,
+  minDistance = CONFIG.GEOCODE_AMBIGUOUS_MILES
+) {
+  if (!Array.isArray(candidates)) return [];
+
+  const distinct = [];
+  for (const candidate of candidates) {
+    const isNearKept = distinct.some(
+      (kept) => calculateDistance(kept.lat, kept.lng, candidate.lat, candidate.lng) < minDistance
+    );
+    if (!isNearKept) {
+      distinct.push(candidate);
+    }
+  }
+  return distinct;
+}
+
+/**
+ * Build the search text for a candidate, before checking it against the other candidates
+ * @returns {string|null} "City, ST", "City, County, ST", "County, ST" or null without either
+ */
+function buildGeocodeCandidateQuery(candidate, candidates) {
+  if (candidate.city) {
+    const sameCityAndState = candidates.some(
+      (other) =>
+        other !== candidate && other.city === candidate.city && other.state === candidate.state
+    );
+    const parts = [candidate.city, sameCityAndState && candidate.county, candidate.state];
+    return parts.filter(Boolean).join(', ');
+  }
+  if (candidate.county) {
+    return [candidate.county, candidate.state].filter(Boolean).join(', ');
+  }
+  return null;
+}
+
+/**
+ * Build search text that picks out one candidate, for the search box and share URL
+ * "City, ST" resolves from the bundled geocode index; the county is added when another
+ * candidate has the same city and state, and used instead of a missing city
+ * @param {Object} candidate - Chosen candidate
+ * @param {Array} candidates - All candidates offered
+ * @returns {string|null} Search text, e.g. "Springfield, IL", or null if no text picks out
+ *   the candidate (no city or county, or another candidate would get the same text)
+ */
+export function getGeocodeCandidateQuery(candidate, candidates = []) {
+  const query = buildGeocodeCandidateQuery(candidate, candidates);
+  const isShared = candidates.some(
+    (other) => other !== candidate && buildGeocodeCandidateQuery(other, candidates) === query
+  );
+  return query && !isShared ? query : null;
+}
+
+/**
+ * Title-case a normalized city name from the geocode index
+ * @param {string} city - Normalized city name, e.g. "fort collins"
+ * @returns {string} Display name, e.g. "Fort Collins"
+ */
+export function formatCityName(city) {
+  if (!city) return '';
+  return city.replace(/(^|[\s-])([a-z])/g, (_, sep, letter) => sep + letter.toUpperCase());
+}
+
+/**
+ * Find the city a point is most likely "near" in the local geocode index
+ * Cities are scored by ZIP count over squared distance, so a big city a few miles away
+ * beats a one-ZIP neighborhood or business ZIP next door
+ * @param {Object} index - Geocode index { cities: { ST: { city: [lat, lng, zipCount] } } }
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} maxDistance - Maximum distance in miles (default: CONFIG.REVERSE_GEOCODE_MAX_MILES)
+ * @returns {Object|null} { city, state } with a display city name, or null if none is close enough
+ */
+export function reverseGeocodeLocally(
+  index,
+  lat,
+  lng,
+  maxDistance = CONFIG.REVERSE_GEOCODE_MAX_MILES
+) {
+  if (!index?.cities || !isValidCoordinates(lat, lng)) return null;
+
+  // A degree of latitude is ~69 miles; skip cities that can't be close enough
+  const maxLatDelta = maxDistance / 69;
+  let best = null;
+  let bestScore = 0;
+
+  for (const [state, cities] of Object.entries(index.cities)) {
+    for (const [city, coords] of Object.entries(cities)) {
+      if (!Array.isArray(coords) || Math.abs(coords[0] - lat) > maxLatDelta) continue;
+
+      const distance = calculateDistance(lat, lng, coords[0], coords[1]);
+      if (distance > maxDistance) continue;
+
+      // +1 mile keeps a centroid right on top of the point from dominating
+      const score = (coords[2] || 1) / (distance + 1) ** 2;
+      if (score > bestScore) {
+        best = { city, state };
+        bestScore = score;
+      }
+    }
+  }
+
+  return best && { city: formatCityName(best.city), state: best.state };
+}
+
+/**
+ * Format a place as a short label
+ * @param {Object} place - { city, county, state } from reverseGeocodeLocally or parseNominatimResults
+ * @returns {string|null} e.g. "Denver, CO", or null if the place has no city or county
+ */
+export function formatLocationLabel(place) {
+  const name = place?.city || place?.county;
+  if (!name) return null;
+  return place.state ? `${name}, ${place.state}` : name;
+}
+
+/**
+ * Generate the "Did you mean…" choices for an ambiguous address search
+ * @param {Array} candidates - Distinct candidates from getDistinctGeocodeCandidates
+ * @returns {string} HTML list items with one button per candidate
+ */
+export function createGeocodeCandidatesHTML(candidates) {
+  if (!Array.isArray(candidates)) return '';
+
+  return candidates
+    .map((candidate, i) => {
+      const place = candidate.city || candidate.county || candidate.state;
+      const region = [
+        candidate.city && candidate.county,
+        getStateName(candidate.state) || candidate.state,
+      ]
+        .filter(Boolean)
+        .join(', ');
+      return `<li><button type="button" class="geocode-candidate" data-index="${i}"><strong>${escapeHtml(place)}</strong> <span class="geocode-candidate-region">${escapeHtml(region)}</span></button></li>`;
+    })
+    .join('');
+}
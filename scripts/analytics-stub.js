@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Run a local analytics server that captures beacons from the site
+ *
+ * Point the beacon provider at it in app.js while developing:
+ *   beacon: { endpoint: 'http://localhost:8787/api/event', domain: 'localhost' }
+ *
+ * Usage: node scripts/analytics-stub.js [port]   (default: 8787)
+ *
+ * Captured events are logged as they arrive and listed at /api/events.
+ */
+
+import {
+  createAnalyticsStubServer,
+  EVENT_PATH,
+  EVENTS_PATH,
+  formatBeacon,
+} from './utils/analytics-stub.js';
+
+const DEFAULT_PORT = 8787;
+
+const port = Number(process.argv[2]) || DEFAULT_PORT;
+
+const { server } = createAnalyticsStubServer({
+  onEvent: (event) => console.log(`${new Date().toISOString()} ${formatBeacon(event)}`),
+});
+
+server.listen(port, () => {
+  console.log(`Analytics stub listening on http://localhost:${port}${EVENT_PATH}`);
+  console.log(`Captured events: http://localhost:${port}${EVENTS_PATH}`);
+});
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark the spatial index against the brute-force search
+ *
+ * Loads shops.json, pads it with synthetic shops to the requested size,
+ * runs the same radius and nearest-neighbor queries both ways, checks the
+ * results are identical and prints timings.
+ *
+ * Usage: npm run benchmark:spatial -- [--shops 10000] [--queries 500]
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isDeepStrictEqual } from 'node:util';
+
+import {
+  CONFIG,
+  createSpatialIndex,
+  filterAndSortShops,
+  queryNearest,
+  queryRadius,
+} from '../app.utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const SHOPS_PATH = join(__dirname, '..', 'shops.json');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { shopCount, queryCount }
+ */
+function parseArgs(argv) {
+  const options = { shopCount: 10000, queryCount: 500 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--shops') options.shopCount = Number(argv[++i]);
+    if (argv[i] === '--queries') options.queryCount = Number(argv[++i]);
+  }
+  return options;
+}
+
+/**
+ * Seeded pseudo-random generator so runs are comparable
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Time a function over every query point
+ * @returns {Object} { ms, results }
+ */
+function time(points, fn) {
+  const start = performance.now();
+  const results = points.map(([lat, lng]) => fn(lat, lng));
+  return { ms: performance.now() - start, results };
+}
+
+async function main() {
+  const { shopCount, queryCount } = parseArgs(process.argv.slice(2));
+  const random = createRandom(1);
+
+  const { shops: realShops } = JSON.parse(await readFile(SHOPS_PATH, 'utf8'));
+  const shops = [...realShops];
+
+  // Pad with synthetic shops jittered around real ones to keep a realistic distribution
+  while (shops.length < shopCount) {
+    const base = realShops[Math.floor(random() * realShops.length)];
+    shops.push({
+      ...base,
+      id: shops.length + 1,
+      lat: base.lat + (random() - 0.5) * 0.5,
+      lng: base.lng + (random() - 0.5) * 0.5,
+    });
+  }
+
+  const points = Array.from({ length: queryCount }, () => {
+    const shop = shops[Math.floor(random() * shops.length)];
+    return [shop.lat + (random() - 0.5) * 2, shop.lng + (random() - 0.5) * 2];
+  });
+
+  const buildStart = performance.now();
+  const index = createSpatialIndex(shops);
+  const buildMs = performance.now() - buildStart;
+
+  console.log(`Shops: ${shops.length}, queries: ${queryCount}`);
+  console.log(`Index build: ${buildMs.toFixed(1)} ms (${index.cells.size} cells)\n`);
+
+  const benchmarks = [
+    ...CONFIG.RADIUS_OPTIONS.map((radius) => ({
+      name: `radius ${radius} mi`,
+      bruteForce: (lat, lng) => filterAndSortShops(shops, lat, lng, radius, Infinity),
+      indexed: (lat, lng) => queryRadius(index, lat, lng, radius),
+    })),
+    {
+      name: `nearest ${CONFIG.MAX_RESULTS}`,
+      bruteForce: (lat, lng) => filterAndSortShops(shops, lat, lng, Infinity, CONFIG.MAX_RESULTS),
+      indexed: (lat, lng) => queryNearest(index, lat, lng, CONFIG.MAX_RESULTS),
+    },
+  ];
+
+  let mismatches = 0;
+
+  for (const { name, bruteForce, indexed } of benchmarks) {
+    const expected = time(points, bruteForce);
+    const actual = time(points, indexed);
+    const same = isDeepStrictEqual(expected.results, actual.results);
+    if (!same) mismatches++;
+
+    const speedup = expected.ms / actual.ms;
+    console.log(
+      `${name.padEnd(16)} brute force ${expected.ms.toFixed(1).padStart(8)} ms   ` +
+        `index ${actual.ms.toFixed(1).padStart(8)} ms   ${speedup.toFixed(1)}x   ` +
+        `${same ? 'identical' : 'MISMATCH'}`
+    );
+  }
+
+  if (mismatches > 0) {
+    console.error(`\n${mismatches} benchmark(s) returned different results`);
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('\nFatal error:', error);
+  process.exit(1);
+});
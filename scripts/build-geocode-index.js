@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Build the local geocode index (geocode-index.json)
+ *
+ * Generates ZIP code and "City, ST" centroids from the zipcodes package so the
+ * frontend can resolve common searches without calling Nominatim.
+ *
+ * Usage: npm run build:geocode-index
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import zipcodes from 'zipcodes';
+import { buildGeocodeIndex } from './utils/geocode-index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const OUTPUT_PATH = join(__dirname, '..', 'geocode-index.json');
+
+async function main() {
+  const index = buildGeocodeIndex(Object.values(zipcodes.codes));
+
+  const zipCount = Object.keys(index.zips).length;
+  const cityCount = Object.values(index.cities).reduce(
+    (sum, cities) => sum + Object.keys(cities).length,
+    0
+  );
+
+  // Minified: the browser downloads this file
+  await writeFile(OUTPUT_PATH, `${JSON.stringify(index)}\n`);
+  console.log(`Wrote ${zipCount} ZIP codes and ${cityCount} cities to geocode-index.json`);
+}
+
+main().catch((error) => {
+  console.error('\nFatal error:', error);
+  process.exit(1);
+});
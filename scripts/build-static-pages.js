@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Build static state, city and shop pages and sitemap.xml
+ *
+ * Reads shops.json and writes crawlable pages under <output>/shops/ so search
+ * engines can index shops without running the search UI.
+ *
+ * Usage: node scripts/build-static-pages.js [output-dir]   (default: _site, relative to the repo root)
+ *
+ * Environment variables:
+ *   SITE_URL - Absolute URL the site is deployed at, used for canonical links,
+ *              structured data and the sitemap
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { generateStaticPages } from './utils/static-pages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+const SHOPS_PATH = join(ROOT_DIR, 'shops.json');
+
+const DEFAULT_SITE_URL = 'https://skateindex.com/';
+
+async function main() {
+  const outputDir = resolve(ROOT_DIR, process.argv[2] || '_site');
+  const siteUrl = process.env.SITE_URL || DEFAULT_SITE_URL;
+
+  const data = JSON.parse(await readFile(SHOPS_PATH, 'utf8'));
+  const { pages, sitemap, stats } = generateStaticPages(data, siteUrl);
+
+  for (const page of pages) {
+    const dir = join(outputDir, page.path);
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, 'index.html'), page.html);
+  }
+  await writeFile(join(outputDir, 'sitemap.xml'), sitemap);
+
+  console.log(
+    `Wrote ${pages.length} pages (${stats.states} states, ${stats.cities} cities, ${stats.shops} shops) and sitemap.xml`
+  );
+}
+
+main().catch((error) => {
+  console.error('\nFatal error:', error);
+  process.exit(1);
+});
@@ -26,6 +26,13 @@ import {
 import { deduplicateShops } from './processors/deduplicator.js';
 import { isWithinUSA, validateAllCoordinates } from './processors/geocoder.js';
 import { normalizeShops, prepareForOutput } from './processors/normalizer.js';
+import {
+  assignStableIds,
+  createEmptyRegistry,
+  loadIdRegistry,
+  saveIdRegistry,
+  seedRegistryFromShops,
+} from './utils/id-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -200,15 +207,43 @@ async function processShops(shops) {
 }
 
 /**
- * Generate sequential numeric IDs for shops
+ * Load previously published shops (used to seed the ID registry)
+ * @returns {Promise<Array>} Shops from the current shops.json, or empty array
+ */
+async function loadExistingShops() {
+  try {
+    const data = JSON.parse(await readFile(OUTPUT_PATH, 'utf8'));
+    return Array.isArray(data.shops) ? data.shops : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Assign persistent numeric IDs from the ID registry
+ * Known shops keep their ID, new shops get fresh IDs, and IDs are never reused
  * @param {Array} shops - Shop array
- * @returns {Array} Shops with numeric IDs
+ * @returns {Promise<Array>} Shops with numeric IDs
  */
-function assignNumericIds(shops) {
-  return shops.map((shop, index) => ({
-    ...shop,
-    id: index + 1,
-  }));
+async function assignPersistentIds(shops) {
+  const existing = await loadIdRegistry();
+  const registry = existing || createEmptyRegistry();
+
+  // Shops not in the registry yet keep the ID they already have in shops.json
+  const matched = seedRegistryFromShops(registry, shops, await loadExistingShops());
+  if (!existing) {
+    console.log(`Created new ID registry (kept ${matched} IDs from existing shops.json)`);
+  } else if (matched > 0) {
+    console.log(`Registered ${matched} shops under their existing shops.json IDs`);
+  }
+
+  const before = registry.nextId;
+  const withIds = assignStableIds(shops, registry);
+  await saveIdRegistry(registry);
+
+  console.log(`Assigned IDs: ${registry.nextId - before} new, next ID is ${registry.nextId}`);
+
+  return withIds;
 }
 
 /**
@@ -289,8 +324,8 @@ async function writePendingReview(shops) {
 async function writeOutput(shops) {
   console.log('\n=== Writing output ===\n');
 
-  // Assign sequential numeric IDs
-  const withIds = assignNumericIds(shops);
+  // Assign persistent numeric IDs
+  const withIds = await assignPersistentIds(shops);
 
   // Prepare for output (remove internal metadata)
   const output = prepareForOutput(withIds);
@@ -309,6 +344,7 @@ async function writeOutput(shops) {
       withWebsite: output.filter((s) => s.website).length,
       withPhone: output.filter((s) => s.phone).length,
       withPhoto: output.filter((s) => s.photoName || s.photo).length,
+      withHours: output.filter((s) => s.hours).length,
     },
   };
 
@@ -322,6 +358,7 @@ async function writeOutput(shops) {
   console.log(`  - With website: ${data.stats.withWebsite}`);
   console.log(`  - With phone: ${data.stats.withPhone}`);
   console.log(`  - With photo: ${data.stats.withPhoto}`);
+  console.log(`  - With hours: ${data.stats.withHours}`);
 }
 
 /**
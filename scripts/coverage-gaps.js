@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Rank under-covered regions from exported coverage_gap analytics events
+ *
+ * The site reports location searches that find fewer than a few shops as `coverage_gap`
+ * events with a coarse geohash cell. This groups an export of those events into regions
+ * and suggests metro centers to add to US_METRO_AREAS in scripts/sources/google-places.js.
+ *
+ * Usage:
+ *   npm run report:coverage -- export.csv              # Top 20 regions not near a metro
+ *   npm run report:coverage -- export.json --all       # Include regions near existing metros
+ *   npm run report:coverage -- export.csv --limit 50   # Show more regions
+ *   npm run report:coverage -- export.csv --json       # Machine-readable output
+ *
+ * Input: CSV with geohash, result_count and radius columns (and optionally an event count
+ * column, as in GA4 exploration exports), a JSON array of events, or GA4 BigQuery rows.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { US_METRO_AREAS } from './sources/google-places.js';
+import {
+  formatCoverageReport,
+  parseCoverageEvents,
+  rankCoverageGaps,
+} from './utils/coverage-gaps.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const GEOCODE_INDEX_PATH = join(__dirname, '..', 'geocode-index.json');
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { input, limit, all, json }
+ */
+function parseArgs(args) {
+  const options = { input: null, limit: DEFAULT_LIMIT, all: false, json: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--limit') {
+      const limit = Number(args[++i]);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('--limit requires a positive number');
+      }
+      options.limit = limit;
+    } else if (!arg.startsWith('--') && !options.input) {
+      options.input = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!options.input) {
+    throw new Error(
+      'Usage: node scripts/coverage-gaps.js <export.csv|export.json> [--all] [--limit N] [--json]'
+    );
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const events = parseCoverageEvents(readFileSync(options.input, 'utf8'));
+  const geocodeIndex = existsSync(GEOCODE_INDEX_PATH)
+    ? JSON.parse(readFileSync(GEOCODE_INDEX_PATH, 'utf8'))
+    : null;
+
+  const ranked = rankCoverageGaps(events, US_METRO_AREAS, { geocodeIndex });
+  const regions = (options.all ? ranked : ranked.filter((region) => !region.covered)).slice(
+    0,
+    options.limit
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify(regions, null, 2));
+    return;
+  }
+
+  const skipped = ranked.filter((region) => region.covered).length;
+  console.log(`${events.length} coverage gap rows, ${ranked.length} regions\n`);
+  console.log(formatCoverageReport(regions));
+  if (!options.all && skipped > 0) {
+    console.log(`\n${skipped} regions within range of an existing metro hidden (use --all)`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`\nError: ${error.message}`);
+  process.exit(1);
+}
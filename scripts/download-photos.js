@@ -3,21 +3,22 @@
 /**
  * Download storefront photos from Google Places Photo Media API
  *
- * Reads shops.json, downloads photos for shops with photoName references,
- * saves them as static images, and updates shops.json with photo filenames.
+ * Reads shops.json, downloads photos for shops with photoName references, writes each in
+ * several sizes as WebP and JPEG, and updates shops.json with the photo filename, its sizes
+ * and a blur placeholder. Photos downloaded before sizes existed are resized from the local copy.
  *
  * Requires GOOGLE_PLACES_API_KEY environment variable.
  *
  * Usage: npm run download:photos
  */
 
-import { createWriteStream, existsSync, mkdirSync } from 'node:fs';
+import { existsSync, mkdirSync, readdirSync } from 'node:fs';
 import { readFile, writeFile } from 'node:fs/promises';
 import { dirname, join } from 'node:path';
-import { pipeline } from 'node:stream/promises';
 import { fileURLToPath } from 'node:url';
 
 import fetch from 'node-fetch';
+import { indexPhotoWidths, processPhoto, updateShopPhoto } from './utils/photos.js';
 import { RateLimiter } from './utils/rate-limiter.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -28,6 +29,9 @@ const IMAGES_DIR = join(__dirname, '..', 'images', 'shops');
 const API_KEY = process.env.GOOGLE_PLACES_API_KEY;
 const PHOTO_MEDIA_BASE = 'https://places.googleapis.com/v1';
 
+// Requested source size; big enough for the largest photo width after a 3:2 crop
+const SOURCE_MAX_PX = 1600;
+
 // Rate limit: 5 requests per second (conservative)
 const rateLimiter = new RateLimiter(5);
 
@@ -46,11 +50,10 @@ function extractPlaceId(photoName) {
 /**
  * Download a single photo from Google Places Photo Media API
  * @param {string} photoName - Photo resource name (e.g. "places/ChIJ.../photos/AelY...")
- * @param {string} outputPath - Path to save the image
- * @returns {Promise<boolean>} True if download succeeded
+ * @returns {Promise<Buffer>} Image data
  */
-async function downloadPhoto(photoName, outputPath) {
-  const url = `${PHOTO_MEDIA_BASE}/${photoName}/media?maxHeightPx=400&maxWidthPx=600&skipHttpRedirect=true`;
+async function downloadPhoto(photoName) {
+  const url = `${PHOTO_MEDIA_BASE}/${photoName}/media?maxHeightPx=${SOURCE_MAX_PX}&maxWidthPx=${SOURCE_MAX_PX}&skipHttpRedirect=true`;
 
   const response = await fetch(url, {
     headers: {
@@ -75,8 +78,17 @@ async function downloadPhoto(photoName, outputPath) {
     throw new Error(`Image download failed: HTTP ${imageResponse.status}`);
   }
 
-  await pipeline(imageResponse.body, createWriteStream(outputPath));
-  return true;
+  return Buffer.from(await imageResponse.arrayBuffer());
+}
+
+/**
+ * Get the photo filename for a shop
+ * Uses the stable place ID from a photoName, or the existing photo of a shop processed before
+ * @param {Object} shop - Shop with photoName or photo
+ * @returns {string} Filename, e.g. 'ChIJabc123.jpg'
+ */
+function getPhotoFilename(shop) {
+  return shop.photoName ? `${extractPlaceId(shop.photoName)}.jpg` : shop.photo;
 }
 
 /**
@@ -95,8 +107,8 @@ async function main() {
   const shopsData = JSON.parse(await readFile(SHOPS_PATH, 'utf8'));
   const shops = shopsData.shops;
 
-  // Find shops with photoName
-  const shopsWithPhoto = shops.filter((s) => s.photoName);
+  // Find shops with photoName, and photos saved before sizes were generated
+  const shopsWithPhoto = shops.filter((s) => s.photoName || (s.photo && !s.photoWidths));
   console.log(
     `Found ${shopsWithPhoto.length} shops with photo references (out of ${shops.length} total)\n`
   );
@@ -108,59 +120,70 @@ async function main() {
 
   // Ensure output directory exists
   mkdirSync(IMAGES_DIR, { recursive: true });
+  const written = indexPhotoWidths(readdirSync(IMAGES_DIR));
+  // Photo filename -> shops.json fields from processPhoto
+  const processed = new Map();
 
   let downloaded = 0;
+  let resized = 0;
   let skipped = 0;
   let failed = 0;
 
   for (let i = 0; i < shopsWithPhoto.length; i++) {
     const shop = shopsWithPhoto[i];
-    const placeId = extractPlaceId(shop.photoName);
-    const filename = `${placeId}.jpg`;
+    const filename = getPhotoFilename(shop);
     const outputPath = join(IMAGES_DIR, filename);
 
     process.stdout.write(
-      `\r  [${i + 1}/${shopsWithPhoto.length}] Downloading photos... (${downloaded} done, ${skipped} skipped, ${failed} failed)`
+      `\r  [${i + 1}/${shopsWithPhoto.length}] Processing photos... (${downloaded} downloaded, ${resized} resized, ${skipped} skipped, ${failed} failed)`
     );
 
-    // Skip if already downloaded (uses stable place ID, not sequential shop ID)
-    if (existsSync(outputPath)) {
+    // Skip if already processed (uses stable place ID, not sequential shop ID)
+    if (written.has(filename)) {
       skipped++;
       continue;
     }
 
-    await rateLimiter.wait();
-
     try {
-      await downloadPhoto(shop.photoName, outputPath);
-      downloaded++;
+      if (existsSync(outputPath)) {
+        // Single-size photo from before sizes were generated
+        processed.set(
+          filename,
+          await processPhoto(await readFile(outputPath), filename, IMAGES_DIR)
+        );
+        resized++;
+      } else if (shop.photoName) {
+        await rateLimiter.wait();
+        processed.set(
+          filename,
+          await processPhoto(await downloadPhoto(shop.photoName), filename, IMAGES_DIR)
+        );
+        downloaded++;
+      } else {
+        throw new Error('Photo file is missing');
+      }
     } catch (error) {
       failed++;
-      console.error(`\n  Failed ${shop.name} (${placeId}): ${error.message}`);
+      console.error(`\n  Failed ${shop.name} (${filename}): ${error.message}`);
     }
   }
 
   console.log(`\n\nDownload complete:`);
   console.log(`  - Downloaded: ${downloaded}`);
+  console.log(`  - Resized from an earlier download: ${resized}`);
   console.log(`  - Skipped (already exists): ${skipped}`);
   console.log(`  - Failed: ${failed}`);
 
-  // Rewrite shops.json: replace photoName with photo for shops that have images
+  // Rewrite shops.json: replace photoName with the photo, its sizes and placeholder
   console.log('\nUpdating shops.json...');
   let photosAdded = 0;
 
   for (const shop of shops) {
-    if (shop.photoName) {
-      const placeId = extractPlaceId(shop.photoName);
-      const filename = `${placeId}.jpg`;
-      const imagePath = join(IMAGES_DIR, filename);
-
-      if (existsSync(imagePath)) {
-        shop.photo = filename;
-        photosAdded++;
-      }
+    if (!shop.photoName && !shop.photo) continue;
 
-      delete shop.photoName;
+    const options = { processed, written, outputDir: IMAGES_DIR };
+    if (await updateShopPhoto(shop, getPhotoFilename(shop), options)) {
+      photosAdded++;
     }
   }
 
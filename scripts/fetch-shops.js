@@ -6,32 +6,127 @@
  *
  * This separates API calls from data processing, allowing re-runs
  * of processing without burning API quota.
+ *
+ * Results are cached per metro area and saved after every metro, so an
+ * interrupted run picks up where it left off when started again.
+ *
+ * Usage:
+ *   npm run fetch                              # Refetch all metros (resumes if interrupted)
+ *   npm run fetch -- --stale-after 30          # Only refetch metros older than 30 days
+ *   npm run fetch -- --only "Denver,Boulder"   # Only refetch the named metros
+ *   npm run fetch -- --dry-run                 # Show what would be fetched
  */
 
-import { writeFileSync } from 'node:fs';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import { fetchRawFromGooglePlaces } from './sources/google-places.js';
+import { fetchRawFromGooglePlaces, resolveMetroNames } from './sources/google-places.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const RAW_DATA_PATH = join(__dirname, 'data', 'google-places-raw.json');
 
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { dryRun, only, staleAfterDays }
+ */
+function parseArgs(args) {
+  const options = { dryRun: false, only: null, staleAfterDays: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--only') {
+      const value = args[++i];
+      if (!value) {
+        throw new Error('--only requires a metro name');
+      }
+      // Repeatable and comma-separated: --only Denver --only "Salt Lake City,Boise"
+      const names = value
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+      options.only = [...(options.only || []), ...names];
+    } else if (arg === '--stale-after') {
+      const days = Number(args[++i]);
+      if (!Number.isFinite(days) || days < 0) {
+        throw new Error('--stale-after requires a number of days');
+      }
+      options.staleAfterDays = days;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load previously fetched raw data, if any
+ * @returns {Object|null} Cached raw data or null
+ */
+function loadCachedData() {
+  if (!existsSync(RAW_DATA_PATH)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(RAW_DATA_PATH, 'utf8'));
+  } catch (err) {
+    console.error('Ignoring unreadable cache file:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Save raw data atomically so a crash mid-write can't corrupt the cache
+ * @param {Object} rawData - Raw data object
+ */
+function saveRawData(rawData) {
+  const tmpPath = `${RAW_DATA_PATH}.tmp`;
+  writeFileSync(tmpPath, `${JSON.stringify(rawData, null, 2)}\n`);
+  renameSync(tmpPath, RAW_DATA_PATH);
+}
+
 async function main() {
   console.log('=================================');
   console.log('  Fetching Raw Google Places Data');
   console.log('=================================');
 
-  const args = process.argv.slice(2);
-  const dryRun = args.includes('--dry-run');
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (options.only) {
+      resolveMetroNames(options.only);
+    }
+  } catch (error) {
+    console.error(`\n${error.message}`);
+    process.exit(1);
+  }
+
+  const { dryRun, only, staleAfterDays } = options;
 
   if (dryRun) {
     console.log('\n[DRY RUN MODE]');
   }
 
   try {
-    const rawResults = await fetchRawFromGooglePlaces({ dryRun });
+    const cachedData = loadCachedData();
+    if (cachedData) {
+      console.log(`\nFound cached raw data from ${cachedData.fetchedAt}`);
+    }
+
+    const rawResults = await fetchRawFromGooglePlaces({
+      dryRun,
+      cachedData,
+      only,
+      staleAfterDays,
+      onProgress: saveRawData,
+    });
 
     if (dryRun) {
       console.log('\nDry run complete. No data saved.');
@@ -43,27 +138,18 @@ async function main() {
       process.exit(1);
     }
 
-    const output = {
-      fetchedAt: new Date().toISOString(),
-      apiVersion: 'v1',
-      stats: {
-        totalMetros: rawResults.metros.length,
-        totalPlaces: rawResults.totalPlaces,
-        totalRequests: rawResults.requestCount,
-      },
-      metros: rawResults.metros,
-    };
-
-    writeFileSync(RAW_DATA_PATH, `${JSON.stringify(output, null, 2)}\n`);
+    const { fetchedMetros, requestCount, totalPlaces, ...output } = rawResults;
+    saveRawData(output);
 
     console.log(`\n=================================`);
     console.log(`  Fetch complete!`);
     console.log(`=================================`);
     console.log(`\nSaved raw data to: ${RAW_DATA_PATH}`);
     console.log(`\nStats:`);
-    console.log(`  - Metros searched: ${output.stats.totalMetros}`);
-    console.log(`  - Total places: ${output.stats.totalPlaces}`);
-    console.log(`  - API requests used: ${output.stats.totalRequests}`);
+    console.log(`  - Metros searched this run: ${fetchedMetros}`);
+    console.log(`  - Metros in cache: ${output.stats.totalMetros}`);
+    console.log(`  - Total places: ${totalPlaces}`);
+    console.log(`  - API requests used: ${requestCount}`);
     console.log(`\nNext step: Run "npm run collect" to process the data.`);
   } catch (error) {
     console.error('\nFatal error:', error);
@@ -153,6 +153,10 @@ function mergeShops(existing, incoming) {
     // Keep Google Places metadata
     googlePlaceId: base.googlePlaceId || other.googlePlaceId,
     types: base.types || other.types,
+    openingHours: base.openingHours || other.openingHours,
+    hours: base.hours || other.hours,
+    timeZone: base.timeZone || other.timeZone,
+    utcOffsetMinutes: base.utcOffsetMinutes ?? other.utcOffsetMinutes,
     // Keep both OSM IDs if available
     osmId: base.osmId || other.osmId,
     osmType: base.osmType || other.osmType,
@@ -5,32 +5,13 @@
 
 import fetch from 'node-fetch';
 import { RateLimiter } from '../utils/rate-limiter.js';
+import { isWithinUSA } from '../utils/us-boundary.js';
 
 // Nominatim rate limit: 1 request per second
 const rateLimiter = new RateLimiter(1);
 
-// USA coordinate bounds
-const USA_BOUNDS = {
-  minLat: 24.5,
-  maxLat: 49.5,
-  minLng: -125.0,
-  maxLng: -66.5,
-};
-
-/**
- * Check if coordinates are within USA bounds
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {boolean} True if within USA
- */
-export function isWithinUSA(lat, lng) {
-  return (
-    lat >= USA_BOUNDS.minLat &&
-    lat <= USA_BOUNDS.maxLat &&
-    lng >= USA_BOUNDS.minLng &&
-    lng <= USA_BOUNDS.maxLng
-  );
-}
+// Re-export so pipeline code keeps a single import for coordinate checks
+export { isWithinUSA };
 
 /**
  * Reverse geocode coordinates to get address
@@ -3,6 +3,11 @@
  * Cleans and formats shop data consistently
  */
 
+import { isValidTimeZone, isValidWeeklyHours } from '../../app.utils.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
 /**
  * Clean and normalize shop name
  * @param {string} name - Raw shop name
@@ -139,6 +144,104 @@ function normalizeCoordinate(coord) {
   return Math.round(coord * 1000000) / 1000000;
 }
 
+/**
+ * Format minutes since midnight as "HHMM"
+ * @param {number} minutes - Minutes since midnight (0-1440)
+ * @returns {string} e.g. "0930"
+ */
+function formatHHMM(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert Google Places opening periods to compact weekly hours
+ * Periods that cross midnight are split at the day boundary, and overlapping or
+ * touching ranges on a day are merged
+ * @param {Array} periods - regularOpeningHours.periods ({ open: { day, hour, minute }, close })
+ * @returns {Array<string>|null} 7 strings, Sunday first (e.g. "1000-1800", "" for closed), or null
+ */
+export function compactOpeningHours(periods) {
+  if (!Array.isArray(periods) || periods.length === 0) return null;
+
+  const toWeekMinutes = (point) => point.day * MINUTES_PER_DAY + point.hour * 60 + point.minute;
+  const isPoint = (point) =>
+    point && [point.day, point.hour, point.minute].every((value) => Number.isInteger(value));
+
+  const days = Array.from({ length: 7 }, () => []);
+
+  for (const period of periods) {
+    if (!isPoint(period?.open)) continue;
+
+    // A period without a close time means open 24/7
+    if (!period.close) {
+      return Array(7).fill(`0000-${formatHHMM(MINUTES_PER_DAY)}`);
+    }
+    if (!isPoint(period.close)) continue;
+
+    let start = toWeekMinutes(period.open);
+    let end = toWeekMinutes(period.close);
+    if (end <= start) {
+      end += MINUTES_PER_WEEK; // Wraps past Saturday night
+    }
+
+    while (start < end) {
+      const day = Math.floor(start / MINUTES_PER_DAY) % 7;
+      const dayStart = start % MINUTES_PER_DAY;
+      const dayEnd = Math.min(MINUTES_PER_DAY, dayStart + (end - start));
+      days[day].push([dayStart, dayEnd]);
+      start += dayEnd - dayStart;
+    }
+  }
+
+  if (days.every((ranges) => ranges.length === 0)) return null;
+
+  return days.map((ranges) => {
+    const merged = [];
+    for (const [open, close] of ranges.sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last && open <= last[1]) {
+        last[1] = Math.max(last[1], close);
+      } else {
+        merged.push([open, close]);
+      }
+    }
+    return merged.map(([open, close]) => `${formatHHMM(open)}-${formatHHMM(close)}`).join(',');
+  });
+}
+
+/**
+ * Get compact weekly hours from Google periods or an already-compact hours array
+ * @param {Object} shop - Raw shop object
+ * @returns {Array<string>|null} Compact weekly hours or null
+ */
+function normalizeHours(shop) {
+  if (shop.openingHours) {
+    return compactOpeningHours(shop.openingHours);
+  }
+  return isValidWeeklyHours(shop.hours) ? shop.hours : null;
+}
+
+/**
+ * Resolve a shop's time zone
+ * Falls back to a fixed UTC offset (no daylight saving) when no IANA zone is known
+ * @param {string|null} timeZone - IANA time zone, e.g. "America/Denver"
+ * @param {number|null} utcOffsetMinutes - Current UTC offset in minutes
+ * @returns {string|null} IANA time zone or null
+ */
+export function normalizeTimeZone(timeZone, utcOffsetMinutes) {
+  if (isValidTimeZone(timeZone)) {
+    return timeZone;
+  }
+  if (Number.isInteger(utcOffsetMinutes) && utcOffsetMinutes % 60 === 0) {
+    // Etc/GMT zones have inverted signs: UTC-7 is "Etc/GMT+7"
+    const hours = -utcOffsetMinutes / 60;
+    if (hours === 0) return 'Etc/GMT';
+    return `Etc/GMT${hours > 0 ? '+' : ''}${hours}`;
+  }
+  return null;
+}
+
 /**
  * Normalize a single shop object
  * @param {Object} shop - Raw shop object
@@ -153,6 +256,8 @@ export function normalizeShop(shop) {
     lng: normalizeCoordinate(shop.lng),
     website: normalizeWebsite(shop.website),
     phone: normalizePhone(shop.phone),
+    hours: normalizeHours(shop),
+    timeZone: normalizeTimeZone(shop.timeZone, shop.utcOffsetMinutes),
     isIndependent: shop.isIndependent,
     // Preserve for confidence filtering (stripped in prepareForOutput)
     types: shop.types,
@@ -179,6 +284,7 @@ export function normalizeShops(shops) {
   const withWebsite = normalized.filter((s) => s.website).length;
   const withPhone = normalized.filter((s) => s.phone).length;
   const withAddress = normalized.filter((s) => s.address).length;
+  const withHours = normalized.filter((s) => s.hours).length;
 
   console.log(`Normalization complete:`);
   console.log(
@@ -188,6 +294,7 @@ export function normalizeShops(shops) {
     `  - ${withWebsite} with website (${Math.round((withWebsite / shops.length) * 100)}%)`
   );
   console.log(`  - ${withPhone} with phone (${Math.round((withPhone / shops.length) * 100)}%)`);
+  console.log(`  - ${withHours} with hours (${Math.round((withHours / shops.length) * 100)}%)`);
 
   return normalized;
 }
@@ -211,8 +318,15 @@ export function prepareForOutput(shops) {
     // Only include optional fields if they have values
     if (shop.website) output.website = shop.website;
     if (shop.phone) output.phone = shop.phone;
+    // Hours are only useful with a time zone to evaluate them in
+    if (shop.hours && shop.timeZone) {
+      output.hours = shop.hours;
+      output.timeZone = shop.timeZone;
+    }
     if (shop.photoName) output.photoName = shop.photoName;
     if (shop.photo) output.photo = shop.photo;
+    if (shop.photoWidths) output.photoWidths = shop.photoWidths;
+    if (shop.photoPlaceholder) output.photoPlaceholder = shop.photoPlaceholder;
 
     return output;
   });
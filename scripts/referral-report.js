@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Build monthly referral reports per shop and per state from exported shop_click events
+ *
+ * The site reports website, phone and directions clicks as `shop_click` events keyed by shop
+ * ID. This totals an export of those events by month and writes CSV files plus a Markdown
+ * report per shop that can be emailed to the shop.
+ *
+ * Usage:
+ *   npm run report:referrals -- export.csv                      # Write to referral-report/
+ *   npm run report:referrals -- export.json --out reports/sep   # Choose the output directory
+ *   npm run report:referrals -- export.csv --month 2026-09      # Only one month
+ *
+ * Input: CSV with shop_id and action columns plus a date or year-month column (and optionally
+ * an event count column, as in GA4 exploration exports), a JSON array of events, or GA4
+ * BigQuery rows.
+ *
+ * Output:
+ *   shops.csv          Month, shop, city, state and counts by action
+ *   states.csv         Month, state, shops with referrals and counts by action
+ *   states.md          State totals as a Markdown table
+ *   shops/<id>-<name>.md  One report per shop
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+  aggregateReferrals,
+  formatReferralCSV,
+  formatShopReferralMarkdown,
+  formatStateReferralMarkdown,
+  parseReferralEvents,
+  SHOP_CSV_COLUMNS,
+  STATE_CSV_COLUMNS,
+} from './utils/referral-report.js';
+import { slugify } from './utils/static-pages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+const SHOPS_PATH = join(ROOT_DIR, 'shops.json');
+
+const DEFAULT_OUTPUT_DIR = 'referral-report';
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { input, out, month }
+ */
+function parseArgs(args) {
+  const options = { input: null, out: DEFAULT_OUTPUT_DIR, month: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--out') {
+      options.out = args[++i];
+      if (!options.out) {
+        throw new Error('--out requires a directory');
+      }
+    } else if (arg === '--month') {
+      options.month = args[++i];
+      if (!/^\d{4}-\d{2}$/.test(options.month ?? '')) {
+        throw new Error('--month requires a month like 2026-09');
+      }
+    } else if (!arg.startsWith('--') && !options.input) {
+      options.input = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!options.input) {
+    throw new Error(
+      'Usage: node scripts/referral-report.js <export.csv|export.json> [--out dir] [--month YYYY-MM]'
+    );
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const allEvents = parseReferralEvents(await readFile(options.input, 'utf8'));
+  const events = options.month
+    ? allEvents.filter((event) => event.month === options.month)
+    : allEvents;
+  const { shops } = JSON.parse(await readFile(SHOPS_PATH, 'utf8'));
+  const report = aggregateReferrals(events, shops);
+
+  const shopsDir = join(options.out, 'shops');
+  await mkdir(shopsDir, { recursive: true });
+  await writeFile(
+    join(options.out, 'shops.csv'),
+    formatReferralCSV(report.shops, SHOP_CSV_COLUMNS)
+  );
+  await writeFile(
+    join(options.out, 'states.csv'),
+    formatReferralCSV(report.states, STATE_CSV_COLUMNS)
+  );
+  await writeFile(
+    join(options.out, 'states.md'),
+    `${formatStateReferralMarkdown(report.states)}\n`
+  );
+
+  const rowsByShop = new Map();
+  for (const row of report.shops) {
+    rowsByShop.set(row.shopId, [...(rowsByShop.get(row.shopId) || []), row]);
+  }
+  for (const [shopId, rows] of rowsByShop) {
+    const slug = slugify(rows[0].name);
+    await writeFile(
+      join(shopsDir, `${shopId}${slug ? `-${slug}` : ''}.md`),
+      `${formatShopReferralMarkdown(rows)}\n`
+    );
+  }
+
+  const unmatched = [...rowsByShop.values()].filter((rows) => !rows[0].name).length;
+  console.log(
+    `${events.length} referral rows, ${rowsByShop.size} shops, ${report.states.length} state-months`
+  );
+  if (unmatched > 0) {
+    console.log(`${unmatched} shop IDs not in shops.json (closed or removed)`);
+  }
+  console.log(`Wrote ${options.out}/`);
+}
+
+main().catch((error) => {
+  console.error(`\nError: ${error.message}`);
+  process.exit(1);
+});
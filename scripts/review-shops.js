@@ -10,6 +10,15 @@ import { dirname, join } from 'node:path';
 import { createInterface } from 'node:readline';
 import { fileURLToPath } from 'node:url';
 
+import {
+  assignUniqueId,
+  createEmptyRegistry,
+  getRegisteredIds,
+  loadIdRegistry,
+  saveIdRegistry,
+  seedRegistryFromShops,
+} from './utils/id-registry.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -48,6 +57,24 @@ function loadShopsFile() {
   }
 }
 
+/**
+ * Load the ID registry, starting a new one above the current max ID if missing
+ */
+async function loadIdRegistryOrSeed(shops) {
+  const registry = await loadIdRegistry();
+  if (registry) {
+    // Never hand out an ID that's already in shops.json but missing from the registry
+    const maxId = shops.reduce((max, s) => Math.max(max, s.id || 0), 0);
+    const maxRegistered = Math.max(0, ...getRegisteredIds(registry));
+    registry.nextId = Math.max(registry.nextId, maxId + 1, maxRegistered + 1);
+    return registry;
+  }
+
+  const seeded = createEmptyRegistry();
+  seedRegistryFromShops(seeded, [], shops);
+  return seeded;
+}
+
 /**
  * Display shop information for review
  */
@@ -84,13 +111,15 @@ function promptAction(rl) {
 
 /**
  * Add shop to shops.json
+ * The ID comes from the shared ID registry so it matches what collect-shops.js assigns
  */
-function addToShops(shop, shopsData) {
-  // Generate new ID (max existing + 1)
-  const maxId = shopsData.shops.reduce((max, s) => Math.max(max, s.id || 0), 0);
+function addToShops(shop, shopsData, registry) {
+  // Shops without a stable source key (or already listed under that ID) get a fresh ID
+  const listedIds = new Set(shopsData.shops.map((s) => s.id));
+  const id = assignUniqueId(shop, registry, listedIds);
 
   const newShop = {
-    id: maxId + 1,
+    id,
     name: shop.name,
     address: shop.address,
     lat: shop.lat,
@@ -129,6 +158,7 @@ async function main() {
   const approved = loadJson(APPROVED_PATH);
   const removed = loadJson(REMOVED_PATH);
   let shopsData = loadShopsFile();
+  const registry = await loadIdRegistryOrSeed(shopsData.shops);
 
   if (pending.length === 0) {
     console.log('No shops pending review.');
@@ -167,7 +197,7 @@ async function main() {
             approved.push(shop.googlePlaceId);
           }
           // Add to shops.json
-          shopsData = addToShops(shop, shopsData);
+          shopsData = addToShops(shop, shopsData, registry);
           approvedCount++;
           console.log('-> Approved');
           validAction = true;
@@ -215,6 +245,7 @@ async function main() {
   saveJson(REMOVED_PATH, removed);
   saveJson(PENDING_PATH, remaining);
   saveJson(SHOPS_PATH, shopsData);
+  await saveIdRegistry(registry);
 
   // Summary
   console.log('\n=================================');
@@ -273,12 +273,18 @@ const SEARCH_QUERIES = [
  * Search for skateshops in a specific metro area (with pagination)
  * @param {Object} metro - Metro area with name, lat, lng
  * @param {string} query - Search query to use
- * @returns {Promise<{places: Array, apiCalls: number}>} Array of place results and API call count
+ * @param {Object} [options] - Options
+ * @param {Function} [options.fetchImpl] - fetch implementation (mocked in tests)
+ * @param {string} [options.apiKey] - Google Places API key
+ * @returns {Promise<{places: Array, apiCalls: number, complete: boolean}>} Place results, API
+ *   call count, and whether every page was fetched without error
  */
-async function searchMetroArea(metro, query) {
+async function searchMetroArea(metro, query, options = {}) {
+  const { fetchImpl = fetch, apiKey = API_KEY } = options;
   const allPlaces = [];
   let pageToken = null;
   let pageNum = 0;
+  let complete = true;
   const maxPages = 3; // Google allows max 60 results (3 pages of 20)
 
   const fieldMask = [
@@ -291,6 +297,9 @@ async function searchMetroArea(metro, query) {
     'places.types',
     'places.businessStatus',
     'places.photos',
+    'places.regularOpeningHours',
+    'places.timeZone',
+    'places.utcOffsetMinutes',
     'nextPageToken',
   ].join(',');
 
@@ -319,11 +328,11 @@ async function searchMetroArea(metro, query) {
     }
 
     try {
-      const response = await fetch(TEXT_SEARCH_URL, {
+      const response = await fetchImpl(TEXT_SEARCH_URL, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-Goog-Api-Key': API_KEY,
+          'X-Goog-Api-Key': apiKey,
           'X-Goog-FieldMask': fieldMask,
         },
         body: JSON.stringify(requestBody),
@@ -342,11 +351,12 @@ async function searchMetroArea(metro, query) {
       pageToken = data.nextPageToken || null;
     } catch (error) {
       console.error(`  Error searching ${metro.name} (page ${pageNum}):`, error.message);
+      complete = false;
       break; // Stop pagination on error
     }
   } while (pageToken && pageNum < maxPages);
 
-  return { places: allPlaces, apiCalls: pageNum };
+  return { places: allPlaces, apiCalls: pageNum, complete };
 }
 
 /**
@@ -457,14 +467,18 @@ function transformPlace(place) {
     googlePlaceId: place.id,
     types: place.types || [],
     photoName,
+    // Weekly periods; compacted by the normalizer
+    openingHours: place.regularOpeningHours?.periods || null,
+    timeZone: place.timeZone?.id || null,
+    utcOffsetMinutes: typeof place.utcOffsetMinutes === 'number' ? place.utcOffsetMinutes : null,
   };
 }
 
 /**
  * Check if API key is configured
  */
-function checkApiKey() {
-  if (!API_KEY) {
+function checkApiKey(apiKey = API_KEY) {
+  if (!apiKey) {
     console.error('\n❌ GOOGLE_PLACES_API_KEY environment variable is not set');
     console.error('\nTo use Google Places API:');
     console.error('1. Go to https://console.cloud.google.com/');
@@ -477,65 +491,273 @@ function checkApiKey() {
   return true;
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve metro names given on the command line to metro areas
+ * Matching is case-insensitive
+ * @param {Array<string>} names - Metro names
+ * @returns {Array} Matching entries from US_METRO_AREAS
+ * @throws {Error} If any name doesn't match a known metro
+ */
+function resolveMetroNames(names) {
+  const byName = new Map(US_METRO_AREAS.map((metro) => [metro.name.toLowerCase(), metro]));
+  const unknown = names.filter((name) => !byName.has(name.toLowerCase()));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metro area(s): ${unknown.join(', ')}`);
+  }
+
+  return names.map((name) => byName.get(name.toLowerCase()));
+}
+
+/**
+ * Get the start time of an interrupted fetch run, if any
+ * Metros fetched since then are treated as done so the run can resume
+ * @param {Object|null} cachedData - Previously saved raw data
+ * @returns {number|null} Start timestamp in ms, or null if the last run completed
+ */
+function getResumePoint(cachedData) {
+  const run = cachedData?.run;
+  if (!run?.startedAt || run.completedAt) {
+    return null;
+  }
+  return Date.parse(run.startedAt);
+}
+
+/**
+ * Decide which metros need to be fetched
+ *
+ * - Metros listed in `only` are always fetched (and nothing else)
+ * - Metros missing from the cache or cached from a failed search are always fetched
+ * - Metros fetched during an interrupted run are skipped (resume)
+ * - With `staleAfterDays`, only cache entries older than that are refetched;
+ *   without it, every metro is refetched
+ *
+ * @param {Array} metros - Candidate metro areas
+ * @param {Object|null} cachedData - Previously saved raw data
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.only] - Metro names to fetch exclusively
+ * @param {number} [options.staleAfterDays] - Refetch entries older than this many days
+ * @param {Date} [options.now] - Current time
+ * @returns {Array} Metros to fetch
+ */
+function selectMetrosToFetch(metros, cachedData, options = {}) {
+  const { only = null, staleAfterDays = null, now = new Date() } = options;
+
+  if (only && only.length > 0) {
+    const wanted = new Set(only.map((name) => name.toLowerCase()));
+    return metros.filter((metro) => wanted.has(metro.name.toLowerCase()));
+  }
+
+  const cached = new Map((cachedData?.metros || []).map((entry) => [entry.name, entry]));
+  const resumePoint = getResumePoint(cachedData);
+
+  return metros.filter((metro) => {
+    const entry = cached.get(metro.name);
+    if (!entry || entry.complete === false) {
+      return true;
+    }
+
+    // Older cache files only have a file-level timestamp
+    const fetchedAt = Date.parse(entry.fetchedAt || cachedData.fetchedAt);
+    if (Number.isNaN(fetchedAt)) {
+      return true;
+    }
+
+    if (resumePoint !== null && fetchedAt >= resumePoint) {
+      return false;
+    }
+
+    if (staleAfterDays !== null) {
+      return now.getTime() - fetchedAt > staleAfterDays * DAY_MS;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Merge a freshly fetched metro entry into the cached metro list
+ * A failed search never replaces a complete cached entry, so quota already spent isn't lost
+ * @param {Array} cachedMetros - Cached metro entries
+ * @param {Object} entry - New entry with name, center, fetchedAt, complete, places
+ * @returns {Array} Merged metro entries in US_METRO_AREAS order
+ */
+function mergeMetroEntry(cachedMetros, entry) {
+  const existing = cachedMetros.find((m) => m.name === entry.name);
+  const keepExisting = existing && existing.complete !== false && entry.complete === false;
+  const merged = cachedMetros.filter((m) => m.name !== entry.name);
+
+  merged.push(keepExisting ? existing : entry);
+
+  const order = new Map(US_METRO_AREAS.map((metro, index) => [metro.name, index]));
+  return merged.sort((a, b) => (order.get(a.name) ?? Infinity) - (order.get(b.name) ?? Infinity));
+}
+
+/**
+ * Build the raw data object saved to google-places-raw.json
+ * @param {Array} metros - Metro entries
+ * @param {Object} run - Run state with startedAt and completedAt
+ * @param {number} requestCount - API requests used in this run
+ * @returns {Object} Raw data object
+ */
+function buildRawData(metros, run, requestCount) {
+  const timestamps = metros.map((m) => m.fetchedAt).filter(Boolean);
+
+  return {
+    fetchedAt: timestamps.sort().at(-1) || run.startedAt,
+    apiVersion: 'v1',
+    run: { ...run },
+    stats: {
+      totalMetros: metros.length,
+      totalPlaces: metros.reduce((sum, m) => sum + m.places.length, 0),
+      totalRequests: requestCount,
+    },
+    metros,
+  };
+}
+
 // Export for testing
-export { transformPlace, US_METRO_AREAS, SEARCH_QUERIES };
+export {
+  buildRawData,
+  mergeMetroEntry,
+  resolveMetroNames,
+  SEARCH_QUERIES,
+  selectMetrosToFetch,
+  transformPlace,
+  US_METRO_AREAS,
+};
 
 /**
  * Fetch raw data from Google Places API (no transformation)
- * Returns raw API responses for intermediate storage
+ * Returns raw API responses for intermediate storage. Metros are fetched incrementally:
+ * cached entries are reused according to `only`/`staleAfterDays`, and `onProgress` is
+ * called after every metro so an interrupted run can resume without re-spending quota.
  * @param {Object} options - Options
  * @param {boolean} options.dryRun - If true, just show what would be searched
+ * @param {Object|null} [options.cachedData] - Previously saved raw data
+ * @param {Array<string>} [options.only] - Only fetch these metros (by name)
+ * @param {number} [options.staleAfterDays] - Only refetch cache entries older than this
+ * @param {Function} [options.onProgress] - Called with the raw data object after each metro
+ * @param {Function} [options.fetchImpl] - fetch implementation (mocked in tests)
+ * @param {string} [options.apiKey] - Google Places API key
+ * @param {Function} [options.now] - Returns the current Date
  * @returns {Promise<Object>} Raw results with metros array and stats
  */
 export async function fetchRawFromGooglePlaces(options = {}) {
-  const { dryRun = false } = options;
+  const {
+    dryRun = false,
+    cachedData = null,
+    only = null,
+    staleAfterDays = null,
+    onProgress = null,
+    fetchImpl = fetch,
+    apiKey = API_KEY,
+    now = () => new Date(),
+  } = options;
+
+  if (only) {
+    resolveMetroNames(only);
+  }
+
+  const toFetch = selectMetrosToFetch(US_METRO_AREAS, cachedData, {
+    only,
+    staleAfterDays,
+    now: now(),
+  });
+  const skippedCount = US_METRO_AREAS.length - toFetch.length;
 
   // Estimate: 1 query per metro, 1-3 pages each (pagination)
-  const minRequests = US_METRO_AREAS.length;
-  const maxRequests = US_METRO_AREAS.length * 3;
+  const minRequests = toFetch.length;
+  const maxRequests = toFetch.length * 3;
 
   if (dryRun) {
-    console.log(`\nDry run: would search ${US_METRO_AREAS.length} metro areas with pagination`);
+    console.log(`\nDry run: would search ${toFetch.length} metro areas with pagination`);
+    if (skippedCount > 0) {
+      console.log(`(skipping ${skippedCount} metros: cached or not selected)`);
+    }
     console.log('Query:', SEARCH_QUERIES[0]);
     console.log(`Estimated API requests: ${minRequests}-${maxRequests} (1-3 pages per metro)`);
     console.log('Estimated cost: $0 (within free tier of 1,000/month)');
     return { metros: [], totalPlaces: 0, requestCount: 0 };
   }
 
-  if (!checkApiKey()) {
+  if (!checkApiKey(apiKey)) {
     return { metros: [], totalPlaces: 0, requestCount: 0 };
   }
 
-  console.log(`\nSearching ${US_METRO_AREAS.length} US metro areas with pagination...`);
+  // Continue an interrupted run, otherwise start a new one. An --only run isn't part of
+  // either: it keeps the saved run as it is, so an interrupted run can still resume after it
+  const resuming = !only && getResumePoint(cachedData) !== null;
+  let run;
+  if (only) {
+    run = { startedAt: null, completedAt: null, ...cachedData?.run };
+  } else {
+    run = {
+      startedAt: resuming ? cachedData.run.startedAt : now().toISOString(),
+      completedAt: null,
+    };
+  }
+
+  console.log(`\nSearching ${toFetch.length} US metro areas with pagination...`);
+  if (resuming) {
+    console.log(`Resuming interrupted run started ${run.startedAt}`);
+  }
+  if (skippedCount > 0) {
+    console.log(`Skipping ${skippedCount} metros (cached or not selected)`);
+  }
   console.log('Query:', SEARCH_QUERIES[0]);
   console.log(`Estimated API requests: ${minRequests}-${maxRequests} (1-3 pages per metro)\n`);
 
-  const metros = [];
+  const knownNames = new Set(US_METRO_AREAS.map((metro) => metro.name));
+  let metros = (cachedData?.metros || []).filter((entry) => knownNames.has(entry.name));
   let metroCount = 0;
   let totalApiCalls = 0;
-  let totalPlaces = 0;
+  let failedCount = 0;
 
-  for (const metro of US_METRO_AREAS) {
+  for (const metro of toFetch) {
     metroCount++;
     process.stdout.write(
-      `\r  [${metroCount}/${US_METRO_AREAS.length}] Searching ${metro.name}...          `
+      `\r  [${metroCount}/${toFetch.length}] Searching ${metro.name}...          `
     );
 
-    const { places, apiCalls } = await searchMetroArea(metro, SEARCH_QUERIES[0]);
+    const { places, apiCalls, complete } = await searchMetroArea(metro, SEARCH_QUERIES[0], {
+      fetchImpl,
+      apiKey,
+    });
     totalApiCalls += apiCalls;
-    totalPlaces += places.length;
+    if (!complete) {
+      failedCount++;
+    }
 
-    metros.push({
+    metros = mergeMetroEntry(metros, {
       name: metro.name,
       center: { lat: metro.lat, lng: metro.lng },
+      fetchedAt: now().toISOString(),
+      complete,
       places: places, // Raw places from API
     });
+
+    if (onProgress) {
+      await onProgress(buildRawData(metros, run, totalApiCalls));
+    }
   }
 
-  console.log(`\n\nFetched ${totalPlaces} places from ${metroCount} metros`);
+  if (!only) {
+    run.completedAt = now().toISOString();
+  }
+  const rawData = buildRawData(metros, run, totalApiCalls);
+
+  console.log(`\n\nFetched ${metroCount} metros (${failedCount} with errors)`);
   console.log(`Used ${totalApiCalls} API requests (free tier: 1,000/month)`);
 
-  return { metros, totalPlaces, requestCount: totalApiCalls };
+  return {
+    ...rawData,
+    totalPlaces: rawData.stats.totalPlaces,
+    requestCount: totalApiCalls,
+    fetchedMetros: metroCount,
+  };
 }
 
 /**
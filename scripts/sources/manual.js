@@ -12,6 +12,22 @@ const __dirname = dirname(__filename);
 
 const MANUAL_ADDITIONS_PATH = join(__dirname, '..', 'data', 'manual-additions.json');
 
+/**
+ * Build a stable fallback key for a manual addition without an explicit id
+ * Based on name and location so it doesn't shift when entries are reordered
+ * @param {Object} store - Manual addition entry
+ * @returns {string} Key such as "manual-cool-skate-shop-34.0522--118.2437"
+ */
+export function manualKey(store) {
+  const slug = (store.name || 'unknown')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  const lat = typeof store.lat === 'number' ? store.lat.toFixed(4) : 'na';
+  const lng = typeof store.lng === 'number' ? store.lng.toFixed(4) : 'na';
+  return `manual-${slug}-${lat}-${lng}`;
+}
+
 /**
  * Load manual additions (community-submitted shops)
  * @returns {Promise<Array>} Array of shop objects
@@ -28,14 +44,16 @@ export async function loadManualAdditions() {
 
     console.log(`Loaded ${stores.length} manual additions`);
 
-    return stores.map((store, index) => ({
-      id: store.id || `manual-${index}`,
+    return stores.map((store) => ({
+      id: store.id || manualKey(store),
       name: store.name,
       address: store.address || null,
       lat: store.lat,
       lng: store.lng,
       website: store.website || null,
       phone: store.phone || null,
+      hours: store.hours || null,
+      timeZone: store.timeZone || null,
       source: 'manual',
       isIndependent: store.isIndependent !== false,
     }));
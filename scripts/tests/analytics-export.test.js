@@ -0,0 +1,53 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { getEventCount, parseAnalyticsExport, parseCSV } from '../utils/analytics-export.js';
+
+describe('parseCSV', () => {
+  it('should parse quoted fields and skip comment lines', () => {
+    const rows = parseCSV('# Export\n# Range: 2026\nname,note\n"Casper, WY","say ""hi"""\r\n\n');
+    assert.deepStrictEqual(rows, [{ name: 'Casper, WY', note: 'say "hi"' }]);
+  });
+
+  it('should return no rows for an empty file', () => {
+    assert.deepStrictEqual(parseCSV(''), []);
+  });
+});
+
+describe('parseAnalyticsExport', () => {
+  it('should normalize GA4 exploration column names', () => {
+    const csv = 'Event name,customEvent:shop_id,Event count\nshop_click,42,3';
+    assert.deepStrictEqual(parseAnalyticsExport(csv), [
+      { event_name: 'shop_click', shop_id: '42', event_count: '3' },
+    ]);
+  });
+
+  it('should lift BigQuery event params to top-level fields', () => {
+    const json = JSON.stringify({
+      rows: [
+        {
+          event_name: 'shop_click',
+          event_date: '20260915',
+          event_params: [
+            { key: 'shop_id', value: { int_value: 42 } },
+            { key: 'action', value: { string_value: 'phone' } },
+          ],
+        },
+      ],
+    });
+    assert.deepStrictEqual(parseAnalyticsExport(json), [
+      { event_name: 'shop_click', event_date: '20260915', shop_id: 42, action: 'phone' },
+    ]);
+  });
+
+  it('should skip JSON entries that are not objects', () => {
+    assert.deepStrictEqual(parseAnalyticsExport('[null, 1, {"Shop ID": 7}]'), [{ shop_id: 7 }]);
+  });
+});
+
+describe('getEventCount', () => {
+  it('should default to one event per row', () => {
+    assert.strictEqual(getEventCount({ event_count: '12' }), 12);
+    assert.strictEqual(getEventCount({}), 1);
+    assert.strictEqual(getEventCount({ event_count: 'n/a' }), 1);
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import {
+  createAnalyticsStubServer,
+  EVENT_PATH,
+  EVENTS_PATH,
+  formatBeacon,
+  parseBeacon,
+} from '../utils/analytics-stub.js';
+
+const beacon = {
+  name: 'search',
+  url: 'https://skateindex.com/',
+  domain: 'skateindex.com',
+  props: { method: 'address', result_count: 3 },
+};
+
+describe('parseBeacon', () => {
+  it('should parse a valid beacon', () => {
+    assert.deepStrictEqual(parseBeacon(JSON.stringify(beacon)), beacon);
+  });
+
+  it('should default props to an empty object', () => {
+    const { props, ...rest } = beacon;
+    assert.deepStrictEqual(parseBeacon(JSON.stringify(rest)).props, {});
+  });
+
+  it('should reject invalid JSON', () => {
+    assert.throws(() => parseBeacon('not json'), /valid JSON/);
+  });
+
+  it('should reject missing fields', () => {
+    assert.throws(() => parseBeacon(JSON.stringify({ ...beacon, domain: '' })), /"domain"/);
+    assert.throws(() => parseBeacon('[]'), /JSON object/);
+  });
+
+  it('should reject non-object props', () => {
+    assert.throws(() => parseBeacon(JSON.stringify({ ...beacon, props: 'x' })), /"props"/);
+  });
+});
+
+describe('formatBeacon', () => {
+  it('should list the event name, domain and props', () => {
+    assert.strictEqual(
+      formatBeacon(beacon),
+      'search (skateindex.com) method=address result_count=3'
+    );
+  });
+});
+
+describe('createAnalyticsStubServer', () => {
+  const captured = [];
+  const { server, events } = createAnalyticsStubServer({ onEvent: (e) => captured.push(e) });
+  let baseUrl;
+
+  before(async () => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should capture text/plain beacons', async () => {
+    const response = await fetch(`${baseUrl}${EVENT_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify(beacon),
+    });
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
+    assert.deepStrictEqual(events, [beacon]);
+    assert.deepStrictEqual(captured, [beacon]);
+  });
+
+  it('should reject malformed beacons', async () => {
+    const response = await fetch(`${baseUrl}${EVENT_PATH}`, { method: 'POST', body: '{}' });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(events.length, 1);
+  });
+
+  it('should list and clear captured events', async () => {
+    const listed = await fetch(`${baseUrl}${EVENTS_PATH}`).then((r) => r.json());
+    assert.deepStrictEqual(listed, [beacon]);
+
+    const cleared = await fetch(`${baseUrl}${EVENTS_PATH}`, { method: 'DELETE' });
+    assert.strictEqual(cleared.status, 204);
+    assert.strictEqual(events.length, 0);
+  });
+
+  it('should return 404 for other paths', async () => {
+    const response = await fetch(`${baseUrl}/nope`);
+    assert.strictEqual(response.status, 404);
+  });
+});
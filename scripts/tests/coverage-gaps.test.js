@@ -0,0 +1,123 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { encodeGeohash } from '../../app.utils.js';
+import {
+  formatCoverageReport,
+  parseCoverageEvents,
+  rankCoverageGaps,
+} from '../utils/coverage-gaps.js';
+
+const metros = [
+  { name: 'Denver', lat: 39.7392, lng: -104.9903 },
+  { name: 'Billings', lat: 45.7833, lng: -108.5007 },
+];
+
+// Casper, WY: ~200 miles from either metro
+const casper = encodeGeohash(42.85, -106.32);
+const denver = encodeGeohash(39.74, -104.99);
+
+describe('parseCoverageEvents', () => {
+  it('should read a GA4 exploration CSV with event counts', () => {
+    const csv = [
+      '# ----------------------------------------',
+      'Event name,customEvent:geohash,customEvent:result_count,customEvent:radius,Event count',
+      `coverage_gap,${casper},0,100,12`,
+      `search,${casper},0,100,40`,
+    ].join('\n');
+    assert.deepStrictEqual(parseCoverageEvents(csv), [
+      { geohash: casper, resultCount: 0, radius: 100, count: 12 },
+    ]);
+  });
+
+  it('should read a JSON array of flat events', () => {
+    const json = JSON.stringify([
+      { geohash: casper.toUpperCase(), result_count: 1, radius: 25 },
+      { geohash: 'not-a-geohash', result_count: 0 },
+    ]);
+    assert.deepStrictEqual(parseCoverageEvents(json), [
+      { geohash: casper, resultCount: 1, radius: 25, count: 1 },
+    ]);
+  });
+
+  it('should read GA4 BigQuery rows', () => {
+    const json = JSON.stringify({
+      rows: [
+        {
+          event_name: 'coverage_gap',
+          event_params: [
+            { key: 'geohash', value: { string_value: casper } },
+            { key: 'result_count', value: { int_value: 2 } },
+            { key: 'radius', value: { int_value: 50 } },
+          ],
+        },
+      ],
+    });
+    assert.deepStrictEqual(parseCoverageEvents(json), [
+      { geohash: casper, resultCount: 2, radius: 50, count: 1 },
+    ]);
+  });
+});
+
+describe('rankCoverageGaps', () => {
+  const events = [
+    { geohash: casper, resultCount: 0, radius: 100, count: 3 },
+    { geohash: `${casper.slice(0, 3)}z`, resultCount: 2, radius: 100, count: 1 },
+    { geohash: denver, resultCount: 1, radius: 10, count: 5 },
+  ];
+  const geocodeIndex = { cities: { WY: { casper: [42.85, -106.32, 12] } } };
+
+  it('should merge cells into regions and rank by score', () => {
+    const [first, second] = rankCoverageGaps(events, metros, { geocodeIndex });
+
+    assert.strictEqual(first.region, casper.slice(0, 3));
+    assert.strictEqual(first.searches, 4);
+    assert.strictEqual(first.zeroResults, 3);
+    assert.strictEqual(first.cells, 2);
+    assert.strictEqual(first.score, 7);
+    assert.strictEqual(first.covered, false);
+
+    assert.strictEqual(second.region, denver.slice(0, 3));
+    assert.strictEqual(second.score, 5);
+    assert.strictEqual(second.nearestMetro, 'Denver');
+    assert.strictEqual(second.covered, true);
+  });
+
+  it('should suggest a search-weighted center named after a nearby city', () => {
+    const [first] = rankCoverageGaps(events.slice(0, 1), metros, { geocodeIndex });
+    assert.ok(Math.abs(first.lat - 42.85) < 0.2, `${first.lat}`);
+    assert.ok(Math.abs(first.lng - -106.32) < 0.2, `${first.lng}`);
+    assert.strictEqual(first.label, 'Casper, WY');
+    assert.strictEqual(first.nearestMetro, 'Denver');
+  });
+
+  it('should leave the label empty without a geocode index', () => {
+    const [first] = rankCoverageGaps(events, metros);
+    assert.strictEqual(first.label, null);
+  });
+
+  it('should accept a finer region precision', () => {
+    assert.strictEqual(rankCoverageGaps(events, metros, { regionPrecision: 4 }).length, 3);
+  });
+});
+
+describe('formatCoverageReport', () => {
+  it('should render a ranked Markdown table', () => {
+    const report = formatCoverageReport(
+      rankCoverageGaps([{ geohash: casper, resultCount: 0, radius: 100, count: 1 }], metros)
+    );
+    const lines = report.split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.match(lines[2], /^\| 1 \| [\d.]+, -[\d.]+ \| — \| 1 \| 1 \| Denver \(\d+ mi\) \|$/);
+  });
+
+  it('should note regions already searched', () => {
+    const report = formatCoverageReport(
+      rankCoverageGaps([{ geohash: denver, resultCount: 0, radius: 10, count: 1 }], metros)
+    );
+    assert.ok(report.includes('already searched'));
+  });
+
+  it('should say when there are no gaps', () => {
+    assert.strictEqual(formatCoverageReport([]), 'No coverage gaps found.');
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { buildGeocodeIndex } from '../utils/geocode-index.js';
+
+describe('buildGeocodeIndex', () => {
+  const record = (zip, latitude, longitude, city, state, country = 'US') => ({
+    zip,
+    latitude,
+    longitude,
+    city,
+    state,
+    country,
+  });
+
+  it('should index ZIP codes with rounded coordinates', () => {
+    const index = buildGeocodeIndex([record('80202', 39.7527, -104.9993, 'Denver', 'CO')]);
+    assert.deepStrictEqual(index.zips['80202'], [39.75, -105]);
+  });
+
+  it('should average ZIP centroids into city centroids with a ZIP count', () => {
+    const index = buildGeocodeIndex([
+      record('80202', 39.7, -105.0, 'Denver', 'CO'),
+      record('80203', 39.8, -104.9, 'Denver', 'CO'),
+    ]);
+    assert.deepStrictEqual(index.cities.CO.denver, [39.75, -104.95, 2]);
+  });
+
+  it('should key cities by normalized name under their state', () => {
+    const index = buildGeocodeIndex([
+      record('63101', 38.63, -90.19, 'Saint Louis', 'MO'),
+      record('55101', 44.95, -93.09, 'Saint Paul', 'MN'),
+    ]);
+    assert.deepStrictEqual(Object.keys(index.cities), ['MN', 'MO']);
+    assert.ok(index.cities.MO['saint louis']);
+  });
+
+  it('should skip foreign, military and invalid records', () => {
+    const index = buildGeocodeIndex([
+      record('K1A0B1', 45.42, -75.69, 'Ottawa', 'ON', 'CA'),
+      record('09001', 50.1, 8.6, 'APO', 'AE'),
+      record('96939', 7.5, 134.6, 'Koror', 'PW'),
+      record('12345', undefined, undefined, 'Nowhere', 'NY'),
+      record('00000', 0, 0, 'Null Island', 'NY'),
+    ]);
+    assert.deepStrictEqual(index, { zips: {}, cities: {} });
+  });
+});
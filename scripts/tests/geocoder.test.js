@@ -31,16 +31,74 @@ describe('isWithinUSA', () => {
     assert.strictEqual(isWithinUSA(51.5074, -0.1278), false);
   });
 
-  it('should return true for boundary coordinates (southwest)', () => {
-    assert.strictEqual(isWithinUSA(24.5, -125.0), true);
+  it('should return true for Alaska', () => {
+    assert.strictEqual(isWithinUSA(61.2181, -149.9003), true); // Anchorage
+    assert.strictEqual(isWithinUSA(58.3019, -134.4197), true); // Juneau
+    assert.strictEqual(isWithinUSA(51.88, -176.66), true); // Adak
   });
 
-  it('should return true for boundary coordinates (northeast)', () => {
-    assert.strictEqual(isWithinUSA(49.5, -66.5), true);
+  it('should return true for Hawaii', () => {
+    assert.strictEqual(isWithinUSA(21.3069, -157.8583), true); // Honolulu
+    assert.strictEqual(isWithinUSA(19.7241, -155.0868), true); // Hilo
   });
 
-  it('should return false for coordinates just outside boundary', () => {
-    assert.strictEqual(isWithinUSA(24.4, -118.0), false);
-    assert.strictEqual(isWithinUSA(34.0, -125.1), false);
+  it('should return true for US territories', () => {
+    assert.strictEqual(isWithinUSA(18.4655, -66.1057), true); // San Juan, PR
+    assert.strictEqual(isWithinUSA(18.3419, -64.9307), true); // Charlotte Amalie, VI
+    assert.strictEqual(isWithinUSA(13.4443, 144.7937), true); // Hagåtña, Guam
+    assert.strictEqual(isWithinUSA(15.1778, 145.7509), true); // Saipan, MP
+    assert.strictEqual(isWithinUSA(-14.2756, -170.702), true); // Pago Pago, AS
+  });
+
+  it('should return true for US border towns', () => {
+    assert.strictEqual(isWithinUSA(42.3314, -83.0458), true); // Detroit
+    assert.strictEqual(isWithinUSA(42.8864, -78.8784), true); // Buffalo
+    assert.strictEqual(isWithinUSA(48.985, -123.07), true); // Point Roberts
+    assert.strictEqual(isWithinUSA(31.7619, -106.485), true); // El Paso
+    assert.strictEqual(isWithinUSA(32.555, -117.04), true); // San Ysidro
+    assert.strictEqual(isWithinUSA(27.5306, -99.4803), true); // Laredo
+    assert.strictEqual(isWithinUSA(25.9017, -97.4975), true); // Brownsville
+  });
+
+  it('should return true for coastal and offshore islands', () => {
+    assert.strictEqual(isWithinUSA(24.5551, -81.78), true); // Key West
+    assert.strictEqual(isWithinUSA(41.2835, -70.0995), true); // Nantucket
+    assert.strictEqual(isWithinUSA(33.3428, -118.3282), true); // Avalon, Catalina Island
+  });
+
+  it('should return false for Canadian cities inside the old bounding box', () => {
+    assert.strictEqual(isWithinUSA(42.3149, -83.0364), false); // Windsor
+    assert.strictEqual(isWithinUSA(43.6532, -79.3832), false); // Toronto
+    assert.strictEqual(isWithinUSA(45.5017, -73.5673), false); // Montreal
+    assert.strictEqual(isWithinUSA(49.2827, -123.1207), false); // Vancouver
+    assert.strictEqual(isWithinUSA(48.4284, -123.3656), false); // Victoria
+    assert.strictEqual(isWithinUSA(42.905, -78.94), false); // Fort Erie
+  });
+
+  it('should return false for Mexican cities inside the old bounding box', () => {
+    assert.strictEqual(isWithinUSA(32.5149, -117.0382), false); // Tijuana
+    assert.strictEqual(isWithinUSA(31.6904, -106.4245), false); // Ciudad Juárez
+    assert.strictEqual(isWithinUSA(32.6245, -115.4523), false); // Mexicali
+    assert.strictEqual(isWithinUSA(27.4764, -99.5164), false); // Nuevo Laredo
+    assert.strictEqual(isWithinUSA(25.8697, -97.5028), false); // Matamoros
+    assert.strictEqual(isWithinUSA(25.6866, -100.3161), false); // Monterrey
+  });
+
+  it('should return false for nearby non-US territory', () => {
+    assert.strictEqual(isWithinUSA(60.7212, -135.0568), false); // Whitehorse, YT
+    assert.strictEqual(isWithinUSA(25.73, -79.27), false); // Bimini, Bahamas
+    assert.strictEqual(isWithinUSA(23.1136, -82.3666), false); // Havana
+    assert.strictEqual(isWithinUSA(18.43, -64.62), false); // Tortola, BVI
+    assert.strictEqual(isWithinUSA(-13.8333, -171.7667), false); // Apia, Samoa
+  });
+
+  it('should return false for open ocean corners of the old bounding box', () => {
+    assert.strictEqual(isWithinUSA(24.5, -125.0), false);
+    assert.strictEqual(isWithinUSA(49.5, -66.5), false);
+  });
+
+  it('should return false for non-numeric input', () => {
+    assert.strictEqual(isWithinUSA(null, null), false);
+    assert.strictEqual(isWithinUSA('34', '-118'), false);
   });
 });
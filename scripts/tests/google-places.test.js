@@ -1,13 +1,51 @@
 import assert from 'node:assert';
 import { describe, it } from 'node:test';
 import {
+  buildRawData,
   fetchRawFromGooglePlaces,
+  mergeMetroEntry,
+  resolveMetroNames,
   SEARCH_QUERIES,
+  selectMetrosToFetch,
   transformGooglePlacesData,
   transformPlace,
   US_METRO_AREAS,
 } from '../sources/google-places.js';
 
+/**
+ * Build a mock fetch that answers Text Search requests by metro center
+ * @param {Function} respond - (requestBody) => { status, body }
+ * @returns {Function} Mock fetch with a `calls` array of parsed request bodies
+ */
+function createMockFetch(respond) {
+  const calls = [];
+  const mockFetch = async (_url, init) => {
+    const body = JSON.parse(init.body);
+    calls.push(body);
+    const { status = 200, body: responseBody = {} } = respond(body);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => responseBody,
+      text: async () => JSON.stringify(responseBody),
+    };
+  };
+  mockFetch.calls = calls;
+  return mockFetch;
+}
+
+function metroEntry(name, fetchedAt, places = [], extra = {}) {
+  const metro = US_METRO_AREAS.find((m) => m.name === name);
+  return {
+    name,
+    center: { lat: metro.lat, lng: metro.lng },
+    fetchedAt,
+    complete: true,
+    places,
+    ...extra,
+  };
+}
+
 describe('transformPlace', () => {
   describe('valid places', () => {
     it('should transform a complete place object', () => {
@@ -35,6 +73,36 @@ describe('transformPlace', () => {
       assert.deepStrictEqual(result.types, ['store', 'point_of_interest']);
     });
 
+    it('should capture opening hours and time zone', () => {
+      const periods = [
+        { open: { day: 1, hour: 10, minute: 0 }, close: { day: 1, hour: 18, minute: 0 } },
+      ];
+      const place = {
+        id: 'hours1',
+        displayName: { text: 'Hours Shop' },
+        location: { latitude: 39.7, longitude: -105.0 },
+        regularOpeningHours: { periods, weekdayDescriptions: ['Monday: 10:00 AM – 6:00 PM'] },
+        timeZone: { id: 'America/Denver' },
+        utcOffsetMinutes: -420,
+      };
+      const result = transformPlace(place);
+
+      assert.deepStrictEqual(result.openingHours, periods);
+      assert.strictEqual(result.timeZone, 'America/Denver');
+      assert.strictEqual(result.utcOffsetMinutes, -420);
+    });
+
+    it('should default opening hours to null', () => {
+      const result = transformPlace({
+        id: 'nohours',
+        displayName: { text: 'Shop' },
+        location: { latitude: 39.7, longitude: -105.0 },
+      });
+      assert.strictEqual(result.openingHours, null);
+      assert.strictEqual(result.timeZone, null);
+      assert.strictEqual(result.utcOffsetMinutes, null);
+    });
+
     it('should handle place with minimal required fields', () => {
       const place = {
         id: 'xyz789',
@@ -665,6 +733,326 @@ describe('fetchRawFromGooglePlaces', () => {
   });
 });
 
+describe('resolveMetroNames', () => {
+  it('should resolve names case-insensitively', () => {
+    const metros = resolveMetroNames(['denver', 'Salt Lake City']);
+    assert.deepStrictEqual(
+      metros.map((m) => m.name),
+      ['Denver', 'Salt Lake City']
+    );
+  });
+
+  it('should throw for unknown metros', () => {
+    assert.throws(() => resolveMetroNames(['Denver', 'Atlantis']), /Atlantis/);
+  });
+});
+
+describe('selectMetrosToFetch', () => {
+  const metros = US_METRO_AREAS.filter((m) => ['Denver', 'Boulder', 'Boise'].includes(m.name));
+  const now = new Date('2026-03-31T00:00:00Z');
+  const names = (list) => list.map((m) => m.name);
+
+  it('should fetch everything without a cache', () => {
+    assert.deepStrictEqual(names(selectMetrosToFetch(metros, null, { now })), [
+      'Denver',
+      'Boise',
+      'Boulder',
+    ]);
+  });
+
+  it('should refetch everything after a completed run without --stale-after', () => {
+    const cachedData = {
+      run: { startedAt: '2026-03-01T00:00:00Z', completedAt: '2026-03-01T01:00:00Z' },
+      metros: [metroEntry('Denver', '2026-03-01T00:10:00Z')],
+    };
+    assert.strictEqual(selectMetrosToFetch(metros, cachedData, { now }).length, 3);
+  });
+
+  it('should only refetch stale and missing metros with staleAfterDays', () => {
+    const cachedData = {
+      run: { startedAt: '2026-01-01T00:00:00Z', completedAt: '2026-03-30T00:00:00Z' },
+      metros: [
+        metroEntry('Denver', '2026-03-29T00:00:00Z'),
+        metroEntry('Boise', '2026-01-01T00:00:00Z'),
+      ],
+    };
+    assert.deepStrictEqual(
+      names(selectMetrosToFetch(metros, cachedData, { now, staleAfterDays: 30 })),
+      ['Boise', 'Boulder']
+    );
+  });
+
+  it('should fall back to the file timestamp for old cache files', () => {
+    const cachedData = {
+      fetchedAt: '2026-03-29T00:00:00Z',
+      metros: [{ name: 'Denver', center: {}, places: [] }],
+    };
+    assert.deepStrictEqual(
+      names(selectMetrosToFetch(metros, cachedData, { now, staleAfterDays: 30 })),
+      ['Boise', 'Boulder']
+    );
+  });
+
+  it('should always refetch metros whose search failed', () => {
+    const cachedData = {
+      run: { startedAt: '2026-03-30T00:00:00Z', completedAt: '2026-03-30T01:00:00Z' },
+      metros: [
+        metroEntry('Denver', '2026-03-30T00:10:00Z', [], { complete: false }),
+        metroEntry('Boise', '2026-03-30T00:20:00Z'),
+        metroEntry('Boulder', '2026-03-30T00:30:00Z'),
+      ],
+    };
+    assert.deepStrictEqual(
+      names(selectMetrosToFetch(metros, cachedData, { now, staleAfterDays: 30 })),
+      ['Denver']
+    );
+  });
+
+  it('should skip metros already fetched by an interrupted run', () => {
+    const cachedData = {
+      run: { startedAt: '2026-03-30T00:00:00Z', completedAt: null },
+      metros: [
+        metroEntry('Denver', '2026-03-30T00:10:00Z'),
+        metroEntry('Boise', '2026-03-01T00:00:00Z'),
+      ],
+    };
+    assert.deepStrictEqual(names(selectMetrosToFetch(metros, cachedData, { now })), [
+      'Boise',
+      'Boulder',
+    ]);
+  });
+
+  it('should fetch only the named metros with only', () => {
+    const cachedData = {
+      run: { startedAt: '2026-03-30T00:00:00Z', completedAt: '2026-03-30T01:00:00Z' },
+      metros: [metroEntry('Boise', '2026-03-30T00:10:00Z')],
+    };
+    assert.deepStrictEqual(
+      names(selectMetrosToFetch(metros, cachedData, { now, only: ['boise'] })),
+      ['Boise']
+    );
+  });
+});
+
+describe('mergeMetroEntry', () => {
+  it('should replace an existing entry', () => {
+    const cached = [metroEntry('Denver', '2026-01-01T00:00:00Z', [{ id: 'old' }])];
+    const merged = mergeMetroEntry(
+      cached,
+      metroEntry('Denver', '2026-03-01T00:00:00Z', [{ id: 'new' }])
+    );
+    assert.strictEqual(merged.length, 1);
+    assert.deepStrictEqual(merged[0].places, [{ id: 'new' }]);
+  });
+
+  it('should keep a complete cached entry when the new search failed', () => {
+    const cached = [metroEntry('Denver', '2026-01-01T00:00:00Z', [{ id: 'old' }])];
+    const merged = mergeMetroEntry(
+      cached,
+      metroEntry('Denver', '2026-03-01T00:00:00Z', [], { complete: false })
+    );
+    assert.deepStrictEqual(merged[0].places, [{ id: 'old' }]);
+    assert.strictEqual(merged[0].complete, true);
+  });
+
+  it('should store a failed search when nothing was cached', () => {
+    const merged = mergeMetroEntry(
+      [],
+      metroEntry('Denver', '2026-03-01T00:00:00Z', [], { complete: false })
+    );
+    assert.strictEqual(merged[0].complete, false);
+  });
+
+  it('should keep entries in US_METRO_AREAS order', () => {
+    const cached = [metroEntry('Boise', '2026-01-01T00:00:00Z')];
+    const merged = mergeMetroEntry(cached, metroEntry('New York', '2026-01-01T00:00:00Z'));
+    assert.deepStrictEqual(
+      merged.map((m) => m.name),
+      ['New York', 'Boise']
+    );
+  });
+});
+
+describe('buildRawData', () => {
+  it('should compute stats and latest fetch time', () => {
+    const run = { startedAt: '2026-03-01T00:00:00Z', completedAt: null };
+    const rawData = buildRawData(
+      [
+        metroEntry('Denver', '2026-03-01T00:10:00Z', [{ id: 'a' }, { id: 'b' }]),
+        metroEntry('Boise', '2026-03-01T00:20:00Z', [{ id: 'c' }]),
+      ],
+      run,
+      4
+    );
+
+    assert.strictEqual(rawData.fetchedAt, '2026-03-01T00:20:00Z');
+    assert.strictEqual(rawData.apiVersion, 'v1');
+    assert.deepStrictEqual(rawData.run, run);
+    assert.deepStrictEqual(rawData.stats, { totalMetros: 2, totalPlaces: 3, totalRequests: 4 });
+  });
+});
+
+describe('fetchRawFromGooglePlaces with mocked fetch', () => {
+  const place = (id) => ({
+    id,
+    displayName: { text: `Shop ${id}` },
+    location: { latitude: 39.7, longitude: -105.0 },
+  });
+  const clock = () => new Date('2026-03-31T12:00:00Z');
+
+  it('should fetch only the named metro and merge it into the cache', async () => {
+    const mockFetch = createMockFetch(() => ({ body: { places: [place('denver-1')] } }));
+    const cachedData = {
+      run: { startedAt: '2026-03-01T00:00:00Z', completedAt: '2026-03-01T01:00:00Z' },
+      metros: [metroEntry('Boulder', '2026-03-01T00:10:00Z', [place('boulder-1')])],
+    };
+
+    const result = await fetchRawFromGooglePlaces({
+      cachedData,
+      only: ['Denver'],
+      fetchImpl: mockFetch,
+      apiKey: 'test-key',
+      now: clock,
+    });
+
+    assert.strictEqual(mockFetch.calls.length, 1);
+    assert.strictEqual(result.requestCount, 1);
+    assert.strictEqual(result.fetchedMetros, 1);
+    assert.deepStrictEqual(
+      result.metros.map((m) => m.name),
+      ['Denver', 'Boulder']
+    );
+    const denver = result.metros.find((m) => m.name === 'Denver');
+    assert.strictEqual(denver.fetchedAt, '2026-03-31T12:00:00.000Z');
+    assert.strictEqual(denver.complete, true);
+    assert.strictEqual(result.totalPlaces, 2);
+    assert.deepStrictEqual(result.run, cachedData.run);
+  });
+
+  it('should follow pagination tokens', async () => {
+    const mockFetch = createMockFetch((body) =>
+      body.pageToken
+        ? { body: { places: [place('p2')] } }
+        : { body: { places: [place('p1')], nextPageToken: 'next' } }
+    );
+
+    const result = await fetchRawFromGooglePlaces({
+      only: ['Denver'],
+      fetchImpl: mockFetch,
+      apiKey: 'test-key',
+      now: clock,
+    });
+
+    assert.strictEqual(mockFetch.calls.length, 2);
+    assert.strictEqual(mockFetch.calls[1].pageToken, 'next');
+    assert.strictEqual(result.metros[0].places.length, 2);
+  });
+
+  it('should keep cached places when the API returns an error', async () => {
+    const mockFetch = createMockFetch(() => ({ status: 429, body: { error: 'quota' } }));
+    const cachedData = {
+      run: { startedAt: '2026-03-01T00:00:00Z', completedAt: '2026-03-01T01:00:00Z' },
+      metros: [metroEntry('Denver', '2026-03-01T00:10:00Z', [place('cached')])],
+    };
+
+    const result = await fetchRawFromGooglePlaces({
+      cachedData,
+      only: ['Denver'],
+      fetchImpl: mockFetch,
+      apiKey: 'test-key',
+      now: clock,
+    });
+
+    assert.deepStrictEqual(result.metros[0].places, [place('cached')]);
+    assert.strictEqual(result.metros[0].fetchedAt, '2026-03-01T00:10:00Z');
+  });
+
+  it('should save progress after each metro', async () => {
+    const mockFetch = createMockFetch(() => ({ body: { places: [] } }));
+    const snapshots = [];
+
+    await fetchRawFromGooglePlaces({
+      only: ['Denver', 'Boulder'],
+      fetchImpl: mockFetch,
+      apiKey: 'test-key',
+      now: clock,
+      onProgress: (rawData) => snapshots.push(rawData),
+    });
+
+    assert.strictEqual(snapshots.length, 2);
+    assert.deepStrictEqual(
+      snapshots.map((s) => s.stats.totalMetros),
+      [1, 2]
+    );
+    assert.strictEqual(snapshots[0].run.completedAt, null);
+  });
+
+  it('should resume an interrupted run without refetching finished metros', async () => {
+    const startedAt = '2026-03-31T10:00:00Z';
+    const [remaining, ...done] = US_METRO_AREAS;
+    const cachedData = {
+      run: { startedAt, completedAt: null },
+      metros: done.map((m) => metroEntry(m.name, '2026-03-31T11:00:00Z')),
+    };
+    const mockFetch = createMockFetch(() => ({ body: { places: [place('resumed')] } }));
+
+    const result = await fetchRawFromGooglePlaces({
+      cachedData,
+      fetchImpl: mockFetch,
+      apiKey: 'test-key',
+      now: clock,
+    });
+
+    assert.strictEqual(mockFetch.calls.length, 1);
+    assert.strictEqual(mockFetch.calls[0].locationBias.circle.center.latitude, remaining.lat);
+    assert.strictEqual(result.run.startedAt, startedAt);
+    assert.strictEqual(result.metros.length, US_METRO_AREAS.length);
+    assert.strictEqual(result.metros[0].name, remaining.name);
+  });
+
+  it('should still resume an interrupted run after an --only run', async () => {
+    const startedAt = '2026-03-31T10:00:00Z';
+    const [first, second, ...done] = US_METRO_AREAS;
+    const interrupted = {
+      run: { startedAt, completedAt: null },
+      metros: done.map((m) => metroEntry(m.name, '2026-03-31T11:00:00Z')),
+    };
+    const mockFetch = createMockFetch(() => ({ body: { places: [place('fetched')] } }));
+
+    const onlyResult = await fetchRawFromGooglePlaces({
+      cachedData: interrupted,
+      only: [first.name],
+      fetchImpl: mockFetch,
+      apiKey: 'test-key',
+      now: clock,
+    });
+
+    assert.deepStrictEqual(onlyResult.run, { startedAt, completedAt: null });
+    assert.strictEqual(interrupted.run.completedAt, null);
+
+    mockFetch.calls.length = 0;
+    const resumed = await fetchRawFromGooglePlaces({
+      cachedData: onlyResult,
+      fetchImpl: mockFetch,
+      apiKey: 'test-key',
+      now: clock,
+    });
+
+    // The --only run fetched the first metro after the interrupted run started
+    assert.strictEqual(mockFetch.calls.length, 1);
+    assert.strictEqual(mockFetch.calls[0].locationBias.circle.center.latitude, second.lat);
+    assert.strictEqual(resumed.run.startedAt, startedAt);
+    assert.strictEqual(resumed.run.completedAt, '2026-03-31T12:00:00.000Z');
+  });
+
+  it('should reject unknown metro names', async () => {
+    await assert.rejects(
+      fetchRawFromGooglePlaces({ only: ['Atlantis'], apiKey: 'test-key' }),
+      /Unknown metro/
+    );
+  });
+});
+
 describe('transformGooglePlacesData', () => {
   it('should transform raw data to shop objects', () => {
     const rawData = {
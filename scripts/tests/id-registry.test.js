@@ -0,0 +1,239 @@
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import {
+  assignStableId,
+  assignStableIds,
+  assignUniqueId,
+  createEmptyRegistry,
+  getRegisteredIds,
+  getSourceKeys,
+  loadIdRegistry,
+  lookupId,
+  saveIdRegistry,
+  seedRegistryFromShops,
+} from '../utils/id-registry.js';
+
+describe('getSourceKeys', () => {
+  it('should use Google place ID', () => {
+    assert.deepStrictEqual(getSourceKeys({ googlePlaceId: 'abc' }), ['google:abc']);
+  });
+
+  it('should use OSM ID from raw or normalized shops', () => {
+    assert.deepStrictEqual(getSourceKeys({ osmId: 123 }), ['osm:123']);
+    assert.deepStrictEqual(getSourceKeys({ _osmId: 123 }), ['osm:123']);
+  });
+
+  it('should use manual id for manual shops', () => {
+    assert.deepStrictEqual(getSourceKeys({ id: 'manual-foo', source: 'manual' }), [
+      'manual:manual-foo',
+    ]);
+  });
+
+  it('should map manual entries copied from Google to the Google key', () => {
+    assert.deepStrictEqual(getSourceKeys({ id: 'google-xyz', _source: 'manual' }), ['google:xyz']);
+  });
+
+  it('should not duplicate keys', () => {
+    const keys = getSourceKeys({ id: 'google-xyz', googlePlaceId: 'xyz', source: 'manual' });
+    assert.deepStrictEqual(keys, ['google:xyz']);
+  });
+
+  it('should return all keys for merged shops', () => {
+    assert.deepStrictEqual(getSourceKeys({ googlePlaceId: 'abc', osmId: 9 }), [
+      'google:abc',
+      'osm:9',
+    ]);
+  });
+
+  it('should return empty array for shops without stable keys', () => {
+    assert.deepStrictEqual(getSourceKeys({ id: 'google-abc', source: 'google-places' }), []);
+    assert.deepStrictEqual(getSourceKeys(null), []);
+  });
+});
+
+describe('assignStableId', () => {
+  it('should issue sequential IDs to new shops', () => {
+    const registry = createEmptyRegistry();
+    assert.strictEqual(assignStableId({ googlePlaceId: 'a' }, registry), 1);
+    assert.strictEqual(assignStableId({ googlePlaceId: 'b' }, registry), 2);
+    assert.strictEqual(registry.nextId, 3);
+  });
+
+  it('should return the same ID for a known shop', () => {
+    const registry = createEmptyRegistry();
+    const first = assignStableId({ googlePlaceId: 'a' }, registry);
+    const second = assignStableId({ googlePlaceId: 'a', name: 'Renamed' }, registry);
+    assert.strictEqual(first, second);
+    assert.strictEqual(registry.nextId, 2);
+  });
+
+  it('should return null for shops without stable keys', () => {
+    const registry = createEmptyRegistry();
+    assert.strictEqual(assignStableId({ name: 'No key' }, registry), null);
+    assert.strictEqual(registry.nextId, 1);
+  });
+
+  it('should register all keys of a merged shop under one ID', () => {
+    const registry = createEmptyRegistry();
+    const id = assignStableId({ googlePlaceId: 'a', osmId: 5 }, registry);
+    assert.strictEqual(lookupId({ osmId: 5 }, registry), id);
+  });
+
+  it('should prefer the oldest ID when keys were registered separately', () => {
+    const registry = { nextId: 10, ids: { 'google:a': 7, 'osm:5': 3 } };
+    assert.strictEqual(assignStableId({ googlePlaceId: 'a', osmId: 5 }, registry), 3);
+    assert.strictEqual(registry.ids['google:a'], 3);
+  });
+});
+
+describe('assignUniqueId', () => {
+  it('should keep the stable ID when it is free', () => {
+    const registry = { nextId: 5, ids: { 'google:a': 2 } };
+    assert.strictEqual(assignUniqueId({ googlePlaceId: 'a' }, registry, new Set([1])), 2);
+    assert.strictEqual(registry.nextId, 5);
+  });
+
+  it('should remap the keys of a shop whose ID is taken', () => {
+    const registry = { nextId: 5, ids: { 'google:a': 2 } };
+    const id = assignUniqueId({ googlePlaceId: 'a', osmId: 9 }, registry, new Set([2]));
+
+    assert.strictEqual(id, 5);
+    assert.strictEqual(registry.nextId, 6);
+    assert.strictEqual(registry.ids['google:a'], 5);
+    assert.strictEqual(registry.ids['osm:9'], 5);
+    assert.strictEqual(assignUniqueId({ googlePlaceId: 'a' }, registry, new Set([2])), 5);
+  });
+
+  it('should give a keyless shop a fresh ID', () => {
+    const registry = { nextId: 5, ids: {} };
+    assert.strictEqual(assignUniqueId({ name: 'No key' }, registry, new Set()), 5);
+    assert.deepStrictEqual(registry.ids, {});
+  });
+});
+
+describe('assignStableIds', () => {
+  it('should keep IDs stable across runs regardless of order', () => {
+    const registry = createEmptyRegistry();
+    const run1 = assignStableIds(
+      [{ googlePlaceId: 'a' }, { googlePlaceId: 'b' }, { googlePlaceId: 'c' }],
+      registry
+    );
+    const run2 = assignStableIds(
+      [{ googlePlaceId: 'c' }, { googlePlaceId: 'a' }, { googlePlaceId: 'b' }],
+      registry
+    );
+
+    const idsByKey = (shops) => Object.fromEntries(shops.map((s) => [s.googlePlaceId, s.id]));
+    assert.deepStrictEqual(idsByKey(run1), idsByKey(run2));
+  });
+
+  it('should never reuse IDs of removed shops', () => {
+    const registry = createEmptyRegistry();
+    assignStableIds([{ googlePlaceId: 'a' }, { googlePlaceId: 'b' }], registry);
+
+    // Shop b removed, shop c added
+    const run2 = assignStableIds([{ googlePlaceId: 'a' }, { googlePlaceId: 'c' }], registry);
+    assert.strictEqual(run2[0].id, 1);
+    assert.strictEqual(run2[1].id, 3);
+
+    // Shop b returns and gets its old ID back
+    const run3 = assignStableIds([{ googlePlaceId: 'b' }], registry);
+    assert.strictEqual(run3[0].id, 2);
+  });
+
+  it('should give keyless shops fresh unique IDs', () => {
+    const registry = createEmptyRegistry();
+    const shops = assignStableIds([{ name: 'x' }, { googlePlaceId: 'a' }, { name: 'y' }], registry);
+    const ids = shops.map((s) => s.id);
+    assert.strictEqual(new Set(ids).size, 3);
+  });
+
+  it('should not assign one ID to two shops', () => {
+    const registry = { nextId: 5, ids: { 'google:a': 1, 'osm:9': 1 } };
+    const shops = assignStableIds([{ googlePlaceId: 'a' }, { osmId: 9 }], registry);
+    assert.strictEqual(shops[0].id, 1);
+    assert.strictEqual(shops[1].id, 5);
+    assert.strictEqual(registry.ids['osm:9'], 5);
+  });
+});
+
+describe('seedRegistryFromShops', () => {
+  it('should keep legacy IDs for shops matched by name and coordinates', () => {
+    const registry = createEmptyRegistry();
+    const existing = [
+      { id: 42, name: 'Cool Shop', lat: 34.0522, lng: -118.2437 },
+      { id: 99, name: 'Other Shop', lat: 40.0, lng: -74.0 },
+    ];
+    const shops = [{ googlePlaceId: 'a', name: 'Cool Shop', lat: 34.05221, lng: -118.24371 }];
+
+    const matched = seedRegistryFromShops(registry, shops, existing);
+
+    assert.strictEqual(matched, 1);
+    assert.strictEqual(registry.ids['google:a'], 42);
+    assert.strictEqual(registry.nextId, 100);
+  });
+
+  it('should not match shops with the same name far apart', () => {
+    const registry = createEmptyRegistry();
+    const existing = [{ id: 1, name: 'Zumiez', lat: 34.0, lng: -118.0 }];
+    const shops = [{ googlePlaceId: 'a', name: 'Zumiez', lat: 40.0, lng: -74.0 }];
+
+    assert.strictEqual(seedRegistryFromShops(registry, shops, existing), 0);
+    assert.strictEqual(lookupId(shops[0], registry), null);
+  });
+
+  it('should not give one legacy ID to two shops', () => {
+    const registry = createEmptyRegistry();
+    const existing = [{ id: 1, name: 'Shop', lat: 34.0, lng: -118.0 }];
+    const shops = [
+      { googlePlaceId: 'a', name: 'Shop', lat: 34.0, lng: -118.0 },
+      { googlePlaceId: 'b', name: 'Shop', lat: 34.0, lng: -118.0 },
+    ];
+
+    assert.strictEqual(seedRegistryFromShops(registry, shops, existing), 1);
+  });
+
+  it('should not match legacy IDs the registry already issued', () => {
+    const registry = { nextId: 3, ids: { 'google:a': 1 } };
+    const existing = [
+      { id: 1, name: 'Shop', lat: 34.0, lng: -118.0 },
+      { id: 2, name: 'Other Shop', lat: 40.0, lng: -74.0 },
+    ];
+    const shops = [
+      { googlePlaceId: 'b', name: 'Shop', lat: 34.0, lng: -118.0 },
+      { googlePlaceId: 'c', name: 'Other Shop', lat: 40.0, lng: -74.0 },
+    ];
+
+    assert.strictEqual(seedRegistryFromShops(registry, shops, existing), 1);
+    assert.strictEqual(lookupId(shops[0], registry), null);
+    assert.strictEqual(registry.ids['google:c'], 2);
+  });
+});
+
+describe('getRegisteredIds', () => {
+  it('should return unique IDs', () => {
+    const ids = getRegisteredIds({ nextId: 3, ids: { 'google:a': 1, 'osm:1': 1, 'google:b': 2 } });
+    assert.deepStrictEqual([...ids].sort(), [1, 2]);
+  });
+});
+
+describe('loadIdRegistry / saveIdRegistry', () => {
+  it('should return null when the file does not exist', async () => {
+    assert.strictEqual(await loadIdRegistry('/nonexistent/shop-ids.json'), null);
+  });
+
+  it('should round-trip a registry', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'id-registry-'));
+    const path = join(dir, 'shop-ids.json');
+    try {
+      const registry = { nextId: 4, ids: { 'google:b': 2, 'google:a': 1, 'osm:3': 3 } };
+      await saveIdRegistry(registry, path);
+      assert.deepStrictEqual(await loadIdRegistry(path), registry);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,6 +1,6 @@
 import assert from 'node:assert';
 import { describe, it } from 'node:test';
-import { loadManualAdditions } from '../sources/manual.js';
+import { loadManualAdditions, manualKey } from '../sources/manual.js';
 
 describe('Manual additions module', () => {
   describe('loadManualAdditions', () => {
@@ -43,3 +43,20 @@ describe('Manual additions module', () => {
     });
   });
 });
+
+describe('manualKey', () => {
+  it('should build a key from name and rounded coordinates', () => {
+    const key = manualKey({ name: "Joe's Skate Shop", lat: 34.052234, lng: -118.243685 });
+    assert.strictEqual(key, 'manual-joe-s-skate-shop-34.0522--118.2437');
+  });
+
+  it('should not depend on other fields', () => {
+    const a = manualKey({ name: 'Shop', lat: 1, lng: 2, phone: '555' });
+    const b = manualKey({ name: 'Shop', lat: 1, lng: 2 });
+    assert.strictEqual(a, b);
+  });
+
+  it('should handle missing coordinates', () => {
+    assert.strictEqual(manualKey({ name: 'Shop' }), 'manual-shop-na-na');
+  });
+});
@@ -1,6 +1,12 @@
 import assert from 'node:assert';
 import { describe, it } from 'node:test';
-import { normalizeShop, normalizeShops, prepareForOutput } from '../processors/normalizer.js';
+import {
+  compactOpeningHours,
+  normalizeShop,
+  normalizeShops,
+  normalizeTimeZone,
+  prepareForOutput,
+} from '../processors/normalizer.js';
 
 describe('normalizeShop', () => {
   describe('name normalization', () => {
@@ -204,7 +210,131 @@ describe('normalizeShop photoName', () => {
   });
 });
 
+describe('compactOpeningHours', () => {
+  const point = (day, hour, minute = 0) => ({ day, hour, minute });
+
+  it('should convert periods to one string per day, Sunday first', () => {
+    const periods = [1, 2, 3, 4, 5].map((day) => ({
+      open: point(day, 10),
+      close: point(day, 18, 30),
+    }));
+    assert.deepStrictEqual(compactOpeningHours(periods), [
+      '',
+      '1000-1830',
+      '1000-1830',
+      '1000-1830',
+      '1000-1830',
+      '1000-1830',
+      '',
+    ]);
+  });
+
+  it('should join split shifts on the same day', () => {
+    const periods = [
+      { open: point(1, 15), close: point(1, 19) },
+      { open: point(1, 9), close: point(1, 12) },
+    ];
+    assert.strictEqual(compactOpeningHours(periods)[1], '0900-1200,1500-1900');
+  });
+
+  it('should split periods that cross midnight', () => {
+    const periods = [{ open: point(5, 20), close: point(6, 2) }];
+    const hours = compactOpeningHours(periods);
+    assert.strictEqual(hours[5], '2000-2400');
+    assert.strictEqual(hours[6], '0000-0200');
+  });
+
+  it('should wrap Saturday night into Sunday', () => {
+    const hours = compactOpeningHours([{ open: point(6, 22), close: point(0, 1) }]);
+    assert.strictEqual(hours[6], '2200-2400');
+    assert.strictEqual(hours[0], '0000-0100');
+  });
+
+  it('should merge touching ranges', () => {
+    const periods = [
+      { open: point(2, 0), close: point(2, 12) },
+      { open: point(2, 12), close: point(3, 0) },
+    ];
+    assert.strictEqual(compactOpeningHours(periods)[2], '0000-2400');
+  });
+
+  it('should treat a period without a close time as open 24/7', () => {
+    assert.deepStrictEqual(
+      compactOpeningHours([{ open: point(0, 0) }]),
+      Array(7).fill('0000-2400')
+    );
+  });
+
+  it('should return null without usable periods', () => {
+    assert.strictEqual(compactOpeningHours(null), null);
+    assert.strictEqual(compactOpeningHours([]), null);
+    assert.strictEqual(compactOpeningHours([{ open: { day: 1 } }]), null);
+  });
+});
+
+describe('normalizeTimeZone', () => {
+  it('should keep valid IANA zones', () => {
+    assert.strictEqual(normalizeTimeZone('America/Denver', -420), 'America/Denver');
+  });
+
+  it('should fall back to a fixed offset zone', () => {
+    assert.strictEqual(normalizeTimeZone(null, -420), 'Etc/GMT+7');
+    assert.strictEqual(normalizeTimeZone('Bogus/Zone', 600), 'Etc/GMT-10');
+    assert.strictEqual(normalizeTimeZone(null, 0), 'Etc/GMT');
+  });
+
+  it('should return null for unknown or fractional offsets', () => {
+    assert.strictEqual(normalizeTimeZone(null, null), null);
+    assert.strictEqual(normalizeTimeZone(null, 330), null);
+  });
+});
+
+describe('normalizeShop hours', () => {
+  it('should compact Google periods and resolve the time zone', () => {
+    const result = normalizeShop({
+      id: '1',
+      name: 'Shop',
+      lat: 34.0,
+      lng: -118.0,
+      openingHours: [
+        { open: { day: 1, hour: 10, minute: 0 }, close: { day: 1, hour: 18, minute: 0 } },
+      ],
+      timeZone: 'America/Los_Angeles',
+    });
+    assert.deepStrictEqual(result.hours, ['', '1000-1800', '', '', '', '', '']);
+    assert.strictEqual(result.timeZone, 'America/Los_Angeles');
+  });
+
+  it('should keep valid compact hours from manual additions', () => {
+    const hours = ['', '1000-1800', '1000-1800', '1000-1800', '1000-1800', '1000-1800', ''];
+    const result = normalizeShop({ id: '1', name: 'Shop', hours, timeZone: 'America/Denver' });
+    assert.deepStrictEqual(result.hours, hours);
+  });
+
+  it('should drop malformed compact hours', () => {
+    const result = normalizeShop({ id: '1', name: 'Shop', hours: ['Mon 10-6'] });
+    assert.strictEqual(result.hours, null);
+  });
+});
+
 describe('prepareForOutput', () => {
+  it('should include hours with their time zone', () => {
+    const hours = Array(7).fill('1000-1800');
+    const [result] = prepareForOutput([
+      { id: 1, name: 'Shop', lat: 34, lng: -118, hours, timeZone: 'America/Denver' },
+    ]);
+    assert.deepStrictEqual(result.hours, hours);
+    assert.strictEqual(result.timeZone, 'America/Denver');
+  });
+
+  it('should omit hours without a time zone', () => {
+    const [result] = prepareForOutput([
+      { id: 1, name: 'Shop', lat: 34, lng: -118, hours: Array(7).fill(''), timeZone: null },
+    ]);
+    assert.strictEqual(result.hours, undefined);
+    assert.strictEqual(result.timeZone, undefined);
+  });
+
   it('should remove internal metadata', () => {
     const shops = [
       {
@@ -262,10 +392,14 @@ describe('prepareForOutput', () => {
         lng: -118.0,
         isIndependent: true,
         photo: '1.jpg',
+        photoWidths: [320, 640],
+        photoPlaceholder: 'data:image/webp;base64,AAAA',
       },
     ];
     const result = prepareForOutput(shops);
     assert.strictEqual(result[0].photo, '1.jpg');
+    assert.deepStrictEqual(result[0].photoWidths, [320, 640]);
+    assert.strictEqual(result[0].photoPlaceholder, 'data:image/webp;base64,AAAA');
   });
 
   it('should omit photoName and photo when not present', () => {
@@ -275,5 +409,6 @@ describe('prepareForOutput', () => {
     const result = prepareForOutput(shops);
     assert.strictEqual(result[0].photoName, undefined);
     assert.strictEqual(result[0].photo, undefined);
+    assert.strictEqual(result[0].photoWidths, undefined);
   });
 });
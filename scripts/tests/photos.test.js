@@ -0,0 +1,159 @@
+import assert from 'node:assert';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, it } from 'node:test';
+import sharp from 'sharp';
+import {
+  createPhotoPlaceholder,
+  getPhotoWidths,
+  indexPhotoWidths,
+  processPhoto,
+  updateShopPhoto,
+} from '../utils/photos.js';
+
+/**
+ * Create a solid-color JPEG
+ */
+function createImage(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#c0392b' } })
+    .jpeg()
+    .toBuffer();
+}
+
+describe('getPhotoWidths', () => {
+  it('should keep sizes that fit the 3:2 crop of the source', () => {
+    assert.deepStrictEqual(getPhotoWidths(1600, 1200), [320, 640, 960]);
+    // A 600x400 photo from before sizes existed
+    assert.deepStrictEqual(getPhotoWidths(600, 400), [320]);
+    // Portrait photos are limited by their height
+    assert.deepStrictEqual(getPhotoWidths(1200, 500), [320, 640]);
+  });
+
+  it('should use the source width when it is smaller than every size', () => {
+    assert.deepStrictEqual(getPhotoWidths(200, 400), [200]);
+  });
+});
+
+describe('indexPhotoWidths', () => {
+  it('should list sizes that have both WebP and JPEG files', () => {
+    const index = indexPhotoWidths([
+      'a.jpg',
+      'a-320.webp',
+      'a-320.jpg',
+      'a-640.webp',
+      'a-640.jpg',
+      'b.jpg',
+      'b-320.webp',
+      'c-320.webp',
+      'c-320.jpg',
+    ]);
+    assert.deepStrictEqual([...index], [['a.jpg', [320, 640]]]);
+  });
+});
+
+describe('processPhoto', () => {
+  it('should write every size and return the shops.json fields', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'photos-'));
+    try {
+      const fields = await processPhoto(await createImage(1000, 700), 'ChIJabc.jpg', dir);
+
+      assert.strictEqual(fields.photo, 'ChIJabc.jpg');
+      assert.deepStrictEqual(fields.photoWidths, [320, 640, 960]);
+      assert.match(fields.photoPlaceholder, /^data:image\/webp;base64,[A-Za-z0-9+/]+=*$/);
+      assert.deepStrictEqual(
+        [...indexPhotoWidths(readdirSync(dir))],
+        [['ChIJabc.jpg', [320, 640, 960]]]
+      );
+
+      const small = await sharp(join(dir, 'ChIJabc-320.webp')).metadata();
+      assert.strictEqual(small.format, 'webp');
+      assert.deepStrictEqual([small.width, small.height], [320, 213]);
+
+      const fallback = await sharp(join(dir, 'ChIJabc.jpg')).metadata();
+      assert.strictEqual(fallback.format, 'jpeg');
+      assert.strictEqual(fallback.width, 960);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('updateShopPhoto', () => {
+  const placeholder = 'data:image/webp;base64,UklGRg==';
+
+  it('should replace the photo reference with the processed fields', async () => {
+    const shop = { name: 'Shop', photoName: 'places/ChIJabc/photos/x' };
+    const fields = { photo: 'ChIJabc.jpg', photoWidths: [320], photoPlaceholder: placeholder };
+
+    const hasPhoto = await updateShopPhoto(shop, 'ChIJabc.jpg', {
+      processed: new Map([['ChIJabc.jpg', fields]]),
+      written: new Map(),
+      outputDir: tmpdir(),
+    });
+
+    assert.strictEqual(hasPhoto, true);
+    assert.deepStrictEqual(shop, { name: 'Shop', ...fields });
+  });
+
+  it('should keep the placeholder of a photo processed on an earlier run', async () => {
+    const shop = { photo: 'ChIJabc.jpg', photoWidths: [320], photoPlaceholder: placeholder };
+
+    await updateShopPhoto(shop, 'ChIJabc.jpg', {
+      processed: new Map(),
+      written: new Map([['ChIJabc.jpg', [320, 640]]]),
+      outputDir: join(tmpdir(), 'does-not-exist'),
+    });
+
+    assert.deepStrictEqual(shop, {
+      photo: 'ChIJabc.jpg',
+      photoWidths: [320, 640],
+      photoPlaceholder: placeholder,
+    });
+  });
+
+  it('should keep a photo that failed to resize while its file exists', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'photos-'));
+    try {
+      writeFileSync(join(dir, 'legacy.jpg'), 'not a jpeg');
+      await assert.rejects(processPhoto(Buffer.from('not a jpeg'), 'legacy.jpg', dir));
+
+      const shop = { name: 'Shop', photo: 'legacy.jpg' };
+      const hasPhoto = await updateShopPhoto(shop, 'legacy.jpg', {
+        processed: new Map(),
+        written: indexPhotoWidths(readdirSync(dir)),
+        outputDir: dir,
+      });
+
+      assert.strictEqual(hasPhoto, true);
+      assert.deepStrictEqual(shop, { name: 'Shop', photo: 'legacy.jpg' });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should remove a photo whose file is missing', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'photos-'));
+    try {
+      const shop = { name: 'Shop', photo: 'gone.jpg', photoPlaceholder: placeholder };
+      const hasPhoto = await updateShopPhoto(shop, 'gone.jpg', {
+        processed: new Map(),
+        written: new Map(),
+        outputDir: dir,
+      });
+
+      assert.strictEqual(hasPhoto, false);
+      assert.deepStrictEqual(shop, { name: 'Shop' });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createPhotoPlaceholder', () => {
+  it('should stay small enough to inline in shops.json', async () => {
+    const placeholder = await createPhotoPlaceholder(await createImage(1600, 1200));
+    assert.ok(placeholder.startsWith('data:image/webp;base64,'));
+    assert.ok(placeholder.length < 300, `${placeholder.length} characters`);
+  });
+});
@@ -0,0 +1,180 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  aggregateReferrals,
+  formatReferralCSV,
+  formatShopReferralMarkdown,
+  formatStateReferralMarkdown,
+  getEventMonth,
+  parseReferralEvents,
+  SHOP_CSV_COLUMNS,
+  STATE_CSV_COLUMNS,
+  UNKNOWN_MONTH,
+} from '../utils/referral-report.js';
+
+const shops = [
+  { id: 1, name: 'Board Room, The', address: '1 Main St, Denver, CO 80202' },
+  { id: 2, name: 'Mile High Skates', address: '2 Elm St, Boulder, CO 80302' },
+  { id: 3, name: 'Casper Skate', address: '3 Oak St, Casper, WY 82601' },
+];
+
+describe('getEventMonth', () => {
+  it('should read year-month, date and timestamp columns', () => {
+    assert.strictEqual(getEventMonth({ year_month: '202609' }), '2026-09');
+    assert.strictEqual(getEventMonth({ date: '20260915' }), '2026-09');
+    assert.strictEqual(getEventMonth({ event_date: '2026-09-15' }), '2026-09');
+    assert.strictEqual(
+      getEventMonth({ event_timestamp: String(Date.UTC(2026, 8, 15) * 1000) }),
+      '2026-09'
+    );
+  });
+
+  it('should ignore a month column without a year', () => {
+    assert.strictEqual(getEventMonth({ month: '09', date: '20251101' }), '2025-11');
+    assert.strictEqual(getEventMonth({ month: '09' }), UNKNOWN_MONTH);
+  });
+});
+
+describe('parseReferralEvents', () => {
+  it('should read a GA4 exploration CSV with event counts', () => {
+    const csv = [
+      '# ----------------------------------------',
+      'Event name,Date,customEvent:shop_id,customEvent:action,customEvent:source,Event count',
+      'shop_click,20260915,1,website,list,12',
+      'shop_click,20260915,(not set),website,list,30',
+      'shop_click,20260915,2,unknown,map,4',
+      'shop_detail_view,20260915,1,,,40',
+    ].join('\n');
+    assert.deepStrictEqual(parseReferralEvents(csv), [
+      { shopId: 1, action: 'website', source: 'list', month: '2026-09', count: 12 },
+    ]);
+  });
+
+  it('should read GA4 BigQuery rows', () => {
+    const json = JSON.stringify([
+      {
+        event_name: 'shop_click',
+        event_date: '20261001',
+        event_params: [
+          { key: 'shop_id', value: { int_value: 3 } },
+          { key: 'action', value: { string_value: 'directions' } },
+        ],
+      },
+    ]);
+    assert.deepStrictEqual(parseReferralEvents(json), [
+      { shopId: 3, action: 'directions', source: null, month: '2026-10', count: 1 },
+    ]);
+  });
+});
+
+describe('aggregateReferrals', () => {
+  const events = [
+    { shopId: 1, action: 'website', month: '2026-09', count: 5 },
+    { shopId: 1, action: 'phone', month: '2026-09', count: 2 },
+    { shopId: 2, action: 'directions', month: '2026-09', count: 3 },
+    { shopId: 1, action: 'directions', month: '2026-10', count: 1 },
+    { shopId: 99, action: 'website', month: '2026-09', count: 4 },
+  ];
+
+  it('should total clicks per shop and month', () => {
+    const { shops: rows } = aggregateReferrals(events, shops);
+    assert.deepStrictEqual(rows[0], {
+      month: '2026-09',
+      shopId: 1,
+      name: 'Board Room, The',
+      city: 'Denver',
+      state: 'CO',
+      website: 5,
+      phone: 2,
+      directions: 0,
+      total: 7,
+    });
+    assert.deepStrictEqual(
+      rows.map((row) => [row.month, row.shopId]),
+      [
+        ['2026-09', 1],
+        ['2026-09', 99],
+        ['2026-09', 2],
+        ['2026-10', 1],
+      ]
+    );
+  });
+
+  it('should keep unknown shops without a state', () => {
+    const unknown = aggregateReferrals(events, shops).shops.find((row) => row.shopId === 99);
+    assert.strictEqual(unknown.name, null);
+    assert.strictEqual(unknown.state, null);
+  });
+
+  it('should total clicks per state and month', () => {
+    const { states } = aggregateReferrals(events, shops);
+    assert.deepStrictEqual(states, [
+      { month: '2026-09', state: 'CO', shops: 2, website: 5, phone: 2, directions: 3, total: 10 },
+      { month: '2026-10', state: 'CO', shops: 1, website: 0, phone: 0, directions: 1, total: 1 },
+    ]);
+  });
+});
+
+describe('formatReferralCSV', () => {
+  it('should write a header and quote fields with commas', () => {
+    const { shops: rows, states } = aggregateReferrals(
+      [{ shopId: 1, action: 'website', month: '2026-09', count: 5 }],
+      shops
+    );
+    assert.strictEqual(
+      formatReferralCSV(rows, SHOP_CSV_COLUMNS),
+      'month,shopId,name,city,state,website,phone,directions,total\n' +
+        '2026-09,1,"Board Room, The",Denver,CO,5,0,0,5\n'
+    );
+    assert.strictEqual(
+      formatReferralCSV(states, STATE_CSV_COLUMNS),
+      'month,state,shops,website,phone,directions,total\n2026-09,CO,1,5,0,0,5\n'
+    );
+  });
+});
+
+describe('formatShopReferralMarkdown', () => {
+  it('should render a monthly table with totals', () => {
+    const rows = aggregateReferrals(
+      [
+        { shopId: 3, action: 'website', month: '2026-09', count: 2 },
+        { shopId: 3, action: 'phone', month: '2026-10', count: 1 },
+      ],
+      shops
+    ).shops;
+    const lines = formatShopReferralMarkdown(rows).split('\n');
+
+    assert.strictEqual(lines[0], '# Skate Index referrals: Casper Skate');
+    assert.strictEqual(lines[2], 'Casper, WY');
+    assert.ok(lines.includes('| Sep 2026 | 2 | 0 | 0 | 2 |'));
+    assert.ok(lines.includes('| Oct 2026 | 0 | 1 | 0 | 1 |'));
+    assert.strictEqual(lines.at(-1), '| **Total** | **2** | **1** | **0** | **3** |');
+  });
+
+  it('should name unknown shops by ID', () => {
+    const rows = aggregateReferrals(
+      [{ shopId: 99, action: 'phone', month: UNKNOWN_MONTH, count: 1 }],
+      shops
+    ).shops;
+    const report = formatShopReferralMarkdown(rows);
+    assert.ok(report.startsWith('# Skate Index referrals: Shop #99\n\nTimes'));
+    assert.ok(report.endsWith('| Unknown | 0 | 1 | 0 | 1 |'));
+  });
+});
+
+describe('formatStateReferralMarkdown', () => {
+  it('should render a row per state and month', () => {
+    const { states } = aggregateReferrals(
+      [{ shopId: 3, action: 'directions', month: '2026-09', count: 4 }],
+      shops
+    );
+    assert.strictEqual(
+      formatStateReferralMarkdown(states).split('\n')[2],
+      '| Sep 2026 | WY | 1 | 0 | 0 | 4 | 4 |'
+    );
+  });
+
+  it('should say when there are no referrals', () => {
+    assert.strictEqual(formatStateReferralMarkdown([]), 'No shop referrals found.');
+  });
+});
@@ -0,0 +1,292 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  createShopJsonLd,
+  createSitemapXML,
+  generateStaticPages,
+  getCityPath,
+  getShopLocation,
+  getShopPath,
+  getStatePath,
+  groupShopsByLocation,
+  slugify,
+} from '../utils/static-pages.js';
+
+const SITE_URL = 'https://example.com/';
+
+const shops = [
+  {
+    id: 1,
+    name: 'Mile High Skate',
+    address: '123 Main St, Denver, CO 80202',
+    lat: 39.75,
+    lng: -104.99,
+    phone: '(303) 555-1234',
+    website: 'https://milehigh.example',
+    isIndependent: true,
+  },
+  {
+    id: 2,
+    name: 'Zumiez',
+    address: '500 16th St, Denver, CO 80202',
+    lat: 39.74,
+    lng: -104.99,
+    isIndependent: false,
+  },
+  {
+    id: 3,
+    name: 'Boulder Boards',
+    address: '1 Pearl St, Boulder, CO 80302',
+    lat: 40.0,
+    lng: -105.27,
+  },
+  { id: 4, name: 'Twin Cities Skate', address: '251 Snelling Ave. S, St. Paul, MN 55105' },
+  {
+    id: 5,
+    name: 'Montreal Skate',
+    address: '3632 Boul. Saint-Laurent, Montréal, QC H2X 2V4, Canada',
+  },
+];
+
+describe('slugify', () => {
+  it('should lowercase and hyphenate', () => {
+    assert.strictEqual(slugify('New York'), 'new-york');
+    assert.strictEqual(slugify('St. Paul'), 'st-paul');
+  });
+
+  it('should drop apostrophes and diacritics', () => {
+    assert.strictEqual(slugify("Lee's Summit"), 'lees-summit');
+    assert.strictEqual(slugify('Española'), 'espanola');
+  });
+
+  it('should handle empty input', () => {
+    assert.strictEqual(slugify(''), '');
+    assert.strictEqual(slugify(null), '');
+  });
+});
+
+describe('getShopLocation', () => {
+  it('should parse city and state', () => {
+    assert.deepStrictEqual(getShopLocation(shops[0]), {
+      city: 'Denver',
+      stateCode: 'CO',
+      stateName: 'Colorado',
+    });
+  });
+
+  it('should accept lowercase state codes', () => {
+    const location = getShopLocation({ address: '1 Main St, Fresno, Ca 93650' });
+    assert.strictEqual(location.stateCode, 'CA');
+  });
+
+  it('should return null outside the US', () => {
+    assert.strictEqual(getShopLocation(shops[4]), null);
+  });
+
+  it('should return null without a city', () => {
+    assert.strictEqual(getShopLocation({ address: 'Denver' }), null);
+    assert.strictEqual(getShopLocation({}), null);
+  });
+});
+
+describe('groupShopsByLocation', () => {
+  const states = groupShopsByLocation(shops);
+
+  it('should group by state sorted by name', () => {
+    assert.deepStrictEqual(
+      states.map((state) => state.name),
+      ['Colorado', 'Minnesota']
+    );
+    assert.strictEqual(states[0].shops.length, 3);
+  });
+
+  it('should group cities within a state', () => {
+    assert.deepStrictEqual(
+      states[0].cities.map((city) => [city.name, city.shops.length]),
+      [
+        ['Boulder', 1],
+        ['Denver', 2],
+      ]
+    );
+  });
+
+  it('should merge cities whose names differ only in case', () => {
+    const grouped = groupShopsByLocation([
+      { name: 'A', address: '1 St, Denver, CO' },
+      { name: 'B', address: '2 St, DENVER, CO' },
+    ]);
+    assert.strictEqual(grouped[0].cities.length, 1);
+  });
+});
+
+describe('page paths', () => {
+  const [colorado] = groupShopsByLocation(shops);
+  const denver = colorado.cities[1];
+
+  it('should nest state, city and shop paths', () => {
+    assert.strictEqual(getStatePath(colorado), 'shops/colorado/');
+    assert.strictEqual(getCityPath(colorado, denver), 'shops/colorado/denver/');
+    assert.strictEqual(
+      getShopPath(colorado, denver, shops[0]),
+      'shops/colorado/denver/1-mile-high-skate/'
+    );
+  });
+});
+
+describe('createShopJsonLd', () => {
+  it('should describe the shop as a SportingGoodsStore', () => {
+    const data = createShopJsonLd(shops[0], SITE_URL, 'shops/colorado/denver/1-mile-high-skate/');
+
+    assert.strictEqual(data['@type'], 'SportingGoodsStore');
+    assert.strictEqual(data.url, 'https://example.com/shops/colorado/denver/1-mile-high-skate/');
+    assert.deepStrictEqual(data.address, {
+      '@type': 'PostalAddress',
+      streetAddress: '123 Main St',
+      addressLocality: 'Denver',
+      addressRegion: 'CO',
+      postalCode: '80202',
+      addressCountry: 'US',
+    });
+    assert.deepStrictEqual(data.geo, {
+      '@type': 'GeoCoordinates',
+      latitude: 39.75,
+      longitude: -104.99,
+    });
+    assert.strictEqual(data.telephone, '(303) 555-1234');
+    assert.strictEqual(data.sameAs, 'https://milehigh.example');
+  });
+
+  it('should include opening hours', () => {
+    const hours = ['', '1000-1800', '', '', '', '2000-2400', '0000-0200'];
+    const data = createShopJsonLd({ ...shops[0], hours }, SITE_URL, 'shops/colorado/denver/1/');
+    assert.deepStrictEqual(data.openingHoursSpecification, [
+      {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: 'https://schema.org/Monday',
+        opens: '10:00',
+        closes: '18:00',
+      },
+      {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: 'https://schema.org/Friday',
+        opens: '20:00',
+        closes: '23:59',
+      },
+      {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: 'https://schema.org/Saturday',
+        opens: '00:00',
+        closes: '02:00',
+      },
+    ]);
+  });
+
+  it('should omit missing optional fields', () => {
+    const data = createShopJsonLd(shops[3], SITE_URL, 'shops/minnesota/st-paul/4/');
+    assert.strictEqual(data.geo, undefined);
+    assert.strictEqual(data.telephone, undefined);
+    assert.strictEqual(data.sameAs, undefined);
+    assert.strictEqual(data.openingHoursSpecification, undefined);
+  });
+});
+
+describe('createSitemapXML', () => {
+  it('should list every URL with lastmod', () => {
+    const xml = createSitemapXML(
+      ['https://example.com/', 'https://example.com/a?b&c'],
+      '2026-03-22'
+    );
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(
+      xml.includes('<url><loc>https://example.com/</loc><lastmod>2026-03-22</lastmod></url>')
+    );
+    assert.ok(xml.includes('<loc>https://example.com/a?b&amp;c</loc>'));
+  });
+
+  it('should omit lastmod when unknown', () => {
+    assert.ok(!createSitemapXML(['https://example.com/']).includes('lastmod'));
+  });
+});
+
+describe('generateStaticPages', () => {
+  const { pages, sitemap, stats } = generateStaticPages(
+    { shops, lastUpdated: '2026-03-22' },
+    'https://example.com'
+  );
+  const page = (path) => pages.find((p) => p.path === path)?.html;
+
+  it('should generate index, state, city and shop pages', () => {
+    assert.deepStrictEqual(stats, { states: 2, cities: 3, shops: 4 });
+    assert.strictEqual(pages.length, 1 + 2 + 3 + 4);
+    assert.ok(page('shops/'));
+    assert.ok(page('shops/colorado/'));
+    assert.ok(page('shops/colorado/denver/'));
+    assert.ok(page('shops/colorado/denver/2-zumiez/'));
+  });
+
+  it('should skip shops outside the US', () => {
+    assert.ok(!pages.some((p) => p.html.includes('Montreal Skate')));
+  });
+
+  it('should link pages with paths relative to the page', () => {
+    const html = page('shops/colorado/denver/');
+    assert.ok(html.includes('href="../../../styles.css"'));
+    assert.ok(html.includes('href="../../../shops/colorado/denver/1-mile-high-skate/"'));
+    assert.ok(html.includes('href="../../../index.html?q=Denver%2C%20CO"'));
+  });
+
+  it('should link shop pages to the interactive detail view', () => {
+    const html = page('shops/colorado/denver/1-mile-high-skate/');
+    assert.ok(html.includes('href="../../../../index.html?shop=1"'));
+    assert.ok(html.includes('href="../../../../shops/colorado/denver/2-zumiez/"'));
+  });
+
+  it('should include canonical links and JSON-LD', () => {
+    const html = page('shops/colorado/denver/1-mile-high-skate/');
+    assert.ok(
+      html.includes(
+        '<link rel="canonical" href="https://example.com/shops/colorado/denver/1-mile-high-skate/">'
+      )
+    );
+    const json = html.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1];
+    const data = JSON.parse(json);
+    assert.strictEqual(data['@context'], 'https://schema.org');
+    assert.strictEqual(data.name, 'Mile High Skate');
+  });
+
+  it('should describe shop pages with the right article', () => {
+    assert.ok(
+      page('shops/colorado/denver/1-mile-high-skate/').includes(
+        'Mile High Skate is an independent skate shop at'
+      )
+    );
+    assert.ok(
+      page('shops/colorado/denver/2-zumiez/').includes('Zumiez is a skateboard retailer at')
+    );
+  });
+
+  it('should list shops as structured data on city pages', () => {
+    const html = page('shops/colorado/denver/');
+    const data = JSON.parse(html.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1]);
+    assert.strictEqual(data['@type'], 'ItemList');
+    assert.strictEqual(data.numberOfItems, 2);
+    assert.strictEqual(data.itemListElement[0].item['@type'], 'SportingGoodsStore');
+  });
+
+  it('should escape shop content in HTML and JSON-LD', () => {
+    const { pages: escaped } = generateStaticPages(
+      { shops: [{ id: 9, name: '</script><b>x</b>', address: '1 St, Denver, CO 80202' }] },
+      SITE_URL
+    );
+    const html = escaped.find((p) => p.path.endsWith('/9-script-b-x-b/')).html;
+    assert.ok(!html.includes('<b>x</b>'));
+    assert.strictEqual(html.match(/<\/script>/g).length, 2);
+  });
+
+  it('should list the home page and every page in the sitemap', () => {
+    assert.ok(sitemap.includes('<loc>https://example.com/</loc>'));
+    for (const { path } of pages) {
+      assert.ok(sitemap.includes(`<loc>https://example.com/${path}</loc>`), path);
+    }
+  });
+});
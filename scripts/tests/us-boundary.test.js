@@ -0,0 +1,84 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { findUSRegion, loadUSBoundary, pointInPolygon, pointInRing } from '../utils/us-boundary.js';
+
+const SQUARE = [
+  [0, 0],
+  [10, 0],
+  [10, 10],
+  [0, 10],
+  [0, 0],
+];
+
+const HOLE = [
+  [4, 4],
+  [6, 4],
+  [6, 6],
+  [4, 6],
+  [4, 4],
+];
+
+describe('pointInRing', () => {
+  it('should return true for a point inside', () => {
+    assert.strictEqual(pointInRing(5, 5, SQUARE), true);
+  });
+
+  it('should return false for a point outside', () => {
+    assert.strictEqual(pointInRing(15, 5, SQUARE), false);
+    assert.strictEqual(pointInRing(5, -1, SQUARE), false);
+  });
+
+  it('should treat coordinates as [lng, lat]', () => {
+    const wide = [
+      [0, 0],
+      [20, 0],
+      [20, 5],
+      [0, 5],
+      [0, 0],
+    ];
+    assert.strictEqual(pointInRing(2, 15, wide), true);
+    assert.strictEqual(pointInRing(15, 2, wide), false);
+  });
+});
+
+describe('pointInPolygon', () => {
+  it('should exclude points inside a hole', () => {
+    assert.strictEqual(pointInPolygon(5, 5, [SQUARE, HOLE]), false);
+    assert.strictEqual(pointInPolygon(2, 2, [SQUARE, HOLE]), true);
+  });
+});
+
+describe('loadUSBoundary', () => {
+  it('should load polygons for states and territories', () => {
+    const polygons = loadUSBoundary();
+    const codes = new Set(polygons.map((p) => p.code));
+    for (const code of ['US-48', 'AK', 'HI', 'PR', 'VI', 'GU', 'MP', 'AS']) {
+      assert.ok(codes.has(code), `Missing region ${code}`);
+    }
+  });
+
+  it('should have closed rings', () => {
+    for (const polygon of loadUSBoundary()) {
+      const ring = polygon.rings[0];
+      assert.deepStrictEqual(ring[0], ring[ring.length - 1], `${polygon.region} ring not closed`);
+    }
+  });
+});
+
+describe('findUSRegion', () => {
+  it('should identify the region for a point', () => {
+    assert.strictEqual(findUSRegion(61.2181, -149.9003).code, 'AK');
+    assert.strictEqual(findUSRegion(21.3069, -157.8583).code, 'HI');
+    assert.strictEqual(findUSRegion(18.4655, -66.1057).code, 'PR');
+    assert.strictEqual(findUSRegion(39.7392, -104.9903).code, 'US-48');
+  });
+
+  it('should handle the Aleutians west of the antimeridian', () => {
+    assert.strictEqual(findUSRegion(52.93, 173.2).code, 'AK'); // Attu
+  });
+
+  it('should return null outside the US', () => {
+    assert.strictEqual(findUSRegion(51.0447, -114.0719), null); // Calgary
+    assert.strictEqual(findUSRegion(65.78, -169.06), null); // Big Diomede, Russia
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Analytics export parsing
+ * Reads the event exports the report scripts take as input (GA4 exploration CSV, a JSON array
+ * of flat events, or GA4 BigQuery rows) into rows with normalized field names.
+ */
+
+/**
+ * Parse CSV text into row objects keyed by header
+ * Handles quoted fields and skips blank lines and "#" comment lines (GA4 exports start with them)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows
+ */
+export function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRecord();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  endRecord();
+
+  const rows = records.filter((r) => !r[0].trimStart().startsWith('#'));
+  if (rows.length === 0) return [];
+
+  const [header, ...data] = rows;
+  return data.map((values) => Object.fromEntries(header.map((name, i) => [name, values[i] ?? ''])));
+}
+
+/**
+ * Normalize an export column name
+ * "Event count" -> "event_count", "customEvent:geohash" -> "geohash"
+ */
+function normalizeKey(key) {
+  return String(key)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^custom_?event_/, '');
+}
+
+/**
+ * Flatten a GA4 BigQuery export row ({ event_name, event_params: [{ key, value }] })
+ */
+function flattenEventParams(row) {
+  const flat = { ...row };
+  for (const { key, value } of row.event_params) {
+    flat[key] = value?.string_value ?? value?.int_value ?? value?.double_value ?? value;
+  }
+  delete flat.event_params;
+  return flat;
+}
+
+/**
+ * Parse an analytics export into flat rows with normalized field names
+ * Event parameters from BigQuery rows are lifted to top-level fields.
+ * @param {string} text - Export file contents
+ * @returns {Array<Object>} Rows, e.g. { event_name, event_count, geohash, ... }
+ */
+export function parseAnalyticsExport(text) {
+  const trimmed = text.trim();
+  let rows;
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data.events || data.rows || [];
+  } else {
+    rows = parseCSV(text);
+  }
+
+  return rows
+    .filter((row) => row && typeof row === 'object')
+    .map((row) => {
+      const source = Array.isArray(row.event_params) ? flattenEventParams(row) : row;
+      const fields = {};
+      for (const [key, value] of Object.entries(source)) {
+        fields[normalizeKey(key)] = value;
+      }
+      return fields;
+    });
+}
+
+/**
+ * Get how many events an exported row stands for
+ * GA4 explorations aggregate rows with an event count; raw event rows count once.
+ * @param {Object} fields - Row from parseAnalyticsExport
+ * @returns {number} Positive event count
+ */
+export function getEventCount(fields) {
+  const count = Number(fields.event_count ?? fields.count ?? 1);
+  return Number.isFinite(count) && count > 0 ? count : 1;
+}
@@ -0,0 +1,118 @@
+/**
+ * Local stand-in for a Plausible-compatible analytics server
+ * Captures the beacons sent by the beacon provider in analytics.js so they can be
+ * inspected without a real analytics account.
+ */
+
+import { createServer } from 'node:http';
+
+export const EVENT_PATH = '/api/event';
+export const EVENTS_PATH = '/api/events';
+
+// Beacons are tiny; anything bigger is a mistake
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * Parse and validate a beacon body
+ * @param {string} body - Raw request body (JSON sent as text/plain)
+ * @returns {Object} { name, url, domain, props }
+ * @throws {Error} If the body isn't a valid event
+ */
+export function parseBeacon(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    throw new Error('Body is not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Body must be a JSON object');
+  }
+  for (const field of ['name', 'url', 'domain']) {
+    if (typeof data[field] !== 'string' || !data[field]) {
+      throw new Error(`Missing "${field}"`);
+    }
+  }
+  if (data.props !== undefined && (typeof data.props !== 'object' || data.props === null)) {
+    throw new Error('"props" must be an object');
+  }
+
+  return { name: data.name, url: data.url, domain: data.domain, props: data.props ?? {} };
+}
+
+/**
+ * Format a captured event as a single log line
+ * @param {Object} event - Parsed beacon
+ * @returns {string} e.g. "search (skateindex.com) method=address result_count=3"
+ */
+export function formatBeacon(event) {
+  const props = Object.entries(event.props).map(([key, value]) => `${key}=${value}`);
+  return [`${event.name} (${event.domain})`, ...props].join(' ');
+}
+
+/**
+ * Read a request body up to MAX_BODY_BYTES
+ * @returns {Promise<string|null>} Body, or null if it was too large
+ */
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Create the stub server
+ *
+ * - POST /api/event captures a beacon (202, or 400 if it's malformed)
+ * - GET /api/events returns the captured beacons as JSON
+ * - DELETE /api/events clears them
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Called with each captured event
+ * @returns {Object} { server, events } where events is the live capture list
+ */
+export function createAnalyticsStubServer({ onEvent } = {}) {
+  const events = [];
+
+  const server = createServer(async (req, res) => {
+    // Beacons come from the site on another origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+    } else if (req.method === 'POST' && path === EVENT_PATH) {
+      const body = await readBody(req);
+      if (body === null) {
+        res.writeHead(413).end('Body too large');
+        return;
+      }
+      try {
+        const event = parseBeacon(body);
+        events.push(event);
+        onEvent?.(event);
+        res.writeHead(202).end('ok');
+      } catch (error) {
+        res.writeHead(400).end(error.message);
+      }
+    } else if (req.method === 'GET' && path === EVENTS_PATH) {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(events));
+    } else if (req.method === 'DELETE' && path === EVENTS_PATH) {
+      events.length = 0;
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(404).end('Not found');
+    }
+  });
+
+  return { server, events };
+}
@@ -0,0 +1,164 @@
+/**
+ * Coverage gap report
+ * Turns exported `coverage_gap` analytics events (location searches that found few or no
+ * shops, reported by geohash cell) into a ranked list of regions to add to US_METRO_AREAS.
+ */
+
+import {
+  calculateDistance,
+  decodeGeohash,
+  formatLocationLabel,
+  reverseGeocodeLocally,
+} from '../../app.utils.js';
+import { getEventCount, parseAnalyticsExport } from './analytics-export.js';
+
+// fetch-shops searches 50,000 m (~31 miles) around each metro center
+export const METRO_SEARCH_RADIUS_MILES = 31;
+
+// Cells are merged into regions by geohash prefix; 3 characters is ~156 x 156 km
+export const REGION_PRECISION = 3;
+
+// How far from a suggested center to look for a city to name it after
+const LABEL_MAX_MILES = 50;
+
+/**
+ * Convert an exported row into a coverage gap event
+ * @param {Object} fields - Row from parseAnalyticsExport
+ * @returns {Object|null} { geohash, resultCount, radius, count } or null if the row isn't one
+ */
+function toCoverageEvent(fields) {
+  if (fields.event_name && fields.event_name !== 'coverage_gap') return null;
+
+  const geohash = String(fields.geohash ?? '')
+    .trim()
+    .toLowerCase();
+  if (!decodeGeohash(geohash)) return null;
+
+  const resultCount = Number(fields.result_count);
+  const radius = Number(fields.radius);
+
+  return {
+    geohash,
+    resultCount: Number.isFinite(resultCount) ? resultCount : null,
+    radius: Number.isFinite(radius) ? radius : null,
+    count: getEventCount(fields),
+  };
+}
+
+/**
+ * Parse an analytics export into coverage gap events
+ * Accepts CSV with geohash/result_count/radius columns (plus an optional event count), a
+ * JSON array of flat events, or GA4 BigQuery rows with event_params. Rows for other events
+ * or without a valid geohash are skipped.
+ * @param {string} text - Export file contents
+ * @returns {Array<Object>} Events { geohash, resultCount, radius, count }
+ */
+export function parseCoverageEvents(text) {
+  return parseAnalyticsExport(text).map(toCoverageEvent).filter(Boolean);
+}
+
+/**
+ * Find the closest metro area to a point
+ * @returns {Object|null} { name, distance } in miles
+ */
+function findNearestMetro(metros, lat, lng) {
+  let nearest = null;
+  for (const metro of metros) {
+    const distance = calculateDistance(lat, lng, metro.lat, metro.lng);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { name: metro.name, distance };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Group coverage gap events into regions and rank them
+ * A region's suggested metro center is the search-weighted center of its cells. Zero-result
+ * searches count double in the score.
+ * @param {Array<Object>} events - Events from parseCoverageEvents
+ * @param {Array<Object>} metros - Existing metros ({ name, lat, lng }), e.g. US_METRO_AREAS
+ * @param {Object} [options]
+ * @param {number} [options.regionPrecision] - Geohash prefix length that defines a region
+ * @param {Object} [options.geocodeIndex] - Parsed geocode-index.json, used to name centers
+ * @returns {Array<Object>} Regions, highest score first:
+ *   { region, lat, lng, label, searches, zeroResults, cells, score, nearestMetro,
+ *     nearestMetroMiles, covered }
+ */
+export function rankCoverageGaps(events, metros, options = {}) {
+  const { regionPrecision = REGION_PRECISION, geocodeIndex = null } = options;
+  const regions = new Map();
+
+  for (const event of events) {
+    const key = event.geohash.slice(0, regionPrecision);
+    let region = regions.get(key);
+    if (!region) {
+      region = { searches: 0, zeroResults: 0, cells: new Map() };
+      regions.set(key, region);
+    }
+    region.searches += event.count;
+    if (event.resultCount === 0) {
+      region.zeroResults += event.count;
+    }
+    region.cells.set(event.geohash, (region.cells.get(event.geohash) || 0) + event.count);
+  }
+
+  const ranked = [];
+  for (const [key, region] of regions) {
+    let latSum = 0;
+    let lngSum = 0;
+    for (const [cell, count] of region.cells) {
+      const center = decodeGeohash(cell);
+      latSum += center.lat * count;
+      lngSum += center.lng * count;
+    }
+    const lat = Math.round((latSum / region.searches) * 100) / 100;
+    const lng = Math.round((lngSum / region.searches) * 100) / 100;
+
+    const nearest = findNearestMetro(metros, lat, lng);
+    const nearestMetroMiles = nearest ? Math.round(nearest.distance) : null;
+
+    ranked.push({
+      region: key,
+      lat,
+      lng,
+      label: formatLocationLabel(reverseGeocodeLocally(geocodeIndex, lat, lng, LABEL_MAX_MILES)),
+      searches: region.searches,
+      zeroResults: region.zeroResults,
+      cells: region.cells.size,
+      score: region.searches + region.zeroResults,
+      nearestMetro: nearest?.name ?? null,
+      nearestMetroMiles,
+      covered: nearest ? nearest.distance <= METRO_SEARCH_RADIUS_MILES : false,
+    });
+  }
+
+  return ranked.sort(
+    (a, b) => b.score - a.score || b.searches - a.searches || a.region.localeCompare(b.region)
+  );
+}
+
+/**
+ * Format ranked regions as a Markdown table
+ * @param {Array<Object>} regions - Regions from rankCoverageGaps
+ * @returns {string} Markdown table (or a note when there are no regions)
+ */
+export function formatCoverageReport(regions) {
+  if (regions.length === 0) {
+    return 'No coverage gaps found.';
+  }
+
+  const lines = [
+    '| Rank | Suggested center | Near | Searches | Zero results | Nearest metro |',
+    '|------|------------------|------|----------|--------------|---------------|',
+  ];
+  regions.forEach((region, i) => {
+    const metro = region.nearestMetro
+      ? `${region.nearestMetro} (${region.nearestMetroMiles} mi${region.covered ? ', already searched' : ''})`
+      : '—';
+    lines.push(
+      `| ${i + 1} | ${region.lat}, ${region.lng} | ${region.label || '—'} | ${region.searches} | ${region.zeroResults} | ${metro} |`
+    );
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,67 @@
+/**
+ * Local geocode index builder
+ * Builds the ZIP and city/state centroid lookup used by the frontend before falling back to Nominatim
+ */
+
+import { normalizeCityName } from '../../app.utils.js';
+
+// Military "states" (Armed Forces Americas/Europe/Pacific) have no usable location, and
+// the freely associated states (Micronesia, Marshall Islands, Palau) are outside the US
+const EXCLUDED_STATES = new Set(['AA', 'AE', 'AP', 'FM', 'MH', 'PW']);
+
+// ~1 km; plenty for a search centroid and keeps the file small
+const COORD_PRECISION = 2;
+
+/**
+ * Round a coordinate for the index
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded value
+ */
+function roundCoord(value) {
+  return Number(value.toFixed(COORD_PRECISION));
+}
+
+/**
+ * Build the geocode index from ZIP code records
+ * City centroids are the average of the city's ZIP centroids; the ZIP count is kept as a
+ * rough measure of city size for reverse lookups
+ * @param {Array} records - Records with zip, latitude, longitude, city, state, country
+ * @returns {Object} { zips: { zip: [lat, lng] }, cities: { ST: { city: [lat, lng, zipCount] } } }
+ */
+export function buildGeocodeIndex(records) {
+  const zips = {};
+  const cityTotals = {};
+
+  for (const record of records) {
+    const { zip, latitude, longitude, city, state, country } = record;
+
+    if (country && country !== 'US') continue;
+    if (!/^\d{5}$/.test(zip) || EXCLUDED_STATES.has(state)) continue;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') continue;
+    if (latitude === 0 && longitude === 0) continue;
+
+    zips[zip] = [roundCoord(latitude), roundCoord(longitude)];
+
+    const cityKey = normalizeCityName(city);
+    if (!cityKey || !state) continue;
+
+    cityTotals[state] ??= {};
+    cityTotals[state][cityKey] ??= { lat: 0, lng: 0, count: 0 };
+    const totals = cityTotals[state][cityKey];
+    totals.lat += latitude;
+    totals.lng += longitude;
+    totals.count++;
+  }
+
+  // Sort keys for stable diffs
+  const cities = {};
+  for (const state of Object.keys(cityTotals).sort()) {
+    cities[state] = {};
+    for (const city of Object.keys(cityTotals[state]).sort()) {
+      const { lat, lng, count } = cityTotals[state][city];
+      cities[state][city] = [roundCoord(lat / count), roundCoord(lng / count), count];
+    }
+  }
+
+  return { zips, cities };
+}
@@ -0,0 +1,230 @@
+/**
+ * Persistent shop ID registry
+ * Maps stable source keys (Google place ID, OSM ID, manual key) to numeric shop IDs
+ * so IDs in shops.json survive re-collection runs
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const ID_REGISTRY_PATH = join(__dirname, '..', 'data', 'shop-ids.json');
+
+// Coordinate tolerance when matching legacy shops.json entries (~11 meters)
+const LEGACY_MATCH_THRESHOLD = 0.0001;
+
+/**
+ * Create an empty registry
+ * @returns {Object} Registry with nextId and ids map
+ */
+export function createEmptyRegistry() {
+  return { nextId: 1, ids: {} };
+}
+
+/**
+ * Get all stable source keys for a shop
+ * A merged shop can carry several keys (e.g. Google + OSM); all map to the same ID
+ * @param {Object} shop - Shop object (raw or normalized)
+ * @returns {Array<string>} Source keys such as "google:ChIJ...", "osm:123", "manual:foo"
+ */
+export function getSourceKeys(shop) {
+  if (!shop) return [];
+
+  const keys = [];
+
+  if (shop.googlePlaceId) {
+    keys.push(`google:${shop.googlePlaceId}`);
+  }
+
+  const osmId = shop.osmId || shop._osmId;
+  if (osmId) {
+    keys.push(`osm:${osmId}`);
+  }
+
+  const source = shop.source || shop._source;
+  if (source === 'manual' && typeof shop.id === 'string') {
+    // Manual additions copied from Google Places keep their place ID in the id field
+    const key = shop.id.startsWith('google-')
+      ? `google:${shop.id.slice('google-'.length)}`
+      : `manual:${shop.id}`;
+    if (!keys.includes(key)) {
+      keys.push(key);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Look up the registered ID for a shop without modifying the registry
+ * @param {Object} shop - Shop object
+ * @param {Object} registry - ID registry
+ * @returns {number|null} Registered ID or null
+ */
+export function lookupId(shop, registry) {
+  const ids = getSourceKeys(shop)
+    .map((key) => registry.ids[key])
+    .filter((id) => typeof id === 'number');
+
+  // Prefer the oldest ID when merged records were registered separately
+  return ids.length > 0 ? Math.min(...ids) : null;
+}
+
+/**
+ * Get the ID for a shop, registering a fresh one if none of its keys are known
+ * IDs are never reused: nextId only ever increases
+ * @param {Object} shop - Shop object
+ * @param {Object} registry - ID registry (mutated)
+ * @returns {number|null} Shop ID, or null if the shop has no stable key
+ */
+export function assignStableId(shop, registry) {
+  const keys = getSourceKeys(shop);
+  if (keys.length === 0) {
+    return null;
+  }
+
+  let id = lookupId(shop, registry);
+  if (id === null) {
+    id = registry.nextId;
+    registry.nextId++;
+  }
+
+  for (const key of keys) {
+    registry.ids[key] = id;
+  }
+
+  return id;
+}
+
+/**
+ * Get the ID for a shop that must not share an ID with other listed shops
+ * A shop without a stable key, or whose ID is already taken, gets a fresh ID, and its keys
+ * are remapped to that ID so later runs resolve it the same way
+ * @param {Object} shop - Shop object
+ * @param {Object} registry - ID registry (mutated)
+ * @param {Set<number>} takenIds - IDs already used by other shops
+ * @returns {number} Shop ID
+ */
+export function assignUniqueId(shop, registry, takenIds) {
+  let id = assignStableId(shop, registry);
+
+  if (id === null || takenIds.has(id)) {
+    id = registry.nextId;
+    registry.nextId++;
+    for (const key of getSourceKeys(shop)) {
+      registry.ids[key] = id;
+    }
+  }
+
+  return id;
+}
+
+/**
+ * Assign stable IDs to all shops
+ * Shops without a stable key still get a fresh ID, but it won't persist across runs
+ * @param {Array} shops - Shop array
+ * @param {Object} registry - ID registry (mutated)
+ * @returns {Array} Shops with numeric IDs
+ */
+export function assignStableIds(shops, registry) {
+  const usedIds = new Set();
+
+  return shops.map((shop) => {
+    // Two shops resolving to one ID would produce duplicates; the later one gets a new ID
+    const id = assignUniqueId(shop, registry, usedIds);
+    usedIds.add(id);
+    return { ...shop, id };
+  });
+}
+
+/**
+ * Seed the registry from an existing shops.json so current IDs are kept
+ * Legacy output has no source keys, so shops are matched by name and coordinates. Only shops
+ * without a registered key are matched, and only to IDs the registry hasn't issued yet.
+ * @param {Object} registry - ID registry (mutated)
+ * @param {Array} shops - Processed shops carrying source keys
+ * @param {Array} existingShops - Shops from the previous shops.json
+ * @returns {number} Number of shops matched to a legacy ID
+ */
+export function seedRegistryFromShops(registry, shops, existingShops) {
+  const maxExistingId = existingShops.reduce((max, s) => Math.max(max, s.id || 0), 0);
+  registry.nextId = Math.max(registry.nextId, maxExistingId + 1);
+
+  const byName = new Map();
+  for (const existing of existingShops) {
+    const name = existing.name?.toLowerCase();
+    if (!name || typeof existing.id !== 'number') continue;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(existing);
+  }
+
+  const claimed = getRegisteredIds(registry);
+  let matched = 0;
+
+  for (const shop of shops) {
+    const keys = getSourceKeys(shop);
+    if (keys.length === 0 || lookupId(shop, registry) !== null) continue;
+
+    const candidates = byName.get(shop.name?.toLowerCase()) || [];
+    const match = candidates.find(
+      (existing) =>
+        !claimed.has(existing.id) &&
+        Math.abs(existing.lat - shop.lat) < LEGACY_MATCH_THRESHOLD &&
+        Math.abs(existing.lng - shop.lng) < LEGACY_MATCH_THRESHOLD
+    );
+
+    if (match) {
+      claimed.add(match.id);
+      for (const key of keys) {
+        registry.ids[key] = match.id;
+      }
+      matched++;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Get the set of all IDs ever issued by the registry
+ * @param {Object} registry - ID registry
+ * @returns {Set<number>} Registered IDs
+ */
+export function getRegisteredIds(registry) {
+  return new Set(Object.values(registry.ids));
+}
+
+/**
+ * Load the registry from disk
+ * @param {string} [path] - Registry file path
+ * @returns {Promise<Object|null>} Registry or null if the file doesn't exist
+ */
+export async function loadIdRegistry(path = ID_REGISTRY_PATH) {
+  if (!existsSync(path)) {
+    return null;
+  }
+
+  const data = JSON.parse(await readFile(path, 'utf8'));
+  return {
+    nextId: data.nextId || 1,
+    ids: data.ids || {},
+  };
+}
+
+/**
+ * Save the registry to disk (keys sorted for stable diffs)
+ * @param {Object} registry - ID registry
+ * @param {string} [path] - Registry file path
+ */
+export async function saveIdRegistry(registry, path = ID_REGISTRY_PATH) {
+  const ids = {};
+  for (const key of Object.keys(registry.ids).sort()) {
+    ids[key] = registry.ids[key];
+  }
+
+  await writeFile(path, `${JSON.stringify({ nextId: registry.nextId, ids }, null, 2)}\n`);
+}
@@ -0,0 +1,162 @@
+/**
+ * Shop photo processing
+ * Crops a downloaded storefront photo to 3:2 and writes it in several sizes as WebP and JPEG,
+ * plus a tiny blurred placeholder that is stored in shops.json.
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import sharp from 'sharp';
+import { CONFIG } from '../../app.utils.js';
+import { getPhotoVariant } from '../../sw.utils.js';
+
+// Photos are shown at 3:2 in cards and popups
+const ASPECT_RATIO = 3 / 2;
+
+const WEBP_QUALITY = 75;
+const JPEG_QUALITY = 80;
+
+// Placeholder size; browsers smooth it into a blur when it's scaled up
+const PLACEHOLDER_WIDTH = 16;
+const PLACEHOLDER_QUALITY = 30;
+
+/**
+ * Pick the photo sizes a source image is big enough for
+ * Sizes wider than the 3:2 crop of the source would be upscaled, so they're skipped; a source
+ * smaller than every size gets a single size at its own width.
+ * @param {number} width - Source width in pixels
+ * @param {number} height - Source height in pixels
+ * @param {Array<number>} widths - Candidate widths (default: CONFIG.PHOTO_WIDTHS)
+ * @returns {Array<number>} Widths to write, smallest first
+ */
+export function getPhotoWidths(width, height, widths = CONFIG.PHOTO_WIDTHS) {
+  const cropWidth = Math.min(width, Math.floor(height * ASPECT_RATIO));
+  const fitting = widths.filter((candidate) => candidate <= cropWidth);
+  return fitting.length > 0 ? fitting : [cropWidth];
+}
+
+/**
+ * Write the sizes of a photo and build its placeholder
+ * The largest JPEG is also written as the photo itself, the fallback for browsers without
+ * srcset and the image used in structured data.
+ * @param {Buffer} source - Downloaded image
+ * @param {string} photo - Photo filename to write (e.g. 'ChIJabc.jpg')
+ * @param {string} outputDir - Directory to write to
+ * @returns {Promise<Object>} Fields for shops.json: { photo, photoWidths, photoPlaceholder }
+ */
+export async function processPhoto(source, photo, outputDir) {
+  // rotate() applies the EXIF orientation; orientations 5-8 swap width and height
+  const image = sharp(source).rotate();
+  const metadata = await image.metadata();
+  const [width, height] =
+    metadata.orientation >= 5
+      ? [metadata.height, metadata.width]
+      : [metadata.width, metadata.height];
+  const widths = getPhotoWidths(width, height);
+
+  for (const photoWidth of widths) {
+    const resized = image
+      .clone()
+      .resize(photoWidth, Math.round(photoWidth / ASPECT_RATIO), { fit: 'cover' });
+    await resized
+      .clone()
+      .webp({ quality: WEBP_QUALITY })
+      .toFile(join(outputDir, getPhotoVariant(photo, photoWidth, 'webp')));
+
+    const jpeg = await resized.clone().jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer();
+    await writeFile(join(outputDir, getPhotoVariant(photo, photoWidth, 'jpg')), jpeg);
+    if (photoWidth === widths.at(-1)) {
+      await writeFile(join(outputDir, photo), jpeg);
+    }
+  }
+
+  return {
+    photo,
+    photoWidths: widths,
+    photoPlaceholder: await createPhotoPlaceholder(source),
+  };
+}
+
+/**
+ * Build the blur placeholder for a photo
+ * @param {Buffer} source - Image
+ * @returns {Promise<string>} WebP data URI (around 100 bytes)
+ */
+export async function createPhotoPlaceholder(source) {
+  const placeholder = await sharp(source)
+    .rotate()
+    .resize(PLACEHOLDER_WIDTH, Math.round(PLACEHOLDER_WIDTH / ASPECT_RATIO), { fit: 'cover' })
+    .webp({ quality: PLACEHOLDER_QUALITY })
+    .toBuffer();
+  return `data:image/webp;base64,${placeholder.toString('base64')}`;
+}
+
+/**
+ * Set a shop's photo fields in shops.json after photos have been processed
+ * Photos processed on an earlier run keep their placeholder; only missing ones are built. A
+ * photo that couldn't be resized this run stays as it was while its file is still on disk.
+ * @param {Object} shop - Shop from shops.json (mutated)
+ * @param {string} filename - The shop's photo filename
+ * @param {Object} options
+ * @param {Map<string, Object>} options.processed - Photo filename -> fields from processPhoto
+ * @param {Map<string, Array<number>>} options.written - Sizes on disk, from indexPhotoWidths
+ * @param {string} options.outputDir - Photo directory
+ * @returns {Promise<boolean>} Whether the shop has a photo
+ */
+export async function updateShopPhoto(shop, filename, { processed, written, outputDir }) {
+  let fields = processed.get(filename);
+  const widths = written.get(filename);
+
+  if (!fields && widths) {
+    fields = {
+      photo: filename,
+      photoWidths: widths,
+      photoPlaceholder:
+        shop.photoPlaceholder ||
+        (await createPhotoPlaceholder(await readFile(join(outputDir, filename)))),
+    };
+  }
+
+  delete shop.photoName;
+
+  if (!fields) {
+    if (shop.photo && existsSync(join(outputDir, shop.photo))) {
+      return true;
+    }
+    fields = {};
+  }
+
+  delete shop.photo;
+  delete shop.photoWidths;
+  delete shop.photoPlaceholder;
+  Object.assign(shop, fields);
+  return Boolean(fields.photo);
+}
+
+/**
+ * Find the sizes already written for each photo in a directory
+ * A size counts once both its WebP and JPEG files exist.
+ * @param {Array<string>} filenames - Files in the photo directory
+ * @returns {Map<string, Array<number>>} Photo filename -> widths, smallest first
+ */
+export function indexPhotoWidths(filenames) {
+  const files = new Set(filenames);
+  const index = new Map();
+
+  for (const filename of files) {
+    const match = filename.match(/^(.+)-(\d+)\.webp$/);
+    if (!match) continue;
+
+    const photo = `${match[1]}.jpg`;
+    const width = Number(match[2]);
+    if (!files.has(photo) || !files.has(getPhotoVariant(photo, width, 'jpg'))) continue;
+
+    index.set(
+      photo,
+      [...(index.get(photo) || []), width].sort((a, b) => a - b)
+    );
+  }
+  return index;
+}
@@ -0,0 +1,254 @@
+/**
+ * Shop referral report
+ * Turns exported `shop_click` analytics events (website, phone and directions clicks, keyed by
+ * shop ID) into monthly referral counts per shop and per state, as CSV and Markdown.
+ */
+
+import { getEventCount, parseAnalyticsExport } from './analytics-export.js';
+import { getShopLocation } from './static-pages.js';
+
+export const REFERRAL_ACTIONS = ['website', 'phone', 'directions'];
+
+// Used for rows without a date column, so their clicks still show up in the totals
+export const UNKNOWN_MONTH = 'unknown';
+
+const ACTION_LABELS = { website: 'Website', phone: 'Phone', directions: 'Directions' };
+
+/**
+ * Get the month of an exported event
+ * Reads a year-month column (202609 or 2026-09), a date column (20260915 or 2026-09-15) or a
+ * BigQuery event_timestamp in microseconds.
+ * @param {Object} fields - Row from parseAnalyticsExport
+ * @returns {string} Month as 'YYYY-MM', or UNKNOWN_MONTH
+ */
+export function getEventMonth(fields) {
+  for (const key of ['year_month', 'month', 'date', 'event_date']) {
+    const value = String(fields[key] ?? '').trim();
+    const match = value.match(/^(\d{4})-?(\d{2})(?:-?\d{2})?(?:T.*)?$/);
+    if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+      return `${match[1]}-${match[2]}`;
+    }
+  }
+
+  const timestamp = Number(fields.event_timestamp);
+  if (Number.isFinite(timestamp) && timestamp > 0) {
+    return new Date(timestamp / 1000).toISOString().slice(0, 7);
+  }
+  return UNKNOWN_MONTH;
+}
+
+/**
+ * Convert an exported row into a referral event
+ * @param {Object} fields - Row from parseAnalyticsExport
+ * @returns {Object|null} { shopId, action, source, month, count } or null if the row isn't one
+ */
+function toReferralEvent(fields) {
+  if (fields.event_name && fields.event_name !== 'shop_click') return null;
+
+  const shopId = Number(fields.shop_id);
+  const action = String(fields.action ?? '').trim();
+  if (!Number.isInteger(shopId) || shopId <= 0 || !REFERRAL_ACTIONS.includes(action)) {
+    return null;
+  }
+
+  return {
+    shopId,
+    action,
+    source: fields.source ? String(fields.source) : null,
+    month: getEventMonth(fields),
+    count: getEventCount(fields),
+  };
+}
+
+/**
+ * Parse an analytics export into referral events
+ * Accepts CSV with shop_id/action columns plus a date or year-month column (and an optional
+ * event count), a JSON array of flat events, or GA4 BigQuery rows with event_params. Clicks
+ * recorded before shop IDs were tracked, and other events, are skipped.
+ * @param {string} text - Export file contents
+ * @returns {Array<Object>} Events { shopId, action, source, month, count }
+ */
+export function parseReferralEvents(text) {
+  return parseAnalyticsExport(text).map(toReferralEvent).filter(Boolean);
+}
+
+/**
+ * Create an empty row of action counts
+ */
+function createCounts(fields) {
+  const row = { ...fields };
+  for (const action of REFERRAL_ACTIONS) {
+    row[action] = 0;
+  }
+  row.total = 0;
+  return row;
+}
+
+/**
+ * Sort rows by month, then most referrals first
+ */
+function compareRows(a, b) {
+  return a.month.localeCompare(b.month) || b.total - a.total;
+}
+
+/**
+ * Total referral events by shop and by state for each month
+ * Shops missing from shops.json (closed or removed) are kept under their ID without a state.
+ * @param {Array<Object>} events - Events from parseReferralEvents
+ * @param {Array<Object>} shops - Shops from shops.json
+ * @returns {Object} { shops, states } rows:
+ *   shops: { month, shopId, name, city, state, website, phone, directions, total }
+ *   states: { month, state, shops, website, phone, directions, total }
+ */
+export function aggregateReferrals(events, shops) {
+  const shopsById = new Map(shops.map((shop) => [shop.id, shop]));
+  const shopRows = new Map();
+  const stateRows = new Map();
+
+  for (const event of events) {
+    const shopKey = `${event.month}|${event.shopId}`;
+    let shopRow = shopRows.get(shopKey);
+    if (!shopRow) {
+      const shop = shopsById.get(event.shopId);
+      const location = shop ? getShopLocation(shop) : null;
+      shopRow = createCounts({
+        month: event.month,
+        shopId: event.shopId,
+        name: shop?.name ?? null,
+        city: location?.city ?? null,
+        state: location?.stateCode ?? null,
+      });
+      shopRows.set(shopKey, shopRow);
+    }
+    shopRow[event.action] += event.count;
+    shopRow.total += event.count;
+  }
+
+  for (const shopRow of shopRows.values()) {
+    if (!shopRow.state) continue;
+
+    const stateKey = `${shopRow.month}|${shopRow.state}`;
+    let stateRow = stateRows.get(stateKey);
+    if (!stateRow) {
+      stateRow = createCounts({ month: shopRow.month, state: shopRow.state, shops: 0 });
+      stateRows.set(stateKey, stateRow);
+    }
+    stateRow.shops++;
+    for (const key of [...REFERRAL_ACTIONS, 'total']) {
+      stateRow[key] += shopRow[key];
+    }
+  }
+
+  return {
+    shops: [...shopRows.values()].sort((a, b) => compareRows(a, b) || a.shopId - b.shopId),
+    states: [...stateRows.values()].sort(
+      (a, b) => compareRows(a, b) || a.state.localeCompare(b.state)
+    ),
+  };
+}
+
+/**
+ * Quote a CSV field if it contains a comma, quote or newline
+ */
+function escapeCSV(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array<Object>} rows - Rows from aggregateReferrals
+ * @param {Array<string>} columns - Row keys to include, in order (also the header)
+ * @returns {string} CSV text with a trailing newline
+ */
+export function formatReferralCSV(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCSV(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export const SHOP_CSV_COLUMNS = [
+  'month',
+  'shopId',
+  'name',
+  'city',
+  'state',
+  ...REFERRAL_ACTIONS,
+  'total',
+];
+export const STATE_CSV_COLUMNS = ['month', 'state', 'shops', ...REFERRAL_ACTIONS, 'total'];
+
+/**
+ * Format a month for display
+ * '2026-09' -> 'Sep 2026'
+ */
+function formatMonth(month) {
+  if (month === UNKNOWN_MONTH) return 'Unknown';
+  const [year, monthNumber] = month.split('-').map(Number);
+  const name = new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleString('en-US', {
+    month: 'short',
+    timeZone: 'UTC',
+  });
+  return `${name} ${year}`;
+}
+
+/**
+ * Format one shop's monthly referrals as a Markdown report to email to the shop
+ * @param {Array<Object>} rows - The shop's rows from aggregateReferrals().shops
+ * @returns {string} Markdown report
+ */
+export function formatShopReferralMarkdown(rows) {
+  const [first] = rows;
+  const name = first?.name ?? `Shop #${first?.shopId}`;
+  const location = first?.city && first?.state ? `${first.city}, ${first.state}` : null;
+
+  const totals = createCounts({});
+  const lines = [
+    `# Skate Index referrals: ${name}`,
+    '',
+    ...(location ? [location, ''] : []),
+    'Times visitors to skateindex.com clicked through to your website, called you or asked for directions to your shop.',
+    '',
+    `| Month | ${REFERRAL_ACTIONS.map((action) => ACTION_LABELS[action]).join(' | ')} | Total |`,
+    `|-------|${REFERRAL_ACTIONS.map((action) => '-'.repeat(ACTION_LABELS[action].length + 2)).join('|')}|-------|`,
+  ];
+
+  for (const row of rows) {
+    for (const key of [...REFERRAL_ACTIONS, 'total']) {
+      totals[key] += row[key];
+    }
+    lines.push(
+      `| ${formatMonth(row.month)} | ${REFERRAL_ACTIONS.map((action) => row[action]).join(' | ')} | ${row.total} |`
+    );
+  }
+  if (rows.length > 1) {
+    lines.push(
+      `| **Total** | ${REFERRAL_ACTIONS.map((action) => `**${totals[action]}**`).join(' | ')} | **${totals.total}** |`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format state totals as a Markdown summary
+ * @param {Array<Object>} rows - Rows from aggregateReferrals().states
+ * @returns {string} Markdown table (or a note when there are no referrals)
+ */
+export function formatStateReferralMarkdown(rows) {
+  if (rows.length === 0) {
+    return 'No shop referrals found.';
+  }
+
+  const lines = [
+    `| Month | State | Shops | ${REFERRAL_ACTIONS.map((action) => ACTION_LABELS[action]).join(' | ')} | Total |`,
+    `|-------|-------|-------|${REFERRAL_ACTIONS.map((action) => '-'.repeat(ACTION_LABELS[action].length + 2)).join('|')}|-------|`,
+  ];
+  for (const row of rows) {
+    lines.push(
+      `| ${formatMonth(row.month)} | ${row.state} | ${row.shops} | ${REFERRAL_ACTIONS.map((action) => row[action]).join(' | ')} | ${row.total} |`
+    );
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,648 @@
+/**
+ * Static page generator
+ * Renders crawlable state, city and shop pages plus a sitemap from shops.json
+ */
+
+import {
+  CONFIG,
+  calculateDistance,
+  createPhotoHTML,
+  createShopContactHTML,
+  DAY_NAMES,
+  escapeHtml,
+  extractCityState,
+  formatWeeklyHours,
+  getDirectionsUrl,
+  getShopPermalink,
+  getStateCode,
+  getStateName,
+  isValidWeeklyHours,
+  PHOTO_SIZES,
+  parseDayHours,
+} from '../../app.utils.js';
+
+// Pages are written under this directory of the site root
+export const PAGES_DIR = 'shops';
+
+// Other shops listed on a shop page
+const NEARBY_SHOP_COUNT = 5;
+
+/**
+ * Convert text to a URL slug
+ * @param {string} text - Text to convert
+ * @returns {string} Lowercase slug with diacritics and punctuation removed
+ */
+export function slugify(text) {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get the city and state of a shop from its address
+ * @param {Object} shop - Shop object with address
+ * @returns {Object|null} { city, stateCode, stateName } or null if not a US address
+ */
+export function getShopLocation(shop) {
+  const cityState = extractCityState(shop?.address);
+  const separator = cityState.lastIndexOf(', ');
+  if (separator === -1) return null;
+
+  const city = cityState.slice(0, separator).trim();
+  const stateCode = getStateCode(cityState.slice(separator + 2).split(' ')[0]);
+  if (!city || !stateCode) return null;
+
+  return { city, stateCode, stateName: getStateName(stateCode) };
+}
+
+/**
+ * Group shops by state and city
+ * Shops outside the US or with unparseable addresses are skipped
+ * @param {Array} shops - Array of shop objects
+ * @returns {Array} States as { code, name, slug, shops, cities: [{ name, slug, shops }] }, sorted by name
+ */
+export function groupShopsByLocation(shops) {
+  const states = new Map();
+
+  for (const shop of shops) {
+    const location = getShopLocation(shop);
+    const citySlug = slugify(location?.city);
+    if (!citySlug) continue;
+
+    if (!states.has(location.stateCode)) {
+      states.set(location.stateCode, {
+        code: location.stateCode,
+        name: location.stateName,
+        slug: slugify(location.stateName),
+        shops: [],
+        cities: new Map(),
+      });
+    }
+    const state = states.get(location.stateCode);
+    state.shops.push(shop);
+
+    // Keyed by slug so "Saint Paul" and "saint paul" share a page
+    if (!state.cities.has(citySlug)) {
+      state.cities.set(citySlug, { name: location.city, slug: citySlug, shops: [] });
+    }
+    state.cities.get(citySlug).shops.push(shop);
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return [...states.values()].sort(byName).map((state) => ({
+    ...state,
+    shops: state.shops.sort(byName),
+    cities: [...state.cities.values()]
+      .map((city) => ({ ...city, shops: city.shops.sort(byName) }))
+      .sort(byName),
+  }));
+}
+
+/**
+ * Get the path of a state page
+ * @param {Object} state - State group from groupShopsByLocation
+ * @returns {string} Path relative to the site root, with trailing slash
+ */
+export function getStatePath(state) {
+  return `${PAGES_DIR}/${state.slug}/`;
+}
+
+/**
+ * Get the path of a city page
+ * @param {Object} state - State group from groupShopsByLocation
+ * @param {Object} city - City group from groupShopsByLocation
+ * @returns {string} Path relative to the site root, with trailing slash
+ */
+export function getCityPath(state, city) {
+  return `${getStatePath(state)}${city.slug}/`;
+}
+
+/**
+ * Get the path of a shop page
+ * The ID keeps paths unique when a city has two shops with the same name
+ * @param {Object} state - State group from groupShopsByLocation
+ * @param {Object} city - City group from groupShopsByLocation
+ * @param {Object} shop - Shop object
+ * @returns {string} Path relative to the site root, with trailing slash
+ */
+export function getShopPath(state, city, shop) {
+  const slug = [shop.id, slugify(shop.name)].filter(Boolean).join('-');
+  return `${getCityPath(state, city)}${slug}/`;
+}
+
+/**
+ * Split a US address into schema.org PostalAddress parts
+ * @param {string} address - Full address, e.g. "123 Main St, Denver, CO 80202"
+ * @param {Object} location - Location from getShopLocation
+ * @returns {Object} PostalAddress
+ */
+function createPostalAddress(address, location) {
+  const parts = address.split(',').map((part) => part.trim());
+  const postalCode = parts[parts.length - 1].match(/\b\d{5}(?:-\d{4})?\b/)?.[0];
+
+  const postalAddress = {
+    '@type': 'PostalAddress',
+    streetAddress: parts.slice(0, -2).join(', ') || undefined,
+    addressLocality: location.city,
+    addressRegion: location.stateCode,
+    postalCode,
+    addressCountry: 'US',
+  };
+  return JSON.parse(JSON.stringify(postalAddress));
+}
+
+/**
+ * Convert compact weekly hours to schema.org OpeningHoursSpecification entries
+ * @param {Array<string>} hours - Compact weekly hours
+ * @returns {Array} OpeningHoursSpecification objects (one per open range)
+ */
+function createOpeningHoursSpecification(hours) {
+  // schema.org uses 23:59 for "until midnight"
+  const toTime = (minutes) => {
+    const clamped = Math.min(minutes, 23 * 60 + 59);
+    const hh = String(Math.floor(clamped / 60)).padStart(2, '0');
+    return `${hh}:${String(clamped % 60).padStart(2, '0')}`;
+  };
+
+  return hours.flatMap((dayHours, day) =>
+    parseDayHours(dayHours).map(([open, close]) => ({
+      '@type': 'OpeningHoursSpecification',
+      dayOfWeek: `https://schema.org/${DAY_NAMES[day]}`,
+      opens: toTime(open),
+      closes: toTime(close),
+    }))
+  );
+}
+
+/**
+ * Build schema.org SportingGoodsStore (a LocalBusiness) structured data for a shop
+ * @param {Object} shop - Shop object
+ * @param {string} siteUrl - Absolute site URL with trailing slash
+ * @param {string} pagePath - Path of the shop's page
+ * @returns {Object} JSON-LD object (without @context)
+ */
+export function createShopJsonLd(shop, siteUrl, pagePath) {
+  const location = getShopLocation(shop);
+  const pageUrl = `${siteUrl}${pagePath}`;
+
+  const data = {
+    '@type': 'SportingGoodsStore',
+    '@id': pageUrl,
+    name: shop.name,
+    url: pageUrl,
+    address: location ? createPostalAddress(shop.address, location) : shop.address,
+  };
+
+  if (typeof shop.lat === 'number' && typeof shop.lng === 'number') {
+    data.geo = { '@type': 'GeoCoordinates', latitude: shop.lat, longitude: shop.lng };
+  }
+  if (shop.phone) {
+    data.telephone = shop.phone;
+  }
+  if (shop.website) {
+    data.sameAs = shop.website;
+  }
+  if (shop.photo) {
+    data.image = `${siteUrl}${CONFIG.PHOTO_PATH}${shop.photo}`;
+  }
+  if (isValidWeeklyHours(shop.hours)) {
+    data.openingHoursSpecification = createOpeningHoursSpecification(shop.hours);
+  }
+
+  return data;
+}
+
+/**
+ * Serialize JSON-LD for a script element
+ * "<" is escaped so shop data can't close the script tag
+ * @param {Object} data - JSON-LD object
+ * @returns {string} Script element HTML
+ */
+function jsonLdScript(data) {
+  const json = JSON.stringify({ '@context': 'https://schema.org', ...data }).replace(
+    /</g,
+    '\\u003c'
+  );
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+/**
+ * Get the relative path from a page back to the site root
+ * @param {string} path - Page path with trailing slash
+ * @returns {string} e.g. "../../" for "shops/colorado/"
+ */
+function getRootPrefix(path) {
+  return '../'.repeat(path.split('/').filter(Boolean).length);
+}
+
+/**
+ * Render breadcrumb navigation
+ * @param {Array} crumbs - Array of { name, href }; the last crumb is the current page
+ * @returns {string} HTML string
+ */
+function renderBreadcrumbs(crumbs) {
+  const items = crumbs.map((crumb, i) =>
+    i === crumbs.length - 1
+      ? `<li aria-current="page">${escapeHtml(crumb.name)}</li>`
+      : `<li><a href="${escapeHtml(crumb.href)}">${escapeHtml(crumb.name)}</a></li>`
+  );
+  return `<nav class="breadcrumbs" aria-label="Breadcrumb"><ol>${items.join('')}</ol></nav>`;
+}
+
+/**
+ * Render a complete page around its main content
+ * @param {Object} page - Page parts
+ * @param {string} page.path - Page path with trailing slash
+ * @param {string} page.title - Document title
+ * @param {string} page.description - Meta description
+ * @param {string} page.siteUrl - Absolute site URL with trailing slash
+ * @param {Object} page.jsonLd - Structured data for the page
+ * @param {string} page.content - Main content HTML
+ * @returns {string} HTML document
+ */
+function renderPage({ path, title, description, siteUrl, jsonLd, content }) {
+  const root = getRootPrefix(path);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="description" content="${escapeHtml(description)}">
+    <title>${escapeHtml(title)}</title>
+    <link rel="canonical" href="${escapeHtml(`${siteUrl}${path}`)}">
+    <script>
+        (function() {
+            var theme = localStorage.getItem('theme');
+            if (!theme) {
+                theme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+            }
+            if (theme === 'dark') {
+                document.documentElement.setAttribute('data-theme', 'dark');
+            }
+        })();
+    </script>
+    <link rel="stylesheet" href="${root}styles.css">
+    <link rel="icon" href="${root}icon.svg" type="image/svg+xml">
+    ${jsonLdScript(jsonLd)}
+</head>
+<body>
+    <header>
+        <h1>Skate Index</h1>
+        <p class="tagline">Discover skateboard shops near you</p>
+    </header>
+
+    <main>
+        ${content}
+    </main>
+
+    <footer>
+        <nav class="footer-links">
+            <a href="${root}index.html">Search</a>
+            <a href="${root}${PAGES_DIR}/">Browse by State</a>
+            <a href="${root}privacy.html">Privacy Policy</a>
+        </nav>
+    </footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Create a schema.org ItemList of shops
+ * @param {string} name - List name
+ * @param {Array} entries - Array of { shop, path }
+ * @param {string} siteUrl - Absolute site URL with trailing slash
+ * @param {boolean} [full=true] - Include every shop detail; otherwise reference shop pages by @id
+ *   to keep large state pages small
+ * @returns {Object} JSON-LD object
+ */
+function createShopListJsonLd(name, entries, siteUrl, full = true) {
+  return {
+    '@type': 'ItemList',
+    name,
+    numberOfItems: entries.length,
+    itemListElement: entries.map(({ shop, path }, i) => {
+      const store = createShopJsonLd(shop, siteUrl, path);
+      return {
+        '@type': 'ListItem',
+        position: i + 1,
+        item: full ? store : { '@type': store['@type'], '@id': store['@id'], name: store.name },
+      };
+    }),
+  };
+}
+
+/**
+ * Format a shop count, e.g. "1 shop" or "3 shops"
+ * @param {number} count - Number of shops
+ * @returns {string} Count with label
+ */
+function formatShopCount(count) {
+  return `${count} ${count === 1 ? 'shop' : 'shops'}`;
+}
+
+/**
+ * Render the list of states
+ * @param {Array} states - States from groupShopsByLocation
+ * @param {string} siteUrl - Absolute site URL with trailing slash
+ * @returns {Object} { path, html }
+ */
+function renderIndexPage(states, siteUrl) {
+  const path = `${PAGES_DIR}/`;
+  const root = getRootPrefix(path);
+  const total = states.reduce((sum, state) => sum + state.shops.length, 0);
+
+  const content = `${renderBreadcrumbs([
+    { name: 'Home', href: `${root}index.html` },
+    { name: 'Browse by State' },
+  ])}
+        <h2 class="browse-title">Skate Shops by State</h2>
+        <p class="browse-summary">${formatShopCount(total)} in ${states.length} states and territories</p>
+        <ul class="browse-list">${states
+          .map(
+            (state) =>
+              `<li><a href="${root}${getStatePath(state)}">${escapeHtml(state.name)}</a> <span class="browse-count">${formatShopCount(state.shops.length)}</span></li>`
+          )
+          .join('')}</ul>`;
+
+  return {
+    path,
+    html: renderPage({
+      path,
+      title: 'Skate Shops by State - Skate Index',
+      description: `Browse ${total} skateboard shops across the United States by state and city.`,
+      siteUrl,
+      jsonLd: {
+        '@type': 'ItemList',
+        name: 'Skate Shops by State',
+        numberOfItems: states.length,
+        itemListElement: states.map((state, i) => ({
+          '@type': 'ListItem',
+          position: i + 1,
+          name: state.name,
+          url: `${siteUrl}${getStatePath(state)}`,
+        })),
+      },
+      content,
+    }),
+  };
+}
+
+/**
+ * Render a state page listing its cities
+ * @param {Object} state - State group from groupShopsByLocation
+ * @param {string} siteUrl - Absolute site URL with trailing slash
+ * @returns {Object} { path, html }
+ */
+function renderStatePage(state, siteUrl) {
+  const path = getStatePath(state);
+  const root = getRootPrefix(path);
+  const entries = state.cities.flatMap((city) =>
+    city.shops.map((shop) => ({ shop, path: getShopPath(state, city, shop) }))
+  );
+
+  const content = `${renderBreadcrumbs([
+    { name: 'Home', href: `${root}index.html` },
+    { name: 'Browse by State', href: `${root}${PAGES_DIR}/` },
+    { name: state.name },
+  ])}
+        <h2 class="browse-title">Skate Shops in ${escapeHtml(state.name)}</h2>
+        <p class="browse-summary">${formatShopCount(state.shops.length)} in ${state.cities.length} ${state.cities.length === 1 ? 'city' : 'cities'}</p>
+        <ul class="browse-list">${state.cities
+          .map(
+            (city) =>
+              `<li><a href="${root}${getCityPath(state, city)}">${escapeHtml(city.name)}</a> <span class="browse-count">${formatShopCount(city.shops.length)}</span></li>`
+          )
+          .join('')}</ul>`;
+
+  return {
+    path,
+    html: renderPage({
+      path,
+      title: `Skate Shops in ${state.name} - Skate Index`,
+      description: `Find ${formatShopCount(state.shops.length)} selling skateboards in ${state.name}, with addresses, phone numbers and websites.`,
+      siteUrl,
+      jsonLd: createShopListJsonLd(`Skate Shops in ${state.name}`, entries, siteUrl, false),
+      content,
+    }),
+  };
+}
+
+/**
+ * Render a shop card for a city page
+ * @param {Object} shop - Shop object
+ * @param {string} href - Link to the shop page
+ * @returns {string} HTML string
+ */
+function renderShopCard(shop, href) {
+  const websiteLink = shop.website
+    ? `<a href="${escapeHtml(shop.website)}" class="shop-link" target="_blank" rel="noopener noreferrer">Visit Website</a>`
+    : '';
+  const phoneDisplay = shop.phone
+    ? `<span class="shop-phone">${escapeHtml(shop.phone)}</span>`
+    : '';
+  const independentBadge = shop.isIndependent
+    ? '<span class="badge-independent">Independent</span>'
+    : '';
+
+  return `<li class="shop-card">
+                <div class="shop-header">
+                    <h3 class="shop-name"><a href="${escapeHtml(href)}">${escapeHtml(shop.name)}</a></h3>
+                </div>
+                <p class="shop-address">${escapeHtml(shop.address)}</p>
+                <div class="shop-details">
+                    ${independentBadge}
+                    ${websiteLink}
+                    ${phoneDisplay}
+                </div>
+            </li>`;
+}
+
+/**
+ * Render a city page listing its shops
+ * @param {Object} state - State group from groupShopsByLocation
+ * @param {Object} city - City group from groupShopsByLocation
+ * @param {string} siteUrl - Absolute site URL with trailing slash
+ * @returns {Object} { path, html }
+ */
+function renderCityPage(state, city, siteUrl) {
+  const path = getCityPath(state, city);
+  const root = getRootPrefix(path);
+  const place = `${city.name}, ${state.code}`;
+  const entries = city.shops.map((shop) => ({ shop, path: getShopPath(state, city, shop) }));
+
+  const content = `${renderBreadcrumbs([
+    { name: 'Home', href: `${root}index.html` },
+    { name: 'Browse by State', href: `${root}${PAGES_DIR}/` },
+    { name: state.name, href: `${root}${getStatePath(state)}` },
+    { name: city.name },
+  ])}
+        <h2 class="browse-title">Skate Shops in ${escapeHtml(place)}</h2>
+        <p class="browse-summary">${formatShopCount(city.shops.length)} · <a href="${root}index.html?q=${encodeURIComponent(place)}">Search near ${escapeHtml(city.name)} on the map</a></p>
+        <ul class="results-list">
+            ${entries.map(({ shop, path }) => renderShopCard(shop, `${root}${path}`)).join('\n            ')}
+        </ul>`;
+
+  return {
+    path,
+    html: renderPage({
+      path,
+      title: `Skate Shops in ${place} - Skate Index`,
+      description: `${formatShopCount(city.shops.length)} selling skateboards in ${place}, with addresses, phone numbers and websites.`,
+      siteUrl,
+      jsonLd: createShopListJsonLd(`Skate Shops in ${place}`, entries, siteUrl),
+      content,
+    }),
+  };
+}
+
+/**
+ * Render a shop page
+ * @param {Object} state - State group from groupShopsByLocation
+ * @param {Object} city - City group from groupShopsByLocation
+ * @param {Object} shop - Shop object
+ * @param {string} siteUrl - Absolute site URL with trailing slash
+ * @returns {Object} { path, html }
+ */
+function renderShopPage(state, city, shop, siteUrl) {
+  const path = getShopPath(state, city, shop);
+  const root = getRootPrefix(path);
+
+  const photoHTML = createPhotoHTML(shop, 'shop-detail-photo', PHOTO_SIZES.detail, {
+    lazy: false,
+    root,
+  });
+  const independentBadge = shop.isIndependent
+    ? '<span class="badge-independent">Independent</span>'
+    : '';
+
+  const contactHTML = createShopContactHTML(shop);
+
+  const hoursLines = formatWeeklyHours(shop.hours);
+  const hoursHTML = hoursLines.length
+    ? `<h3 class="shop-detail-heading">Hours</h3>
+            <ul class="shop-hours">${hoursLines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+    : '';
+
+  const hasCoords = typeof shop.lat === 'number' && typeof shop.lng === 'number';
+  const nearby = city.shops
+    .filter((other) => other !== shop)
+    .map((other) => ({
+      shop: other,
+      distance:
+        hasCoords && typeof other.lat === 'number' && typeof other.lng === 'number'
+          ? calculateDistance(shop.lat, shop.lng, other.lat, other.lng)
+          : null,
+    }))
+    .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity))
+    .slice(0, NEARBY_SHOP_COUNT);
+  const nearbyHTML = nearby.length
+    ? `<h3 class="shop-detail-heading">More Shops in ${escapeHtml(city.name)}</h3>
+            <ul class="nearby-shops">${nearby
+              .map(
+                ({ shop: other, distance }) => `<li>
+                <a href="${root}${getShopPath(state, city, other)}">${escapeHtml(other.name)}</a>
+                ${distance === null ? '' : `<span class="shop-distance">${distance.toFixed(1)} mi</span>`}
+            </li>`
+              )
+              .join('')}</ul>`
+    : '';
+
+  const mapLink = shop.id
+    ? `<a href="${root}index.html${getShopPermalink(shop.id)}" class="shop-link">View on map</a>`
+    : '';
+
+  const content = `${renderBreadcrumbs([
+    { name: 'Home', href: `${root}index.html` },
+    { name: 'Browse by State', href: `${root}${PAGES_DIR}/` },
+    { name: state.name, href: `${root}${getStatePath(state)}` },
+    { name: city.name, href: `${root}${getCityPath(state, city)}` },
+    { name: shop.name },
+  ])}
+        <article class="shop-detail">
+            ${photoHTML}
+            <div class="shop-detail-header">
+                <h2 class="shop-detail-name">${escapeHtml(shop.name)}</h2>
+                ${independentBadge}
+            </div>
+            <p class="shop-detail-address">${escapeHtml(shop.address)}</p>
+            ${contactHTML}
+            <div class="shop-detail-actions">
+                <a href="${escapeHtml(getDirectionsUrl(shop))}" class="shop-detail-directions" target="_blank" rel="noopener noreferrer">Get Directions</a>
+                ${mapLink}
+            </div>
+            ${hoursHTML}
+            ${nearbyHTML}
+        </article>`;
+
+  return {
+    path,
+    html: renderPage({
+      path,
+      title: `${shop.name} - ${city.name}, ${state.code} - Skate Index`,
+      description: `${shop.name} is ${shop.isIndependent ? 'an independent skate shop' : 'a skateboard retailer'} at ${shop.address}.`,
+      siteUrl,
+      jsonLd: createShopJsonLd(shop, siteUrl, path),
+      content,
+    }),
+  };
+}
+
+/**
+ * Create sitemap.xml
+ * @param {Array<string>} urls - Absolute page URLs
+ * @param {string} [lastmod] - Last modification date (YYYY-MM-DD)
+ * @returns {string} Sitemap XML
+ */
+export function createSitemapXML(urls, lastmod) {
+  const lastmodTag = lastmod ? `<lastmod>${escapeHtml(lastmod)}</lastmod>` : '';
+  const entries = urls.map((url) => `  <url><loc>${escapeHtml(url)}</loc>${lastmodTag}</url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Generate every static page and the sitemap
+ * @param {Object} data - Parsed shops.json
+ * @param {string} siteUrl - Absolute site URL with trailing slash
+ * @returns {Object} { pages: [{ path, html }], sitemap, stats: { states, cities, shops } }
+ */
+export function generateStaticPages(data, siteUrl) {
+  const baseUrl = siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`;
+  const states = groupShopsByLocation(data.shops || []);
+
+  const pages = [renderIndexPage(states, baseUrl)];
+  let cityCount = 0;
+  let shopCount = 0;
+
+  for (const state of states) {
+    pages.push(renderStatePage(state, baseUrl));
+    for (const city of state.cities) {
+      pages.push(renderCityPage(state, city, baseUrl));
+      cityCount++;
+      for (const shop of city.shops) {
+        pages.push(renderShopPage(state, city, shop, baseUrl));
+        shopCount++;
+      }
+    }
+  }
+
+  const urls = [baseUrl, ...pages.map((page) => `${baseUrl}${page.path}`)];
+
+  return {
+    pages,
+    sitemap: createSitemapXML(urls, data.lastUpdated),
+    stats: { states: states.length, cities: cityCount, shops: shopCount },
+  };
+}
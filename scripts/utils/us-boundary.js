@@ -0,0 +1,122 @@
+/**
+ * US boundary check
+ * Point-in-polygon test against a simplified multi-polygon of US states and territories
+ * (scripts/data/us-boundary.json)
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const US_BOUNDARY_PATH = join(__dirname, '..', 'data', 'us-boundary.json');
+
+/**
+ * Compute the bounding box of a polygon's outer ring for a cheap pre-check
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function ringBounds(ring) {
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  for (const [lng, lat] of ring) {
+    if (lat < bounds.minLat) bounds.minLat = lat;
+    if (lat > bounds.maxLat) bounds.maxLat = lat;
+    if (lng < bounds.minLng) bounds.minLng = lng;
+    if (lng > bounds.maxLng) bounds.maxLng = lng;
+  }
+  return bounds;
+}
+
+/**
+ * Load the boundary file into a flat list of polygons with precomputed bounds
+ * @param {string} [path] - GeoJSON FeatureCollection of MultiPolygon features
+ * @returns {Array} Polygons as { region, code, rings, bounds }
+ */
+export function loadUSBoundary(path = US_BOUNDARY_PATH) {
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  const polygons = [];
+
+  for (const feature of data.features) {
+    const { name, code } = feature.properties;
+    for (const rings of feature.geometry.coordinates) {
+      polygons.push({ region: name, code, rings, bounds: ringBounds(rings[0]) });
+    }
+  }
+
+  return polygons;
+}
+
+/**
+ * Ray-casting point-in-ring test
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array} ring - Array of [lng, lat] positions (closed)
+ * @returns {boolean} True if the point is inside the ring
+ */
+export function pointInRing(lat, lng, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Test a point against a polygon (outer ring minus any holes)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array} rings - Outer ring followed by hole rings
+ * @returns {boolean} True if inside
+ */
+export function pointInPolygon(lat, lng, rings) {
+  if (!pointInRing(lat, lng, rings[0])) {
+    return false;
+  }
+  return !rings.slice(1).some((hole) => pointInRing(lat, lng, hole));
+}
+
+// Loaded once at module import
+const US_POLYGONS = loadUSBoundary();
+
+/**
+ * Find which US region (state group or territory) contains a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object|null} { region, code } or null if outside the US
+ */
+export function findUSRegion(lat, lng) {
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
+    return null;
+  }
+
+  for (const polygon of US_POLYGONS) {
+    const { bounds } = polygon;
+    if (lat < bounds.minLat || lat > bounds.maxLat || lng < bounds.minLng || lng > bounds.maxLng) {
+      continue;
+    }
+    if (pointInPolygon(lat, lng, polygon.rings)) {
+      return { region: polygon.region, code: polygon.code };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if coordinates fall within the US (states and territories)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} True if within the US
+ */
+export function isWithinUSA(lat, lng) {
+  return findUSRegion(lat, lng) !== null;
+}
@@ -9,18 +9,14 @@ import { readFile } from 'node:fs/promises';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import { isValidTimeZone, isValidWeeklyHours } from '../app.utils.js';
+import { getRegisteredIds, loadIdRegistry } from './utils/id-registry.js';
+import { isWithinUSA } from './utils/us-boundary.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const SHOPS_PATH = join(__dirname, '..', 'shops.json');
 
-// USA coordinate bounds
-const USA_BOUNDS = {
-  minLat: 24.5,
-  maxLat: 49.5,
-  minLng: -125.0,
-  maxLng: -66.5,
-};
-
 /**
  * Validation result collector
  */
@@ -114,14 +110,9 @@ function validateCoordinates(shop, results) {
     return;
   }
 
-  // Check USA bounds
-  if (
-    shop.lat < USA_BOUNDS.minLat ||
-    shop.lat > USA_BOUNDS.maxLat ||
-    shop.lng < USA_BOUNDS.minLng ||
-    shop.lng > USA_BOUNDS.maxLng
-  ) {
-    results.addWarning('Coordinates outside USA bounds', {
+  // Check USA boundary (states and territories)
+  if (!isWithinUSA(shop.lat, shop.lng)) {
+    results.addWarning('Coordinates outside USA boundary', {
       shopId: shop.id,
       shopName: shop.name,
     });
@@ -175,6 +166,39 @@ function validatePhone(shop, results) {
   }
 }
 
+/**
+ * Validate compact weekly hours and the time zone they're evaluated in
+ */
+function validateHours(shop, results) {
+  if (shop.hours === undefined) {
+    if (shop.timeZone !== undefined) {
+      results.addWarning('Time zone without hours', { shopId: shop.id, shopName: shop.name });
+    }
+    return;
+  }
+
+  if (!isValidWeeklyHours(shop.hours)) {
+    results.addError('Invalid hours (expected 7 day strings like "1000-1800")', {
+      shopId: shop.id,
+      shopName: shop.name,
+    });
+  }
+
+  if (!shop.timeZone) {
+    results.addError('Hours without a time zone', { shopId: shop.id, shopName: shop.name });
+  } else if (!isValidTimeZone(shop.timeZone)) {
+    results.addError(`Invalid time zone: ${shop.timeZone}`, {
+      shopId: shop.id,
+      shopName: shop.name,
+    });
+  } else if (shop.timeZone.startsWith('Etc/')) {
+    results.addWarning('Fixed UTC offset time zone (ignores daylight saving time)', {
+      shopId: shop.id,
+      shopName: shop.name,
+    });
+  }
+}
+
 /**
  * Check for duplicate IDs
  */
@@ -194,6 +218,41 @@ function checkDuplicateIds(shops, results) {
   }
 }
 
+/**
+ * Check shop IDs against the persistent ID registry
+ */
+function checkIdRegistry(shops, registry, results) {
+  if (!registry) {
+    results.addWarning(
+      'No ID registry found (scripts/data/shop-ids.json); IDs may change on next collect'
+    );
+    return;
+  }
+
+  const registeredIds = getRegisteredIds(registry);
+  let unregistered = 0;
+
+  for (const shop of shops) {
+    if (typeof shop.id !== 'number') continue;
+
+    if (shop.id >= registry.nextId) {
+      results.addError('Shop ID is not below registry nextId (could be reissued)', {
+        shopId: shop.id,
+        shopName: shop.name,
+      });
+    } else if (!registeredIds.has(shop.id)) {
+      unregistered++;
+    }
+  }
+
+  // Unregistered shops are matched by name and coordinates on the next collect
+  if (unregistered > 0) {
+    results.addWarning(
+      `${unregistered} shop IDs not in ID registry yet; next collect matches them by name and coordinates`
+    );
+  }
+}
+
 /**
  * Check for potential duplicate shops
  */
@@ -256,9 +315,11 @@ function printStats(data) {
   const withWebsite = shops.filter((s) => s.website).length;
   const withPhone = shops.filter((s) => s.phone).length;
   const withAddress = shops.filter((s) => s.address).length;
+  const withHours = shops.filter((s) => s.hours).length;
   console.log(`With website: ${withWebsite} (${((withWebsite / shops.length) * 100).toFixed(1)}%)`);
   console.log(`With phone: ${withPhone} (${((withPhone / shops.length) * 100).toFixed(1)}%)`);
   console.log(`With address: ${withAddress} (${((withAddress / shops.length) * 100).toFixed(1)}%)`);
+  console.log(`With hours: ${withHours} (${((withHours / shops.length) * 100).toFixed(1)}%)`);
 
   if (data.lastUpdated) {
     console.log(`Last updated: ${data.lastUpdated}`);
@@ -302,12 +363,22 @@ async function main() {
     validateCoordinates(shop, results);
     validateUrl(shop, results);
     validatePhone(shop, results);
+    validateHours(shop, results);
   }
 
   // Check for duplicates
   checkDuplicateIds(data.shops, results);
   checkPotentialDuplicates(data.shops, results);
 
+  // Check IDs against the persistent registry
+  let registry = null;
+  try {
+    registry = await loadIdRegistry();
+  } catch (error) {
+    results.addError(`Could not read ID registry: ${error.message}`);
+  }
+  checkIdRegistry(data.shops, registry, results);
+
   // Print statistics
   printStats(data);
 
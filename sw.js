@@ -0,0 +1,190 @@
+/**
+ * USA Skateshop Finder - Service Worker
+ * Precaches the app shell and shop database so the site works offline.
+ *
+ * - App shell: network-first, falling back to the precache
+ * - shops.json: stale-while-revalidate, replaced only when version/lastUpdated change
+ * - Shop photos: cache-first
+ */
+
+import {
+  DATA_CACHE,
+  DATA_URL,
+  getDataVersion,
+  getPhotoUrls,
+  getRequestStrategy,
+  isDataUpdated,
+  PHOTO_CACHE,
+  PRECACHE_CDN_URLS,
+  PRECACHE_URLS,
+  SHELL_CACHE,
+} from './sw.utils.js';
+
+const CURRENT_CACHES = [SHELL_CACHE, DATA_CACHE, PHOTO_CACHE];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => !CURRENT_CACHES.includes(key)).map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const strategy = getRequestStrategy(new URL(request.url), self.registration.scope);
+
+  if (strategy === 'data') {
+    event.respondWith(staleWhileRevalidateData(event));
+  } else if (strategy === 'photo') {
+    event.respondWith(cacheFirst(request, PHOTO_CACHE));
+  } else if (strategy === 'cdn') {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (strategy === 'shell') {
+    event.respondWith(networkFirst(request));
+  }
+  // Anything else (Nominatim, analytics, map tiles) goes straight to the network
+});
+
+/**
+ * Precache the app shell, Leaflet, shop data and shop photos
+ */
+async function precache() {
+  const shellCache = await caches.open(SHELL_CACHE);
+  await shellCache.addAll([
+    ...PRECACHE_URLS,
+    ...PRECACHE_CDN_URLS.map((url) => new Request(url, { mode: 'cors' })),
+  ]);
+
+  const dataCache = await caches.open(DATA_CACHE);
+  const response = await fetch(DATA_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Failed to precache ${DATA_URL}: ${response.status}`);
+  }
+  await dataCache.put(DATA_URL, response.clone());
+
+  await precachePhotos(await response.json());
+}
+
+/**
+ * Cache photos referenced by the shop data that aren't cached yet
+ * Best-effort: a missing photo shouldn't fail the install
+ */
+async function precachePhotos(data) {
+  const cache = await caches.open(PHOTO_CACHE);
+  const urls = getPhotoUrls(data);
+
+  await Promise.allSettled(
+    urls.map(async (url) => {
+      if (!(await cache.match(url))) {
+        await cache.add(url);
+      }
+    })
+  );
+}
+
+/**
+ * Serve shops.json from the cache and refresh it in the background
+ * Clients are notified when the refreshed data has a new version
+ */
+async function staleWhileRevalidateData(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(DATA_URL);
+
+  const refresh = refreshData(cache, cached?.clone());
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Fetch shops.json and replace the cached copy if its version changed
+ * @returns {Promise<Response>} Network response
+ */
+async function refreshData(cache, cachedResponse) {
+  const response = await fetch(DATA_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    return response;
+  }
+
+  const freshData = await response.clone().json();
+  const cachedData = cachedResponse ? await cachedResponse.json() : null;
+
+  if (!cachedData || isDataUpdated(cachedData, freshData)) {
+    await cache.put(DATA_URL, response.clone());
+
+    if (cachedData) {
+      await notifyClients({
+        type: 'data-updated',
+        version: getDataVersion(freshData),
+        lastUpdated: freshData.lastUpdated,
+      });
+      await precachePhotos(freshData);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Post a message to every open window
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  for (const client of clients) {
+    client.postMessage(message);
+  }
+}
+
+/**
+ * Serve from the cache, falling back to the network (and caching the result)
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Try the network first so deploys show up immediately, falling back to the precache
+ * Query strings are ignored when matching so shared links (?q=...) open offline
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && !new URL(request.url).search) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * USA Skateshop Finder - Service Worker Utility Functions
+ * Pure functions shared by the service worker and tests
+ */
+
+// Bump when the precache list or caching strategy changes
+export const CACHE_VERSION = 'v3';
+
+export const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+export const DATA_CACHE = `data-${CACHE_VERSION}`;
+export const PHOTO_CACHE = `photos-${CACHE_VERSION}`;
+
+export const DATA_URL = 'shops.json';
+export const PHOTO_PATH = 'images/shops/';
+
+// App shell, relative to the service worker scope
+export const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'privacy.html',
+  'app.js',
+  'app.utils.js',
+  'sw.utils.js',
+  'analytics.js',
+  'styles.css',
+  'geocode-index.json',
+  'manifest.webmanifest',
+  'icon.svg',
+];
+
+// Leaflet is loaded from a CDN; cache it so the map works offline
+export const PRECACHE_CDN_URLS = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+];
+
+/**
+ * Get the version key of a shops.json payload
+ * @param {Object} data - Parsed shops.json
+ * @returns {string|null} "version:lastUpdated" or null if the payload has neither
+ */
+export function getDataVersion(data) {
+  if (!data || (!data.version && !data.lastUpdated)) {
+    return null;
+  }
+  return `${data.version || ''}:${data.lastUpdated || ''}`;
+}
+
+/**
+ * Check whether freshly fetched shop data differs from the cached copy
+ * @param {Object|null} cachedData - Parsed cached shops.json (null if nothing cached)
+ * @param {Object} freshData - Parsed shops.json from the network
+ * @returns {boolean} True if the cache should be replaced
+ */
+export function isDataUpdated(cachedData, freshData) {
+  const freshVersion = getDataVersion(freshData);
+  if (!freshVersion) {
+    return false;
+  }
+  return getDataVersion(cachedData) !== freshVersion;
+}
+
+/**
+ * Get the filename of one size and format of a shop photo
+ * Shared with the page so precached photos match the srcset it requests.
+ * @param {string} photo - Photo filename from shops.json (e.g. 'ChIJabc.jpg')
+ * @param {number} width - Width in pixels, one of the shop's photoWidths
+ * @param {string} format - 'webp' or 'jpg'
+ * @returns {string} Filename, e.g. 'ChIJabc-640.webp'
+ */
+export function getPhotoVariant(photo, width, format) {
+  return `${photo.replace(/\.jpg$/i, '')}-${width}.${format}`;
+}
+
+/**
+ * Get the unique photo URLs referenced by shops.json
+ * Photos with several sizes are precached at their smallest WebP size, which popups and
+ * narrow cards use; other sizes are cached as they're viewed.
+ * @param {Object} data - Parsed shops.json
+ * @returns {Array<string>} Photo URLs relative to the site root
+ */
+export function getPhotoUrls(data) {
+  if (!data || !Array.isArray(data.shops)) {
+    return [];
+  }
+  const photos = data.shops
+    .filter((shop) => shop?.photo)
+    .map((shop) =>
+      Array.isArray(shop.photoWidths) && shop.photoWidths.length > 0
+        ? getPhotoVariant(shop.photo, Math.min(...shop.photoWidths), 'webp')
+        : shop.photo
+    );
+  return [...new Set(photos)].map((photo) => `${PHOTO_PATH}${photo}`);
+}
+
+/**
+ * Decide which caching strategy applies to a request
+ * @param {URL} url - Request URL
+ * @param {string} scope - Service worker scope URL (e.g. "https://example.com/")
+ * @returns {string|null} 'data', 'photo', 'shell', 'cdn' or null to bypass the service worker
+ */
+export function getRequestStrategy(url, scope) {
+  if (PRECACHE_CDN_URLS.includes(url.href)) {
+    return 'cdn';
+  }
+  if (!url.href.startsWith(scope)) {
+    return null;
+  }
+
+  const path = url.href.slice(scope.length).split(/[?#]/)[0];
+  if (path === DATA_URL) {
+    return 'data';
+  }
+  if (path.startsWith(PHOTO_PATH)) {
+    return 'photo';
+  }
+  if (path === '' || PRECACHE_URLS.includes(path)) {
+    return 'shell';
+  }
+  return null;
+}
@@ -1,22 +1,80 @@
 import assert from 'node:assert';
-import { describe, it } from 'node:test';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
 import {
+  CONSENT_STORAGE_KEY,
+  createBeaconPayload,
+  createConsoleProvider,
+  createProviders,
+  flushAnalytics,
+  getConsentState,
   getMeasurementId,
+  getProviderNames,
+  getQueuedEventCount,
+  hasPrivacySignal,
   initAnalytics,
   isAnalyticsInitialized,
+  prepareParams,
+  QUEUE_STORAGE_KEY,
   sanitizeParams,
+  setConsent,
   trackError,
   trackEvent,
+  trackFilterChange,
   trackFormOpen,
   trackFormSubmission,
   trackGeolocation,
   trackSearch,
   trackShopClick,
+  trackShopDetailView,
   trackViewChange,
   trackViewResults,
   truncateString,
 } from '../analytics.js';
 
+/**
+ * Stand in for the browser globals analytics.js reads
+ * @param {Object} options
+ * @param {Map} options.storage - Backing store for localStorage (default: empty)
+ * @param {Object} options.window - window stub (default: {})
+ * @param {Object} options.navigator - navigator stub (default: {})
+ * @param {Object} options.globals - Other globals to stub, such as document or location
+ * @returns {Function} Restores the globals that were replaced
+ */
+function installBrowserStubs({
+  storage = new Map(),
+  window = {},
+  navigator = {},
+  ...globals
+} = {}) {
+  const stubs = {
+    localStorage: {
+      getItem: (key) => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+    },
+    window,
+    navigator,
+    ...globals,
+  };
+
+  // navigator is a getter in Node, so stubs are defined rather than assigned
+  const originals = Object.entries(stubs).map(([name, value]) => {
+    const original = Object.getOwnPropertyDescriptor(globalThis, name);
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    return [name, original];
+  });
+
+  return () => {
+    for (const [name, original] of originals) {
+      if (original) {
+        Object.defineProperty(globalThis, name, original);
+      } else {
+        delete globalThis[name];
+      }
+    }
+  };
+}
+
 describe('sanitizeParams', () => {
   it('should pass through normal parameters', () => {
     const params = {
@@ -199,7 +257,13 @@ describe('tracking functions without gtag', () => {
 
   it('trackShopClick should not throw', () => {
     assert.doesNotThrow(() => {
-      trackShopClick('Test Shop', true, 'website');
+      trackShopClick(7, 'Test Shop', true, 'website');
+    });
+  });
+
+  it('trackShopDetailView should not throw', () => {
+    assert.doesNotThrow(() => {
+      trackShopDetailView(42, true);
     });
   });
 
@@ -209,6 +273,12 @@ describe('tracking functions without gtag', () => {
     });
   });
 
+  it('trackFilterChange should not throw', () => {
+    assert.doesNotThrow(() => {
+      trackFilterChange('shop_type', 'independent');
+    });
+  });
+
   it('trackFormSubmission should not throw', () => {
     assert.doesNotThrow(() => {
       trackFormSubmission('suggest');
@@ -283,7 +353,7 @@ describe('event parameter formatting', () => {
   it('trackShopClick should handle long shop names', () => {
     const longName = 'A'.repeat(200);
     assert.doesNotThrow(() => {
-      trackShopClick(longName, false, 'directions');
+      trackShopClick(7, longName, false, 'directions', 'map');
     });
   });
 
@@ -312,3 +382,630 @@ describe('event parameter formatting', () => {
     });
   });
 });
+
+describe('analytics consent', () => {
+  const storage = new Map();
+  const calls = [];
+  let restoreGlobals;
+
+  const eventNames = () => calls.filter((call) => call[0] === 'event').map((call) => call[1]);
+
+  // Every test starts on a fresh page with no choice made and nothing held
+  beforeEach(() => {
+    restoreGlobals = installBrowserStubs({
+      storage,
+      window: { gtag: (...args) => calls.push(args) },
+    });
+    setConsent(false);
+    storage.clear();
+    calls.length = 0;
+  });
+
+  afterEach(() => {
+    restoreGlobals();
+  });
+
+  it('should be pending before a choice is made', () => {
+    assert.strictEqual(getConsentState(), 'pending');
+  });
+
+  it('should hold events while pending', () => {
+    initAnalytics('G-CONSENT');
+    trackSearch('address', 3);
+    trackViewChange('map');
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual(isAnalyticsInitialized(), false);
+    assert.strictEqual(getQueuedEventCount(), 2);
+  });
+
+  it('should configure gtag and send held events when granted', () => {
+    initAnalytics('G-CONSENT');
+    trackSearch('address', 3);
+    trackViewChange('map');
+
+    assert.strictEqual(setConsent(true), 'granted');
+    assert.strictEqual(storage.get(CONSENT_STORAGE_KEY), 'granted');
+    assert.strictEqual(calls[0][0], 'config');
+    assert.strictEqual(calls[0][1], 'G-CONSENT');
+    assert.deepStrictEqual(eventNames(), ['search', 'view_change']);
+    assert.strictEqual(isAnalyticsInitialized(), true);
+    assert.strictEqual(window['ga-disable-G-CONSENT'], false);
+  });
+
+  it('should send new events with the next batch once granted', () => {
+    initAnalytics('G-CONSENT');
+    setConsent(true);
+    calls.length = 0;
+
+    trackSearch('name', 1);
+    assert.deepStrictEqual(eventNames(), []);
+    flushAnalytics();
+    assert.deepStrictEqual(eventNames(), ['search']);
+  });
+
+  it('should stop sending events when denied', () => {
+    initAnalytics('G-CONSENT');
+    setConsent(true);
+    calls.length = 0;
+
+    assert.strictEqual(setConsent(false), 'denied');
+    assert.strictEqual(storage.get(CONSENT_STORAGE_KEY), 'denied');
+    assert.strictEqual(window['ga-disable-G-CONSENT'], true);
+    trackSearch('address', 2);
+    assert.deepStrictEqual(calls, []);
+  });
+
+  it('should drop events while denied instead of holding them', () => {
+    initAnalytics('G-CONSENT');
+    setConsent(false);
+    trackViewChange('list');
+    setConsent(true);
+    assert.deepStrictEqual(eventNames(), []);
+  });
+
+  it('should remember a stored choice on the next page load', () => {
+    storage.set(CONSENT_STORAGE_KEY, 'granted');
+    initAnalytics('G-CONSENT');
+    trackViewChange('list');
+    flushAnalytics();
+    assert.deepStrictEqual(eventNames(), ['view_change']);
+  });
+
+  it('should drop held events when denied from pending', () => {
+    initAnalytics('G-CONSENT');
+    trackViewChange('browse');
+    setConsent(false);
+    setConsent(true);
+    assert.deepStrictEqual(eventNames(), []);
+  });
+
+  it('should treat Global Privacy Control as denied', () => {
+    navigator.globalPrivacyControl = true;
+    assert.strictEqual(hasPrivacySignal(), true);
+    assert.strictEqual(getConsentState(), 'denied');
+    trackSearch('address', 1);
+    assert.deepStrictEqual(calls, []);
+  });
+
+  it('should not let a stored choice override a privacy signal', () => {
+    navigator.doNotTrack = '1';
+    assert.strictEqual(setConsent(true), 'denied');
+    assert.strictEqual(getConsentState(), 'denied');
+  });
+
+  it('should honor the legacy window.doNotTrack flag', () => {
+    window.doNotTrack = '1';
+    assert.strictEqual(hasPrivacySignal(), true);
+    delete window.doNotTrack;
+    assert.strictEqual(hasPrivacySignal(), false);
+  });
+
+  it('should stay pending when storage is unavailable', () => {
+    globalThis.localStorage.getItem = () => {
+      throw new Error('SecurityError');
+    };
+    assert.strictEqual(getConsentState(), 'pending');
+  });
+});
+
+describe('analytics providers', () => {
+  const storage = new Map([[CONSENT_STORAGE_KEY, 'granted']]);
+  const beacons = [];
+  let restoreGlobals;
+
+  function recordingProvider(name, sent) {
+    return {
+      name,
+      start: () => true,
+      stop: () => {},
+      send: (eventName, params) => sent.push([eventName, params]),
+    };
+  }
+
+  before(() => {
+    restoreGlobals = installBrowserStubs({
+      storage,
+      navigator: { sendBeacon: (url, blob) => beacons.push({ url, blob }) },
+      location: { origin: 'https://skateindex.com', pathname: '/' },
+    });
+  });
+
+  after(() => {
+    restoreGlobals();
+  });
+
+  it('should build providers from a config', () => {
+    const names = createProviders({
+      ga4: 'G-TEST',
+      beacon: { endpoint: 'https://stats.example/api/event', domain: 'skateindex.com' },
+      debug: true,
+    }).map((provider) => provider.name);
+    assert.deepStrictEqual(names, ['ga4', 'beacon', 'console']);
+  });
+
+  it('should treat a string config as a GA4 measurement ID', () => {
+    const [provider] = createProviders('G-TEST');
+    assert.strictEqual(provider.name, 'ga4');
+    assert.strictEqual(provider.measurementId, 'G-TEST');
+  });
+
+  it('should skip incomplete provider configs', () => {
+    assert.deepStrictEqual(createProviders({ beacon: { domain: 'x' } }), []);
+    assert.deepStrictEqual(createProviders(null), []);
+    assert.deepStrictEqual(createProviders(42), []);
+  });
+
+  it('should build Plausible-style beacon payloads', () => {
+    assert.deepStrictEqual(
+      createBeaconPayload(
+        'search',
+        { method: 'name' },
+        'skateindex.com',
+        'https://skateindex.com/'
+      ),
+      {
+        name: 'search',
+        url: 'https://skateindex.com/',
+        domain: 'skateindex.com',
+        props: { method: 'name' },
+      }
+    );
+  });
+
+  it('should send beacons without the query string', async () => {
+    globalThis.location.search = '?q=123%20Main%20St';
+    initAnalytics({
+      beacon: { endpoint: 'https://stats.example/api/event', domain: 'skateindex.com' },
+    });
+    assert.deepStrictEqual(getProviderNames(), ['beacon']);
+    assert.strictEqual(getMeasurementId(), null);
+
+    trackSearch('address', 4);
+    flushAnalytics();
+    assert.strictEqual(beacons.length, 1);
+    assert.strictEqual(beacons[0].url, 'https://stats.example/api/event');
+    assert.strictEqual(beacons[0].blob.type, 'text/plain');
+    assert.deepStrictEqual(JSON.parse(await beacons[0].blob.text()), {
+      name: 'search',
+      url: 'https://skateindex.com/',
+      domain: 'skateindex.com',
+      props: { method: 'address', result_count: 4, has_results: true },
+    });
+  });
+
+  it('should send the same sanitized, truncated params to every provider', () => {
+    const first = [];
+    const second = [];
+    initAnalytics({
+      providers: [recordingProvider('first', first), recordingProvider('second', second)],
+    });
+
+    trackEvent('test_event', { contact: 'user@example.com', note: 'x'.repeat(150), count: 2 });
+    flushAnalytics();
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(first[0][1].contact, '[REDACTED]');
+    assert.strictEqual(first[0][1].note.length, 100);
+    assert.strictEqual(first[0][1].count, 2);
+  });
+
+  it('should key shop clicks by shop ID', () => {
+    const sent = [];
+    initAnalytics({ providers: [recordingProvider('recording', sent)] });
+
+    trackShopClick(42, 'Test Shop', true, 'phone', 'detail');
+    trackShopClick(43, 'Other Shop', false, 'website');
+    flushAnalytics();
+    assert.deepStrictEqual(sent, [
+      [
+        'shop_click',
+        {
+          shop_id: 42,
+          shop_name: 'Test Shop',
+          is_independent: true,
+          action: 'phone',
+          source: 'detail',
+        },
+      ],
+      [
+        'shop_click',
+        {
+          shop_id: 43,
+          shop_name: 'Other Shop',
+          is_independent: false,
+          action: 'website',
+          source: 'list',
+        },
+      ],
+    ]);
+  });
+
+  it('should keep sending when one provider fails', () => {
+    const sent = [];
+    const broken = { ...recordingProvider('broken', []), send: () => assert.fail('boom') };
+    initAnalytics({ providers: [broken, recordingProvider('working', sent)] });
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      trackViewChange('map');
+      flushAnalytics();
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepStrictEqual(sent, [['view_change', { view: 'map' }]]);
+  });
+
+  it('should keep the previous providers when the config is invalid', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      initAnalytics({});
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepStrictEqual(getProviderNames(), ['broken', 'working']);
+  });
+
+  it('should log events with the console provider', () => {
+    const logged = [];
+    const info = console.info;
+    console.info = (...args) => logged.push(args);
+    try {
+      createConsoleProvider().send('view_change', { view: 'list' });
+    } finally {
+      console.info = info;
+    }
+    assert.deepStrictEqual(logged, [['Analytics:', 'view_change', { view: 'list' }]]);
+  });
+});
+
+describe('prepareParams', () => {
+  it('should sanitize and truncate string values', () => {
+    const result = prepareParams({ zip: '90210', name: 'a'.repeat(120), ok: true });
+    assert.strictEqual(result.zip, '[REDACTED]');
+    assert.strictEqual(result.name.length, 100);
+    assert.ok(result.name.endsWith('...'));
+    assert.strictEqual(result.ok, true);
+  });
+});
+
+describe('analytics queue', () => {
+  const storage = new Map();
+  const listeners = {};
+  const sent = [];
+  const provider = {
+    name: 'test',
+    available: true,
+    start(onReady) {
+      this.onReady = onReady;
+      return true;
+    },
+    stop() {},
+    isAvailable() {
+      return this.available;
+    },
+    send: (eventName, params) => sent.push([eventName, params]),
+  };
+  let restoreGlobals;
+
+  const addListener = (target) => (type, handler) => {
+    listeners[`${target}:${type}`] = handler;
+  };
+  const storedQueue = () => JSON.parse(storage.get(QUEUE_STORAGE_KEY) ?? '[]');
+
+  before(() => {
+    restoreGlobals = installBrowserStubs({
+      storage,
+      window: { addEventListener: addListener('window') },
+      navigator: { onLine: true },
+      document: { visibilityState: 'visible', addEventListener: addListener('document') },
+    });
+    // Start from an empty queue, whatever earlier tests left behind
+    setConsent(false);
+    storage.set(CONSENT_STORAGE_KEY, 'granted');
+    initAnalytics({ providers: [provider] });
+  });
+
+  after(() => {
+    restoreGlobals();
+  });
+
+  beforeEach(() => {
+    sent.length = 0;
+    provider.available = true;
+    navigator.onLine = true;
+  });
+
+  it('should hold events until the batch is flushed', () => {
+    trackViewChange('map');
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(getQueuedEventCount(), 1);
+
+    flushAnalytics();
+    assert.deepStrictEqual(sent, [['view_change', { view: 'map' }]]);
+    assert.strictEqual(getQueuedEventCount(), 0);
+    assert.strictEqual(storage.has(QUEUE_STORAGE_KEY), false);
+  });
+
+  it('should send a full batch without waiting', () => {
+    for (let i = 0; i < 10; i++) {
+      trackEvent('test_event', { n: i });
+    }
+    assert.strictEqual(sent.length, 10);
+  });
+
+  it('should flush when the page is hidden or unloaded', () => {
+    trackViewChange('list');
+    listeners['document:visibilitychange']();
+    assert.deepStrictEqual(sent, [], 'still visible');
+
+    document.visibilityState = 'hidden';
+    listeners['document:visibilitychange']();
+    document.visibilityState = 'visible';
+    assert.strictEqual(sent.length, 1);
+
+    trackViewChange('map');
+    listeners['window:pagehide']();
+    assert.strictEqual(sent.length, 2);
+  });
+
+  it('should hold events while offline and replay them when back online', () => {
+    navigator.onLine = false;
+    trackSearch('address', 3);
+    flushAnalytics();
+    assert.deepStrictEqual(sent, []);
+
+    navigator.onLine = true;
+    listeners['window:online']();
+    assert.deepStrictEqual(
+      sent.map(([name]) => name),
+      ['search']
+    );
+  });
+
+  it('should replay events once the provider becomes available', () => {
+    provider.available = false;
+    trackViewChange('browse');
+    flushAnalytics();
+    assert.deepStrictEqual(sent, []);
+
+    provider.available = true;
+    provider.onReady();
+    assert.deepStrictEqual(sent, [['view_change', { view: 'browse' }]]);
+  });
+
+  it('should keep events the provider rejects', () => {
+    const send = provider.send;
+    provider.send = () => false;
+    trackViewChange('list');
+    flushAnalytics();
+    provider.send = send;
+    assert.strictEqual(getQueuedEventCount(), 1);
+
+    flushAnalytics();
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('should drop the oldest events when the queue overflows', () => {
+    provider.available = false;
+    for (let i = 0; i < 60; i++) {
+      trackEvent('test_event', { n: i });
+    }
+    assert.strictEqual(getQueuedEventCount(), 50);
+    assert.strictEqual(storedQueue().length, 50);
+
+    provider.available = true;
+    flushAnalytics();
+    assert.strictEqual(sent.length, 50);
+    assert.deepStrictEqual(sent[0], ['test_event', { n: 10 }]);
+    assert.deepStrictEqual(sent[49], ['test_event', { n: 59 }]);
+  });
+
+  it('should persist sanitized events', () => {
+    provider.available = false;
+    trackEvent('test_event', { contact: 'user@example.com' });
+    assert.deepStrictEqual(storedQueue()[0].params, { contact: '[REDACTED]' });
+    provider.available = true;
+    flushAnalytics();
+  });
+
+  it('should replay a saved queue on the next page load', async () => {
+    const now = Date.now();
+    storage.set(
+      QUEUE_STORAGE_KEY,
+      JSON.stringify([
+        { name: 'stale', params: {}, time: now - 2 * 24 * 60 * 60 * 1000, sent: [] },
+        { name: 'search', params: { zip: '90210' }, time: now - 1000, sent: [] },
+        { name: 'view_change', params: { view: 'map' }, time: now - 500, sent: ['test'] },
+        'garbage',
+      ])
+    );
+
+    // A fresh copy of the module stands in for a reload
+    const reloaded = await import('../analytics.js?reload');
+    const replayed = [];
+    reloaded.initAnalytics({
+      providers: [
+        { ...provider, name: 'test', send: (name, params) => replayed.push([name, params]) },
+      ],
+    });
+
+    assert.deepStrictEqual(replayed, [['search', { zip: '[REDACTED]' }]]);
+    assert.strictEqual(storage.has(QUEUE_STORAGE_KEY), false);
+  });
+
+  it('should clear the saved queue when consent is withdrawn', () => {
+    provider.available = false;
+    trackViewChange('map');
+    assert.strictEqual(storedQueue().length, 1);
+
+    setConsent(false);
+    assert.strictEqual(storage.has(QUEUE_STORAGE_KEY), false);
+    assert.strictEqual(getQueuedEventCount(), 0);
+  });
+});
+
+describe('analytics error capture', () => {
+  const storage = new Map([[CONSENT_STORAGE_KEY, 'granted']]);
+  const listeners = {};
+  const sent = [];
+  let restoreGlobals;
+  let analytics;
+
+  const sentErrors = () => {
+    analytics.flushAnalytics();
+    return sent.filter(([name]) => name === 'error').map(([, params]) => params);
+  };
+
+  before(async () => {
+    restoreGlobals = installBrowserStubs({
+      storage,
+      window: {
+        addEventListener: (type, handler) => {
+          listeners[type] = handler;
+        },
+      },
+      navigator: { onLine: true },
+    });
+
+    // A fresh copy of the module, so no breadcrumbs or errors carry over from other tests
+    analytics = await import('../analytics.js?errors');
+    analytics.initErrorCapture();
+    analytics.initAnalytics({
+      providers: [
+        {
+          name: 'test',
+          start: () => true,
+          stop: () => {},
+          send: (eventName, params) => sent.push([eventName, params]),
+        },
+      ],
+    });
+  });
+
+  after(() => {
+    restoreGlobals();
+  });
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  it('should record tracked UI actions as breadcrumbs', () => {
+    analytics.trackSearch('address', 3);
+    analytics.trackViewChange('map');
+    analytics.trackFormOpen('suggest');
+    assert.deepStrictEqual(analytics.getBreadcrumbs(), [
+      'search:address',
+      'view_change:map',
+      'form_open:suggest',
+    ]);
+  });
+
+  it('should attach breadcrumbs to tracked errors', () => {
+    analytics.trackError('geocoding_failed', 'No results');
+    assert.deepStrictEqual(sentErrors(), [
+      {
+        error_type: 'geocoding_failed',
+        breadcrumbs: 'search:address > view_change:map > form_open:suggest',
+        error_message: 'No results',
+      },
+    ]);
+    assert.strictEqual(analytics.getBreadcrumbs().length, 3);
+  });
+
+  it('should keep only the most recent breadcrumbs', () => {
+    for (let i = 0; i < 12; i++) {
+      analytics.addBreadcrumb(`action ${i}`);
+    }
+    const breadcrumbs = analytics.getBreadcrumbs();
+    assert.strictEqual(breadcrumbs.length, 10);
+    assert.strictEqual(breadcrumbs[0], 'action 2');
+  });
+
+  it('should send uncaught errors with their location and recent breadcrumbs', () => {
+    listeners.error({
+      error: new Error('boom'),
+      filename: 'https://skateindex.com/app.js?v=2',
+      lineno: 10,
+      colno: 5,
+    });
+
+    const [params] = sentErrors();
+    assert.strictEqual(params.error_type, 'uncaught_error');
+    assert.strictEqual(params.error_message, 'boom');
+    assert.strictEqual(params.error_location, 'app.js:10:5');
+    assert.ok(params.breadcrumbs.endsWith('action 10 > action 11'), params.breadcrumbs);
+    assert.ok(params.breadcrumbs.length <= 100);
+  });
+
+  it('should send unhandled rejections', () => {
+    listeners.unhandledrejection({ reason: 'offline' });
+    assert.deepStrictEqual(
+      sentErrors().map((params) => [params.error_type, params.error_message]),
+      [['unhandled_rejection', 'offline']]
+    );
+  });
+
+  it('should ignore errors from cross-origin scripts', () => {
+    listeners.error({ message: 'Script error.', error: null, filename: '' });
+    assert.deepStrictEqual(sentErrors(), []);
+  });
+
+  it('should send each distinct error once per page', () => {
+    assert.strictEqual(
+      analytics.captureError(new Error('boom'), { location: 'app.js:10:5' }),
+      false
+    );
+    assert.strictEqual(
+      analytics.captureError(new Error('boom'), { location: 'app.js:20:1' }),
+      true
+    );
+    assert.strictEqual(sentErrors().length, 1);
+  });
+
+  it('should limit how many errors are sent a minute', () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(analytics.captureError(`error ${i}`, { type: 'test_error' }));
+    }
+    // Three errors went out above (the tracked error doesn't count)
+    assert.deepStrictEqual(results, [true, true, false, false, false]);
+  });
+
+  it('should log every captured error in debug mode', () => {
+    const logged = [];
+    const error = console.error;
+    console.error = (...args) => logged.push(args);
+    try {
+      analytics.initErrorCapture({ debug: true });
+      analytics.captureError(new Error('boom'), { location: 'app.js:10:5' });
+    } finally {
+      console.error = error;
+      analytics.initErrorCapture();
+    }
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0][0], 'Analytics: Captured error (duplicate, not sent)');
+    assert.strictEqual(logged[0][1].error_message, 'boom');
+  });
+});
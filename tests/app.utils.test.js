@@ -1,26 +1,77 @@
 import assert from 'node:assert';
 import { describe, it } from 'node:test';
 import {
+  addToGeocodeCache,
   buildShareParams,
   CONFIG,
   calculateDistance,
+  clusterShops,
+  coarsenCoordinates,
+  createClusterIconHTML,
+  createGeocodeCandidatesHTML,
   createMapPopupHTML,
+  createPhotoHTML,
   createShopCardHTML,
+  createShopContactHTML,
+  createShopDetailHTML,
+  createSpatialIndex,
+  DAY_NAMES,
+  decodeGeohash,
+  encodeGeohash,
   escapeHtml,
   extractCityState,
   filterAndSortShops,
   filterShopsBySearchTerm,
+  formatCityName,
+  formatDayHours,
+  formatLocationLabel,
   formatShopForSelect,
+  formatWeeklyHours,
+  generateBrowseSummary,
+  generateNameSearchSummary,
   generateResultsSummary,
+  geocodeLocally,
+  getCachedGeocode,
+  getClusterIconSize,
+  getCoarsenedRadiusMeters,
+  getDirectionsUrl,
+  getDistinctGeocodeCandidates,
+  getGeocodeCacheKey,
+  getGeocodeCandidateQuery,
+  getLocalDayAndTime,
   getMapBounds,
+  getSearchTitle,
+  getShopOpenStatus,
+  getShopPermalink,
+  getStateCode,
+  getStateName,
+  getWiderRadiusSuggestion,
+  isOfflineError,
+  isShopOpen,
   isValidCoordinates,
+  isValidTimeZone,
+  isValidWeeklyHours,
+  matchesShopType,
+  normalizeCityName,
+  normalizeSearchText,
+  PHOTO_SIZES,
+  parseDayHours,
+  parseLocalGeocodeQuery,
+  parseNominatimResults,
   parseShareParams,
+  queryNearest,
+  queryRadius,
+  reverseGeocodeLocally,
+  SHOP_TYPES,
+  scoreShopNameMatch,
+  searchShopsByName,
 } from '../app.utils.js';
 
 describe('CONFIG', () => {
   it('should have expected default values', () => {
     assert.strictEqual(CONFIG.MAX_RESULTS, 20);
     assert.strictEqual(CONFIG.MAX_DISTANCE_MILES, 100);
+    assert.deepStrictEqual(CONFIG.RADIUS_OPTIONS, [10, 25, 50, 100, 250]);
     assert.strictEqual(CONFIG.EARTH_RADIUS_MILES, 3959);
     assert.strictEqual(CONFIG.DATA_FILE, 'shops.json');
   });
@@ -217,7 +268,14 @@ describe('createShopCardHTML', () => {
     };
     const html = createShopCardHTML(shop);
 
-    assert.ok(html.includes('? mi'), 'Should show ? for unknown distance');
+    assert.ok(!html.includes('shop-distance'), 'Should omit unknown distance');
+    assert.ok(!html.includes('? mi'), 'Should not show a placeholder distance');
+  });
+
+  it('should show the distance when known', () => {
+    const html = createShopCardHTML({ name: 'Shop', address: '123 Main', distance: 2.345 });
+
+    assert.ok(html.includes('<span class="shop-distance">2.3 mi</span>'));
   });
 
   it('should include photo when provided', () => {
@@ -234,7 +292,7 @@ describe('createShopCardHTML', () => {
     assert.ok(html.includes('images/shops/42.jpg'), 'Should include photo src');
     assert.ok(html.includes('loading="lazy"'), 'Should lazy load photo');
     assert.ok(html.includes('alt="Photo Shop"'), 'Should include alt text');
-    assert.ok(html.includes('onerror'), 'Should include error handler');
+    assert.ok(!html.includes('onerror'), 'Should not use an inline error handler');
   });
 
   it('should not include photo when not provided', () => {
@@ -265,6 +323,412 @@ describe('createShopCardHTML', () => {
   });
 });
 
+describe('createPhotoHTML', () => {
+  const shop = {
+    name: 'Photo Shop',
+    photo: 'ChIJabc.jpg',
+    photoWidths: [320, 640],
+    photoPlaceholder: 'data:image/webp;base64,UklGRg==',
+  };
+
+  it('should offer WebP and JPEG sizes with the placeholder behind them', () => {
+    const html = createPhotoHTML(shop, 'shop-photo', PHOTO_SIZES.card);
+
+    assert.ok(
+      html.startsWith(
+        `<div class="shop-photo" style="background-image: url('${shop.photoPlaceholder}')"><picture>`
+      )
+    );
+    assert.ok(
+      html.includes(
+        '<source type="image/webp" srcset="images/shops/ChIJabc-320.webp 320w, images/shops/ChIJabc-640.webp 640w"'
+      )
+    );
+    assert.ok(html.includes('src="images/shops/ChIJabc.jpg"'));
+    assert.ok(
+      html.includes('srcset="images/shops/ChIJabc-320.jpg 320w, images/shops/ChIJabc-640.jpg 640w"')
+    );
+    assert.strictEqual(html.match(/sizes="([^"]+)"/g).length, 2);
+    assert.ok(html.includes(`sizes="${PHOTO_SIZES.card}"`));
+    assert.ok(html.includes('loading="lazy"'));
+  });
+
+  it('should prefix URLs and load eagerly when asked', () => {
+    const html = createPhotoHTML(shop, 'shop-detail-photo', PHOTO_SIZES.detail, {
+      lazy: false,
+      root: '../../',
+    });
+    assert.ok(html.includes('src="../../images/shops/ChIJabc.jpg"'));
+    assert.ok(html.includes('../../images/shops/ChIJabc-640.webp 640w'));
+    assert.ok(!html.includes('loading='));
+  });
+
+  it('should skip placeholders that are not image data URIs', () => {
+    const html = createPhotoHTML(
+      { ...shop, photoPlaceholder: "data:image/webp;base64,x'); background: url(evil" },
+      'popup-photo',
+      PHOTO_SIZES.popup
+    );
+    assert.ok(html.startsWith('<div class="popup-photo"><picture>'));
+  });
+
+  it('should use a plain image for photos without sizes', () => {
+    assert.strictEqual(
+      createPhotoHTML({ name: 'Old', photo: '1.jpg' }, 'popup-photo', PHOTO_SIZES.popup),
+      '<div class="popup-photo"><img src="images/shops/1.jpg" alt="Old" loading="lazy"></div>'
+    );
+  });
+
+  it('should return nothing without a photo', () => {
+    assert.strictEqual(createPhotoHTML({ name: 'None' }, 'shop-photo', PHOTO_SIZES.card), '');
+  });
+});
+
+describe('shop permalinks', () => {
+  it('should build a shop permalink', () => {
+    assert.strictEqual(getShopPermalink(42), '?shop=42');
+  });
+
+  it('should link card names to the detail view', () => {
+    const html = createShopCardHTML({ id: 42, name: 'Cool <Shop>', address: '1 Main St' });
+    assert.ok(
+      html.includes(
+        '<a href="?shop=42" class="shop-detail-link" data-shop-id="42">Cool &lt;Shop&gt;</a>'
+      )
+    );
+  });
+
+  it('should not link cards without a numeric ID', () => {
+    const html = createShopCardHTML({ id: 'google-abc', name: 'Shop', address: '1 Main St' });
+    assert.ok(!html.includes('shop-detail-link'));
+    assert.ok(html.includes('<h3 class="shop-name">Shop</h3>'));
+  });
+
+  it('should add a details link to map popups', () => {
+    const html = createMapPopupHTML({ id: 7, name: 'Shop', address: '1 Main St', lat: 1, lng: 2 });
+    assert.ok(html.includes('href="?shop=7"'));
+    assert.ok(html.includes('>Details</a>'));
+    assert.ok(html.includes('<div class="map-popup" data-shop-id="7">'));
+  });
+
+  it('should build directions URLs from the address or coordinates', () => {
+    assert.strictEqual(
+      getDirectionsUrl({ address: '1 Main St, Denver, CO' }),
+      'https://www.google.com/maps/dir/?api=1&destination=1%20Main%20St%2C%20Denver%2C%20CO'
+    );
+    assert.strictEqual(
+      getDirectionsUrl({ lat: 39.7, lng: -105 }),
+      'https://www.google.com/maps/dir/?api=1&destination=39.7%2C-105'
+    );
+  });
+});
+
+describe('createShopContactHTML', () => {
+  it('should link the phone number and website', () => {
+    const html = createShopContactHTML({
+      phone: '(303) 555-1234',
+      website: 'https://example.com?a=1&b=2',
+    });
+    assert.ok(html.startsWith('<ul class="shop-detail-contact">'));
+    assert.ok(html.includes('href="tel:3035551234"'));
+    assert.ok(html.includes('href="https://example.com?a=1&amp;b=2"'));
+  });
+
+  it('should return empty string without a phone or website', () => {
+    assert.strictEqual(createShopContactHTML({ name: 'Shop' }), '');
+  });
+});
+
+describe('createShopDetailHTML', () => {
+  const shop = {
+    id: 1,
+    name: 'Detail Shop',
+    address: '123 Main St, Denver, CO 80202',
+    lat: 39.75,
+    lng: -104.99,
+    phone: '(303) 555-1234',
+    website: 'https://example.com',
+    isIndependent: true,
+    photo: '1.jpg',
+  };
+
+  it('should include name, address, contact links and directions', () => {
+    const html = createShopDetailHTML(shop);
+    assert.ok(html.includes('<h2 class="shop-detail-name">Detail Shop</h2>'));
+    assert.ok(html.includes('123 Main St, Denver, CO 80202'));
+    assert.ok(html.includes('href="tel:3035551234"'));
+    assert.ok(html.includes('href="https://example.com"'));
+    assert.ok(html.includes('Get Directions'));
+    assert.ok(html.includes('badge-independent'));
+    assert.ok(html.includes('src="images/shops/1.jpg"'));
+  });
+
+  it('should include a mini map container', () => {
+    assert.ok(createShopDetailHTML(shop).includes('class="shop-detail-map"'));
+  });
+
+  it('should omit missing optional fields', () => {
+    const html = createShopDetailHTML({ id: 2, name: 'Plain', address: '1 St', lat: 1, lng: 2 });
+    assert.ok(!html.includes('shop-detail-contact'));
+    assert.ok(!html.includes('shop-detail-photo'));
+    assert.ok(!html.includes('Hours'));
+    assert.ok(!html.includes('Nearby Shops'));
+    assert.ok(!html.includes('badge-independent'));
+  });
+
+  it('should list hours when known', () => {
+    const html = createShopDetailHTML({
+      ...shop,
+      hours: ['', '1000-1800', '1000-1800', '1000-1800', '1000-1800', '1000-2000', '1000-1700'],
+      timeZone: 'America/Denver',
+    });
+    assert.ok(html.includes('<li>Sunday: Closed</li>'));
+    assert.ok(html.includes('<li>Monday: 10 AM – 6 PM</li>'));
+    assert.ok(html.includes('shop-open-status'));
+  });
+
+  it('should link nearby shops with their distance', () => {
+    const html = createShopDetailHTML(shop, [{ id: 9, name: 'Neighbor', distance: 1.234 }]);
+    assert.ok(html.includes('Nearby Shops'));
+    assert.ok(html.includes('href="?shop=9"'));
+    assert.ok(html.includes('1.2 mi'));
+  });
+
+  it('should escape shop content', () => {
+    const html = createShopDetailHTML({ ...shop, name: '<script>x</script>' });
+    assert.ok(!html.includes('<script>'));
+  });
+});
+
+describe('opening hours', () => {
+  // Wednesday 10:00 AM in Denver (UTC-7 in January)
+  const WEDNESDAY_10AM_DENVER = new Date('2026-01-14T17:00:00Z');
+  const WEEKDAYS = [
+    '',
+    '1000-1800',
+    '1000-1800',
+    '1000-1800',
+    '1000-1800',
+    '1000-2000',
+    '1000-1700',
+  ];
+  const shop = { name: 'Shop', hours: WEEKDAYS, timeZone: 'America/Denver' };
+
+  describe('parseDayHours', () => {
+    it('should parse ranges into minutes', () => {
+      assert.deepStrictEqual(parseDayHours('1000-1800'), [[600, 1080]]);
+      assert.deepStrictEqual(parseDayHours('0930-1400,1500-2400'), [
+        [570, 840],
+        [900, 1440],
+      ]);
+    });
+
+    it('should treat an empty string as closed', () => {
+      assert.deepStrictEqual(parseDayHours(''), []);
+    });
+
+    it('should reject malformed ranges', () => {
+      assert.strictEqual(parseDayHours('10-18'), null);
+      assert.strictEqual(parseDayHours('1800-1000'), null);
+      assert.strictEqual(parseDayHours('1060-1800'), null);
+      assert.strictEqual(parseDayHours('1000-2500'), null);
+      assert.strictEqual(parseDayHours(null), null);
+    });
+  });
+
+  describe('isValidWeeklyHours', () => {
+    it('should require seven valid days', () => {
+      assert.strictEqual(isValidWeeklyHours(WEEKDAYS), true);
+      assert.strictEqual(isValidWeeklyHours(WEEKDAYS.slice(1)), false);
+      assert.strictEqual(isValidWeeklyHours([...WEEKDAYS.slice(1), 'closed']), false);
+      assert.strictEqual(isValidWeeklyHours(undefined), false);
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('should accept IANA zones', () => {
+      assert.strictEqual(isValidTimeZone('America/Denver'), true);
+      assert.strictEqual(isValidTimeZone('Etc/GMT+7'), true);
+    });
+
+    it('should reject unknown zones', () => {
+      assert.strictEqual(isValidTimeZone('Mars/Olympus'), false);
+      assert.strictEqual(isValidTimeZone(''), false);
+      assert.strictEqual(isValidTimeZone(null), false);
+    });
+  });
+
+  describe('formatDayHours', () => {
+    it('should format ranges as clock times', () => {
+      assert.strictEqual(formatDayHours('1000-1800'), '10 AM – 6 PM');
+      assert.strictEqual(
+        formatDayHours('0930-1230,1330-2400'),
+        '9:30 AM – 12:30 PM, 1:30 PM – 12 AM'
+      );
+    });
+
+    it('should describe closed and 24-hour days', () => {
+      assert.strictEqual(formatDayHours(''), 'Closed');
+      assert.strictEqual(formatDayHours('0000-2400'), 'Open 24 hours');
+    });
+  });
+
+  describe('formatWeeklyHours', () => {
+    it('should return one line per day, Sunday first', () => {
+      const lines = formatWeeklyHours(WEEKDAYS);
+      assert.strictEqual(lines.length, 7);
+      assert.strictEqual(lines[0], `${DAY_NAMES[0]}: Closed`);
+      assert.strictEqual(lines[5], 'Friday: 10 AM – 8 PM');
+    });
+
+    it('should return an empty array for invalid hours', () => {
+      assert.deepStrictEqual(formatWeeklyHours(['1000-1800']), []);
+    });
+  });
+
+  describe('getLocalDayAndTime', () => {
+    it('should convert to the shop time zone', () => {
+      assert.deepStrictEqual(getLocalDayAndTime('America/Denver', WEDNESDAY_10AM_DENVER), {
+        day: 3,
+        minutes: 600,
+      });
+      assert.deepStrictEqual(getLocalDayAndTime('America/New_York', WEDNESDAY_10AM_DENVER), {
+        day: 3,
+        minutes: 720,
+      });
+    });
+
+    it('should follow daylight saving time', () => {
+      // UTC-6 in July
+      assert.deepStrictEqual(
+        getLocalDayAndTime('America/Denver', new Date('2026-07-15T16:30:00Z')),
+        { day: 3, minutes: 630 }
+      );
+    });
+
+    it('should use the local day, not the UTC day', () => {
+      // Thursday 04:30 UTC is Wednesday 9:30 PM in Denver
+      assert.deepStrictEqual(
+        getLocalDayAndTime('America/Denver', new Date('2026-01-15T04:30:00Z')),
+        { day: 3, minutes: 1290 }
+      );
+    });
+
+    it('should return null for an invalid zone', () => {
+      assert.strictEqual(getLocalDayAndTime('Nowhere', WEDNESDAY_10AM_DENVER), null);
+      assert.strictEqual(getLocalDayAndTime('Nowhere', WEDNESDAY_10AM_DENVER), null);
+      assert.strictEqual(getLocalDayAndTime(undefined, WEDNESDAY_10AM_DENVER), null);
+    });
+
+    it('should create one formatter per time zone', () => {
+      const { DateTimeFormat } = Intl;
+      let created = 0;
+      Intl.DateTimeFormat = function CountingDateTimeFormat(...args) {
+        created++;
+        return new DateTimeFormat(...args);
+      };
+      try {
+        for (let i = 0; i < 3; i++) {
+          getLocalDayAndTime('America/Boise', WEDNESDAY_10AM_DENVER);
+          getLocalDayAndTime('Nowhere/Else', WEDNESDAY_10AM_DENVER);
+        }
+      } finally {
+        Intl.DateTimeFormat = DateTimeFormat;
+      }
+      assert.strictEqual(created, 2);
+    });
+  });
+
+  describe('getShopOpenStatus', () => {
+    it("should report open shops with today's hours", () => {
+      assert.deepStrictEqual(getShopOpenStatus(shop, WEDNESDAY_10AM_DENVER), {
+        isOpen: true,
+        todayHours: '10 AM – 6 PM',
+      });
+    });
+
+    it('should treat the closing time as closed', () => {
+      const closing = new Date('2026-01-15T01:00:00Z'); // Wednesday 6 PM in Denver
+      assert.strictEqual(getShopOpenStatus(shop, closing).isOpen, false);
+    });
+
+    it('should use the shop time zone', () => {
+      const eastern = { ...shop, hours: Array(7).fill('0900-1100') };
+      assert.strictEqual(isShopOpen(eastern, WEDNESDAY_10AM_DENVER), true);
+      assert.strictEqual(
+        isShopOpen({ ...eastern, timeZone: 'America/New_York' }, WEDNESDAY_10AM_DENVER),
+        false
+      );
+    });
+
+    it('should return null when hours are unknown', () => {
+      assert.strictEqual(getShopOpenStatus({ name: 'Shop' }, WEDNESDAY_10AM_DENVER), null);
+      assert.strictEqual(getShopOpenStatus({ hours: WEEKDAYS }, WEDNESDAY_10AM_DENVER), null);
+      assert.strictEqual(isShopOpen({ name: 'Shop' }, WEDNESDAY_10AM_DENVER), false);
+    });
+  });
+
+  describe('card and popup status', () => {
+    it('should show open status on cards', () => {
+      const html = createShopCardHTML({ ...shop, address: '1 St' }, WEDNESDAY_10AM_DENVER);
+      assert.ok(
+        html.includes('<span class="shop-open-status is-open">Open now · 10 AM – 6 PM</span>')
+      );
+    });
+
+    it('should show closed status on popups', () => {
+      const sunday = new Date('2026-01-18T17:00:00Z');
+      const html = createMapPopupHTML({ ...shop, address: '1 St' }, sunday);
+      assert.ok(html.includes('<span class="shop-open-status">Closed today</span>'));
+    });
+
+    it('should show when a shop opens later today', () => {
+      const early = new Date('2026-01-14T14:00:00Z'); // 7 AM in Denver
+      const html = createShopCardHTML({ ...shop, address: '1 St' }, early);
+      assert.ok(html.includes('Closed now · Today 10 AM – 6 PM'));
+    });
+
+    it('should omit status when hours are unknown', () => {
+      const html = createShopCardHTML({ name: 'Shop', address: '1 St' }, WEDNESDAY_10AM_DENVER);
+      assert.ok(!html.includes('shop-open-status'));
+    });
+  });
+
+  describe('open now filter', () => {
+    const shops = [
+      { ...shop, name: 'Open', lat: 39.75, lng: -104.99 },
+      { ...shop, name: 'Closed', lat: 39.76, lng: -104.99, hours: Array(7).fill('') },
+      { name: 'Unknown', lat: 39.74, lng: -104.99 },
+      { ...shop, name: 'Far open', lat: 40.5, lng: -104.99 },
+    ];
+    const index = createSpatialIndex(shops);
+
+    it('should only return shops open at the given time', () => {
+      const results = queryRadius(index, 39.75, -104.99, 10, { openAt: WEDNESDAY_10AM_DENVER });
+      assert.deepStrictEqual(
+        results.map((s) => s.name),
+        ['Open']
+      );
+    });
+
+    it('should return every shop without openAt', () => {
+      assert.strictEqual(queryRadius(index, 39.75, -104.99, 10).length, 3);
+    });
+
+    it('should apply the filter to radius suggestions', () => {
+      const suggestion = getWiderRadiusSuggestion(
+        index,
+        39.75,
+        -104.99,
+        10,
+        'all',
+        WEDNESDAY_10AM_DENVER
+      );
+      assert.deepStrictEqual(suggestion, { radius: 100, additionalCount: 1 });
+    });
+  });
+});
+
 describe('filterAndSortShops', () => {
   const mockShops = [
     { id: 1, name: 'Shop A', lat: 34.1, lng: -118.2 }, // ~5 miles from origin
@@ -371,9 +835,227 @@ describe('filterAndSortShops', () => {
     assert.strictEqual(result[0].website, 'https://example.com');
     assert.strictEqual(result[0].phone, '555-1234');
   });
+
+  describe('shop type filter', () => {
+    const mixedShops = [
+      { id: 1, name: 'Indie Near', lat: 34.05, lng: -118.24, isIndependent: true },
+      { id: 2, name: 'Chain Near', lat: 34.06, lng: -118.25, isIndependent: false },
+      { id: 3, name: 'Indie Far', lat: 34.5, lng: -118.5, isIndependent: true },
+      { id: 4, name: 'Chain Far', lat: 34.6, lng: -118.6, isIndependent: false },
+    ];
+
+    it('should return all shops by default', () => {
+      const result = filterAndSortShops(mixedShops, userLat, userLng);
+      assert.strictEqual(result.length, 4);
+    });
+
+    it('should return only independent shops', () => {
+      const result = filterAndSortShops(mixedShops, userLat, userLng, 100, 20, 'independent');
+      assert.deepStrictEqual(
+        result.map((shop) => shop.name),
+        ['Indie Near', 'Indie Far']
+      );
+    });
+
+    it('should return only chain shops', () => {
+      const result = filterAndSortShops(mixedShops, userLat, userLng, 100, 20, 'chain');
+      assert.deepStrictEqual(
+        result.map((shop) => shop.name),
+        ['Chain Near', 'Chain Far']
+      );
+    });
+
+    it('should filter by type before limiting results', () => {
+      const result = filterAndSortShops(mixedShops, userLat, userLng, 100, 1, 'chain');
+      assert.strictEqual(result.length, 1);
+      assert.strictEqual(result[0].name, 'Chain Near');
+    });
+  });
+});
+
+describe('matchesShopType', () => {
+  const independent = { name: 'Local Shop', isIndependent: true };
+  const chain = { name: 'Zumiez', isIndependent: false };
+
+  it('should match every shop for all', () => {
+    assert.ok(matchesShopType(independent, 'all'));
+    assert.ok(matchesShopType(chain, 'all'));
+  });
+
+  it('should match only independent shops for independent', () => {
+    assert.ok(matchesShopType(independent, 'independent'));
+    assert.ok(!matchesShopType(chain, 'independent'));
+  });
+
+  it('should match only chain shops for chain', () => {
+    assert.ok(!matchesShopType(independent, 'chain'));
+    assert.ok(matchesShopType(chain, 'chain'));
+  });
+
+  it('should treat shops without isIndependent as chains', () => {
+    assert.ok(!matchesShopType({ name: 'Unknown' }, 'independent'));
+    assert.ok(matchesShopType({ name: 'Unknown' }, 'chain'));
+  });
+
+  it('should default to all', () => {
+    assert.ok(matchesShopType(chain));
+  });
+
+  it('should list the supported shop types', () => {
+    assert.deepStrictEqual(SHOP_TYPES, ['all', 'independent', 'chain']);
+  });
+});
+
+describe('spatial index', () => {
+  // Deterministic pseudo-random generator so failures are reproducible
+  function createRandom(seed) {
+    let state = seed;
+    return () => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+  }
+
+  // 10k synthetic shops across the US, Alaska, Hawaii and both sides of the antimeridian
+  function createShops(count, random) {
+    const regions = [
+      { minLat: 24, maxLat: 49, minLng: -125, maxLng: -66 },
+      { minLat: 51, maxLat: 71, minLng: -170, maxLng: -130 },
+      { minLat: 18.9, maxLat: 22.3, minLng: -160.3, maxLng: -154.8 },
+      { minLat: 51, maxLat: 53, minLng: 172, maxLng: 180 },
+      { minLat: 51, maxLat: 53, minLng: -180, maxLng: -175 },
+    ];
+    return Array.from({ length: count }, (_, i) => {
+      const region = regions[i % regions.length];
+      return {
+        id: i + 1,
+        name: `Shop ${i + 1}`,
+        lat: region.minLat + random() * (region.maxLat - region.minLat),
+        lng: region.minLng + random() * (region.maxLng - region.minLng),
+        isIndependent: random() < 0.6,
+      };
+    });
+  }
+
+  const random = createRandom(42);
+  const shops = createShops(10000, random);
+  // Duplicate coordinates exercise tie ordering
+  shops.push({ ...shops[0], id: 10001, name: 'Twin' });
+  const index = createSpatialIndex(shops);
+
+  const queryPoints = [
+    [39.7392, -104.9903], // Denver
+    [40.7128, -74.006], // New York
+    [21.3069, -157.8583], // Honolulu
+    [61.2181, -149.9003], // Anchorage
+    [52, 179.9], // Aleutians, west of the antimeridian
+    [52, -179.9], // Aleutians, east of the antimeridian
+    [89.9, 0], // Near the North Pole
+    [shops[0].lat, shops[0].lng], // Exactly on a shop
+  ];
+  for (let i = 0; i < 12; i++) {
+    queryPoints.push([24 + random() * 25, -125 + random() * 59]);
+  }
+
+  it('should index only shops with valid coordinates', () => {
+    const small = createSpatialIndex([
+      { name: 'Valid', lat: 34.05, lng: -118.24 },
+      { name: 'Missing lat', lng: -118.24 },
+      { name: 'NaN', lat: NaN, lng: -118.24 },
+      null,
+    ]);
+    assert.strictEqual(small.size, 1);
+  });
+
+  it('should return empty results for an empty or missing index', () => {
+    assert.deepStrictEqual(queryRadius(createSpatialIndex([]), 0, 0, 100), []);
+    assert.deepStrictEqual(queryRadius(createSpatialIndex(null), 0, 0, 100), []);
+    assert.deepStrictEqual(queryRadius(null, 0, 0, 100), []);
+    assert.deepStrictEqual(queryNearest(createSpatialIndex([]), 0, 0, 5), []);
+  });
+
+  it('queryRadius should match filterAndSortShops for every radius', () => {
+    for (const [lat, lng] of queryPoints) {
+      for (const radius of [0, 10, 100, 250, 1000, 5000]) {
+        const expected = filterAndSortShops(shops, lat, lng, radius, Infinity);
+        const actual = queryRadius(index, lat, lng, radius);
+        assert.deepStrictEqual(actual, expected, `radius ${radius} at ${lat},${lng}`);
+      }
+    }
+  });
+
+  it('queryRadius should match filterAndSortShops with shop type and limit', () => {
+    for (const [lat, lng] of queryPoints) {
+      for (const shopType of ['all', 'independent', 'chain']) {
+        const expected = filterAndSortShops(shops, lat, lng, 250, 20, shopType);
+        const actual = queryRadius(index, lat, lng, 250, { shopType, limit: 20 });
+        assert.deepStrictEqual(actual, expected, `${shopType} at ${lat},${lng}`);
+      }
+    }
+  });
+
+  it('queryRadius should match filterAndSortShops for the whole globe', () => {
+    const expected = filterAndSortShops(shops, 0, 0, 13000, Infinity);
+    assert.strictEqual(expected.length, shops.length);
+    assert.deepStrictEqual(queryRadius(index, 0, 0, 13000), expected);
+  });
+
+  it('queryRadius should match with a coarse grid', () => {
+    const coarse = createSpatialIndex(shops, 7);
+    for (const [lat, lng] of queryPoints) {
+      assert.deepStrictEqual(
+        queryRadius(coarse, lat, lng, 300),
+        filterAndSortShops(shops, lat, lng, 300, Infinity)
+      );
+    }
+  });
+
+  it('queryNearest should match the k nearest from filterAndSortShops', () => {
+    for (const [lat, lng] of queryPoints) {
+      for (const k of [1, 5, 20]) {
+        const expected = filterAndSortShops(shops, lat, lng, Infinity, k);
+        assert.deepStrictEqual(
+          queryNearest(index, lat, lng, k),
+          expected,
+          `k=${k} at ${lat},${lng}`
+        );
+      }
+    }
+  });
+
+  it('queryNearest should respect maxDistance and shop type', () => {
+    for (const [lat, lng] of queryPoints) {
+      const expected = filterAndSortShops(shops, lat, lng, 50, 10, 'independent');
+      const actual = queryNearest(index, lat, lng, 10, {
+        maxDistance: 50,
+        shopType: 'independent',
+      });
+      assert.deepStrictEqual(actual, expected);
+    }
+  });
+
+  it('queryNearest should return every shop when k exceeds the total', () => {
+    const small = [
+      { name: 'A', lat: 39.7, lng: -105 },
+      { name: 'B', lat: 21.3, lng: -157.8 },
+    ];
+    const result = queryNearest(createSpatialIndex(small), 40.7, -74, 5);
+    assert.deepStrictEqual(
+      result.map((shop) => shop.name),
+      ['A', 'B']
+    );
+  });
 });
 
 describe('generateResultsSummary', () => {
+  it('should mention the open now filter', () => {
+    const shops = [{ distance: 1.5 }, { distance: 3.2 }];
+    assert.strictEqual(
+      generateResultsSummary(shops, 'independent', 2, true),
+      'Showing 2 independent shops open now within 3.2 miles'
+    );
+  });
+
   it('should generate summary for multiple shops', () => {
     const shops = [
       { name: 'Shop A', distance: 2.3 },
@@ -416,6 +1098,127 @@ describe('generateResultsSummary', () => {
 
     assert.ok(summary.includes('5.8 miles'), 'Should round to 1 decimal');
   });
+
+  it('should describe independent shops', () => {
+    const shops = [
+      { name: 'Shop A', distance: 2.3 },
+      { name: 'Shop B', distance: 5.7 },
+    ];
+
+    const summary = generateResultsSummary(shops, 'independent');
+
+    assert.strictEqual(summary, 'Showing 2 independent shops within 5.7 miles');
+  });
+
+  it('should show total count when only a page of results is shown', () => {
+    const shops = [
+      { name: 'Shop A', distance: 2.3 },
+      { name: 'Shop B', distance: 5.7 },
+    ];
+
+    assert.strictEqual(
+      generateResultsSummary(shops, 'all', 45),
+      'Showing 2 of 45 shops within 5.7 miles'
+    );
+    assert.strictEqual(
+      generateResultsSummary([shops[0]], 'independent', 3),
+      'Showing 1 of 3 independent shops within 2.3 miles'
+    );
+  });
+
+  it('should ignore total count when all results are shown', () => {
+    const shops = [{ name: 'Shop A', distance: 2.3 }];
+    assert.strictEqual(generateResultsSummary(shops, 'all', 1), 'Showing 1 shop within 2.3 miles');
+  });
+
+  it('should describe chain stores', () => {
+    assert.strictEqual(
+      generateResultsSummary([{ name: 'Zumiez', distance: 4 }], 'chain'),
+      'Showing 1 chain store within 4.0 miles'
+    );
+    assert.strictEqual(
+      generateResultsSummary(
+        [
+          { name: 'Zumiez', distance: 4 },
+          { name: 'Vans', distance: 6 },
+        ],
+        'chain'
+      ),
+      'Showing 2 chain stores within 6.0 miles'
+    );
+  });
+
+  it('should say where the search was centered', () => {
+    assert.strictEqual(
+      generateResultsSummary([{ name: 'A', distance: 3.2 }], 'all', 1, false, 'Denver, CO'),
+      'Showing 1 shop near Denver, CO within 3.2 miles'
+    );
+  });
+});
+
+describe('getSearchTitle', () => {
+  it('should name the search location', () => {
+    assert.strictEqual(getSearchTitle('Denver, CO'), 'Skateshops near Denver, CO');
+  });
+
+  it('should return null without a location', () => {
+    assert.strictEqual(getSearchTitle(null), null);
+  });
+});
+
+describe('getWiderRadiusSuggestion', () => {
+  // Denver, with shops roughly 30, 70 and 200 miles away
+  const userLat = 39.7392;
+  const userLng = -104.9903;
+  const shops = [
+    { name: 'Boulder Area', lat: 40.15, lng: -105.1, isIndependent: true },
+    { name: 'Colorado Springs Area', lat: 38.8, lng: -104.8, isIndependent: false },
+    { name: 'Far Away', lat: 37.0, lng: -104.5, isIndependent: true },
+  ];
+  const index = createSpatialIndex(shops);
+
+  it('should suggest the next radius that adds shops', () => {
+    assert.deepStrictEqual(getWiderRadiusSuggestion(index, userLat, userLng, 10), {
+      radius: 50,
+      additionalCount: 1,
+    });
+  });
+
+  it('should count shops added beyond the current radius', () => {
+    assert.deepStrictEqual(getWiderRadiusSuggestion(index, userLat, userLng, 100), {
+      radius: 250,
+      additionalCount: 1,
+    });
+  });
+
+  it('should respect the shop type filter', () => {
+    assert.deepStrictEqual(getWiderRadiusSuggestion(index, userLat, userLng, 10, 'chain'), {
+      radius: 100,
+      additionalCount: 1,
+    });
+  });
+
+  it('should return null when no wider radius adds shops', () => {
+    assert.strictEqual(getWiderRadiusSuggestion(index, userLat, userLng, 250), null);
+    assert.strictEqual(
+      getWiderRadiusSuggestion(createSpatialIndex([]), userLat, userLng, 10),
+      null
+    );
+  });
+});
+
+describe('isOfflineError', () => {
+  it('should detect fetch network failures', () => {
+    assert.strictEqual(isOfflineError(new TypeError('Failed to fetch')), true);
+  });
+
+  it('should treat any failure while offline as offline', () => {
+    assert.strictEqual(isOfflineError(new Error('No results found'), false), true);
+  });
+
+  it('should not flag other errors while online', () => {
+    assert.strictEqual(isOfflineError(new Error('No results found'), true), false);
+  });
 });
 
 describe('isValidCoordinates', () => {
@@ -534,15 +1337,159 @@ describe('filterShopsBySearchTerm', () => {
   });
 });
 
-describe('extractCityState', () => {
-  it('should extract city and state from full address', () => {
-    const result = extractCityState('123 Main St, Los Angeles, CA 90001');
-    assert.strictEqual(result, 'Los Angeles, CA');
+describe('normalizeSearchText', () => {
+  it('should lowercase and strip accents and punctuation', () => {
+    assert.strictEqual(normalizeSearchText('Montréal Skate Co.'), 'montreal skate co');
+    assert.strictEqual(normalizeSearchText("Lee's  Boards & Co"), 'lees boards co');
+    assert.strictEqual(normalizeSearchText('Shop’s'), 'shops');
   });
 
-  it('should handle address without ZIP code', () => {
-    const result = extractCityState('123 Main St, Portland, OR');
-    assert.strictEqual(result, 'Portland, OR');
+  it('should handle empty input', () => {
+    assert.strictEqual(normalizeSearchText(''), '');
+    assert.strictEqual(normalizeSearchText(null), '');
+  });
+});
+
+describe('shop name search', () => {
+  const shops = [
+    {
+      id: 1,
+      name: '303 Boards',
+      address: '1201 E 13th Ave, Denver, CO 80218',
+      lat: 39.74,
+      lng: -104.97,
+      isIndependent: true,
+    },
+    {
+      id: 2,
+      name: 'Zumiez',
+      address: '500 16th St, Denver, CO 80202',
+      lat: 39.74,
+      lng: -104.99,
+      isIndependent: false,
+    },
+    {
+      id: 3,
+      name: 'Denver Skate Supply',
+      address: '1 Main St, Boulder, CO 80302',
+      lat: 40.01,
+      lng: -105.27,
+      isIndependent: true,
+    },
+    {
+      id: 4,
+      name: 'Zumiez',
+      address: '10 Mall Rd, Los Angeles, CA 90001',
+      lat: 34.05,
+      lng: -118.24,
+      isIndependent: false,
+    },
+    {
+      id: 5,
+      name: 'Planète Skate',
+      address: '3632 Boul. Saint-Laurent, Montréal, QC H2X 2V4',
+      lat: 45.51,
+      lng: -73.57,
+      isIndependent: true,
+    },
+  ];
+  const ids = (results) => results.map((shop) => shop.id);
+
+  describe('scoreShopNameMatch', () => {
+    it('should rank an exact name above partial matches', () => {
+      assert.ok(
+        scoreShopNameMatch(shops[0], '303 Boards') > scoreShopNameMatch(shops[0], '303 denver')
+      );
+    });
+
+    it('should ignore case, accents and spacing', () => {
+      assert.ok(scoreShopNameMatch(shops[4], 'planete') > 0);
+      assert.ok(scoreShopNameMatch(shops[0], '303boards') > 0);
+    });
+
+    it('should tolerate typos in longer words', () => {
+      assert.ok(scoreShopNameMatch(shops[0], '303 bords') > 0);
+      assert.ok(scoreShopNameMatch(shops[2], 'skate suply') > 0);
+      assert.strictEqual(scoreShopNameMatch(shops[0], '304'), 0);
+    });
+
+    it('should match city and state names and codes', () => {
+      assert.ok(scoreShopNameMatch(shops[1], 'zumiez denver') > 0);
+      assert.ok(scoreShopNameMatch(shops[1], 'zumiez colorado') > 0);
+      assert.ok(scoreShopNameMatch(shops[1], 'zumiez co') > 0);
+      assert.strictEqual(scoreShopNameMatch(shops[1], 'zumiez california'), 0);
+    });
+
+    it('should weight name matches above location matches', () => {
+      assert.ok(scoreShopNameMatch(shops[2], 'denver') > scoreShopNameMatch(shops[1], 'denver'));
+    });
+
+    it('should return 0 for empty queries', () => {
+      assert.strictEqual(scoreShopNameMatch(shops[0], ''), 0);
+      assert.strictEqual(scoreShopNameMatch(shops[0], ' ,. '), 0);
+      assert.strictEqual(scoreShopNameMatch(null, '303'), 0);
+    });
+  });
+
+  describe('searchShopsByName', () => {
+    it('should sort by relevance without a location', () => {
+      const results = searchShopsByName(shops, 'denver');
+      assert.deepStrictEqual(ids(results), [3, 1, 2]);
+      assert.ok(results.every((shop) => shop.distance === undefined));
+    });
+
+    it('should sort by distance when a location is known', () => {
+      const results = searchShopsByName(shops, 'zumiez', { lat: 34.0, lng: -118.0 });
+      assert.deepStrictEqual(ids(results), [4, 2]);
+      assert.ok(results[0].distance < results[1].distance);
+    });
+
+    it('should apply the shop type filter', () => {
+      assert.deepStrictEqual(ids(searchShopsByName(shops, 'denver', { shopType: 'chain' })), [2]);
+    });
+
+    it('should apply the open now filter', () => {
+      const hours = ['', '1000-1800', '1000-1800', '1000-1800', '1000-1800', '1000-1800', ''];
+      const withHours = [{ ...shops[0], hours, timeZone: 'America/Denver' }, shops[1]];
+      // Wednesday 10 AM in Denver
+      const openAt = new Date('2026-01-14T17:00:00Z');
+      assert.deepStrictEqual(ids(searchShopsByName(withHours, 'denver', { openAt })), [1]);
+    });
+
+    it('should return no results for no match or invalid input', () => {
+      assert.deepStrictEqual(searchShopsByName(shops, 'xyzzy'), []);
+      assert.deepStrictEqual(searchShopsByName(shops, ''), []);
+      assert.deepStrictEqual(searchShopsByName(null, '303'), []);
+    });
+  });
+
+  describe('generateNameSearchSummary', () => {
+    it('should describe the matches', () => {
+      assert.strictEqual(
+        generateNameSearchSummary([shops[0]], '303 Boards'),
+        'Showing 1 shop matching "303 Boards"'
+      );
+      assert.strictEqual(
+        generateNameSearchSummary(shops.slice(0, 2), 'denver', 25),
+        'Showing 2 of 25 shops matching "denver"'
+      );
+    });
+
+    it('should return empty string for no shops', () => {
+      assert.strictEqual(generateNameSearchSummary([], 'x'), '');
+    });
+  });
+});
+
+describe('extractCityState', () => {
+  it('should extract city and state from full address', () => {
+    const result = extractCityState('123 Main St, Los Angeles, CA 90001');
+    assert.strictEqual(result, 'Los Angeles, CA');
+  });
+
+  it('should handle address without ZIP code', () => {
+    const result = extractCityState('123 Main St, Portland, OR');
+    assert.strictEqual(result, 'Portland, OR');
   });
 
   it('should return empty string for empty address', () => {
@@ -636,6 +1583,7 @@ describe('createMapPopupHTML', () => {
     assert.ok(html.includes('123 Main St, City, CA 90210'), 'Should include address');
     assert.ok(html.includes('5.5 mi'), 'Should include distance');
     assert.ok(html.includes('popup-badge-independent'), 'Should include independent badge');
+    assert.ok(html.includes('<div class="map-popup">'), 'Should not tag popups without an ID');
   });
 
   it('should include website link when provided', () => {
@@ -725,7 +1673,14 @@ describe('createMapPopupHTML', () => {
     };
     const html = createMapPopupHTML(shop);
 
-    assert.ok(html.includes('? mi'), 'Should show ? for unknown distance');
+    assert.ok(!html.includes('popup-distance'), 'Should omit unknown distance');
+    assert.ok(!html.includes(' mi<'), 'Should not show a placeholder distance');
+  });
+
+  it('should show a known distance', () => {
+    const html = createMapPopupHTML({ name: 'Shop', address: '123 Main', distance: 0 });
+
+    assert.ok(html.includes('<span class="popup-distance">0.0 mi</span>'));
   });
 
   it('should encode address in directions URL', () => {
@@ -760,7 +1715,7 @@ describe('createMapPopupHTML', () => {
     assert.ok(html.includes('popup-photo'), 'Should include popup photo container');
     assert.ok(html.includes('images/shops/42.jpg'), 'Should include photo src');
     assert.ok(html.includes('loading="lazy"'), 'Should lazy load photo');
-    assert.ok(html.includes('onerror'), 'Should include error handler');
+    assert.ok(!html.includes('onerror'), 'Should not use an inline error handler');
   });
 
   it('should not include photo when not provided', () => {
@@ -778,6 +1733,78 @@ describe('createMapPopupHTML', () => {
   });
 });
 
+describe('coarsenCoordinates', () => {
+  it('should round to two decimal places by default', () => {
+    assert.deepStrictEqual(coarsenCoordinates(39.7392, -104.9903), { lat: 39.74, lng: -104.99 });
+  });
+
+  it('should accept a custom precision', () => {
+    assert.deepStrictEqual(coarsenCoordinates(39.7392, -104.9903, 1), { lat: 39.7, lng: -105 });
+  });
+
+  it('should leave already coarse coordinates unchanged', () => {
+    assert.deepStrictEqual(coarsenCoordinates(40, -105), { lat: 40, lng: -105 });
+  });
+});
+
+describe('getCoarsenedRadiusMeters', () => {
+  it('should cover the largest rounding error', () => {
+    const radius = getCoarsenedRadiusMeters(0);
+    const distance = calculateDistance(0.005, 0.005, 0, 0) * 1609.344;
+    assert.ok(Math.abs(radius - distance) < 5, `${radius} vs ${distance}`);
+  });
+
+  it('should shrink towards the poles', () => {
+    assert.ok(getCoarsenedRadiusMeters(60) < getCoarsenedRadiusMeters(30));
+    assert.ok(getCoarsenedRadiusMeters(60) > 556);
+  });
+
+  it('should grow as precision drops', () => {
+    assert.ok(getCoarsenedRadiusMeters(40, 1) > getCoarsenedRadiusMeters(40, 2) * 9);
+  });
+});
+
+describe('encodeGeohash', () => {
+  it('should match known geohashes', () => {
+    assert.strictEqual(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    assert.strictEqual(encodeGeohash(39.7392, -104.9903, 6), '9xj64f');
+  });
+
+  it('should default to the coverage gap precision', () => {
+    assert.strictEqual(encodeGeohash(39.7392, -104.9903).length, CONFIG.COVERAGE_GAP_PRECISION);
+  });
+
+  it('should give nearby points the same coarse cell', () => {
+    assert.strictEqual(encodeGeohash(39.74, -104.99, 4), encodeGeohash(39.75, -104.98, 4));
+  });
+});
+
+describe('decodeGeohash', () => {
+  it('should return the center of the cell and its half size', () => {
+    const cell = decodeGeohash('9xj6');
+    assert.ok(Math.abs(cell.lat - 39.8145) < 0.001);
+    assert.ok(Math.abs(cell.lng - -104.9414) < 0.001);
+    assert.strictEqual(cell.latError, 0.087890625);
+    assert.strictEqual(cell.lngError, 0.17578125);
+  });
+
+  it('should contain the encoded point', () => {
+    const cell = decodeGeohash(encodeGeohash(45.52, -122.68, 5));
+    assert.ok(Math.abs(cell.lat - 45.52) <= cell.latError);
+    assert.ok(Math.abs(cell.lng - -122.68) <= cell.lngError);
+  });
+
+  it('should accept uppercase hashes', () => {
+    assert.deepStrictEqual(decodeGeohash('9XJ6'), decodeGeohash('9xj6'));
+  });
+
+  it('should return null for invalid hashes', () => {
+    assert.strictEqual(decodeGeohash(''), null);
+    assert.strictEqual(decodeGeohash('9xja'), null);
+    assert.strictEqual(decodeGeohash(null), null);
+  });
+});
+
 describe('getMapBounds', () => {
   it('should return null for empty array', () => {
     const result = getMapBounds([]);
@@ -850,7 +1877,146 @@ describe('getMapBounds', () => {
   });
 });
 
+describe('clusterShops', () => {
+  const shops = [
+    { id: 1, lat: 39.75, lng: -104.99, isIndependent: true },
+    { id: 2, lat: 39.74, lng: -104.98, isIndependent: false },
+    { id: 3, lat: 39.73, lng: -105.0 },
+    { id: 4, lat: 40.01, lng: -105.27, isIndependent: true },
+    { id: 5, lat: 34.05, lng: -118.24, isIndependent: true },
+  ];
+
+  it('should group nearby shops at low zoom', () => {
+    const clusters = clusterShops(shops, 4);
+
+    assert.strictEqual(clusters.length, 2);
+    assert.deepStrictEqual(
+      clusters[0].shops.map((shop) => shop.id),
+      [1, 2, 3, 4]
+    );
+    assert.deepStrictEqual(
+      clusters[1].shops.map((shop) => shop.id),
+      [5]
+    );
+  });
+
+  it('should count independent and chain shops', () => {
+    const [colorado] = clusterShops(shops, 4);
+
+    assert.strictEqual(colorado.count, 4);
+    assert.strictEqual(colorado.independentCount, 2);
+    assert.strictEqual(colorado.chainCount, 2);
+  });
+
+  it('should position clusters at the mean of their shops with bounds', () => {
+    const [colorado] = clusterShops(shops, 4);
+
+    assert.ok(Math.abs(colorado.lat - 39.8075) < 1e-9);
+    assert.ok(Math.abs(colorado.lng - -105.06) < 1e-9);
+    assert.deepStrictEqual(colorado.bounds, {
+      north: 40.01,
+      south: 39.73,
+      east: -104.98,
+      west: -105.27,
+    });
+  });
+
+  it('should split clusters apart as the zoom increases', () => {
+    const counts = [4, 8, 12].map((zoom) => clusterShops(shops, zoom).length);
+
+    assert.deepStrictEqual(counts, [2, 3, 5]);
+  });
+
+  it('should give every shop its own cluster above the max cluster zoom', () => {
+    const sameSpot = [
+      { id: 1, lat: 39.75, lng: -104.99 },
+      { id: 2, lat: 39.75, lng: -104.99 },
+    ];
+
+    assert.strictEqual(clusterShops(sameSpot, CONFIG.CLUSTER_MAX_ZOOM).length, 1);
+    assert.strictEqual(clusterShops(sameSpot, CONFIG.CLUSTER_MAX_ZOOM + 1).length, 2);
+  });
+
+  it('should key clusters by grid cell so keys are stable across calls', () => {
+    const keys = clusterShops(shops, 8).map((cluster) => cluster.key);
+
+    assert.deepStrictEqual(
+      clusterShops([...shops].reverse(), 8)
+        .map((cluster) => cluster.key)
+        .sort(),
+      [...keys].sort()
+    );
+    assert.strictEqual(new Set(keys).size, keys.length);
+  });
+
+  it('should skip shops without coordinates', () => {
+    const clusters = clusterShops([{ id: 1 }, { id: 2, lat: NaN, lng: 0 }, shops[0]], 4);
+
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].count, 1);
+  });
+
+  it('should handle invalid input', () => {
+    assert.deepStrictEqual(clusterShops(null, 4), []);
+    assert.deepStrictEqual(clusterShops([], 4), []);
+  });
+});
+
+describe('createClusterIconHTML', () => {
+  it('should show the total, independent and chain counts', () => {
+    const html = createClusterIconHTML({ count: 12, independentCount: 8, chainCount: 4 });
+
+    assert.ok(html.includes('<span class="cluster-total">12</span>'));
+    assert.ok(html.includes('<span class="cluster-independent">8</span>'));
+    assert.ok(html.includes('<span class="cluster-chain">4</span>'));
+    assert.ok(html.includes('aria-label="12 shops: 8 independent, 4 chain"'));
+  });
+});
+
+describe('getClusterIconSize', () => {
+  it('should grow with the number of shops', () => {
+    assert.strictEqual(getClusterIconSize(2), 36);
+    assert.strictEqual(getClusterIconSize(10), 44);
+    assert.strictEqual(getClusterIconSize(100), 52);
+  });
+});
+
+describe('generateBrowseSummary', () => {
+  it('should count independent and chain shops', () => {
+    const shops = [
+      ...Array.from({ length: 1200 }, () => ({ isIndependent: true })),
+      { isIndependent: false },
+      {},
+    ];
+
+    assert.strictEqual(generateBrowseSummary(shops), '1,202 shops: 1,200 independent, 2 chain');
+  });
+
+  it('should use the singular for one shop', () => {
+    assert.strictEqual(
+      generateBrowseSummary([{ isIndependent: true }]),
+      '1 shop: 1 independent, 0 chain'
+    );
+  });
+
+  it('should return empty string for no shops', () => {
+    assert.strictEqual(generateBrowseSummary([]), '');
+    assert.strictEqual(generateBrowseSummary(null), '');
+  });
+});
+
 describe('buildShareParams', () => {
+  it('should include the open now filter', () => {
+    assert.strictEqual(
+      buildShareParams('address', 'Denver', null, null, { openNow: true }),
+      '?q=Denver&open=1'
+    );
+    assert.strictEqual(
+      buildShareParams('address', 'Denver', null, null, { openNow: false }),
+      '?q=Denver'
+    );
+  });
+
   it('should return ?q= for address search', () => {
     const result = buildShareParams('address', 'Denver, CO', 39.7392, -104.9903);
     assert.strictEqual(result, '?q=Denver%2C%20CO');
@@ -872,6 +2038,19 @@ describe('buildShareParams', () => {
     assert.strictEqual(result, '?lat=39.7392&lng=-104.9903');
   });
 
+  it('should return ?name= for shop name search without a radius', () => {
+    const result = buildShareParams('name', '303 Boards', 39.7, -104.9, {
+      radius: 250,
+      shopType: 'independent',
+    });
+    assert.strictEqual(result, '?name=303%20Boards&type=independent');
+  });
+
+  it('should share the map center for "Search this area"', () => {
+    const result = buildShareParams('map_area', 'Denver, CO', 40.015, -105.2705, { radius: 25 });
+    assert.strictEqual(result, '?lat=40.015&lng=-105.2705&radius=25');
+  });
+
   it('should return empty string when address search has no address', () => {
     const result = buildShareParams('address', '', null, null);
     assert.strictEqual(result, '');
@@ -886,9 +2065,69 @@ describe('buildShareParams', () => {
     const result = buildShareParams('geolocation', '', 'bad', 'data');
     assert.strictEqual(result, '');
   });
+
+  it('should append shop type to address search', () => {
+    const result = buildShareParams('address', 'Denver, CO', 0, 0, { shopType: 'independent' });
+    assert.strictEqual(result, '?q=Denver%2C%20CO&type=independent');
+  });
+
+  it('should append shop type to geolocation search', () => {
+    const result = buildShareParams('geolocation', '', 39.7392, -104.9903, { shopType: 'chain' });
+    assert.strictEqual(result, '?lat=39.7392&lng=-104.9903&type=chain');
+  });
+
+  it('should omit shop type when all or unknown', () => {
+    assert.strictEqual(
+      buildShareParams('geolocation', '', 39.7392, -104.9903, { shopType: 'all' }),
+      '?lat=39.7392&lng=-104.9903'
+    );
+    assert.strictEqual(
+      buildShareParams('geolocation', '', 39.7392, -104.9903, { shopType: 'bogus' }),
+      '?lat=39.7392&lng=-104.9903'
+    );
+  });
+
+  it('should append non-default radius and limit', () => {
+    const result = buildShareParams('geolocation', '', 39.7392, -104.9903, {
+      shopType: 'independent',
+      radius: 250,
+      limit: 40,
+    });
+    assert.strictEqual(result, '?lat=39.7392&lng=-104.9903&type=independent&radius=250&limit=40');
+  });
+
+  it('should omit default, unsupported or invalid radius and limit', () => {
+    const expected = '?q=Denver';
+    assert.strictEqual(
+      buildShareParams('address', 'Denver', 0, 0, { radius: 100, limit: 20 }),
+      expected
+    );
+    assert.strictEqual(buildShareParams('address', 'Denver', 0, 0, { radius: 75 }), expected);
+    assert.strictEqual(buildShareParams('address', 'Denver', 0, 0, { limit: 0 }), expected);
+    assert.strictEqual(buildShareParams('address', 'Denver', 0, 0, { limit: 2.5 }), expected);
+  });
+
+  it('should not return shop type alone without a search', () => {
+    assert.strictEqual(
+      buildShareParams('address', '', null, null, { shopType: 'independent' }),
+      ''
+    );
+  });
 });
 
 describe('parseShareParams', () => {
+  it('should parse the open now filter', () => {
+    assert.deepStrictEqual(parseShareParams('?q=Denver&open=1'), {
+      type: 'address',
+      q: 'Denver',
+      openNow: true,
+    });
+    assert.deepStrictEqual(parseShareParams('?q=Denver&open=yes'), {
+      type: 'address',
+      q: 'Denver',
+    });
+  });
+
   it('should parse address query param', () => {
     const result = parseShareParams('?q=Denver%2C+CO');
     assert.deepStrictEqual(result, { type: 'address', q: 'Denver, CO' });
@@ -934,4 +2173,447 @@ describe('parseShareParams', () => {
     const result = parseShareParams('?lat=-33.8688&lng=151.2093');
     assert.deepStrictEqual(result, { type: 'geo', lat: -33.8688, lng: 151.2093 });
   });
+
+  it('should parse shop type with address search', () => {
+    const result = parseShareParams('?q=Denver&type=independent');
+    assert.deepStrictEqual(result, { type: 'address', q: 'Denver', shopType: 'independent' });
+  });
+
+  it('should parse shop type with lat/lng search', () => {
+    const result = parseShareParams('?lat=39.7392&lng=-104.9903&type=chain');
+    assert.deepStrictEqual(result, {
+      type: 'geo',
+      lat: 39.7392,
+      lng: -104.9903,
+      shopType: 'chain',
+    });
+  });
+
+  it('should ignore unknown shop types', () => {
+    const result = parseShareParams('?q=Denver&type=bogus');
+    assert.deepStrictEqual(result, { type: 'address', q: 'Denver' });
+  });
+
+  it('should parse radius and limit', () => {
+    const result = parseShareParams('?q=Denver&radius=250&limit=40');
+    assert.deepStrictEqual(result, { type: 'address', q: 'Denver', radius: 250, limit: 40 });
+  });
+
+  it('should ignore default, unsupported or invalid radius and limit', () => {
+    const expected = { type: 'address', q: 'Denver' };
+    assert.deepStrictEqual(parseShareParams('?q=Denver&radius=100&limit=20'), expected);
+    assert.deepStrictEqual(parseShareParams('?q=Denver&radius=75'), expected);
+    assert.deepStrictEqual(parseShareParams('?q=Denver&radius=abc&limit=-5'), expected);
+    assert.deepStrictEqual(parseShareParams('?q=Denver&limit=1.5'), expected);
+  });
+
+  it('should parse a shop permalink', () => {
+    assert.deepStrictEqual(parseShareParams('?shop=42'), { type: 'shop', id: 42 });
+  });
+
+  it('should prefer shop over search params', () => {
+    assert.deepStrictEqual(parseShareParams('?q=Denver&shop=42'), { type: 'shop', id: 42 });
+  });
+
+  it('should ignore invalid shop IDs', () => {
+    assert.strictEqual(parseShareParams('?shop=abc'), null);
+    assert.strictEqual(parseShareParams('?shop=0'), null);
+    assert.strictEqual(parseShareParams('?shop=-1'), null);
+    assert.deepStrictEqual(parseShareParams('?shop=1.5&q=Denver'), {
+      type: 'address',
+      q: 'Denver',
+    });
+  });
+
+  it('should return null for shop type without a search', () => {
+    assert.strictEqual(parseShareParams('?type=independent'), null);
+  });
+
+  it('should parse a shop name search', () => {
+    assert.deepStrictEqual(parseShareParams('?name=303%20Boards&open=1'), {
+      type: 'name',
+      name: '303 Boards',
+      openNow: true,
+    });
+  });
+
+  it('should prefer a name search over an address search', () => {
+    assert.deepStrictEqual(parseShareParams('?q=Denver&name=Zumiez'), {
+      type: 'name',
+      name: 'Zumiez',
+    });
+  });
+
+  it('should parse the browse map', () => {
+    assert.deepStrictEqual(parseShareParams('?browse=1'), { type: 'browse' });
+    assert.strictEqual(parseShareParams('?browse=0'), null);
+  });
+
+  it('should prefer a shop permalink over the browse map', () => {
+    assert.deepStrictEqual(parseShareParams('?browse=1&shop=42'), { type: 'shop', id: 42 });
+  });
+});
+
+describe('normalizeCityName', () => {
+  it('should lowercase and trim', () => {
+    assert.strictEqual(normalizeCityName('  Denver '), 'denver');
+  });
+
+  it('should expand St., Ft. and Mt. abbreviations', () => {
+    assert.strictEqual(normalizeCityName('St. Louis'), 'saint louis');
+    assert.strictEqual(normalizeCityName('Ft Worth'), 'fort worth');
+    assert.strictEqual(normalizeCityName('Mt. Vernon'), 'mount vernon');
+  });
+
+  it('should not expand St inside a name', () => {
+    assert.strictEqual(normalizeCityName('Eastport'), 'eastport');
+    assert.strictEqual(normalizeCityName('West St Paul'), 'west st paul');
+  });
+
+  it('should drop punctuation and collapse whitespace', () => {
+    assert.strictEqual(normalizeCityName("Coeur d'Alene"), 'coeur dalene');
+    assert.strictEqual(normalizeCityName('Winston-Salem'), 'winston salem');
+    assert.strictEqual(normalizeCityName('New   York'), 'new york');
+  });
+
+  it('should return empty string for empty input', () => {
+    assert.strictEqual(normalizeCityName(''), '');
+    assert.strictEqual(normalizeCityName(null), '');
+  });
+});
+
+describe('getStateCode', () => {
+  it('should accept postal codes in any case', () => {
+    assert.strictEqual(getStateCode('CO'), 'CO');
+    assert.strictEqual(getStateCode('co'), 'CO');
+  });
+
+  it('should accept full state and territory names', () => {
+    assert.strictEqual(getStateCode('Colorado'), 'CO');
+    assert.strictEqual(getStateCode('new  york'), 'NY');
+    assert.strictEqual(getStateCode('Puerto Rico'), 'PR');
+  });
+
+  it('should return null for unknown states', () => {
+    assert.strictEqual(getStateCode('XX'), null);
+    assert.strictEqual(getStateCode('Ontario'), null);
+    assert.strictEqual(getStateCode(''), null);
+  });
+});
+
+describe('getStateName', () => {
+  it('should return the state name for a code', () => {
+    assert.strictEqual(getStateName('NY'), 'New York');
+    assert.strictEqual(getStateName('co'), 'Colorado');
+  });
+
+  it('should keep "of" lowercase and capitalize abbreviations', () => {
+    assert.strictEqual(getStateName('DC'), 'District of Columbia');
+    assert.strictEqual(getStateName('VI'), 'U.S. Virgin Islands');
+  });
+
+  it('should return null for unknown codes', () => {
+    assert.strictEqual(getStateName('ZZ'), null);
+    assert.strictEqual(getStateName(''), null);
+  });
+});
+
+describe('parseLocalGeocodeQuery', () => {
+  it('should parse 5-digit ZIP codes', () => {
+    assert.deepStrictEqual(parseLocalGeocodeQuery('80202'), { type: 'zip', zip: '80202' });
+    assert.deepStrictEqual(parseLocalGeocodeQuery(' 80202-1234 '), { type: 'zip', zip: '80202' });
+  });
+
+  it('should parse City, ST', () => {
+    assert.deepStrictEqual(parseLocalGeocodeQuery('Denver, CO'), {
+      type: 'city',
+      city: 'denver',
+      state: 'CO',
+    });
+  });
+
+  it('should parse City, State name and a trailing country', () => {
+    assert.deepStrictEqual(parseLocalGeocodeQuery('St. Louis, Missouri, USA'), {
+      type: 'city',
+      city: 'saint louis',
+      state: 'MO',
+    });
+  });
+
+  it('should prefer the ZIP code in City, ST 12345', () => {
+    assert.deepStrictEqual(parseLocalGeocodeQuery('Denver, CO 80202'), {
+      type: 'zip',
+      zip: '80202',
+    });
+  });
+
+  it('should return null for street addresses and other text', () => {
+    assert.strictEqual(parseLocalGeocodeQuery('123 Main St, Denver, CO'), null);
+    assert.strictEqual(parseLocalGeocodeQuery('Denver'), null);
+    assert.strictEqual(parseLocalGeocodeQuery('Toronto, ON'), null);
+    assert.strictEqual(parseLocalGeocodeQuery('8020'), null);
+    assert.strictEqual(parseLocalGeocodeQuery(''), null);
+  });
+});
+
+describe('geocodeLocally', () => {
+  const index = {
+    zips: { 80202: [39.75, -104.99] },
+    cities: { CO: { denver: [39.74, -104.98] }, MO: { 'saint louis': [38.64, -90.29] } },
+  };
+
+  it('should resolve ZIP codes', () => {
+    assert.deepStrictEqual(geocodeLocally(index, '80202'), { lat: 39.75, lng: -104.99 });
+  });
+
+  it('should resolve cities', () => {
+    assert.deepStrictEqual(geocodeLocally(index, 'Denver, CO'), { lat: 39.74, lng: -104.98 });
+    assert.deepStrictEqual(geocodeLocally(index, 'St Louis, MO'), { lat: 38.64, lng: -90.29 });
+  });
+
+  it('should return null when the index has no match', () => {
+    assert.strictEqual(geocodeLocally(index, '10001'), null);
+    assert.strictEqual(geocodeLocally(index, 'Denver, PA'), null);
+  });
+
+  it('should return null for queries the index cannot answer', () => {
+    assert.strictEqual(geocodeLocally(index, '1600 Pennsylvania Ave, Washington, DC'), null);
+  });
+
+  it('should return null without an index', () => {
+    assert.strictEqual(geocodeLocally(null, '80202'), null);
+  });
+});
+
+describe('geocode cache', () => {
+  const denver = { lat: 39.74, lng: -104.98 };
+
+  it('should normalize cache keys', () => {
+    assert.strictEqual(getGeocodeCacheKey('  Denver,   CO '), 'denver, co');
+  });
+
+  it('should return cached results for equivalent queries', () => {
+    const cache = addToGeocodeCache([], 'Denver, CO', denver);
+    assert.deepStrictEqual(getCachedGeocode(cache, 'denver,  co'), denver);
+  });
+
+  it('should return null for uncached queries or invalid caches', () => {
+    assert.strictEqual(getCachedGeocode([], 'Denver, CO'), null);
+    assert.strictEqual(getCachedGeocode(null, 'Denver, CO'), null);
+    assert.strictEqual(getCachedGeocode([{ query: 'x', lat: 'a', lng: 1 }], 'x'), null);
+  });
+
+  it('should replace an existing entry and move it to the end', () => {
+    let cache = addToGeocodeCache([], '80202', denver);
+    cache = addToGeocodeCache(cache, 'Boulder, CO', { lat: 40.02, lng: -105.27 });
+    cache = addToGeocodeCache(cache, '80202', { lat: 39.75, lng: -104.99 });
+
+    assert.deepStrictEqual(
+      cache.map((e) => e.query),
+      ['boulder, co', '80202']
+    );
+    assert.deepStrictEqual(getCachedGeocode(cache, '80202'), { lat: 39.75, lng: -104.99 });
+  });
+
+  it('should drop the oldest entries past the limit', () => {
+    let cache = [];
+    for (const zip of ['10001', '10002', '10003']) {
+      cache = addToGeocodeCache(cache, zip, denver, 2);
+    }
+    assert.deepStrictEqual(
+      cache.map((e) => e.query),
+      ['10002', '10003']
+    );
+  });
+});
+
+describe('reverse geocoding', () => {
+  const index = {
+    cities: {
+      CO: {
+        denver: [39.74, -104.98, 40],
+        'fort collins': [40.56, -105.07, 8],
+        glendale: [39.7, -104.9, 2],
+      },
+      MO: { 'saint louis': [38.64, -90.29] },
+    },
+  };
+
+  describe('formatCityName', () => {
+    it('should title-case each word', () => {
+      assert.strictEqual(formatCityName('fort collins'), 'Fort Collins');
+      assert.strictEqual(formatCityName('winston-salem'), 'Winston-Salem');
+      assert.strictEqual(formatCityName(''), '');
+    });
+  });
+
+  describe('reverseGeocodeLocally', () => {
+    it('should find the nearest city', () => {
+      assert.deepStrictEqual(reverseGeocodeLocally(index, 39.75, -104.99), {
+        city: 'Denver',
+        state: 'CO',
+      });
+      assert.deepStrictEqual(reverseGeocodeLocally(index, 40.5, -105.0), {
+        city: 'Fort Collins',
+        state: 'CO',
+      });
+    });
+
+    it('should prefer a bigger city over a closer small one', () => {
+      assert.deepStrictEqual(reverseGeocodeLocally(index, 39.72, -104.92), {
+        city: 'Denver',
+        state: 'CO',
+      });
+      assert.deepStrictEqual(reverseGeocodeLocally(index, 39.7, -104.9), {
+        city: 'Glendale',
+        state: 'CO',
+      });
+    });
+
+    it('should return null when no city is close enough', () => {
+      assert.strictEqual(reverseGeocodeLocally(index, 43.0, -108.0), null);
+      assert.strictEqual(reverseGeocodeLocally(index, 39.75, -104.99, 0.1), null);
+    });
+
+    it('should handle a missing index or invalid coordinates', () => {
+      assert.strictEqual(reverseGeocodeLocally(null, 39.75, -104.99), null);
+      assert.strictEqual(reverseGeocodeLocally(index, NaN, -104.99), null);
+    });
+  });
+
+  describe('formatLocationLabel', () => {
+    it('should format city and state', () => {
+      assert.strictEqual(formatLocationLabel({ city: 'Denver', state: 'CO' }), 'Denver, CO');
+    });
+
+    it('should fall back to the county', () => {
+      assert.strictEqual(
+        formatLocationLabel({ city: '', county: 'Teton County', state: 'WY' }),
+        'Teton County, WY'
+      );
+    });
+
+    it('should return null without a place name', () => {
+      assert.strictEqual(formatLocationLabel({ city: '', county: '', state: 'WY' }), null);
+      assert.strictEqual(formatLocationLabel(null), null);
+    });
+  });
+});
+
+describe('geocode disambiguation', () => {
+  const nominatim = [
+    {
+      lat: '39.7990',
+      lon: '-89.6440',
+      address: { city: 'Springfield', county: 'Sangamon County', state: 'Illinois' },
+    },
+    {
+      lat: '37.2090',
+      lon: '-93.2923',
+      address: { city: 'Springfield', county: 'Greene County', state: 'Missouri' },
+    },
+    {
+      lat: '39.8100',
+      lon: '-89.6500',
+      address: { town: 'Springfield Township', county: 'Sangamon County', state: 'Illinois' },
+    },
+    { lat: 'bad', lon: '-1' },
+  ];
+  const candidates = parseNominatimResults(nominatim);
+
+  describe('parseNominatimResults', () => {
+    it('should read coordinates, city, county and state code', () => {
+      assert.strictEqual(candidates.length, 3);
+      assert.deepStrictEqual(candidates[0], {
+        lat: 39.799,
+        lng: -89.644,
+        city: 'Springfield',
+        county: 'Sangamon County',
+        state: 'IL',
+      });
+      assert.strictEqual(candidates[2].city, 'Springfield Township');
+    });
+
+    it('should handle missing address details and invalid input', () => {
+      assert.deepStrictEqual(parseNominatimResults([{ lat: '1', lon: '2' }]), [
+        { lat: 1, lng: 2, city: '', county: '', state: '' },
+      ]);
+      assert.deepStrictEqual(parseNominatimResults(null), []);
+    });
+  });
+
+  describe('getDistinctGeocodeCandidates', () => {
+    it('should drop candidates near a better one', () => {
+      const distinct = getDistinctGeocodeCandidates(candidates);
+      assert.deepStrictEqual(
+        distinct.map((c) => c.state),
+        ['IL', 'MO']
+      );
+    });
+
+    it('should return one candidate when all are close together', () => {
+      assert.strictEqual(getDistinctGeocodeCandidates([candidates[0], candidates[2]]).length, 1);
+    });
+
+    it('should respect the distance threshold', () => {
+      assert.strictEqual(getDistinctGeocodeCandidates(candidates, 500).length, 1);
+      assert.deepStrictEqual(getDistinctGeocodeCandidates(null), []);
+    });
+  });
+
+  describe('getGeocodeCandidateQuery', () => {
+    it('should use "City, ST"', () => {
+      assert.strictEqual(getGeocodeCandidateQuery(candidates[0], candidates), 'Springfield, IL');
+    });
+
+    it('should add the county when the city and state repeat', () => {
+      const other = { ...candidates[0], county: 'Other County', lat: 41, lng: -88 };
+      assert.strictEqual(
+        getGeocodeCandidateQuery(candidates[0], [candidates[0], other]),
+        'Springfield, Sangamon County, IL'
+      );
+    });
+
+    it('should use "County, ST" for a candidate without a city', () => {
+      const rural = { lat: 37.2, lng: -93.3, city: '', county: 'Greene County', state: 'MO' };
+      assert.strictEqual(
+        getGeocodeCandidateQuery(rural, [candidates[0], rural]),
+        'Greene County, MO'
+      );
+    });
+
+    it('should return null rather than a bare state', () => {
+      const rural = { lat: 37.2, lng: -93.3, city: '', county: '', state: 'MO' };
+      assert.strictEqual(getGeocodeCandidateQuery(rural, [candidates[0], rural]), null);
+    });
+
+    it('should return null when another candidate gets the same text', () => {
+      const other = { ...candidates[0], lat: 41, lng: -88 };
+      const offered = [candidates[0], other];
+      assert.strictEqual(getGeocodeCandidateQuery(candidates[0], offered), null);
+      assert.strictEqual(getGeocodeCandidateQuery(other, offered), null);
+
+      const county = { lat: 37.2, lng: -93.3, city: '', county: 'Greene County', state: 'MO' };
+      const sameCounty = { ...county, lat: 37.5, lng: -93.6 };
+      assert.strictEqual(getGeocodeCandidateQuery(county, [county, sameCounty]), null);
+    });
+  });
+
+  describe('createGeocodeCandidatesHTML', () => {
+    it('should show city, county and state for each candidate', () => {
+      const html = createGeocodeCandidatesHTML(candidates.slice(0, 2));
+      assert.ok(html.includes('data-index="0"'));
+      assert.ok(html.includes('<strong>Springfield</strong>'));
+      assert.ok(html.includes('Sangamon County, Illinois'));
+      assert.ok(html.includes('data-index="1"'));
+      assert.ok(html.includes('Greene County, Missouri'));
+    });
+
+    it('should escape place names', () => {
+      const html = createGeocodeCandidatesHTML([
+        { lat: 1, lng: 1, city: '<b>x</b>', county: '', state: 'CO' },
+      ]);
+      assert.ok(!html.includes('<b>x</b>'));
+    });
+  });
 });
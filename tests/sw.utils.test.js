@@ -0,0 +1,136 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import {
+  DATA_CACHE,
+  getDataVersion,
+  getPhotoUrls,
+  getPhotoVariant,
+  getRequestStrategy,
+  isDataUpdated,
+  PHOTO_CACHE,
+  PRECACHE_URLS,
+  SHELL_CACHE,
+} from '../sw.utils.js';
+
+describe('cache names', () => {
+  it('should be distinct', () => {
+    assert.strictEqual(new Set([SHELL_CACHE, DATA_CACHE, PHOTO_CACHE]).size, 3);
+  });
+
+  it('should precache every module the app imports', () => {
+    for (const file of [
+      'index.html',
+      'app.js',
+      'app.utils.js',
+      'sw.utils.js',
+      'analytics.js',
+      'styles.css',
+    ]) {
+      assert.ok(PRECACHE_URLS.includes(file), `${file} should be precached`);
+    }
+  });
+});
+
+describe('getDataVersion', () => {
+  it('should combine version and lastUpdated', () => {
+    assert.strictEqual(
+      getDataVersion({ version: '1.0', lastUpdated: '2026-01-15' }),
+      '1.0:2026-01-15'
+    );
+  });
+
+  it('should handle a missing field', () => {
+    assert.strictEqual(getDataVersion({ lastUpdated: '2026-01-15' }), ':2026-01-15');
+  });
+
+  it('should return null without version information', () => {
+    assert.strictEqual(getDataVersion({ shops: [] }), null);
+    assert.strictEqual(getDataVersion(null), null);
+  });
+});
+
+describe('isDataUpdated', () => {
+  const cached = { version: '1.0', lastUpdated: '2026-01-15', shops: [] };
+
+  it('should be false for the same version', () => {
+    assert.strictEqual(isDataUpdated(cached, { ...cached }), false);
+  });
+
+  it('should be true when lastUpdated changes', () => {
+    assert.strictEqual(isDataUpdated(cached, { ...cached, lastUpdated: '2026-02-01' }), true);
+  });
+
+  it('should be true when version changes', () => {
+    assert.strictEqual(isDataUpdated(cached, { ...cached, version: '1.1' }), true);
+  });
+
+  it('should be true when nothing is cached', () => {
+    assert.strictEqual(isDataUpdated(null, cached), true);
+  });
+
+  it('should be false when fresh data has no version information', () => {
+    assert.strictEqual(isDataUpdated(cached, { shops: [] }), false);
+  });
+});
+
+describe('getPhotoVariant', () => {
+  it('should name photo sizes after the photo', () => {
+    assert.strictEqual(getPhotoVariant('ChIJabc.jpg', 640, 'webp'), 'ChIJabc-640.webp');
+    assert.strictEqual(getPhotoVariant('ChIJabc.jpg', 320, 'jpg'), 'ChIJabc-320.jpg');
+  });
+});
+
+describe('getPhotoUrls', () => {
+  it('should return unique photo URLs', () => {
+    const data = {
+      shops: [{ photo: 'a.jpg' }, { photo: 'b.jpg' }, { photo: 'a.jpg' }, { name: 'No photo' }],
+    };
+    assert.deepStrictEqual(getPhotoUrls(data), ['images/shops/a.jpg', 'images/shops/b.jpg']);
+  });
+
+  it('should precache the smallest WebP size of photos with sizes', () => {
+    const data = {
+      shops: [
+        { photo: 'a.jpg', photoWidths: [320, 640, 960] },
+        { photo: 'b.jpg', photoWidths: [] },
+      ],
+    };
+    assert.deepStrictEqual(getPhotoUrls(data), ['images/shops/a-320.webp', 'images/shops/b.jpg']);
+  });
+
+  it('should return empty array for invalid data', () => {
+    assert.deepStrictEqual(getPhotoUrls(null), []);
+    assert.deepStrictEqual(getPhotoUrls({}), []);
+  });
+});
+
+describe('getRequestStrategy', () => {
+  const scope = 'https://example.com/finder/';
+  const strategy = (href) => getRequestStrategy(new URL(href), scope);
+
+  it('should use the data strategy for shops.json', () => {
+    assert.strictEqual(strategy('https://example.com/finder/shops.json'), 'data');
+    assert.strictEqual(strategy('https://example.com/finder/shops.json?v=2'), 'data');
+  });
+
+  it('should use the photo strategy for shop photos', () => {
+    assert.strictEqual(strategy('https://example.com/finder/images/shops/12.jpg'), 'photo');
+  });
+
+  it('should use the shell strategy for the page and its assets', () => {
+    assert.strictEqual(strategy('https://example.com/finder/'), 'shell');
+    assert.strictEqual(strategy('https://example.com/finder/?q=Denver'), 'shell');
+    assert.strictEqual(strategy('https://example.com/finder/app.js'), 'shell');
+  });
+
+  it('should cache Leaflet from the CDN', () => {
+    assert.strictEqual(strategy('https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'), 'cdn');
+  });
+
+  it('should bypass other requests', () => {
+    assert.strictEqual(strategy('https://nominatim.openstreetmap.org/search?q=Denver'), null);
+    assert.strictEqual(strategy('https://a.tile.openstreetmap.org/1/2/3.png'), null);
+    assert.strictEqual(strategy('https://example.com/other/app.js'), null);
+    assert.strictEqual(strategy('https://example.com/finder/unknown.txt'), null);
+  });
+});